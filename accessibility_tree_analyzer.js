@@ -0,0 +1,137 @@
+const STAMP_ATTRIBUTE = 'data-wcag-ax-id';
+
+// Chromium's native name sources, normalised to the names used in results
+const NATIVE_NAME_SOURCES = {
+  labelfor: 'label',
+  labelwrapped: 'label',
+  figcaption: 'figcaption',
+  legend: 'legend',
+  tablecaption: 'caption',
+  title: 'title'
+};
+
+/**
+ * Reads computed roles, accessible names and states from Chromium's
+ * accessibility tree, i.e. what assistive technology is actually given,
+ * instead of re-deriving them from attributes.
+ *
+ * Matched elements are stamped with a `data-wcag-ax-id` attribute so in-page
+ * checks can join their own data to the tree: read the attribute inside
+ * `page.evaluate` and look it up in the map returned by `getNodes`.
+ * `clearStamps` removes the attributes again.
+ */
+class AccessibilityTreeAnalyzer {
+  static get stampAttribute() {
+    return STAMP_ATTRIBUTE;
+  }
+
+  /**
+   * Returns a Map of stamp id -> { role, name, nameSource, description,
+   * ignored, states } for every element matching `selector`.
+   */
+  async getNodes(page, selector) {
+    await page.evaluate((selector, attribute) => {
+      window.__wcagAxNextId = window.__wcagAxNextId || 0;
+      window.__wcagQueryAll(selector).forEach(el => {
+        if (!el.hasAttribute(attribute)) {
+          el.setAttribute(attribute, String(++window.__wcagAxNextId));
+        }
+      });
+    }, selector, STAMP_ATTRIBUTE);
+
+    const nodes = new Map();
+    const client = await page.target().createCDPSession();
+
+    try {
+      // pierce includes shadow roots; stamped elements are found by attribute
+      const { root } = await client.send('DOM.getDocument', { depth: -1, pierce: true });
+
+      for (const { nodeId, stamp } of this.findStampedNodes(root)) {
+        const { nodes: axNodes } = await client.send('Accessibility.getPartialAXTree', {
+          nodeId,
+          fetchRelatives: false
+        });
+
+        if (axNodes.length > 0) {
+          nodes.set(stamp, this.describeNode(axNodes[0]));
+        }
+      }
+    } finally {
+      await client.detach().catch(() => {});
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Stamped nodes in a CDP DOM tree, including shadow roots but not the
+   * documents of child frames, which are checked separately.
+   */
+  findStampedNodes(root) {
+    const found = [];
+    const visit = (node) => {
+      const stamp = node.attributes ? this.getAttributeValue(node.attributes, STAMP_ATTRIBUTE) : null;
+      if (stamp) {
+        found.push({ nodeId: node.nodeId, stamp });
+      }
+      (node.shadowRoots || []).forEach(visit);
+      (node.children || []).forEach(visit);
+    };
+    visit(root);
+    return found;
+  }
+
+  async clearStamps(page) {
+    await page.evaluate((attribute) => {
+      window.__wcagQueryAll(`[${attribute}]`).forEach(el => el.removeAttribute(attribute));
+      delete window.__wcagAxNextId;
+    }, STAMP_ATTRIBUTE);
+  }
+
+  // CDP returns attributes as a flat [name, value, name, value, ...] list
+  getAttributeValue(attributes, name) {
+    for (let i = 0; i < attributes.length; i += 2) {
+      if (attributes[i] === name) {
+        return attributes[i + 1];
+      }
+    }
+    return null;
+  }
+
+  describeNode(axNode) {
+    const states = {};
+    (axNode.properties || []).forEach(property => {
+      states[property.name] = property.value ? property.value.value : undefined;
+    });
+
+    return {
+      role: axNode.role ? axNode.role.value : null,
+      name: axNode.name && axNode.name.value ? String(axNode.name.value).trim() : '',
+      nameSource: this.getNameSource(axNode.name),
+      description: axNode.description && axNode.description.value ? String(axNode.description.value).trim() : '',
+      ignored: !!axNode.ignored,
+      states
+    };
+  }
+
+  /**
+   * Chromium lists every name source it considered in priority order; the
+   * one that produced the name is the first with a value that was not
+   * superseded. Returns e.g. 'aria-labelledby', 'aria-label', 'label',
+   * 'alt', 'title', 'placeholder' or 'contents'.
+   */
+  getNameSource(name) {
+    if (!name || !name.value || !Array.isArray(name.sources)) return null;
+
+    const source = name.sources.find(candidate =>
+      !candidate.superseded && candidate.value && candidate.value.value
+    );
+    if (!source) return null;
+
+    if (source.attribute) return source.attribute;
+    if (source.nativeSource) return NATIVE_NAME_SOURCES[source.nativeSource] || source.nativeSource;
+    return source.type;
+  }
+}
+
+module.exports = AccessibilityTreeAnalyzer;
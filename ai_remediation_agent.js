@@ -295,6 +295,8 @@ class AIRemediationAgent {
       title: issue.title,
       description: issue.description,
       element: issue.element?.selector || 'unknown',
+      xpath: issue.element?.xpath,
+      html: issue.element?.html,
       suggestion: issue.suggestion
     }));
 
@@ -355,10 +357,10 @@ Return only the JSON array, no other text or explanation.`;
     const relevantLines = new Set();
     const contextRadius = 5; // Lines before/after to include for context
 
-    // Extract lines based on element selectors when available
+    // Extract lines based on the element's markup or selector when available
     issues.forEach(issue => {
-      if (issue.element?.selector) {
-        const matchingLines = this.findElementLines(issue.element.selector, lines);
+      if (issue.element?.html || issue.element?.selector) {
+        const matchingLines = this.findElementLines(issue.element, lines);
         matchingLines.forEach(lineNum => {
           // Add the line and surrounding context
           for (let i = Math.max(0, lineNum - contextRadius); 
@@ -400,11 +402,29 @@ Return only the JSON array, no other text or explanation.`;
     return result;
   }
 
-  findElementLines(selector, lines) {
+  findElementLines(element, lines) {
     const matchingLines = [];
-    
-    // Simple selector matching - can be enhanced for complex selectors
-    const patterns = this.selectorToPatterns(selector);
+
+    // The element's own opening tag pins it down far better than a selector
+    const openingTag = element.html ? element.html.split('>')[0].trim() : '';
+    if (openingTag.length > 1) {
+      lines.forEach((line, index) => {
+        if (line.includes(openingTag)) {
+          matchingLines.push(index);
+        }
+      });
+      if (matchingLines.length > 0) {
+        return matchingLines;
+      }
+    }
+
+    if (!element.selector) {
+      return matchingLines;
+    }
+
+    // Simple selector matching on the target (last) part of a selector path
+    const target = element.selector.split('>').pop().trim();
+    const patterns = this.selectorToPatterns(target);
     
     lines.forEach((line, index) => {
       if (patterns.some(pattern => pattern.test(line))) {
@@ -0,0 +1,172 @@
+// WAI-ARIA 1.2 roles, states and properties used for ARIA conformance checks
+//
+// Roles list their role-specific states and properties; global ones are
+// allowed on every role except where a role prohibits them. Deprecated
+// globals (aria-disabled, aria-errormessage, aria-haspopup, aria-invalid)
+// are still treated as global, since browsers continue to expose them.
+// requiredOwned lists roles an element must own at least one of, and the
+// only roles it may own; requiredContext lists roles one of which must own
+// the element. Entries of the form "group > menuitem" mean a group that in
+// turn owns the role.
+
+const NAME_PROHIBITED = ["aria-label", "aria-labelledby"];
+
+const attributes = {
+  "aria-activedescendant": { type: "idref" },
+  "aria-atomic": { type: "true/false", global: true },
+  "aria-autocomplete": { type: "token", values: ["inline", "list", "both", "none"] },
+  "aria-busy": { type: "true/false", global: true },
+  "aria-checked": { type: "tristate" },
+  "aria-colcount": { type: "integer" },
+  "aria-colindex": { type: "integer" },
+  "aria-colspan": { type: "integer" },
+  "aria-controls": { type: "idrefs", global: true },
+  "aria-current": { type: "token", values: ["page", "step", "location", "date", "time", "true", "false"], global: true },
+  "aria-describedby": { type: "idrefs", global: true },
+  "aria-description": { type: "string", global: true },
+  "aria-details": { type: "idref", global: true },
+  "aria-disabled": { type: "true/false", global: true },
+  "aria-dropeffect": { type: "tokens", values: ["copy", "execute", "link", "move", "none", "popup"], global: true },
+  "aria-errormessage": { type: "idref", global: true },
+  "aria-expanded": { type: "true/false/undefined" },
+  "aria-flowto": { type: "idrefs", global: true },
+  "aria-grabbed": { type: "true/false/undefined", global: true },
+  "aria-haspopup": { type: "token", values: ["false", "true", "menu", "listbox", "tree", "grid", "dialog"], global: true },
+  "aria-hidden": { type: "true/false/undefined", global: true },
+  "aria-invalid": { type: "token", values: ["grammar", "false", "spelling", "true"], global: true },
+  "aria-keyshortcuts": { type: "string", global: true },
+  "aria-label": { type: "string", global: true },
+  "aria-labelledby": { type: "idrefs", global: true },
+  "aria-level": { type: "integer" },
+  "aria-live": { type: "token", values: ["assertive", "off", "polite"], global: true },
+  "aria-modal": { type: "true/false" },
+  "aria-multiline": { type: "true/false" },
+  "aria-multiselectable": { type: "true/false" },
+  "aria-orientation": { type: "token", values: ["horizontal", "vertical", "undefined"] },
+  "aria-owns": { type: "idrefs", global: true },
+  "aria-placeholder": { type: "string" },
+  "aria-posinset": { type: "integer" },
+  "aria-pressed": { type: "tristate" },
+  "aria-readonly": { type: "true/false" },
+  "aria-relevant": { type: "tokens", values: ["additions", "all", "removals", "text"], global: true },
+  "aria-required": { type: "true/false" },
+  "aria-roledescription": { type: "string", global: true },
+  "aria-rowcount": { type: "integer" },
+  "aria-rowindex": { type: "integer" },
+  "aria-rowspan": { type: "integer" },
+  "aria-selected": { type: "true/false/undefined" },
+  "aria-setsize": { type: "integer" },
+  "aria-sort": { type: "token", values: ["ascending", "descending", "none", "other"] },
+  "aria-valuemax": { type: "number" },
+  "aria-valuemin": { type: "number" },
+  "aria-valuenow": { type: "number" },
+  "aria-valuetext": { type: "string" }
+};
+
+// Values allowed for each attribute type; other types are checked by format
+const valueTypes = {
+  "true/false": ["true", "false"],
+  "true/false/undefined": ["true", "false", "undefined"],
+  "tristate": ["true", "false", "mixed", "undefined"]
+};
+
+const CELL = ["aria-colindex", "aria-colspan", "aria-rowindex", "aria-rowspan"];
+const HEADER_CELL = [...CELL, "aria-sort", "aria-readonly", "aria-required", "aria-selected", "aria-expanded"];
+const RANGE = ["aria-valuemax", "aria-valuemin", "aria-valuenow", "aria-valuetext"];
+const TEXT_INPUT = ["aria-activedescendant", "aria-autocomplete", "aria-multiline", "aria-placeholder", "aria-readonly", "aria-required"];
+const MENU_ITEMS = ["menuitem", "menuitemcheckbox", "menuitemradio", "group > menuitem", "group > menuitemcheckbox", "group > menuitemradio", "separator"];
+
+const roles = {
+  "alert": { supportedProps: ["aria-expanded"] },
+  "alertdialog": { supportedProps: ["aria-modal"] },
+  "application": { supportedProps: ["aria-activedescendant", "aria-expanded"] },
+  "article": { supportedProps: ["aria-posinset", "aria-setsize"] },
+  "banner": {},
+  "blockquote": {},
+  "button": { supportedProps: ["aria-expanded", "aria-pressed"] },
+  "caption": { prohibitedProps: NAME_PROHIBITED },
+  "cell": { supportedProps: CELL, requiredContext: ["row"] },
+  "checkbox": { requiredProps: ["aria-checked"], supportedProps: ["aria-expanded", "aria-readonly", "aria-required"] },
+  "code": { prohibitedProps: NAME_PROHIBITED },
+  "columnheader": { supportedProps: HEADER_CELL, requiredContext: ["row"] },
+  "combobox": { requiredProps: ["aria-expanded"], supportedProps: ["aria-activedescendant", "aria-autocomplete", "aria-readonly", "aria-required"] },
+  "complementary": {},
+  "contentinfo": {},
+  "definition": {},
+  "deletion": { prohibitedProps: NAME_PROHIBITED },
+  "dialog": { supportedProps: ["aria-modal"] },
+  "directory": {},
+  "document": {},
+  "emphasis": { prohibitedProps: NAME_PROHIBITED },
+  "feed": { requiredOwned: ["article"] },
+  "figure": {},
+  "form": {},
+  "generic": { prohibitedProps: NAME_PROHIBITED },
+  "grid": { supportedProps: ["aria-activedescendant", "aria-colcount", "aria-multiselectable", "aria-readonly", "aria-rowcount"], requiredOwned: ["row", "rowgroup > row"] },
+  "gridcell": { supportedProps: [...CELL, "aria-readonly", "aria-required", "aria-selected", "aria-expanded"], requiredContext: ["row"] },
+  "group": { supportedProps: ["aria-activedescendant"] },
+  "heading": { requiredProps: ["aria-level"] },
+  "img": {},
+  "insertion": { prohibitedProps: NAME_PROHIBITED },
+  "link": { supportedProps: ["aria-expanded"] },
+  "list": { requiredOwned: ["listitem"] },
+  "listbox": { supportedProps: ["aria-activedescendant", "aria-expanded", "aria-multiselectable", "aria-orientation", "aria-readonly", "aria-required"], requiredOwned: ["option", "group > option"] },
+  "listitem": { supportedProps: ["aria-level", "aria-posinset", "aria-setsize", "aria-expanded"], requiredContext: ["list", "directory"] },
+  "log": {},
+  "main": {},
+  "marquee": {},
+  "math": {},
+  "menu": { supportedProps: ["aria-activedescendant", "aria-orientation"], requiredOwned: MENU_ITEMS },
+  "menubar": { supportedProps: ["aria-activedescendant", "aria-orientation"], requiredOwned: MENU_ITEMS },
+  "menuitem": { supportedProps: ["aria-expanded", "aria-posinset", "aria-setsize"], requiredContext: ["menu", "menubar", "group"] },
+  "menuitemcheckbox": { requiredProps: ["aria-checked"], supportedProps: ["aria-expanded", "aria-posinset", "aria-setsize"], requiredContext: ["menu", "menubar", "group"] },
+  "menuitemradio": { requiredProps: ["aria-checked"], supportedProps: ["aria-expanded", "aria-posinset", "aria-setsize"], requiredContext: ["menu", "menubar", "group"] },
+  "meter": { requiredProps: ["aria-valuenow"], supportedProps: RANGE },
+  "navigation": {},
+  "none": { prohibitedProps: NAME_PROHIBITED },
+  "note": {},
+  "option": { supportedProps: ["aria-checked", "aria-posinset", "aria-selected", "aria-setsize"], requiredContext: ["listbox", "group"] },
+  "paragraph": { prohibitedProps: NAME_PROHIBITED },
+  "presentation": { prohibitedProps: NAME_PROHIBITED },
+  "progressbar": { supportedProps: RANGE },
+  "radio": { requiredProps: ["aria-checked"], supportedProps: ["aria-posinset", "aria-setsize"] },
+  "radiogroup": { supportedProps: ["aria-activedescendant", "aria-orientation", "aria-readonly", "aria-required"] },
+  "region": {},
+  "row": { supportedProps: ["aria-activedescendant", "aria-colindex", "aria-expanded", "aria-level", "aria-posinset", "aria-rowindex", "aria-selected", "aria-setsize"], requiredContext: ["grid", "rowgroup", "table", "treegrid"], requiredOwned: ["cell", "columnheader", "gridcell", "rowheader"] },
+  "rowgroup": { requiredContext: ["grid", "table", "treegrid"], requiredOwned: ["row"] },
+  "rowheader": { supportedProps: HEADER_CELL, requiredContext: ["row"] },
+  "scrollbar": { requiredProps: ["aria-controls", "aria-valuenow"], supportedProps: ["aria-orientation", ...RANGE] },
+  "search": {},
+  "searchbox": { supportedProps: TEXT_INPUT },
+  "separator": { supportedProps: ["aria-orientation", ...RANGE] },
+  "slider": { requiredProps: ["aria-valuenow"], supportedProps: ["aria-orientation", "aria-readonly", ...RANGE] },
+  "spinbutton": { supportedProps: ["aria-activedescendant", "aria-readonly", "aria-required", ...RANGE] },
+  "status": {},
+  "strong": { prohibitedProps: NAME_PROHIBITED },
+  "subscript": { prohibitedProps: NAME_PROHIBITED },
+  "superscript": { prohibitedProps: NAME_PROHIBITED },
+  "switch": { requiredProps: ["aria-checked"], supportedProps: ["aria-readonly"] },
+  "tab": { supportedProps: ["aria-expanded", "aria-posinset", "aria-selected", "aria-setsize"], requiredContext: ["tablist"] },
+  "table": { supportedProps: ["aria-colcount", "aria-rowcount"], requiredOwned: ["row", "rowgroup > row", "caption"] },
+  "tablist": { supportedProps: ["aria-activedescendant", "aria-multiselectable", "aria-orientation"], requiredOwned: ["tab"] },
+  "tabpanel": {},
+  "term": {},
+  "textbox": { supportedProps: TEXT_INPUT },
+  "time": {},
+  "timer": {},
+  "toolbar": { supportedProps: ["aria-activedescendant", "aria-orientation"] },
+  "tooltip": {},
+  "tree": { supportedProps: ["aria-activedescendant", "aria-multiselectable", "aria-orientation", "aria-required"], requiredOwned: ["treeitem", "group > treeitem"] },
+  "treegrid": { supportedProps: ["aria-activedescendant", "aria-colcount", "aria-multiselectable", "aria-orientation", "aria-readonly", "aria-required", "aria-rowcount"], requiredOwned: ["row", "rowgroup > row"] },
+  "treeitem": { supportedProps: ["aria-checked", "aria-expanded", "aria-level", "aria-posinset", "aria-selected", "aria-setsize"], requiredContext: ["group", "tree"] }
+};
+
+// Roles from the DPUB and Graphics ARIA modules are valid but not checked further
+const modulePrefixes = ["doc-", "graphics-"];
+
+module.exports = {
+  roles,
+  attributes,
+  valueTypes,
+  modulePrefixes
+};
@@ -0,0 +1,479 @@
+const EventEmitter = require('events');
+const logger = require('./logger_utility');
+
+const DEFAULT_LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--disable-web-security',
+  '--disable-features=VizDisplayCompositor'
+];
+
+class BrowserPoolManager extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      maxBrowsers: config.maxBrowsers || 2,
+      maxPagesPerBrowser: config.maxPagesPerBrowser || 4,
+      maxPageUses: config.maxPageUses || 20,
+      maxBrowserUses: config.maxBrowserUses || 200,
+      acquireTimeout: config.acquireTimeout || 120000,
+      healthCheckInterval: config.healthCheckInterval || 30000,
+      healthCheckTimeout: config.healthCheckTimeout || 5000,
+      idleTimeout: config.idleTimeout || 300000,
+      launchOptions: config.launchOptions || {}
+    };
+
+    this.browsers = [];
+    this.waitQueue = [];
+    this.launching = 0;
+    this.healthTimer = null;
+    this.draining = false;
+    this.statistics = {
+      browsersLaunched: 0,
+      browsersRetired: 0,
+      pagesCreated: 0,
+      pagesRecycled: 0,
+      acquisitions: 0
+    };
+  }
+
+  async launchBrowser() {
+    const browserFetcher = await import('puppeteer');
+    const puppeteer = browserFetcher.default || browserFetcher;
+
+    const browser = await puppeteer.launch({
+      executablePath: puppeteer.executablePath(),
+      headless: 'new',
+      protocolTimeout: 120000,
+      args: DEFAULT_LAUNCH_ARGS,
+      ...this.config.launchOptions
+    });
+
+    const entry = {
+      browser,
+      activePages: new Set(),
+      idlePages: [],
+      reserved: 0,
+      uses: 0,
+      retired: false,
+      lastUsed: Date.now()
+    };
+
+    browser.on('disconnected', () => {
+      if (this.browsers.includes(entry)) {
+        logger.warn('Pooled browser disconnected unexpectedly');
+        this.removeBrowser(entry);
+      }
+    });
+
+    this.statistics.browsersLaunched++;
+    return entry;
+  }
+
+  /**
+   * Lease a page from the pool. Waits for a free slot when every browser is
+   * at its page limit and the pool is at its browser limit.
+   *
+   * With `isolated: true` the page gets its own incognito browser context so
+   * cookies and storage (e.g. a login session) never reach other scans.
+   * Isolated pages are closed on release instead of being recycled.
+   */
+  async acquirePage(options = {}) {
+    const { isolated = false } = options;
+
+    if (this.draining) {
+      throw new Error('Browser pool is shutting down');
+    }
+
+    this.statistics.acquisitions++;
+
+    const entry = await this.acquireBrowserSlot();
+
+    try {
+      if (isolated) {
+        const browserContext = await entry.browser.createIncognitoBrowserContext();
+        const page = await browserContext.newPage();
+        page.__poolUses = 1;
+        page.__poolContext = browserContext;
+        page.__poolEntry = entry;
+        entry.activePages.add(page);
+        entry.reserved--;
+        entry.uses++;
+        entry.lastUsed = Date.now();
+        this.statistics.pagesCreated++;
+        return page;
+      }
+
+      let page = entry.idlePages.pop();
+      if (page && page.isClosed()) {
+        page = null;
+      }
+      if (!page) {
+        page = await entry.browser.newPage();
+        page.__poolUses = 0;
+        await this.recordPageDefaults(page, entry);
+        this.statistics.pagesCreated++;
+      } else {
+        this.statistics.pagesRecycled++;
+      }
+
+      page.__poolUses++;
+      page.__poolEntry = entry;
+      entry.activePages.add(page);
+      entry.reserved--;
+      entry.uses++;
+      entry.lastUsed = Date.now();
+
+      return page;
+    } catch (error) {
+      // Free the slot before waking waiters, or they would still see it taken
+      entry.reserved--;
+      this.dispatchWaiters();
+      throw error;
+    }
+  }
+
+  async acquireBrowserSlot() {
+    const available = this.findAvailableBrowser();
+    if (available) {
+      available.reserved++;
+      return available;
+    }
+
+    if (this.browsers.length + this.launching < this.config.maxBrowsers) {
+      this.launching++;
+      let entry;
+      try {
+        entry = await this.launchBrowser();
+      } catch (error) {
+        // The slot is free again: let the next waiter try rather than leave
+        // it queued until it times out
+        this.launching--;
+        this.dispatchWaiters();
+        throw error;
+      }
+      this.launching--;
+
+      // Register and reserve in the same tick so concurrent callers never
+      // count the new browser twice or claim its first slot
+      entry.reserved++;
+      this.browsers.push(entry);
+      this.startHealthChecks();
+
+      logger.info(`Browser pool launched browser ${this.browsers.length}/${this.config.maxBrowsers}`);
+      this.dispatchWaiters();
+      return entry;
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waitQueue = this.waitQueue.filter(w => w !== waiter);
+        reject(new Error(`Timed out after ${this.config.acquireTimeout}ms waiting for a browser page`));
+      }, this.config.acquireTimeout);
+      this.waitQueue.push(waiter);
+    });
+  }
+
+  findAvailableBrowser() {
+    const candidates = this.browsers.filter(entry =>
+      !entry.retired &&
+      entry.browser.isConnected() &&
+      entry.activePages.size + entry.reserved < this.config.maxPagesPerBrowser
+    );
+
+    if (candidates.length === 0) return null;
+
+    // Spread load across browsers instead of filling the first one
+    return candidates.reduce((least, entry) =>
+      entry.activePages.size + entry.reserved < least.activePages.size + least.reserved
+        ? entry
+        : least
+    );
+  }
+
+  /**
+   * Return a leased page. The page is reset and kept for reuse unless it has
+   * reached its use limit or its browser is being retired.
+   */
+  async releasePage(page) {
+    if (!page) return;
+
+    const entry = page.__poolEntry;
+    if (!entry) {
+      await this.closePage(page);
+      return;
+    }
+
+    entry.activePages.delete(page);
+    entry.lastUsed = Date.now();
+    page.__poolEntry = null;
+
+    if (entry.uses >= this.config.maxBrowserUses && !entry.retired) {
+      entry.retired = true;
+      logger.info('Retiring pooled browser after reaching its use limit');
+    }
+
+    const reusable = !page.__poolContext &&
+      !entry.retired &&
+      !this.draining &&
+      !page.isClosed() &&
+      page.__poolUses < this.config.maxPageUses &&
+      await this.resetPage(page);
+
+    if (reusable) {
+      entry.idlePages.push(page);
+    } else if (page.__poolContext) {
+      await this.closeBrowserContext(page.__poolContext);
+    } else {
+      await this.closePage(page);
+    }
+
+    if (entry.retired && entry.activePages.size === 0) {
+      await this.removeBrowser(entry);
+    }
+
+    this.dispatchWaiters();
+  }
+
+  /**
+   * Remember what a new page starts with so resetPage can undo what a scan
+   * changed, and track the scripts scans register to run in every document
+   * and the origins they visit, whose state would otherwise carry over into
+   * every later scan on the page.
+   */
+  async recordPageDefaults(page, entry) {
+    page.__poolUserAgent = await entry.browser.userAgent();
+    page.__poolViewport = page.viewport();
+    page.__poolScripts = [];
+    page.__poolOrigins = new Set();
+    this.trackOrigins(page);
+
+    const evaluateOnNewDocument = page.evaluateOnNewDocument.bind(page);
+    page.evaluateOnNewDocument = async (...args) => {
+      const registered = await evaluateOnNewDocument(...args);
+      page.__poolScripts.push(registered.identifier);
+      return registered;
+    };
+  }
+
+  trackOrigins(page) {
+    page.on('framenavigated', frame => {
+      if (frame !== page.mainFrame()) return;
+      const origin = this.getOrigin(frame.url());
+      if (origin) page.__poolOrigins.add(origin);
+    });
+  }
+
+  getOrigin(url) {
+    try {
+      const { protocol, origin } = new URL(url);
+      return ['http:', 'https:'].includes(protocol) ? origin : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Pages outside an isolated context share the browser's cookies, storage
+   * and cache, so consent cookies or A/B flags set during one scan would
+   * change what the next one sees. Cookies are cleared for the whole
+   * context, including other unauthenticated scans on this browser.
+   */
+  async clearBrowsingData(page) {
+    const client = await page.target().createCDPSession();
+    try {
+      await client.send('Network.clearBrowserCookies');
+      await client.send('Network.clearBrowserCache');
+      for (const origin of page.__poolOrigins) {
+        await client.send('Storage.clearDataForOrigin', { origin, storageTypes: 'all' });
+      }
+      page.__poolOrigins.clear();
+    } finally {
+      await client.detach();
+    }
+  }
+
+  async resetPage(page) {
+    try {
+      page.removeAllListeners();
+      this.trackOrigins(page);
+      for (const identifier of page.__poolScripts.splice(0)) {
+        await page.removeScriptToEvaluateOnNewDocument(identifier);
+      }
+      await page.setRequestInterception(false);
+      await page.setExtraHTTPHeaders({});
+      await page.authenticate(null);
+      await page.setJavaScriptEnabled(true);
+      await page.setUserAgent(page.__poolUserAgent);
+      if (page.__poolViewport) {
+        await page.setViewport(page.__poolViewport);
+      }
+      await page.emulateMediaFeatures([]);
+      await page.emulateMediaType();
+      await page.goto('about:blank', { waitUntil: 'domcontentloaded', timeout: 10000 });
+      await this.clearBrowsingData(page);
+      return true;
+    } catch (error) {
+      logger.warn('Failed to reset pooled page, discarding it:', error);
+      return false;
+    }
+  }
+
+  async closePage(page) {
+    try {
+      if (!page.isClosed()) {
+        await page.close();
+      }
+    } catch (closeError) {
+      logger.warn('Error closing page:', closeError);
+    }
+  }
+
+  async closeBrowserContext(browserContext) {
+    try {
+      await browserContext.close();
+    } catch (error) {
+      logger.warn('Error closing isolated browser context:', error);
+    }
+  }
+
+  dispatchWaiters() {
+    while (this.waitQueue.length > 0) {
+      const canLaunch = this.browsers.length + this.launching < this.config.maxBrowsers;
+      const available = this.findAvailableBrowser();
+      if (!available && !canLaunch) return;
+
+      const waiter = this.waitQueue.shift();
+      clearTimeout(waiter.timer);
+      this.acquireBrowserSlot().then(waiter.resolve, waiter.reject);
+    }
+  }
+
+  async removeBrowser(entry) {
+    this.browsers = this.browsers.filter(b => b !== entry);
+    this.statistics.browsersRetired++;
+
+    for (const page of entry.activePages) {
+      page.__poolEntry = null;
+    }
+
+    try {
+      if (entry.browser.isConnected()) {
+        await entry.browser.close();
+      }
+    } catch (error) {
+      logger.error('Error closing pooled browser:', error);
+    }
+
+    if (this.browsers.length === 0) {
+      this.stopHealthChecks();
+    }
+
+    this.dispatchWaiters();
+  }
+
+  startHealthChecks() {
+    if (this.healthTimer || !this.config.healthCheckInterval) return;
+
+    this.healthTimer = setInterval(() => {
+      this.runHealthCheck().catch(error => {
+        logger.error('Browser pool health check failed:', error);
+      });
+    }, this.config.healthCheckInterval);
+
+    // The pool must never keep the process alive on its own
+    if (this.healthTimer.unref) {
+      this.healthTimer.unref();
+    }
+  }
+
+  stopHealthChecks() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  async runHealthCheck() {
+    const now = Date.now();
+
+    for (const entry of [...this.browsers]) {
+      const healthy = await this.isBrowserHealthy(entry);
+
+      if (!healthy) {
+        logger.warn('Removing unresponsive browser from pool');
+        await this.removeBrowser(entry);
+        this.emit('browserUnhealthy');
+        continue;
+      }
+
+      const idle = entry.activePages.size === 0 && !entry.reserved;
+      if (idle && now - entry.lastUsed > this.config.idleTimeout) {
+        logger.info('Closing idle pooled browser');
+        await this.removeBrowser(entry);
+      }
+    }
+  }
+
+  async isBrowserHealthy(entry) {
+    if (!entry.browser.isConnected()) return false;
+
+    let timer;
+    try {
+      await Promise.race([
+        entry.browser.version(),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Health check timed out')), this.config.healthCheckTimeout);
+        })
+      ]);
+      return true;
+    } catch (error) {
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Close every browser and reject pending acquisitions. Used on shutdown.
+   */
+  async drain() {
+    this.draining = true;
+    this.stopHealthChecks();
+
+    for (const waiter of this.waitQueue) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is shutting down'));
+    }
+    this.waitQueue = [];
+
+    await Promise.all([...this.browsers].map(entry => this.removeBrowser(entry)));
+    this.draining = false;
+
+    logger.info('Browser pool drained');
+  }
+
+  getStatistics() {
+    return {
+      ...this.statistics,
+      browsers: this.browsers.length,
+      activePages: this.browsers.reduce((sum, entry) => sum + entry.activePages.size, 0),
+      idlePages: this.browsers.reduce((sum, entry) => sum + entry.idlePages.length, 0),
+      waiting: this.waitQueue.length
+    };
+  }
+}
+
+// Process-wide pool shared by the checker and report generator
+const browserPool = new BrowserPoolManager({
+  maxBrowsers: parseInt(process.env.BROWSER_POOL_SIZE) || 2,
+  maxPagesPerBrowser: parseInt(process.env.BROWSER_POOL_MAX_PAGES) || 4,
+  maxPageUses: parseInt(process.env.BROWSER_POOL_MAX_PAGE_USES) || 20
+});
+
+module.exports = browserPool;
+module.exports.BrowserPoolManager = BrowserPoolManager;
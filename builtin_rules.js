@@ -0,0 +1,314 @@
+// Built-in rules. Each delegates to the matching check method on the
+// WCAGComplianceChecker passed in as `checker`. Rules marked `frames` inspect
+// the document they are given and also run inside each iframe.
+
+const builtinRules = [
+  {
+    id: 'image-alt',
+    description: 'Images expose a meaningful text alternative or are hidden as decorative',
+    criteria: ['1.1.1'],
+    level: 'A',
+    version: '2.0',
+    tags: ['images', 'text-alternatives'],
+    frames: true,
+    evaluate: (page, context, { checker }) => checker.checkImages(page, context)
+  },
+  {
+    id: 'headings',
+    description: 'Headings exist, are not empty and do not skip levels',
+    criteria: ['1.3.1', '2.4.6'],
+    level: 'A',
+    version: '2.0',
+    tags: ['headings', 'structure'],
+    evaluate: (page, context, { checker }) => checker.checkHeadings(page, context)
+  },
+  {
+    id: 'form-labels',
+    description: 'Form controls have accessible names and grouped controls have legends',
+    criteria: ['3.3.2', '1.3.1'],
+    level: 'A',
+    version: '2.0',
+    tags: ['forms'],
+    frames: true,
+    evaluate: (page, context, { checker }) => checker.checkForms(page, context)
+  },
+  {
+    id: 'link-purpose',
+    description: 'Links have descriptive, unambiguous names',
+    criteria: ['2.4.4'],
+    level: 'A',
+    version: '2.0',
+    tags: ['links'],
+    frames: true,
+    evaluate: (page, context, { checker }) => checker.checkLinks(page, context)
+  },
+  {
+    id: 'keyboard-handlers',
+    description: 'No positive tabindex values or mouse-only event handlers',
+    criteria: ['2.1.1', '2.4.3'],
+    level: 'A',
+    version: '2.0',
+    tags: ['keyboard'],
+    frames: true,
+    evaluate: (page, context, { checker }) => checker.checkKeyboardAccess(page, context)
+  },
+  {
+    id: 'page-language',
+    description: 'The page declares a valid language and marks language changes',
+    criteria: ['3.1.1', '3.1.2'],
+    level: 'A',
+    version: '2.0',
+    tags: ['language'],
+    evaluate: (page, context, { checker }) => checker.checkLanguage(page, context)
+  },
+  {
+    id: 'focus-styles',
+    description: 'Focusable elements have visible focus styles',
+    criteria: ['2.4.7', '2.1.1'],
+    level: 'A',
+    version: '2.0',
+    tags: ['keyboard', 'focus'],
+    evaluate: (page, context, { checker }) => checker.checkFocus(page, context)
+  },
+  {
+    id: 'page-structure',
+    description: 'Page title, landmarks and bypass blocks',
+    criteria: ['1.3.1', '2.4.1', '2.4.2'],
+    level: 'A',
+    version: '2.0',
+    tags: ['structure', 'landmarks'],
+    evaluate: (page, context, { checker }) => checker.checkStructure(page, context)
+  },
+  {
+    id: 'media-alternatives',
+    description: 'Audio and video have captions or transcripts',
+    criteria: ['1.2.1', '1.2.2'],
+    level: 'A',
+    version: '2.0',
+    tags: ['media'],
+    frames: true,
+    evaluate: (page, context, { checker }) => checker.checkMedia(page, context)
+  },
+  {
+    id: 'audio-control',
+    description: 'Media that plays on its own can be paused or muted',
+    criteria: ['1.4.2', '2.2.2'],
+    level: 'A',
+    version: '2.0',
+    tags: ['media', 'motion'],
+    frames: true,
+    evaluate: (page, context, { checker }) => checker.checkAutoplayMedia(page, context)
+  },
+  {
+    id: 'moving-content',
+    description: 'Animations, carousels and marquees lasting over 5 seconds can be paused',
+    criteria: ['2.2.2'],
+    level: 'A',
+    version: '2.0',
+    tags: ['motion'],
+    evaluate: (page, context, { checker }) => checker.checkMovingContent(page, context)
+  },
+  {
+    id: 'three-flashes',
+    description: 'Nothing flashes more than three times a second above the general and red flash thresholds',
+    criteria: ['2.3.1'],
+    level: 'A',
+    version: '2.0',
+    tags: ['motion', 'seizures'],
+    evaluate: (page, context, { checker }) => checker.checkFlashing(page, context)
+  },
+  {
+    id: 'color-contrast',
+    description: 'Text meets minimum (and enhanced) contrast ratios',
+    criteria: ['1.4.3', '1.4.6'],
+    level: 'AA',
+    version: '2.0',
+    tags: ['color'],
+    frames: true,
+    evaluate: (page, context, { checker }) => checker.checkColorContrast(page, context)
+  },
+  {
+    // Focuses controls to read their focus styles, so it runs after the static rules
+    id: 'non-text-contrast',
+    description: 'Component boundaries, icons and focus indicators meet 3:1 contrast',
+    criteria: ['1.4.11'],
+    level: 'AA',
+    version: '2.1',
+    tags: ['color', 'forms', 'focus'],
+    order: 85,
+    frames: true,
+    evaluate: (page, context, { checker }) => checker.checkNonTextContrast(page, context)
+  },
+  {
+    id: 'text-spacing',
+    description: 'Text is not clipped or overlapping when text spacing is increased',
+    criteria: ['1.4.12'],
+    level: 'AA',
+    version: '2.1',
+    tags: ['layout', 'text'],
+    evaluate: (page, context, { checker }) => checker.checkTextSpacing(page, context)
+  },
+  {
+    // Resizes the viewport, so it runs after the static rules
+    id: 'resize-text',
+    description: 'Text and controls survive 200% zoom and the viewport allows zooming',
+    criteria: ['1.4.4'],
+    level: 'AA',
+    version: '2.0',
+    tags: ['layout', 'text', 'zoom'],
+    order: 80,
+    evaluate: (page, context, { checker }) => checker.checkResizeText(page, context)
+  },
+  {
+    id: 'reflow',
+    description: 'Content reflows at 320 CSS px without horizontal scrolling',
+    criteria: ['1.4.10'],
+    level: 'AA',
+    version: '2.1',
+    tags: ['layout', 'responsive'],
+    evaluate: (page, context, { checker }) => checker.checkReflow(page, context)
+  },
+  {
+    id: 'target-size',
+    description: 'Pointer targets are at least 24x24px or spaced apart',
+    criteria: ['2.5.8'],
+    level: 'AA',
+    version: '2.2',
+    tags: ['pointer', 'touch'],
+    frames: true,
+    evaluate: (page, context, { checker }) => checker.checkTargetSizes(page, context)
+  },
+  {
+    id: 'target-size-enhanced',
+    description: 'Pointer targets are at least 44x44px',
+    criteria: ['2.5.5'],
+    level: 'AAA',
+    version: '2.1',
+    tags: ['pointer', 'touch'],
+    frames: true,
+    evaluate: (page, context, { checker }) => checker.checkEnhancedTargetSizes(page, context)
+  },
+  {
+    id: 'aria',
+    description: 'ARIA roles, states and references follow WAI-ARIA 1.2 and controls expose accessible names',
+    criteria: ['1.3.1', '4.1.2'],
+    level: 'A',
+    version: '2.0',
+    tags: ['aria'],
+    frames: true,
+    evaluate: (page, context, { checker }) => checker.checkARIA(page, context)
+  },
+  {
+    id: 'parsing',
+    description: 'Page source has no referenced duplicate ids, broken nesting or nested interactive content',
+    criteria: ['4.1.1', '4.1.2'],
+    level: 'A',
+    version: '2.0',
+    tags: ['parsing', 'markup'],
+    evaluate: (page, context, { checker }) => checker.checkParsing(page, context)
+  },
+  {
+    id: 'data-tables',
+    description: 'Data tables have headers and captions',
+    criteria: ['1.3.1'],
+    level: 'A',
+    version: '2.0',
+    tags: ['tables', 'structure'],
+    frames: true,
+    evaluate: (page, context, { checker }) => checker.checkTables(page, context)
+  },
+  {
+    id: 'skip-links',
+    description: 'A skip link lets keyboard users bypass repeated blocks',
+    criteria: ['2.4.1'],
+    level: 'A',
+    version: '2.0',
+    tags: ['navigation', 'keyboard'],
+    evaluate: (page, context, { checker }) => checker.checkSkipLinks(page, context)
+  },
+  {
+    id: 'dragging-movements',
+    description: 'Drag and drop has a single-pointer alternative',
+    criteria: ['2.5.7'],
+    level: 'AA',
+    version: '2.2',
+    tags: ['pointer', 'interactive'],
+    frames: true,
+    evaluate: (page, context, { checker }) => checker.checkDraggingMovements(page, context)
+  },
+  {
+    id: 'consistent-help',
+    description: 'Help mechanisms are recorded so their order can be compared across pages',
+    criteria: ['3.2.6'],
+    level: 'A',
+    version: '2.2',
+    tags: ['navigation', 'help'],
+    evaluate: (page, context, { checker }) => checker.checkConsistentHelp(page, context)
+  },
+  {
+    id: 'redundant-entry',
+    description: 'Forms do not ask for the same information twice',
+    criteria: ['3.3.7'],
+    level: 'A',
+    version: '2.2',
+    tags: ['forms'],
+    frames: true,
+    evaluate: (page, context, { checker }) => checker.checkRedundantEntry(page, context)
+  },
+  {
+    id: 'accessible-authentication',
+    description: 'Login fields accept paste and autofill, and no cognitive CAPTCHA is required',
+    criteria: ['3.3.8'],
+    level: 'AA',
+    version: '2.2',
+    tags: ['forms', 'authentication'],
+    frames: true,
+    evaluate: (page, context, { checker }) => checker.checkAccessibleAuthentication(page, context)
+  },
+  {
+    // Focuses and scrolls to each element, so it runs after the static rules
+    id: 'focus-not-obscured',
+    description: 'Focused elements are not hidden behind sticky headers, footers or banners',
+    criteria: ['2.4.11', '2.4.12'],
+    level: 'AA',
+    version: '2.2',
+    tags: ['keyboard', 'focus'],
+    order: 90,
+    evaluate: (page, context, { checker }) => checker.checkFocusNotObscured(page, context)
+  },
+  {
+    // Opt-in; submits forms and leaves their errors showing, so it runs last
+    id: 'form-error-handling',
+    description: 'Submitting forms with missing or invalid input identifies, explains and announces the errors',
+    criteria: ['3.3.1', '3.3.3', '4.1.3'],
+    level: 'A',
+    version: '2.0',
+    tags: ['forms', 'interactive'],
+    order: 110,
+    evaluate: (page, context, { checker }) => checker.checkFormErrorHandling(page, context)
+  },
+  {
+    // Reads what the page announced while every other rule ran
+    id: 'status-messages',
+    description: 'Toasts, result counts and confirmations appear in live regions',
+    criteria: ['4.1.3'],
+    level: 'AA',
+    version: '2.1',
+    tags: ['aria', 'interactive'],
+    order: 120,
+    evaluate: (page, context, { checker }) => checker.checkStatusMessages(page, context)
+  },
+  {
+    // Moves focus around the page, so it runs after the static rules
+    id: 'keyboard-traversal',
+    description: 'Tabbing through the page reveals no traps, unreachable elements or out-of-order focus',
+    criteria: ['2.1.1', '2.1.2', '2.4.3', '2.4.7'],
+    level: 'A',
+    version: '2.0',
+    tags: ['keyboard', 'focus', 'interactive'],
+    order: 100,
+    evaluate: (page, context, { checker }) => checker.checkKeyboardTraversal(page, context)
+  }
+];
+
+module.exports = builtinRules;
@@ -1,6 +1,23 @@
 const { JSDOM } = require('jsdom');
 const logger = require('./logger_utility');
 
+const MAX_SOURCE_SNIPPET = 300;
+
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+// Elements whose end tag HTML lets authors leave out
+const OPTIONAL_END_TAG_ELEMENTS = ['html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'rt', 'rp', 'optgroup', 'option',
+  'colgroup', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th'];
+
+// Elements whose content is text, not markup, in a browser with scripting on
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript'];
+
+const ID_REFERENCE_ATTRIBUTES = ['for', 'list', 'form', 'headers', 'href', 'aria-activedescendant', 'aria-controls',
+  'aria-describedby', 'aria-details', 'aria-errormessage', 'aria-flowto', 'aria-labelledby', 'aria-owns'];
+
+const INTERACTIVE_CONTENT = 'a[href], audio[controls], button, details, embed, iframe, img[usemap], ' +
+  'input:not([type="hidden"]), label, select, textarea, video[controls], [tabindex]';
+
 class CodeAnalyzer {
   constructor() {
     this.cache = new Map();
@@ -166,15 +183,39 @@ class CodeAnalyzer {
     
     if (!viewport) return { present: false };
     
-    const content = viewport.getAttribute('content') || '';
-    
     return {
       present: true,
-      content: content,
-      hasWidth: content.includes('width='),
-      hasInitialScale: content.includes('initial-scale='),
-      hasUserScalable: content.includes('user-scalable='),
-      allowsZoom: !content.includes('user-scalable=no') && !content.includes('maximum-scale=1')
+      ...this.parseViewportContent(viewport.getAttribute('content') || '')
+    };
+  }
+
+  /**
+   * Parse a viewport meta content string such as
+   * "width=device-width, initial-scale=1, maximum-scale=1". Zoom counts as
+   * blocked when user-scalable is off or maximum-scale is below 2 (200%).
+   */
+  parseViewportContent(content) {
+    const properties = {};
+    content.split(/[,;]/).forEach(part => {
+      const [key, value] = part.split('=').map(item => (item || '').trim().toLowerCase());
+      if (key) properties[key] = value;
+    });
+
+    const maximumScale = properties['maximum-scale'] !== undefined
+      ? parseFloat(properties['maximum-scale'])
+      : null;
+    const userScalable = properties['user-scalable'];
+    const zoomDisabled = userScalable === 'no' || userScalable === '0';
+    const scaleLimited = maximumScale !== null && !isNaN(maximumScale) && maximumScale < 2;
+
+    return {
+      content,
+      hasWidth: properties.width !== undefined,
+      hasInitialScale: properties['initial-scale'] !== undefined,
+      hasUserScalable: userScalable !== undefined,
+      maximumScale,
+      userScalable: userScalable === undefined ? null : !zoomDisabled,
+      allowsZoom: !zoomDisabled && !scaleLimited
     };
   }
 
@@ -520,6 +561,177 @@ class CodeAnalyzer {
     }));
   }
 
+  /**
+   * Parse errors that survive into the DOM, located in the raw source:
+   * duplicate ids that something refers to, elements whose end tag is
+   * missing or closed out of order, end tags that close nothing, and
+   * interactive content nested in links or buttons. Every element is
+   * described as { selector, line, column, html } with 1-based line and
+   * column of its start tag; selectors are computed on the source, before
+   * any script ran.
+   */
+  analyzeMarkup(htmlContent) {
+    const dom = new JSDOM(htmlContent, { includeNodeLocations: true });
+    const document = dom.window.document;
+    const lineStarts = [0];
+    for (let i = 0; i < htmlContent.length; i++) {
+      if (htmlContent[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    // Template content lives in a separate fragment, so walk it explicitly
+    const elements = [];
+    const comments = [];
+    const visit = (node) => {
+      node.childNodes.forEach(child => {
+        if (child.nodeType === 8) comments.push(child);
+        if (child.nodeType !== 1) return;
+        elements.push(child);
+        visit(child.localName === 'template' ? child.content : child);
+      });
+    };
+    visit(document);
+
+    const locate = (el) => {
+      const location = dom.nodeLocation(el);
+      if (!location || !location.startTag) return null;
+      const startTag = htmlContent.substring(location.startTag.startOffset, location.startTag.endOffset);
+      return {
+        selector: this.sourceSelector(el),
+        line: location.startTag.startLine,
+        column: location.startTag.startCol,
+        html: startTag.length > MAX_SOURCE_SNIPPET ? `${startTag.substring(0, MAX_SOURCE_SNIPPET)}...` : startTag
+      };
+    };
+
+    const positionOf = (offset) => {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (lineStarts[mid] <= offset) low = mid; else high = mid - 1;
+      }
+      return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
+
+    // Duplicate ids, kept only when some attribute points at the id
+    const byId = new Map();
+    elements.filter(el => el.id && locate(el)).forEach(el => {
+      if (!byId.has(el.id)) byId.set(el.id, []);
+      byId.get(el.id).push(el);
+    });
+    const duplicates = Array.from(byId.entries()).filter(([, owners]) => owners.length > 1);
+    const references = new Map(duplicates.map(([id]) => [id, []]));
+    elements.forEach(el => {
+      ID_REFERENCE_ATTRIBUTES.forEach(attribute => {
+        const value = el.getAttribute(attribute);
+        if (!value) return;
+        let ids = value.split(/\s+/);
+        if (attribute === 'href') {
+          ids = value.startsWith('#') ? [value.substring(1)] : [];
+        } else if (['for', 'list', 'form'].includes(attribute)) {
+          ids = [value];
+        }
+        ids.filter(id => references.has(id)).forEach(id => {
+          references.get(id).push({ attribute, element: locate(el) });
+        });
+      });
+    });
+
+    const duplicateIds = duplicates.map(([id, owners]) => ({
+      id,
+      elements: owners.map(locate),
+      references: references.get(id).filter(reference => reference.element)
+    }));
+
+    // Elements closed implicitly by their parent's end tag or the end of the
+    // document, or left open when tags were closed in the wrong order
+    const unclosedElements = elements
+      .filter(el => {
+        const location = dom.nodeLocation(el);
+        if (!location || !location.startTag || location.endTag) return false;
+        if (VOID_ELEMENTS.includes(el.localName) || OPTIONAL_END_TAG_ELEMENTS.includes(el.localName)) return false;
+        // Self-closing tags are only valid in SVG and MathML
+        return htmlContent[location.startTag.endOffset - 2] !== '/' || el.namespaceURI === 'http://www.w3.org/1999/xhtml';
+      })
+      .filter(el => !el.closest('noscript'))
+      .map(el => ({ tagName: el.localName, ...locate(el) }));
+
+    // End tags in the source that did not end any element. Start tags,
+    // comments and raw text (scripts, styles) are skipped over.
+    const skipped = [
+      ...comments.map(comment => dom.nodeLocation(comment)).filter(Boolean)
+        .map(location => [location.startOffset, location.endOffset])
+    ];
+    const endTagOffsets = new Set();
+    elements.forEach(el => {
+      const location = dom.nodeLocation(el);
+      if (!location || !location.startTag) return;
+      skipped.push([location.startTag.startOffset, location.startTag.endOffset]);
+      if (location.endTag) endTagOffsets.add(location.endTag.startOffset);
+      if (RAW_TEXT_ELEMENTS.includes(el.localName)) {
+        skipped.push([location.startTag.endOffset, location.endTag ? location.endTag.startOffset : htmlContent.length]);
+      }
+    });
+
+    const strayEndTags = [];
+    const endTagPattern = /<\/([a-zA-Z][^\s/>]*)[^>]*>/g;
+    let match;
+    while ((match = endTagPattern.exec(htmlContent)) !== null) {
+      const offset = match.index;
+      if (endTagOffsets.has(offset) || skipped.some(([start, end]) => offset >= start && offset < end)) continue;
+      const tagName = match[1].toLowerCase();
+      // The parser closes these silently, or treats </br> as <br>
+      if (['html', 'head', 'body', 'br'].includes(tagName)) continue;
+      strayEndTags.push({ tagName, ...positionOf(offset), html: match[0] });
+    }
+
+    // Interactive content inside links and buttons
+    const nestedInteractive = [];
+    elements
+      .filter(el => el.matches('a[href], button') && locate(el))
+      .forEach(container => {
+        container.querySelectorAll(INTERACTIVE_CONTENT).forEach(el => {
+          const element = locate(el);
+          if (element) {
+            nestedInteractive.push({ tagName: el.localName, element, container: { tagName: container.localName, ...locate(container) } });
+          }
+        });
+      });
+
+    dom.window.close();
+
+    return {
+      duplicateIds,
+      unreferencedDuplicateIds: duplicateIds.filter(duplicate => duplicate.references.length === 0).map(duplicate => duplicate.id),
+      unclosedElements,
+      strayEndTags,
+      nestedInteractive
+    };
+  }
+
+  // CSS path for an element of a parsed source document, shortened like
+  // ElementLocator's once it is unique
+  sourceSelector(el) {
+    const root = el.getRootNode();
+    const parts = [];
+
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const escapedId = node.id ? node.id.replace(/([^a-zA-Z0-9_-])/g, '\\$1') : null;
+      if (escapedId && /^[a-zA-Z]/.test(node.id) && root.querySelectorAll(`#${escapedId}`).length === 1) {
+        parts.unshift(`#${escapedId}`);
+        break;
+      }
+
+      const siblings = node.parentElement
+        ? Array.from(node.parentElement.children).filter(child => child.localName === node.localName)
+        : [node];
+      parts.unshift(siblings.length > 1 ? `${node.localName}:nth-of-type(${siblings.indexOf(node) + 1})` : node.localName);
+      if (root.querySelectorAll(parts.join(' > ')).length === 1) break;
+    }
+
+    return parts.join(' > ');
+  }
+
   clearCache() {
     this.cache.clear();
   }
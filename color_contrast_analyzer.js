@@ -1,9 +1,26 @@
+const logger = require('./logger_utility');
+
+const HIDE_TEXT_ATTRIBUTE = 'data-wcag-hide-text';
+const HIDE_TEXT_STYLE_ID = 'wcag-hide-text-style';
+const MAX_PIXEL_MEASUREMENTS = 40;
+
 class ColorContrastAnalyzer {
   constructor() {
     this.cache = new Map();
   }
 
-  async analyzePageContrast(page) {
+  /**
+   * Contrast of every text element. `mode` decides how the background is
+   * found:
+   *   'css'    - walk up the ancestors' background colors
+   *   'pixels' - screenshot each text element with and without its text
+   *   'auto'   - pixels only where CSS can't tell: background images,
+   *              gradients, pseudo-elements and positioned backdrops
+   * Each result's `measurement` says which one produced its ratio.
+   */
+  async analyzePageContrast(page, options = {}) {
+    const { mode = 'auto', maxPixelMeasurements = MAX_PIXEL_MEASUREMENTS } = options;
+
     const contrastResults = await page.evaluate(() => {
       // Helper function to convert RGB to relative luminance
       function getLuminance(r, g, b) {
@@ -61,43 +78,92 @@ class ColorContrastAnalyzer {
               break;
             }
           }
-          currentElement = currentElement.parentElement;
+          // Step out of shadow roots to the host
+          currentElement = currentElement.parentElement || currentElement.getRootNode().host || null;
         }
         
         // Default to white background if none found
         return bgColor || { r: 255, g: 255, b: 255, a: 1 };
       }
 
+      const paintsBackground = (style) => style.backgroundImage !== 'none' ||
+        (parseColor(style.backgroundColor) || { a: 0 }).a > 0;
+
+      // Backgrounds the ancestor walk can't see: images, gradients,
+      // pseudo-elements and other elements positioned behind the text
+      function hasComplexBackground(element, bounds) {
+        let opaqueAncestor = null;
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement || node.getRootNode().host) {
+          const style = window.getComputedStyle(node);
+          if (style.backgroundImage !== 'none') return true;
+          for (const pseudo of ['::before', '::after']) {
+            const pseudoStyle = window.getComputedStyle(node, pseudo);
+            if (pseudoStyle.content !== 'none' && pseudoStyle.position === 'absolute' && paintsBackground(pseudoStyle)) {
+              return true;
+            }
+          }
+          const background = parseColor(style.backgroundColor);
+          if (background && background.a >= 1) {
+            opaqueAncestor = node;
+            break;
+          }
+        }
+
+        if (!bounds) return false;
+        const x = bounds.left + bounds.width / 2;
+        const y = bounds.top + bounds.height / 2;
+        if (x < 0 || y < 0 || x > window.innerWidth || y > window.innerHeight) return false;
+
+        // Anything stacked between the text and its opaque ancestor paints behind it
+        for (const layer of document.elementsFromPoint(x, y)) {
+          if (layer === opaqueAncestor) break;
+          if (layer === element || layer.contains(element)) continue;
+          if (['IMG', 'VIDEO', 'CANVAS', 'PICTURE', 'svg'].includes(layer.tagName) ||
+            paintsBackground(window.getComputedStyle(layer))) {
+            return true;
+          }
+        }
+        return false;
+      }
+
       // Get all text elements
       const textElements = [];
-      const walker = document.createTreeWalker(
-        document.body,
-        NodeFilter.SHOW_TEXT,
-        {
-          acceptNode: function(node) {
-            // Skip whitespace-only text nodes
-            if (!node.textContent.trim()) {
-              return NodeFilter.FILTER_REJECT;
-            }
-            
-            const parent = node.parentElement;
-            if (!parent) return NodeFilter.FILTER_REJECT;
-            
-            // Skip hidden elements
-            const style = window.getComputedStyle(parent);
-            if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
-              return NodeFilter.FILTER_REJECT;
-            }
-            
-            return NodeFilter.FILTER_ACCEPT;
+      const textFilter = {
+        acceptNode: function(node) {
+          // Skip whitespace-only text nodes
+          if (!node.textContent.trim()) {
+            return NodeFilter.FILTER_REJECT;
           }
+          
+          const parent = node.parentElement;
+          if (!parent) return NodeFilter.FILTER_REJECT;
+          
+          // Skip hidden elements
+          const style = window.getComputedStyle(parent);
+          if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
+            return NodeFilter.FILTER_REJECT;
+          }
+          
+          return NodeFilter.FILTER_ACCEPT;
         }
-      );
+      };
+
+      // The body plus every open shadow root inside it
+      const roots = [document.body];
+      for (let i = 0; i < roots.length; i++) {
+        roots[i].querySelectorAll('*').forEach(el => el.shadowRoot && roots.push(el.shadowRoot));
+      }
+
+      const textNodes = [];
+      roots.forEach(root => {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, textFilter);
+        let textNode;
+        while (textNode = walker.nextNode()) textNodes.push(textNode);
+      });
 
       const processedElements = new Set();
-      let node;
-      
-      while (node = walker.nextNode()) {
+
+      for (const node of textNodes) {
         const parent = node.parentElement;
         if (processedElements.has(parent)) continue;
         processedElements.add(parent);
@@ -127,14 +193,33 @@ class ColorContrastAnalyzer {
           const fontWeight = computed.fontWeight;
           const isLargeText = fontSize >= 18 || (fontSize >= 14 && (fontWeight === 'bold' || parseInt(fontWeight) >= 700));
           
+          // Full locator when the checker has installed it in the page
+          const element = window.__wcagLocate ? window.__wcagLocate(parent) : null;
+
+          const range = document.createRange();
+          range.selectNodeContents(node);
+          const rect = range.getBoundingClientRect();
+          const bounds = rect.width > 0 && rect.height > 0
+            ? { left: rect.left, top: rect.top, width: rect.width, height: rect.height }
+            : null;
+
           textElements.push({
-            selector,
+            selector: element ? element.selector : selector,
+            element,
             textColor: `rgb(${textColor.r}, ${textColor.g}, ${textColor.b})`,
             backgroundColor: `rgb(${backgroundColor.r}, ${backgroundColor.g}, ${backgroundColor.b})`,
             ratio: Math.round(ratio * 100) / 100,
             fontSize,
             isLargeText,
-            text: node.textContent.trim().substring(0, 50) + (node.textContent.length > 50 ? '...' : '')
+            text: node.textContent.trim().substring(0, 50) + (node.textContent.length > 50 ? '...' : ''),
+            measurement: 'css',
+            complexBackground: hasComplexBackground(parent, bounds),
+            bounds: bounds && {
+              x: Math.round(bounds.left + window.scrollX),
+              y: Math.round(bounds.top + window.scrollY),
+              width: Math.ceil(bounds.width),
+              height: Math.ceil(bounds.height)
+            }
           });
         }
       }
@@ -142,9 +227,323 @@ class ColorContrastAnalyzer {
       return textElements;
     });
 
+    // Frames can't be screenshotted on their own and their bounds aren't in
+    // page coordinates, so text inside them keeps the CSS measurement
+    if (mode === 'css' || typeof page.screenshot !== 'function') {
+      return contrastResults;
+    }
+
+    const candidates = contrastResults
+      .filter(result => result.bounds && result.element && (mode === 'pixels' || result.complexBackground))
+      .slice(0, maxPixelMeasurements);
+
+    for (const result of candidates) {
+      try {
+        const measured = await this.measureContrastFromPixels(page, result.element.selector, result.bounds);
+        if (measured) {
+          Object.assign(result, measured, { measurement: 'pixels' });
+        }
+      } catch (error) {
+        logger.warn(`Pixel contrast measurement failed for ${result.selector}:`, error);
+      }
+    }
+
     return contrastResults;
   }
 
+  /**
+   * Screenshot a text region with and without its text. Pixels that change
+   * are glyphs; the same pixels in the second shot are the real background
+   * behind them. Returns the worst (lowest) contrast between the rendered
+   * text color and any of those background pixels, or null if no text was
+   * painted.
+   */
+  async measureContrastFromPixels(page, selector, bounds) {
+    const PADDING = 2;
+    const clip = {
+      x: Math.max(bounds.x - PADDING, 0),
+      y: Math.max(bounds.y - PADDING, 0),
+      width: Math.min(bounds.width + PADDING * 2, 1600),
+      height: Math.min(bounds.height + PADDING * 2, 800)
+    };
+
+    const withText = await page.screenshot({ clip, encoding: 'base64' });
+
+    const hidden = await page.evaluate((selector, attribute, styleId) => {
+      const element = window.__wcagResolve(selector);
+      if (!element) return false;
+      if (!document.getElementById(styleId)) {
+        const style = document.createElement('style');
+        style.id = styleId;
+        style.textContent = `[${attribute}], [${attribute}] * { color: transparent !important; ` +
+          '-webkit-text-fill-color: transparent !important; text-shadow: none !important; ' +
+          'text-decoration-color: transparent !important; }';
+        document.head.appendChild(style);
+      }
+      element.setAttribute(attribute, '');
+      return true;
+    }, selector, HIDE_TEXT_ATTRIBUTE, HIDE_TEXT_STYLE_ID);
+    if (!hidden) return null;
+
+    let withoutText;
+    try {
+      withoutText = await page.screenshot({ clip, encoding: 'base64' });
+    } finally {
+      await page.evaluate((selector, attribute, styleId) => {
+        const element = window.__wcagResolve(selector);
+        if (element) element.removeAttribute(attribute);
+        const style = document.getElementById(styleId);
+        if (style) style.remove();
+      }, selector, HIDE_TEXT_ATTRIBUTE, HIDE_TEXT_STYLE_ID);
+    }
+
+    // Decode both PNGs on a canvas in the page; blobs are not subject to CSP
+    return page.evaluate(async (withText, withoutText) => {
+      const decode = async (base64) => {
+        const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+        const bitmap = await createImageBitmap(new Blob([bytes], { type: 'image/png' }));
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0);
+        return context.getImageData(0, 0, bitmap.width, bitmap.height).data;
+      };
+
+      const luminance = (r, g, b) => {
+        const [rs, gs, bs] = [r, g, b].map(c => {
+          c = c / 255;
+          return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs;
+      };
+      const ratio = (lum1, lum2) => (Math.max(lum1, lum2) + 0.05) / (Math.min(lum1, lum2) + 0.05);
+
+      const text = await decode(withText);
+      const background = await decode(withoutText);
+
+      const glyphs = [];
+      for (let i = 0; i < text.length; i += 4) {
+        const difference = Math.abs(text[i] - background[i]) +
+          Math.abs(text[i + 1] - background[i + 1]) +
+          Math.abs(text[i + 2] - background[i + 2]);
+        if (difference > 60) glyphs.push({ i, difference });
+      }
+      if (glyphs.length === 0) return null;
+
+      // The most changed pixels are fully covered by a glyph; anti-aliased
+      // edges are a blend of text and background
+      glyphs.sort((a, b) => b.difference - a.difference);
+      const core = glyphs.slice(0, Math.max(1, Math.ceil(glyphs.length * 0.2)));
+      const textColor = ['r', 'g', 'b'].map((channel, offset) =>
+        Math.round(core.reduce((sum, pixel) => sum + text[pixel.i + offset], 0) / core.length)
+      );
+      const textLuminance = luminance(...textColor);
+
+      let worst = null;
+      let best = 0;
+      glyphs.forEach(({ i }) => {
+        const value = ratio(textLuminance, luminance(background[i], background[i + 1], background[i + 2]));
+        if (!worst || value < worst.value) {
+          worst = { value, color: [background[i], background[i + 1], background[i + 2]] };
+        }
+        best = Math.max(best, value);
+      });
+
+      return {
+        ratio: Math.round(worst.value * 100) / 100,
+        ratioRange: { min: Math.round(worst.value * 100) / 100, max: Math.round(best * 100) / 100 },
+        textColor: `rgb(${textColor.join(', ')})`,
+        backgroundColor: `rgb(${worst.color.join(', ')})`,
+        sampledPixels: glyphs.length
+      };
+    }, withText, withoutText);
+  }
+
+  /**
+   * 1.4.11 Non-text Contrast: visual boundaries of form fields and custom
+   * controls, icons in icon-only controls, and author-styled focus
+   * indicators, each compared with the colors next to them. Returns one
+   * entry per comparison with both colors and the ratio.
+   */
+  async analyzeNonTextContrast(page, options = {}) {
+    const { maxFocusChecks = 60 } = options;
+
+    return page.evaluate((maxFocusChecks) => {
+      function getLuminance(r, g, b) {
+        const [rs, gs, bs] = [r, g, b].map(c => {
+          c = c / 255;
+          return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs;
+      }
+
+      function getContrastRatio(color1, color2) {
+        const lum1 = getLuminance(color1.r, color1.g, color1.b);
+        const lum2 = getLuminance(color2.r, color2.g, color2.b);
+        return (Math.max(lum1, lum2) + 0.05) / (Math.min(lum1, lum2) + 0.05);
+      }
+
+      function parseColor(colorStr) {
+        const match = (colorStr || '').match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
+        if (!match) return null;
+        return {
+          r: parseInt(match[1]),
+          g: parseInt(match[2]),
+          b: parseInt(match[3]),
+          a: match[4] !== undefined ? parseFloat(match[4]) : 1
+        };
+      }
+
+      // Paint a translucent color over an opaque one
+      function blend(top, bottom) {
+        return {
+          r: Math.round(top.r * top.a + bottom.r * (1 - top.a)),
+          g: Math.round(top.g * top.a + bottom.g * (1 - top.a)),
+          b: Math.round(top.b * top.a + bottom.b * (1 - top.a)),
+          a: 1
+        };
+      }
+
+      // Background painted behind an element, compositing translucent layers
+      function getBackdrop(element) {
+        const layers = [];
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement || node.getRootNode().host) {
+          const color = parseColor(window.getComputedStyle(node).backgroundColor);
+          if (color && color.a > 0) {
+            layers.push(color);
+            if (color.a >= 1) break;
+          }
+        }
+        return layers.reverse().reduce((below, layer) => blend(layer, below), { r: 255, g: 255, b: 255, a: 1 });
+      }
+
+      const format = (color) => `rgb(${color.r}, ${color.g}, ${color.b})`;
+
+      const isVisible = (el) => {
+        const style = window.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        return style.display !== 'none' && style.visibility !== 'hidden' &&
+          parseFloat(style.opacity) > 0 && rect.width > 0 && rect.height > 0;
+      };
+
+      const describe = (el) => (el.getAttribute('aria-label') || el.getAttribute('title') ||
+        el.getAttribute('name') || el.tagName.toLowerCase()).substring(0, 50);
+
+      // First visible border side, blended over what is behind the element
+      const getBorder = (el, backdrop) => {
+        const style = window.getComputedStyle(el);
+        for (const side of ['Bottom', 'Top', 'Left', 'Right']) {
+          const width = parseFloat(style[`border${side}Width`]);
+          const color = parseColor(style[`border${side}Color`]);
+          if (width >= 1 && style[`border${side}Style`] !== 'none' && color && color.a > 0) {
+            return blend(color, backdrop);
+          }
+        }
+        return null;
+      };
+
+      const getFill = (el, backdrop) => {
+        const color = parseColor(window.getComputedStyle(el).backgroundColor);
+        return color && color.a > 0 ? blend(color, backdrop) : null;
+      };
+
+      const results = [];
+      const record = (el, kind, foreground, background) => {
+        results.push({
+          element: window.__wcagLocate(el),
+          kind,
+          label: describe(el),
+          foreground: format(foreground),
+          background: format(background),
+          ratio: Math.round(getContrastRatio(foreground, background) * 100) / 100
+        });
+      };
+
+      // Boundaries: text fields and custom controls need a visible edge or fill.
+      // Native checkboxes and radios drawn by the browser are exempt.
+      const FIELD_SELECTOR = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), ' +
+        'select, textarea, [role="checkbox"], [role="switch"], [role="radio"], [role="slider"], [role="textbox"], [role="combobox"]';
+      const fields = window.__wcagQueryAll(FIELD_SELECTOR)
+        .filter(el => !el.disabled && isVisible(el))
+        .filter(el => !(el.tagName === 'INPUT' && ['checkbox', 'radio', 'range', 'color', 'file'].includes(el.type) &&
+          window.getComputedStyle(el).appearance !== 'none'));
+
+      fields.forEach(el => {
+        const adjacent = getBackdrop(el.parentElement || el.getRootNode().host || el);
+        const candidates = [getBorder(el, adjacent), getFill(el, adjacent)]
+          .filter(Boolean)
+          .map(color => ({ color, ratio: getContrastRatio(color, adjacent) }))
+          .sort((a, b) => b.ratio - a.ratio);
+
+        // No border and no fill leaves the field invisible against the page
+        record(el, 'boundary', candidates.length > 0 ? candidates[0].color : adjacent, adjacent);
+      });
+
+      // Icon-only controls: the icon is the only thing identifying the control
+      const controls = window.__wcagQueryAll('button, a[href], [role="button"], [role="link"]')
+        .filter(el => !el.disabled && isVisible(el) && !el.textContent.trim());
+
+      controls.forEach(el => {
+        const icon = el.querySelector('svg, i, span[class*="icon"], [class*="fa-"]');
+        if (!icon || !isVisible(icon)) return;
+
+        const backdrop = getBackdrop(el);
+        const style = window.getComputedStyle(icon);
+        const paint = icon.tagName.toLowerCase() === 'svg'
+          ? [style.fill, style.stroke, style.color].map(parseColor).find(color => color && color.a > 0)
+          : parseColor(style.color);
+        if (!paint) return;
+
+        record(el, 'icon', blend(paint, backdrop), backdrop);
+      });
+
+      // Focus indicators the author styled; the browser's own ring is exempt
+      const focusable = [...fields, ...controls,
+        ...window.__wcagQueryAll('button, a[href]').filter(el => !el.disabled && isVisible(el))]
+        .filter((el, index, all) => all.indexOf(el) === index)
+        .slice(0, maxFocusChecks);
+      const previousFocus = document.activeElement;
+
+      for (const el of focusable) {
+        const unfocused = window.getComputedStyle(el);
+        const before = {
+          outline: `${unfocused.outlineStyle} ${unfocused.outlineWidth} ${unfocused.outlineColor}`,
+          boxShadow: unfocused.boxShadow,
+          borderColor: unfocused.borderBottomColor,
+          backgroundColor: unfocused.backgroundColor
+        };
+
+        el.focus();
+        if (document.activeElement !== el) continue;
+
+        const focused = window.getComputedStyle(el);
+        const adjacent = getBackdrop(el.parentElement || el.getRootNode().host || el);
+        let indicator = null;
+
+        if (focused.outlineStyle !== 'none' && focused.outlineStyle !== 'auto' && parseFloat(focused.outlineWidth) > 0 &&
+          `${focused.outlineStyle} ${focused.outlineWidth} ${focused.outlineColor}` !== before.outline) {
+          indicator = parseColor(focused.outlineColor);
+        } else if (focused.boxShadow !== 'none' && focused.boxShadow !== before.boxShadow) {
+          indicator = parseColor(focused.boxShadow);
+        } else if (focused.borderBottomColor !== before.borderColor) {
+          indicator = parseColor(focused.borderBottomColor);
+        } else if (focused.backgroundColor !== before.backgroundColor) {
+          indicator = parseColor(focused.backgroundColor);
+        }
+
+        if (indicator && indicator.a > 0) {
+          record(el, 'focus', blend(indicator, adjacent), adjacent);
+        }
+        el.blur();
+      }
+
+      if (previousFocus && previousFocus !== document.body && previousFocus.focus) {
+        previousFocus.focus();
+      }
+
+      return results;
+    }, maxFocusChecks);
+  }
+
   async analyzeSpecificElements(page, selectors) {
     const results = [];
     
@@ -0,0 +1,188 @@
+const wcagCriteria = require('./wcag_criteria_data');
+
+const LEVELS = ['A', 'AA', 'AAA'];
+
+// Verdicts from worst to best, used when several sources disagree
+const VERDICTS = ['fail', 'cannot-tell', 'pass', 'not-applicable', 'not-tested'];
+
+// A Level A failure blocks more users than a Level AAA one
+const LEVEL_WEIGHTS = { A: 3, AA: 2, AAA: 1 };
+const VERDICT_CREDIT = { pass: 1, 'cannot-tell': 0.5, fail: 0 };
+
+/**
+ * Rolls results up to one verdict per success criterion in the scan's WCAG
+ * version and level:
+ *
+ *   fail            at least one error
+ *   cannot-tell     warnings, or only informational results, need review
+ *   pass            checks ran, found passes and nothing worse
+ *   not-applicable  checks ran and found nothing the criterion applies to
+ *   not-tested      no automated check covers the criterion
+ *
+ * The page conforms only when every criterion passes or is not applicable;
+ * any failure means it does not, and anything else leaves it undetermined.
+ */
+class ConformanceEvaluator {
+  /**
+   * Criteria in scope for a WCAG version and conformance level, in
+   * specification order.
+   */
+  static getCriteriaInScope(wcagVersion, complianceLevel) {
+    const version = parseFloat(wcagVersion);
+    const levelIndex = LEVELS.indexOf(complianceLevel);
+    const criteria = [];
+
+    Object.values(wcagCriteria).forEach(guideline => {
+      Object.entries(guideline.criteria).forEach(([id, criterion]) => {
+        if (parseFloat(criterion.version) <= version && LEVELS.indexOf(criterion.level) <= levelIndex) {
+          criteria.push({ id, title: criterion.title, level: criterion.level });
+        }
+      });
+    });
+
+    return criteria;
+  }
+
+  /**
+   * Conformance for one scan. `criteriaTested` lists the criteria whose
+   * checks ran to completion.
+   */
+  evaluate(results, { wcagVersion, complianceLevel, criteriaTested = [] }) {
+    const tested = new Set(criteriaTested);
+    const byCriterion = new Map();
+    results.forEach(result => {
+      if (!byCriterion.has(result.criterion)) byCriterion.set(result.criterion, []);
+      byCriterion.get(result.criterion).push(result);
+    });
+
+    const criteria = ConformanceEvaluator.getCriteriaInScope(wcagVersion, complianceLevel).map(criterion => {
+      const found = byCriterion.get(criterion.id) || [];
+      const counts = {
+        errors: found.filter(result => result.type === 'error').length,
+        warnings: found.filter(result => result.type === 'warning').length,
+        passed: found.filter(result => result.type === 'success').length,
+        info: found.filter(result => result.type === 'info').length
+      };
+
+      return {
+        ...criterion,
+        verdict: this.getVerdict(found, counts, tested.has(criterion.id)),
+        ...counts
+      };
+    });
+
+    return this.summarize(criteria, wcagVersion, complianceLevel);
+  }
+
+  getVerdict(found, counts, tested) {
+    if (counts.errors > 0) return 'fail';
+    if (counts.warnings > 0) return 'cannot-tell';
+    if (counts.passed > 0) return 'pass';
+    if (found.length > 0) {
+      // Checks mark the results that mean the page has nothing to apply it to
+      return found.every(result => result.notApplicable) ? 'not-applicable' : 'cannot-tell';
+    }
+    return tested ? 'not-applicable' : 'not-tested';
+  }
+
+  /**
+   * One verdict per criterion across several pages or flow states: the
+   * worst verdict of any of them, counting results across all.
+   */
+  combine(conformances) {
+    const available = conformances.filter(Boolean);
+    if (available.length === 0) return null;
+
+    const [first] = available;
+    const criteria = first.criteria.map(criterion => {
+      const matches = available
+        .map(conformance => conformance.criteria.find(other => other.id === criterion.id))
+        .filter(Boolean);
+      const verdicts = matches.map(match => match.verdict);
+
+      // A criterion checked on some pages but not others still has a result
+      const checked = verdicts.filter(verdict => verdict !== 'not-tested');
+      const pool = checked.length > 0 ? checked : verdicts;
+
+      return {
+        id: criterion.id,
+        title: criterion.title,
+        level: criterion.level,
+        verdict: VERDICTS.find(verdict => pool.includes(verdict)),
+        errors: matches.reduce((sum, match) => sum + match.errors, 0),
+        warnings: matches.reduce((sum, match) => sum + match.warnings, 0),
+        passed: matches.reduce((sum, match) => sum + match.passed, 0),
+        info: matches.reduce((sum, match) => sum + match.info, 0)
+      };
+    });
+
+    return this.summarize(criteria, first.wcagVersion, first.level);
+  }
+
+  /**
+   * Conformance with verdicts a person recorded during manual review. A
+   * manual verdict replaces the automated one, which is kept as
+   * `automatedVerdict` on the criterion.
+   */
+  applyManualVerdicts(conformance, manualVerdicts = {}) {
+    const criteria = conformance.criteria.map(criterion => {
+      const manual = manualVerdicts[criterion.id];
+      if (!manual) return criterion;
+
+      return {
+        ...criterion,
+        verdict: manual.verdict,
+        automatedVerdict: criterion.automatedVerdict || criterion.verdict,
+        source: 'manual'
+      };
+    });
+
+    return this.summarize(criteria, conformance.wcagVersion, conformance.level);
+  }
+
+  summarize(criteria, wcagVersion, complianceLevel) {
+    const verdicts = Object.fromEntries(VERDICTS.map(verdict => [
+      verdict,
+      criteria.filter(criterion => criterion.verdict === verdict).length
+    ]));
+
+    let conforms = null;
+    if (verdicts.fail > 0) {
+      conforms = false;
+    } else if (criteria.every(criterion => ['pass', 'not-applicable'].includes(criterion.verdict))) {
+      conforms = true;
+    }
+
+    return {
+      wcagVersion,
+      level: complianceLevel,
+      conforms,
+      verdicts,
+      failedCriteria: criteria.filter(criterion => criterion.verdict === 'fail').map(criterion => criterion.id),
+      criteria
+    };
+  }
+
+  /**
+   * Impact-weighted score from 0 to 100 over the criteria that were judged:
+   * passes count fully, cannot-tell half and failures not at all, each
+   * weighted by level. Reported next to conformance, never instead of it.
+   */
+  getImpactScore(conformance) {
+    let weighted = 0;
+    let total = 0;
+
+    conformance.criteria.forEach(criterion => {
+      if (VERDICT_CREDIT[criterion.verdict] === undefined) return;
+      const weight = LEVEL_WEIGHTS[criterion.level];
+      weighted += weight * VERDICT_CREDIT[criterion.verdict];
+      total += weight;
+    });
+
+    return total > 0 ? Math.round((weighted / total) * 100) : 100;
+  }
+}
+
+ConformanceEvaluator.verdicts = VERDICTS;
+
+module.exports = ConformanceEvaluator;
@@ -0,0 +1,170 @@
+const MAX_HTML_LENGTH = 300;
+
+/**
+ * Runs in the page. Defines `window.__wcagLocate(el)`, which describes an
+ * element precisely enough to find it again on pages full of identical
+ * markup:
+ *
+ *   {
+ *     selector: '#products > li:nth-of-type(3) > a',   unique CSS selector path
+ *     xpath: '//*[@id="products"]/li[3]/a[1]',
+ *     html: '<a href="/item/3" class="card">...',      truncated outerHTML
+ *     boundingBox: { x, y, width, height }             document coordinates
+ *   }
+ *
+ * Inside open shadow roots the selector is prefixed with the shadow host's
+ * selector and ` >>> ` (e.g. `ds-dialog >>> button.close`) and there is no
+ * xpath, since XPath can't cross shadow boundaries.
+ *
+ * Also defines `window.__wcagQueryAll(selector, root)` and
+ * `window.__wcagQuery(selector, root)`, which work like querySelectorAll and
+ * querySelector but include elements in open shadow roots, and
+ * `window.__wcagResolve(selector)`, which finds an element from a selector
+ * returned by `__wcagLocate`.
+ */
+function defineLocator(maxHtmlLength) {
+  if (window.__wcagLocate) return;
+
+  // Document order, with each shadow root's content following its host
+  const queryAll = (selector, root = document) => {
+    const matches = [];
+    const visit = (scope) => {
+      scope.querySelectorAll('*').forEach(el => {
+        if (el.matches(selector)) matches.push(el);
+        if (el.shadowRoot) visit(el.shadowRoot);
+      });
+    };
+    if (root.nodeType === 1 && root.matches(selector)) matches.push(root);
+    visit(root);
+    return matches;
+  };
+
+  const isUnique = (selector, root) => {
+    try {
+      return root.querySelectorAll(selector).length === 1;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const uniqueId = (el, root) =>
+    el.id && isUnique(`#${CSS.escape(el.id)}`, root) ? el.id : null;
+
+  const sameTagSiblings = (el) =>
+    el.parentElement
+      ? Array.from(el.parentElement.children).filter(child => child.localName === el.localName)
+      : [el];
+
+  const cssSegment = (el, root) => {
+    const id = uniqueId(el, root);
+    if (id) return `#${CSS.escape(id)}`;
+
+    const siblings = sameTagSiblings(el);
+    return siblings.length > 1
+      ? `${el.localName}:nth-of-type(${siblings.indexOf(el) + 1})`
+      : el.localName;
+  };
+
+  // Walk up until the path is unique, stopping early at an element with a
+  // unique id so selectors stay short and survive unrelated markup changes
+  const cssPath = (el) => {
+    const root = el.getRootNode();
+    const parts = [];
+
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const segment = cssSegment(node, root);
+      parts.unshift(segment);
+
+      if (segment.startsWith('#') || isUnique(parts.join(' > '), root)) {
+        break;
+      }
+    }
+
+    const path = parts.join(' > ');
+    return root instanceof ShadowRoot ? `${cssPath(root.host)} >>> ${path}` : path;
+  };
+
+  const xpath = (el) => {
+    if (el.getRootNode() instanceof ShadowRoot) return null;
+
+    const parts = [];
+
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const id = uniqueId(node, el.getRootNode());
+      if (id && !id.includes('"')) {
+        parts.unshift(`//*[@id="${id}"]`);
+        return parts.join('/');
+      }
+      parts.unshift(`${node.localName}[${sameTagSiblings(node).indexOf(node) + 1}]`);
+    }
+
+    return `/${parts.join('/')}`;
+  };
+
+  const snippet = (el) => {
+    const html = el.outerHTML || '';
+    return html.length > maxHtmlLength ? `${html.substring(0, maxHtmlLength)}...` : html;
+  };
+
+  window.__wcagQueryAll = queryAll;
+  window.__wcagQuery = (selector, root) => queryAll(selector, root)[0] || null;
+
+  window.__wcagResolve = (selector) => {
+    let scope = document;
+    let el = null;
+    for (const part of selector.split(' >>> ')) {
+      el = scope ? scope.querySelector(part) : null;
+      if (!el) return null;
+      scope = el.shadowRoot;
+    }
+    return el;
+  };
+
+  window.__wcagLocate = (el) => {
+    if (!el || el.nodeType !== 1) return null;
+
+    const rect = el.getBoundingClientRect();
+    return {
+      selector: cssPath(el),
+      xpath: xpath(el),
+      html: snippet(el),
+      boundingBox: {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      }
+    };
+  };
+}
+
+class ElementLocator {
+  constructor(config = {}) {
+    this.maxHtmlLength = config.maxHtmlLength || MAX_HTML_LENGTH;
+  }
+
+  /**
+   * Define `window.__wcagLocate` and the shadow-aware query helpers in a
+   * page or frame. Needed again after every navigation.
+   */
+  async install(page) {
+    await page.evaluate(defineLocator, this.maxHtmlLength);
+  }
+
+  /**
+   * Locate the first element matching a selector, e.g. to enrich a result
+   * that only carries a selector string.
+   */
+  async locate(page, selector) {
+    await this.install(page);
+    return page.evaluate((sel) => {
+      try {
+        return window.__wcagLocate(window.__wcagResolve(sel));
+      } catch (error) {
+        return null;
+      }
+    }, selector);
+  }
+}
+
+module.exports = ElementLocator;
@@ -0,0 +1,253 @@
+const logger = require('./logger_utility');
+
+const MAX_FRAMES = 900;
+const DECODE_BATCH_SIZE = 10;
+const CELL_SIZE = 8;
+
+// 25% of a 10 degree visual field (341 x 256 px at 1024 x 768), the
+// area WCAG allows to flash
+const FLASH_AREA_THRESHOLD = 21824;
+const MAX_FLASHES_PER_SECOND = 3;
+
+/**
+ * 2.3.1 Three Flashes or Below Threshold. Records the page with CDP
+ * screencast frames, reduces every frame to a grid of cells and counts, per
+ * cell, the opposing luminance and saturated-red transitions that WCAG
+ * defines as general and red flashes. A cell flashes if it has more than
+ * three flashes in any one second; the check fails when the cells flashing
+ * in the same second cover more than the threshold area.
+ *
+ * Frames are only sent when the page repaints and at most at the display
+ * rate, so flashing faster than frames arrive is undercounted.
+ */
+class FlashAnalyzer {
+  constructor(config = {}) {
+    this.maxFrames = config.maxFrames || MAX_FRAMES;
+    this.cellSize = config.cellSize || CELL_SIZE;
+  }
+
+  /**
+   * Record the visible viewport for `durationMs`. Frames are small PNGs
+   * with their capture time in seconds and the viewport size in CSS px.
+   */
+  async capture(page, { durationMs, maxWidth = 320, maxHeight = 240 }) {
+    const client = await page.target().createCDPSession();
+    const frames = [];
+
+    client.on('Page.screencastFrame', ({ data, metadata, sessionId }) => {
+      if (frames.length < this.maxFrames) {
+        frames.push({
+          data,
+          timestamp: metadata.timestamp,
+          viewportWidth: metadata.deviceWidth,
+          viewportHeight: metadata.deviceHeight
+        });
+      }
+      client.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+    });
+
+    try {
+      await client.send('Page.startScreencast', { format: 'png', maxWidth, maxHeight, everyNthFrame: 1 });
+      await new Promise(resolve => setTimeout(resolve, durationMs));
+      await client.send('Page.stopScreencast');
+    } finally {
+      await client.detach().catch(() => {});
+    }
+
+    if (frames.length >= this.maxFrames) {
+      logger.warn(`Flash analysis stopped recording after ${this.maxFrames} frames`);
+    }
+    return frames;
+  }
+
+  /**
+   * Decode frames on a canvas in the page and average each cell. Returns,
+   * per frame, the relative luminance of every cell, its red value
+   * ((R - G - B) x 320) and whether it is saturated red (R / (R + G + B) >= 0.8),
+   * all from linear RGB.
+   */
+  async decodeFrames(page, frames) {
+    const decoded = [];
+
+    for (let start = 0; start < frames.length; start += DECODE_BATCH_SIZE) {
+      const batch = frames.slice(start, start + DECODE_BATCH_SIZE);
+      const cells = await page.evaluate(async (images, cellSize) => {
+        const linear = (c) => {
+          c = c / 255;
+          return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        };
+
+        const decode = async (base64) => {
+          const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+          const bitmap = await createImageBitmap(new Blob([bytes], { type: 'image/png' }));
+          const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+          const context = canvas.getContext('2d');
+          context.drawImage(bitmap, 0, 0);
+          return context.getImageData(0, 0, bitmap.width, bitmap.height);
+        };
+
+        const results = [];
+        for (const image of images) {
+          const { data, width, height } = await decode(image);
+          const cols = Math.ceil(width / cellSize);
+          const rows = Math.ceil(height / cellSize);
+          const sums = new Float64Array(cols * rows * 4);
+
+          for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+              const i = (y * width + x) * 4;
+              const cell = (Math.floor(y / cellSize) * cols + Math.floor(x / cellSize)) * 4;
+              sums[cell] += linear(data[i]);
+              sums[cell + 1] += linear(data[i + 1]);
+              sums[cell + 2] += linear(data[i + 2]);
+              sums[cell + 3] += 1;
+            }
+          }
+
+          const luminance = [];
+          const red = [];
+          const saturatedRed = [];
+          for (let cell = 0; cell < cols * rows; cell++) {
+            const count = sums[cell * 4 + 3];
+            const r = sums[cell * 4] / count;
+            const g = sums[cell * 4 + 1] / count;
+            const b = sums[cell * 4 + 2] / count;
+            luminance.push(0.2126 * r + 0.7152 * g + 0.0722 * b);
+            red.push(Math.max(0, (r - g - b) * 320));
+            saturatedRed.push(r + g + b > 0 && r / (r + g + b) >= 0.8);
+          }
+
+          results.push({ width, height, cols, rows, luminance, red, saturatedRed });
+        }
+        return results;
+      }, batch.map(frame => frame.data), this.cellSize);
+
+      cells.forEach((cell, index) => {
+        const frame = batch[index];
+        decoded.push({
+          ...cell,
+          timestamp: frame.timestamp,
+          scaleX: frame.viewportWidth / cell.width,
+          scaleY: frame.viewportHeight / cell.height
+        });
+      });
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Flash statistics for decoded frames. `general` and `red` each report the
+   * most flashes any cell had in one second, the largest area (CSS px²)
+   * flashing more than three times in the same second, the viewport box
+   * around that area, and whether the area exceeds the threshold.
+   */
+  analyze(frames) {
+    const first = frames[0];
+    const usable = frames.filter(frame => frame.width === first.width && frame.height === first.height);
+    const cellCount = first.cols * first.rows;
+    const cellArea = (this.cellSize * first.scaleX) * (this.cellSize * first.scaleY);
+
+    const generalTransitions = [];
+    const redTransitions = [];
+    for (let cell = 0; cell < cellCount; cell++) {
+      generalTransitions.push(this.findTransitions(usable, (a, b) =>
+        Math.abs(a.luminance[cell] - b.luminance[cell]) >= 0.1 &&
+        Math.min(a.luminance[cell], b.luminance[cell]) < 0.8,
+      frame => frame.luminance[cell]));
+
+      redTransitions.push(this.findTransitions(usable, (a, b) =>
+        Math.abs(a.red[cell] - b.red[cell]) > 20 &&
+        (a.saturatedRed[cell] || b.saturatedRed[cell]),
+      frame => frame.red[cell]));
+    }
+
+    const windowStarts = usable.map(frame => frame.timestamp);
+    return {
+      framesAnalyzed: usable.length,
+      durationSeconds: Math.round((usable[usable.length - 1].timestamp - first.timestamp) * 10) / 10,
+      general: this.summarize(generalTransitions, windowStarts, first, cellArea),
+      red: this.summarize(redTransitions, windowStarts, first, cellArea)
+    };
+  }
+
+  // Times at which a cell's value reverses direction by a qualifying amount.
+  // The reference point follows the value while it keeps moving the same
+  // way, so a slow ramp counts once rather than at every frame.
+  findTransitions(frames, qualifies, value) {
+    const times = [];
+    let reference = frames[0];
+    let direction = 0;
+
+    for (let i = 1; i < frames.length; i++) {
+      const frame = frames[i];
+      const change = Math.sign(value(frame) - value(reference));
+      if (change === 0) continue;
+
+      if (change !== direction && qualifies(reference, frame)) {
+        times.push(frame.timestamp);
+        direction = change;
+        reference = frame;
+      } else if (change === direction) {
+        reference = frame;
+      }
+    }
+
+    return times;
+  }
+
+  summarize(transitionsByCell, windowStarts, frame, cellArea) {
+    let maxFlashes = 0;
+    let worst = { area: 0, cells: [] };
+
+    // Window starts and transition times are both in order, so each cell
+    // keeps a sliding [first, last) range of the transitions in the window
+    const first = new Array(transitionsByCell.length).fill(0);
+    const last = new Array(transitionsByCell.length).fill(0);
+
+    for (const start of windowStarts) {
+      const flashing = [];
+      transitionsByCell.forEach((times, cell) => {
+        while (first[cell] < times.length && times[first[cell]] < start) first[cell]++;
+        last[cell] = Math.max(last[cell], first[cell]);
+        while (last[cell] < times.length && times[last[cell]] < start + 1) last[cell]++;
+        const flashes = Math.floor((last[cell] - first[cell]) / 2);
+        maxFlashes = Math.max(maxFlashes, flashes);
+        if (flashes > MAX_FLASHES_PER_SECOND) flashing.push(cell);
+      });
+
+      const area = flashing.length * cellArea;
+      if (area > worst.area) {
+        worst = { area, cells: flashing };
+      }
+    }
+
+    return {
+      maxFlashesPerSecond: maxFlashes,
+      flashingArea: Math.round(worst.area),
+      boundingBox: worst.cells.length > 0 ? this.cellBounds(worst.cells, frame) : null,
+      exceedsThreshold: worst.area > FLASH_AREA_THRESHOLD
+    };
+  }
+
+  // Viewport box in CSS px around a set of cells
+  cellBounds(cells, frame) {
+    const cols = cells.map(cell => cell % frame.cols);
+    const rows = cells.map(cell => Math.floor(cell / frame.cols));
+    const width = this.cellSize * frame.scaleX;
+    const height = this.cellSize * frame.scaleY;
+    const x = Math.min(...cols) * width;
+    const y = Math.min(...rows) * height;
+
+    return {
+      x: Math.round(x),
+      y: Math.round(y),
+      width: Math.round((Math.max(...cols) + 1) * width - x),
+      height: Math.round((Math.max(...rows) + 1) * height - y)
+    };
+  }
+}
+
+FlashAnalyzer.areaThreshold = FLASH_AREA_THRESHOLD;
+
+module.exports = FlashAnalyzer;
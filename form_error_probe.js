@@ -0,0 +1,346 @@
+const logger = require('./logger_utility');
+
+const MAX_FORMS = 5;
+const SETTLE_MS = 600;
+
+/**
+ * Runs in the page. Defines `window.__wcagFormProbe`, which fills a form
+ * with empty or invalid values, blurs and submits it, and records how the
+ * page responds: native validation, aria-invalid, error text tied to each
+ * field, other error text that appeared, where focus went and what live
+ * regions announced. Submission itself is cancelled after the page's own
+ * submit handlers have run.
+ */
+function defineFormErrorProbe(maxForms) {
+  const FIELD = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea';
+  const LIVE = '[aria-live]:not([aria-live="off"]), [role="alert"], [role="status"], [role="log"], output';
+  const ERROR_TEXT = /\b(error|invalid|required|must|please|incorrect|enter|missing|not valid|too (short|long))\b/i;
+
+  // Values the browser rejects for each constrained input type
+  const INVALID_VALUES = {
+    email: 'not-an-email',
+    url: 'not a url',
+    tel: 'abc',
+    number: 'abc',
+    date: '2020-13-45'
+  };
+
+  const isVisible = (el) => {
+    if (!el || !el.isConnected) return false;
+    const style = window.getComputedStyle(el);
+    return style.visibility !== 'hidden' && style.display !== 'none' && el.getClientRects().length > 0;
+  };
+
+  const textOf = (el) => (el.textContent || '').replace(/\s+/g, ' ').trim();
+
+  const idRefs = (field, attribute) => (field.getAttribute(attribute) || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(id => field.getRootNode().getElementById(id))
+    .filter(Boolean);
+
+  // Visible text of the elements a field points to as its description or error
+  const associatedText = (field) => [...idRefs(field, 'aria-describedby'), ...idRefs(field, 'aria-errormessage')]
+    .filter(isVisible)
+    .map(textOf)
+    .filter(Boolean)
+    .join(' ');
+
+  const labelOf = (field) => [
+    ...(field.labels ? Array.from(field.labels).map(textOf) : []),
+    field.getAttribute('aria-label') || '',
+    field.name || '',
+    field.id || ''
+  ].map(text => text.trim()).filter(Boolean)[0] || field.type || field.localName;
+
+  const isRequired = (field) => field.required || field.getAttribute('aria-required') === 'true';
+
+  const forms = window.__wcagQueryAll('form')
+    .filter(form => isVisible(form) && window.__wcagQueryAll(FIELD, form).some(isVisible))
+    .slice(0, maxForms);
+
+  // Hints shown before anything was submitted are not error messages
+  const describedAtLoad = new Map();
+  forms.forEach(form => window.__wcagQueryAll(FIELD, form)
+    .forEach(field => describedAtLoad.set(field, associatedText(field))));
+
+  let run = null;
+
+  window.__wcagFormProbe = {
+    forms() {
+      return forms.map((form, index) => ({
+        index,
+        element: window.__wcagLocate(form),
+        fields: window.__wcagQueryAll(FIELD, form).filter(isVisible).length
+      }));
+    },
+
+    /**
+     * Fill the form and blur each field. `empty` clears required fields,
+     * `invalid` types values the field's type or pattern rejects. Returns
+     * the number of fields expected to show an error.
+     */
+    start(index, mode) {
+      const form = forms[index];
+      const fields = window.__wcagQueryAll(FIELD, form).filter(isVisible);
+
+      run = {
+        form,
+        mode,
+        fields: [],
+        originals: fields.map(field => ({ field, value: field.value, checked: field.checked })),
+        invalidFields: new Set(),
+        changedElements: new Set(),
+        announcements: [],
+        submitted: false,
+        listeners: []
+      };
+
+      const listen = (target, type, handler, capture) => {
+        target.addEventListener(type, handler, capture);
+        run.listeners.push(() => target.removeEventListener(type, handler, capture));
+      };
+
+      listen(form, 'invalid', event => run.invalidFields.add(event.target), true);
+      // Bubble phase on window runs after the page's own submit handlers
+      listen(window, 'submit', event => {
+        run.submitted = true;
+        event.preventDefault();
+      }, false);
+
+      run.observer = new MutationObserver(records => {
+        records.forEach(record => {
+          const target = record.target.nodeType === 1 ? record.target : record.target.parentElement;
+          if (!target) return;
+          const added = Array.from(record.addedNodes).filter(node => node.nodeType === 1);
+          [target, ...added].forEach(el => run.changedElements.add(el));
+
+          const region = target.closest(LIVE) || added.find(el => el.matches(LIVE));
+          if (region && isVisible(region)) {
+            const text = textOf(region);
+            if (text && !run.announcements.includes(text)) run.announcements.push(text);
+          }
+        });
+      });
+      run.observer.observe(document.documentElement, {
+        subtree: true,
+        childList: true,
+        characterData: true,
+        attributes: true,
+        attributeFilter: ['class', 'style', 'hidden', 'aria-hidden']
+      });
+
+      fields.forEach(field => {
+        let value = null;
+        if (mode === 'empty' && isRequired(field)) {
+          value = '';
+        } else if (mode === 'invalid' && field.type === 'number' && (field.min !== '' || field.max !== '')) {
+          value = field.min !== '' ? String(Number(field.min) - 1) : String(Number(field.max) + 1);
+        } else if (mode === 'invalid' && INVALID_VALUES[field.type] !== undefined) {
+          value = INVALID_VALUES[field.type];
+        } else if (mode === 'invalid' && field.pattern) {
+          value = '!!';
+        } else if (mode === 'invalid' && field.minLength > 1) {
+          value = 'a';
+        }
+        if (value === null) return;
+
+        if (field.type === 'checkbox' || field.type === 'radio') {
+          field.checked = false;
+        } else if (field.localName === 'select') {
+          const blank = Array.from(field.options).findIndex(option => option.value === '');
+          if (blank === -1) return;
+          field.selectedIndex = blank;
+        } else {
+          // Number and date inputs refuse text as a value; their validity
+          // flags still report bad input when typed, which can't be faked here
+          field.value = value;
+          if (field.value !== value && value !== '') return;
+        }
+
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+        field.focus();
+        field.blur();
+
+        run.fields.push({
+          field,
+          label: labelOf(field),
+          value,
+          describedBefore: describedAtLoad.get(field) || ''
+        });
+      });
+
+      return run.fields.length;
+    },
+
+    submit() {
+      const { form } = run;
+      const submitter = window.__wcagQuery('button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]', form);
+      if (submitter) {
+        submitter.click();
+      } else if (form.requestSubmit) {
+        form.requestSubmit();
+      }
+    },
+
+    inspect() {
+      const active = document.activeElement;
+      const errorRegion = (el) => el && (el.matches(LIVE) || (ERROR_TEXT.test(textOf(el)) && textOf(el).length < 500));
+
+      // Visible error-like text that appeared or changed during the run
+      const changedText = Array.from(run.changedElements)
+        .filter(el => el.isConnected && isVisible(el) && !el.matches(FIELD) && !el.querySelector(FIELD))
+        .filter(el => ERROR_TEXT.test(textOf(el)) && textOf(el).length < 300);
+
+      const fields = run.fields.map(({ field, label, value, describedBefore }) => {
+        const described = associatedText(field).replace(describedBefore, '').trim();
+        // The wrapper around this field, not one around the whole form
+        const container = field.closest('p, li, td, fieldset, .form-group, .field, div');
+        const nearby = container && !container.contains(run.form)
+          ? changedText.find(el => container.contains(el) && !el.contains(field))
+          : null;
+
+        return {
+          element: window.__wcagLocate(field),
+          label,
+          value,
+          nativeInvalid: run.invalidFields.has(field),
+          validationMessage: field.validationMessage || '',
+          ariaInvalid: field.getAttribute('aria-invalid') === 'true',
+          message: described,
+          nearbyMessage: nearby ? textOf(nearby).substring(0, 200) : ''
+        };
+      });
+
+      return {
+        mode: run.mode,
+        submitted: run.submitted,
+        fields,
+        focus: active && active !== document.body
+          ? {
+            onErrorField: run.fields.some(({ field }) => field === active) &&
+              (active.getAttribute('aria-invalid') === 'true' || run.invalidFields.has(active)),
+            onErrorMessage: errorRegion(active) || Boolean(active.closest && active.closest(LIVE)),
+            selector: window.__wcagLocate(active).selector
+          }
+          : null,
+        announcements: run.announcements.map(text => text.substring(0, 200)),
+        otherErrorText: changedText
+          .filter(el => !run.fields.some(({ field }) => el.contains(field)))
+          .map(textOf)
+          .slice(0, 5)
+      };
+    },
+
+    restore() {
+      if (!run) return;
+      run.observer.disconnect();
+      run.listeners.forEach(remove => remove());
+      run.originals.forEach(({ field, value, checked }) => {
+        if (field.type === 'checkbox' || field.type === 'radio') {
+          field.checked = checked;
+        } else {
+          field.value = value;
+        }
+      });
+      run = null;
+    },
+
+    cleanup() {
+      window.__wcagFormProbe.restore();
+      delete window.__wcagFormProbe;
+    }
+  };
+}
+
+/**
+ * Submits forms with empty and invalid values to see how errors are
+ * reported. Requests the page makes while a form is probed are blocked,
+ * except plain GETs for scripts and assets, so nothing reaches the server
+ * and the page does not navigate away.
+ */
+class FormErrorProbe {
+  constructor(config = {}) {
+    this.maxForms = config.maxForms || MAX_FORMS;
+    this.settleMs = config.settleMs || SETTLE_MS;
+  }
+
+  /**
+   * Probe every visible form. Returns one entry per form:
+   * { element, runs: [inspection for 'empty', inspection for 'invalid'],
+   *   blockedRequests, alerts }. Runs where no field was expected to
+   * fail are left out.
+   */
+  async probe(page) {
+    await page.evaluate(defineFormErrorProbe, this.maxForms);
+    const forms = await page.evaluate(() => window.__wcagFormProbe.forms());
+    if (forms.length === 0) return [];
+
+    const results = [];
+    let blockedRequests = 0;
+    const alerts = [];
+
+    const onRequest = (request) => {
+      if (request.isInterceptResolutionHandled && request.isInterceptResolutionHandled()) return;
+      const navigates = request.isNavigationRequest() && request.frame() === page.mainFrame();
+      if (navigates || !['GET', 'HEAD', 'OPTIONS'].includes(request.method())) {
+        blockedRequests++;
+        request.abort('blockedbyclient').catch(() => {});
+      } else {
+        request.continue().catch(() => {});
+      }
+    };
+    // alert() blocks the page until dismissed; error alerts are announced
+    const onDialog = (dialog) => {
+      alerts.push(dialog.message());
+      dialog.dismiss().catch(() => {});
+    };
+
+    await page.setRequestInterception(true);
+    page.on('request', onRequest);
+    page.on('dialog', onDialog);
+
+    try {
+      for (const form of forms) {
+        blockedRequests = 0;
+        alerts.length = 0;
+        const runs = [];
+
+        for (const mode of ['empty', 'invalid']) {
+          try {
+            const expected = await page.evaluate((index, mode) => window.__wcagFormProbe.start(index, mode), form.index, mode);
+            if (expected === 0) {
+              await page.evaluate(() => window.__wcagFormProbe.restore());
+              continue;
+            }
+
+            await this.settle();
+            await page.evaluate(() => window.__wcagFormProbe.submit());
+            await this.settle();
+            runs.push(await page.evaluate(() => window.__wcagFormProbe.inspect()));
+          } catch (error) {
+            logger.warn(`Form error probe failed on ${form.element.selector} (${mode}):`, error);
+          } finally {
+            await page.evaluate(() => window.__wcagFormProbe && window.__wcagFormProbe.restore()).catch(() => {});
+          }
+        }
+
+        results.push({ element: form.element, runs, blockedRequests, alerts: [...alerts] });
+      }
+    } finally {
+      page.off('request', onRequest);
+      page.off('dialog', onDialog);
+      await page.setRequestInterception(false).catch(() => {});
+      await page.evaluate(() => window.__wcagFormProbe && window.__wcagFormProbe.cleanup()).catch(() => {});
+    }
+
+    return results;
+  }
+
+  settle() {
+    return new Promise(resolve => setTimeout(resolve, this.settleMs));
+  }
+}
+
+module.exports = FormErrorProbe;
@@ -0,0 +1,191 @@
+const MAX_ENTRIES = 100;
+
+/**
+ * Runs in the page. Starts a MutationObserver that watches for content
+ * changes that look like status messages (toasts, "added to cart", result
+ * counts, progress and success or error notices) and records, at the moment
+ * each one happens, whether a screen reader would announce it:
+ *
+ *   announced   inside a live region that already existed, or a new role="alert"
+ *   injected    inside a live region inserted together with the message
+ *   hidden      inside a live region that is display: none or visibility: hidden
+ *   off         inside aria-live="off"
+ *   none        not inside any live region
+ *
+ * Entries accumulate in `window.__wcagLiveRegions.entries` until taken.
+ */
+function defineLiveRegionMonitor(maxEntries) {
+  if (window.__wcagLiveRegions) return;
+
+  const LIVE = '[aria-live], [role="status"], [role="alert"], [role="log"], [role="marquee"], [role="timer"], output';
+  const IGNORED = 'script, style, noscript, template, head, svg';
+  const CONTROL = 'a[href], button, input, select, textarea, [role="button"], [tabindex]';
+
+  const KINDS = [
+    ['cart', /\b(added to|removed from) (your |the )?(cart|basket|bag|wish ?list|favou?rites)\b/i],
+    ['result-count', /\b\d[\d,.]*\s+(results?|items?|products?|matches|records|entries|listings)\b|\bno (results|matches|items) (found|match)?/i],
+    ['progress', /\b(loading|saving|uploading|processing|please wait|\d{1,3}\s?% (complete|done|uploaded))\b/i],
+    ['error', /\b(error|failed|could not|couldn't|invalid|is required|try again)\b/i],
+    ['success', /\b(saved|updated|sent|submitted|copied|deleted|removed|success(fully)?|thank you|subscribed|confirmed)\b/i]
+  ];
+  const TOAST = /\b(toast|snackbar|notification|notice|flash|growl|alert|message)s?\b/i;
+
+  const knownRegions = new WeakSet();
+  const remember = (root) => {
+    if (root.nodeType !== 1) return;
+    if (root.matches(LIVE)) knownRegions.add(root);
+    root.querySelectorAll(LIVE).forEach(region => knownRegions.add(region));
+  };
+  if (document.body) remember(document.body);
+
+  const textOf = (node) => (node.textContent || '').replace(/\s+/g, ' ').trim();
+
+  const isToast = (el) => {
+    for (let node = el, depth = 0; node && node !== document.body && depth < 4; node = node.parentElement, depth++) {
+      if (TOAST.test(`${node.id} ${node.getAttribute('class') || ''}`)) return true;
+      if (['fixed', 'sticky'].includes(window.getComputedStyle(node).position)) return true;
+    }
+    return false;
+  };
+
+  const kindOf = (el, text) => {
+    const match = KINDS.find(([, pattern]) => pattern.test(text));
+    if (match) return match[0];
+    return isToast(el) ? 'toast' : null;
+  };
+
+  const liveState = (el, addedNodes) => {
+    const region = el.closest(LIVE);
+    if (!region) return { announced: 'none', region: null };
+
+    const role = region.getAttribute('role');
+    const live = region.getAttribute('aria-live') ||
+      (role === 'alert' ? 'assertive' : ['marquee', 'timer'].includes(role) ? 'off' : 'polite');
+    const style = window.getComputedStyle(region);
+    const described = { region: window.__wcagLocate(region).selector, role, live };
+
+    if (live === 'off') return { announced: 'off', ...described };
+    if (style.display === 'none' || style.visibility === 'hidden') return { announced: 'hidden', ...described };
+    if (!knownRegions.has(region)) {
+      // Inserted alerts are announced; other regions have to exist first
+      const inserted = addedNodes.some(node => node === region || node.contains(region));
+      if (inserted && role !== 'alert') return { announced: 'injected', ...described };
+    }
+    return { announced: 'announced', ...described };
+  };
+
+  const monitor = {
+    entries: [],
+    seen: new Set(),
+
+    record(el, text, addedNodes) {
+      if (!el || !el.isConnected || !document.body.contains(el) || el.closest(IGNORED)) return;
+      // Hidden text is no message, unless it was meant for a live region
+      if (!text || text.length > 300 || (el.getClientRects().length === 0 && !el.closest(LIVE))) return;
+      // New sections, dialogs and menus are content, not status messages
+      if (el.querySelectorAll(CONTROL).length > 2 || el.querySelector('h1, h2, h3, h4, h5, h6')) return;
+      // Moving focus to the new content tells the user about it
+      if (document.activeElement && el.contains(document.activeElement) && document.activeElement !== document.body) return;
+
+      const kind = kindOf(el, text);
+      if (!kind) return;
+
+      const element = window.__wcagLocate(el);
+      const key = `${element.selector}|${text}`;
+      if (monitor.seen.has(key) || monitor.entries.length >= maxEntries) return;
+      monitor.seen.add(key);
+
+      monitor.entries.push({
+        kind,
+        text: text.substring(0, 200),
+        element,
+        ...liveState(el, addedNodes),
+        url: window.location.href,
+        time: Date.now()
+      });
+    },
+
+    take() {
+      const entries = monitor.entries;
+      monitor.entries = [];
+      return entries;
+    }
+  };
+
+  const observer = new MutationObserver(records => {
+    const addedNodes = records.flatMap(record => Array.from(record.addedNodes));
+
+    records.forEach(record => {
+      if (record.type === 'characterData') {
+        const el = record.target.parentElement;
+        if (el && record.oldValue !== record.target.textContent) {
+          monitor.record(el, textOf(el), addedNodes);
+        }
+        return;
+      }
+
+      Array.from(record.addedNodes).forEach(node => {
+        const el = node.nodeType === 1 ? node : node.parentElement;
+        // A text node swapped into an element reads as the element's new text
+        monitor.record(el, node.nodeType === 1 ? textOf(node) : textOf(el), addedNodes);
+      });
+    });
+
+    addedNodes.forEach(remember);
+  });
+
+  observer.observe(document.documentElement, {
+    subtree: true,
+    childList: true,
+    characterData: true,
+    characterDataOldValue: true
+  });
+
+  monitor.disconnect = () => observer.disconnect();
+  window.__wcagLiveRegions = monitor;
+}
+
+/**
+ * Watches a page for status messages while it is scanned, or between the
+ * steps of a flow, and reports whether each would be announced (4.1.3).
+ * Complements CodeAnalyzer.findLiveRegions, which only lists the regions
+ * present in the markup.
+ */
+class LiveRegionMonitor {
+  constructor(config = {}) {
+    this.maxEntries = config.maxEntries || MAX_ENTRIES;
+  }
+
+  /**
+   * Start watching. Does nothing if the page is already watched, so changes
+   * recorded since the last `take` are kept; a navigation starts afresh.
+   */
+  async install(page) {
+    await page.evaluate(defineLiveRegionMonitor, this.maxEntries);
+  }
+
+  /**
+   * Status messages recorded since the last call, oldest first.
+   */
+  async take(page) {
+    return page.evaluate(() => (window.__wcagLiveRegions ? window.__wcagLiveRegions.take() : []));
+  }
+
+  /**
+   * Run `action` without recording the status messages it causes, such as
+   * the errors the form probe triggers. Messages recorded before it are kept.
+   */
+  async ignoreDuring(page, action) {
+    const earlier = await this.take(page);
+    try {
+      return await action();
+    } finally {
+      await this.take(page);
+      await page.evaluate(entries => {
+        if (window.__wcagLiveRegions) window.__wcagLiveRegions.entries.unshift(...entries);
+      }, earlier);
+    }
+  }
+}
+
+module.exports = LiveRegionMonitor;
@@ -0,0 +1,158 @@
+const wcagCriteria = require('./wcag_criteria_data');
+const ConformanceEvaluator = require('./conformance_evaluator');
+
+// Verdicts a reviewer can record
+const MANUAL_VERDICTS = ['pass', 'fail', 'not-applicable', 'cannot-tell'];
+
+// Criteria the automated checks decide completely when they pass or find
+// nothing to check; every other criterion still needs a person to confirm
+const AUTOMATED_CRITERIA = ['1.4.3', '1.4.6', '2.5.8', '3.1.1', '4.1.1'];
+
+const MAX_FINDINGS = 10;
+
+/**
+ * Guided manual testing for a stored scan. The checklist lists every
+ * criterion in scope that the automated checks did not settle, with the
+ * test steps from wcag_criteria_data.js and the automated findings a
+ * reviewer should look at. Verdicts recorded against the scan replace the
+ * automated ones in its conformance summary and exports.
+ */
+class ManualReviewChecklist {
+  constructor() {
+    this.conformanceEvaluator = new ConformanceEvaluator();
+  }
+
+  build(report, manualVerdicts = {}) {
+    const conformance = report.summary && report.summary.conformance;
+    if (!conformance) {
+      throw new Error('Scan has no conformance summary to build a checklist from');
+    }
+
+    const results = this.collectResults(report);
+    const items = conformance.criteria
+      .filter(criterion => this.needsReview(criterion))
+      .map(criterion => {
+        const details = this.getCriterion(criterion.id);
+        const manual = manualVerdicts[criterion.id] || null;
+
+        return {
+          criterion: criterion.id,
+          title: criterion.title,
+          level: criterion.level,
+          description: details ? details.description : '',
+          automatedVerdict: criterion.verdict,
+          reason: criterion.verdict === 'not-tested'
+            ? 'No automated check covers this criterion'
+            : criterion.verdict === 'cannot-tell'
+              ? 'Automated checks found items that need review'
+              : 'Automated checks cover only part of this criterion',
+          steps: details ? details.guidelines || [] : [],
+          findings: results
+            .filter(result => result.criterion === criterion.id && result.type !== 'success')
+            .slice(0, MAX_FINDINGS)
+            .map(result => ({
+              type: result.type,
+              title: result.title,
+              description: result.description,
+              selector: result.element ? result.element.selector || null : null,
+              url: result.url || null,
+              state: result.state || null
+            })),
+          manualVerdict: manual ? this.withoutEvidenceData(manual) : null
+        };
+      });
+
+    return {
+      wcagVersion: conformance.wcagVersion,
+      level: conformance.level,
+      progress: {
+        total: items.length,
+        reviewed: items.filter(item => item.manualVerdict).length
+      },
+      items
+    };
+  }
+
+  /**
+   * Failures are settled, and so are passes of criteria the checks fully
+   * automate; everything else goes on the checklist.
+   */
+  needsReview(criterion) {
+    if (criterion.verdict === 'fail') return false;
+    if (['pass', 'not-applicable'].includes(criterion.verdict) && AUTOMATED_CRITERIA.includes(criterion.id)) return false;
+    return true;
+  }
+
+  /**
+   * Every result in a report, each with the `url` of the page it was found
+   * on when known. Batch and site reports keep results per page, and flow
+   * reports per state.
+   */
+  collectResults(report) {
+    if (Array.isArray(report.states)) {
+      // Steps may navigate away from the flow's start URL
+      return report.states.flatMap(state => state.results.map(result =>
+        ({ ...result, url: state.pageInfo?.url || report.url })));
+    }
+    if (Array.isArray(report.pages)) {
+      return report.pages
+        .filter(page => !page.failed)
+        .flatMap(page => page.results.map(result => ({ ...result, url: page.url })));
+    }
+
+    return (report.results || []).flatMap(result => {
+      // Batch reports list one report per URL
+      if (Array.isArray(result.results)) {
+        return result.results.map(pageResult => ({ ...pageResult, url: result.url }));
+      }
+      if (result.failed) return [];
+      return [report.url ? { ...result, url: report.url } : result];
+    });
+  }
+
+  isReviewable(report, criterionId) {
+    const conformance = report.summary && report.summary.conformance;
+    return Boolean(conformance && conformance.criteria.some(criterion => criterion.id === criterionId));
+  }
+
+  /**
+   * The report with manual verdicts merged into its conformance summary and
+   * impact score, plus a `manualReview` section listing the verdicts.
+   */
+  applyToReport(report, manualVerdicts = {}) {
+    if (!report.summary || !report.summary.conformance) return report;
+
+    const conformance = this.conformanceEvaluator.applyManualVerdicts(report.summary.conformance, manualVerdicts);
+    const summary = { ...report.summary, conformance };
+    if (report.summary.impactScore !== undefined) {
+      summary.impactScore = this.conformanceEvaluator.getImpactScore(conformance);
+    }
+
+    return {
+      ...report,
+      summary,
+      manualReview: Object.entries(manualVerdicts).map(([criterion, manual]) => ({
+        criterion,
+        title: this.getCriterion(criterion) ? this.getCriterion(criterion).title : criterion,
+        ...manual
+      }))
+    };
+  }
+
+  // Evidence images are only sent when asked for, to keep listings small
+  withoutEvidenceData(manual) {
+    return {
+      ...manual,
+      evidence: (manual.evidence || []).map(({ image, ...evidence }) => evidence)
+    };
+  }
+
+  getCriterion(criterionId) {
+    const guideline = criterionId.split('.').slice(0, 2).join('.');
+    return wcagCriteria[guideline] ? wcagCriteria[guideline].criteria[criterionId] || null : null;
+  }
+}
+
+ManualReviewChecklist.verdicts = MANUAL_VERDICTS;
+
+module.exports = ManualReviewChecklist;
@@ -0,0 +1,140 @@
+const logger = require('./logger_utility');
+
+const STEP_ACTIONS = [
+  'goto', 'fill', 'click', 'waitForSelector', 'waitForNavigation',
+  'type', 'press', 'hover', 'wait', 'select'
+];
+
+const SELECTOR_ACTIONS = ['fill', 'click', 'waitForSelector', 'type', 'hover', 'select'];
+
+/**
+ * Runs declarative page steps such as a login sequence or a user flow:
+ *   { action: 'goto', url }
+ *   { action: 'fill', selector, value }          clears the field first
+ *   { action: 'type', selector, value, delay }   appends to the field
+ *   { action: 'click', selector, waitForNavigation }
+ *   { action: 'press', key, selector }           focuses selector if given
+ *   { action: 'hover', selector }
+ *   { action: 'select', selector, value }        value may be an array
+ *   { action: 'wait', duration } or { action: 'wait', selector }
+ *   { action: 'waitForSelector', selector, timeout }
+ *   { action: 'waitForNavigation', timeout }
+ */
+class PageStepRunner {
+  constructor(config = {}) {
+    this.config = {
+      timeout: config.timeout || 30000
+    };
+  }
+
+  static get actions() {
+    return STEP_ACTIONS;
+  }
+
+  validateSteps(steps) {
+    if (!Array.isArray(steps)) {
+      throw new Error('Steps must be an array');
+    }
+
+    steps.forEach((step, index) => {
+      if (!step || !STEP_ACTIONS.includes(step.action)) {
+        throw new Error(`Step ${index + 1} has unsupported action "${step && step.action}"`);
+      }
+      if (step.action === 'goto' && !step.url) {
+        throw new Error(`Step ${index + 1} (goto) requires a url`);
+      }
+      if (SELECTOR_ACTIONS.includes(step.action) && !step.selector) {
+        throw new Error(`Step ${index + 1} (${step.action}) requires a selector`);
+      }
+      if (step.action === 'press' && !step.key) {
+        throw new Error(`Step ${index + 1} (press) requires a key`);
+      }
+      if (step.action === 'wait' && !step.selector && !(step.duration >= 0)) {
+        throw new Error(`Step ${index + 1} (wait) requires a duration or selector`);
+      }
+    });
+  }
+
+  async runSteps(page, steps) {
+    this.validateSteps(steps);
+
+    for (let i = 0; i < steps.length; i++) {
+      try {
+        await this.runStep(page, steps[i]);
+      } catch (error) {
+        throw new Error(`Step ${i + 1} (${steps[i].action}) failed: ${error.message}`);
+      }
+    }
+  }
+
+  async runStep(page, step) {
+    const timeout = step.timeout || this.config.timeout;
+
+    // Never log step values: login steps carry credentials
+    logger.debug(`Running step: ${step.action} ${step.selector || step.url || step.key || ''}`);
+
+    switch (step.action) {
+      case 'goto':
+        await page.goto(step.url, { waitUntil: 'networkidle2', timeout });
+        break;
+      case 'fill':
+        await page.waitForSelector(step.selector, { visible: true, timeout });
+        await page.$eval(step.selector, el => {
+          el.value = '';
+        });
+        await page.type(step.selector, String(step.value !== undefined ? step.value : ''));
+        break;
+      case 'click':
+        await page.waitForSelector(step.selector, { visible: true, timeout });
+        if (step.waitForNavigation) {
+          await Promise.all([
+            page.waitForNavigation({ waitUntil: 'networkidle2', timeout }),
+            page.click(step.selector)
+          ]);
+        } else {
+          await page.click(step.selector);
+        }
+        break;
+      case 'waitForSelector':
+        await page.waitForSelector(step.selector, { visible: step.visible !== false, timeout });
+        break;
+      case 'waitForNavigation':
+        await page.waitForNavigation({ waitUntil: 'networkidle2', timeout });
+        break;
+      case 'type':
+        await page.waitForSelector(step.selector, { visible: true, timeout });
+        await page.type(step.selector, String(step.value !== undefined ? step.value : ''), {
+          delay: step.delay || 0
+        });
+        break;
+      case 'press':
+        if (step.selector) {
+          await page.waitForSelector(step.selector, { visible: true, timeout });
+          await page.focus(step.selector);
+        }
+        await page.keyboard.press(step.key);
+        break;
+      case 'hover':
+        await page.waitForSelector(step.selector, { visible: true, timeout });
+        await page.hover(step.selector);
+        break;
+      case 'select': {
+        await page.waitForSelector(step.selector, { timeout });
+        const values = Array.isArray(step.value) ? step.value : [step.value];
+        await page.select(step.selector, ...values.map(String));
+        break;
+      }
+      case 'wait':
+        if (step.selector) {
+          await page.waitForSelector(step.selector, { visible: step.visible !== false, timeout });
+        } else {
+          await new Promise(resolve => setTimeout(resolve, step.duration));
+        }
+        break;
+      default:
+        throw new Error(`Unsupported step action: ${step.action}`);
+    }
+  }
+}
+
+module.exports = PageStepRunner;
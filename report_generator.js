@@ -1,4 +1,4 @@
-const puppeteer = require('puppeteer');
+const browserPool = require('./browser_pool_manager');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -52,7 +52,8 @@ class ReportGenerator {
       'Element Selector',
       'WCAG Level',
       'WCAG Version',
-      'Timestamp'
+      'Timestamp',
+      'Fingerprint'
     ];
 
     const rows = [headers.join(',')];
@@ -68,12 +69,47 @@ class ReportGenerator {
           this.escapeCSV(result.element?.selector || ''),
           this.escapeCSV(result.wcagInfo?.level || ''),
           this.escapeCSV(result.wcagInfo?.version || ''),
-          this.escapeCSV(result.timestamp || '')
+          this.escapeCSV(result.timestamp || ''),
+          this.escapeCSV(result.fingerprint || '')
         ];
         rows.push(row.join(','));
       });
     }
 
+    // Accepted known issues, which don't count towards the summary
+    (processedResults.suppressed || []).forEach(result => {
+      const row = [
+        this.escapeCSV('suppressed'),
+        this.escapeCSV(result.criterion),
+        this.escapeCSV(result.title),
+        this.escapeCSV(`${result.description} (suppressed until ${result.suppression.expires}, ${result.suppression.owner}: ${result.suppression.reason})`),
+        this.escapeCSV(result.suggestion),
+        this.escapeCSV(result.element?.selector || ''),
+        this.escapeCSV(result.wcagInfo?.level || ''),
+        this.escapeCSV(result.wcagInfo?.version || ''),
+        this.escapeCSV(result.timestamp || ''),
+        this.escapeCSV(result.fingerprint || '')
+      ];
+      rows.push(row.join(','));
+    });
+
+    // Verdicts recorded during manual review
+    (processedResults.manualReview || []).forEach(review => {
+      const row = [
+        this.escapeCSV('manual'),
+        this.escapeCSV(review.criterion),
+        this.escapeCSV(review.title),
+        this.escapeCSV(`Manual verdict: ${review.verdict}${review.notes ? ` - ${review.notes}` : ''}`),
+        this.escapeCSV(''),
+        this.escapeCSV(''),
+        this.escapeCSV(''),
+        this.escapeCSV(''),
+        this.escapeCSV(review.recordedAt || ''),
+        this.escapeCSV('')
+      ];
+      rows.push(row.join(','));
+    });
+
     return rows.join('\n');
   }
 
@@ -112,6 +148,15 @@ class ReportGenerator {
     html = html.replace('{{PASSED_COUNT}}', summary.passed.toString());
     html = html.replace('{{SCORE}}', summary.score.toString());
     html = html.replace('{{SCORE_COLOR}}', this.getScoreColor(summary.score));
+    html = html.replace('{{IMPACT_SCORE}}', summary.impactScore === undefined ? '' : `
+                <div class="summary-item">
+                    <span class="summary-value">${summary.impactScore}%</span>
+                    <span class="summary-label">Impact Score</span>
+                </div>`);
+    html = html.replace('{{CONFORMANCE}}', this.conformanceToHTML(summary.conformance));
+    // Notes, captions and suppression reasons are free text: a replacer
+    // function keeps `$&` and similar in them from being expanded
+    html = html.replace('{{MANUAL_REVIEW}}', () => this.manualReviewToHTML(processedResults.manualReview));
 
     // Results section
     let resultsHTML = '';
@@ -121,6 +166,7 @@ class ReportGenerator {
       resultsHTML = '<div class="no-results">No accessibility issues found.</div>';
     }
     html = html.replace('{{RESULTS}}', resultsHTML);
+    html = html.replace('{{SUPPRESSED}}', () => this.suppressedToHTML(processedResults.suppressed));
 
     return html;
   }
@@ -128,13 +174,9 @@ class ReportGenerator {
   async generatePDF(results, includeDetails) {
     const htmlContent = this.generateHTML(results, includeDetails);
     
-    const browser = await puppeteer.launch({
-      headless: 'new',
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+    const page = await browserPool.acquirePage();
 
     try {
-      const page = await browser.newPage();
       await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
       
       const pdfBuffer = await page.pdf({
@@ -161,7 +203,7 @@ class ReportGenerator {
 
       return pdfBuffer;
     } finally {
-      await browser.close();
+      await browserPool.releasePage(page);
     }
   }
 
@@ -187,9 +229,41 @@ class ReportGenerator {
       xml += `    <warnings>${processedResults.summary.warnings}</warnings>\n`;
       xml += `    <passed>${processedResults.summary.passed}</passed>\n`;
       xml += `    <score>${processedResults.summary.score}</score>\n`;
+      if (processedResults.summary.impactScore !== undefined) {
+        xml += `    <impact-score>${processedResults.summary.impactScore}</impact-score>\n`;
+      }
+      if (processedResults.summary.suppressed) {
+        xml += `    <suppressed>${processedResults.summary.suppressed}</suppressed>\n`;
+      }
+      const conformance = processedResults.summary.conformance;
+      if (conformance) {
+        xml += `    <conformance version="${this.escapeXML(conformance.wcagVersion)}" level="${this.escapeXML(conformance.level)}" conforms="${conformance.conforms === null ? 'cannot-tell' : conformance.conforms}">\n`;
+        conformance.criteria.forEach(criterion => {
+          const source = criterion.source === 'manual'
+            ? ` source="manual" automated-verdict="${criterion.automatedVerdict}"`
+            : '';
+          xml += `      <criterion id="${this.escapeXML(criterion.id)}" level="${criterion.level}" verdict="${criterion.verdict}"${source}/>\n`;
+        });
+        xml += `    </conformance>\n`;
+      }
       xml += `  </summary>\n`;
     }
 
+    if (processedResults.manualReview && processedResults.manualReview.length > 0) {
+      xml += `  <manual-review>\n`;
+      processedResults.manualReview.forEach(review => {
+        xml += `    <verdict criterion="${this.escapeXML(review.criterion)}" value="${this.escapeXML(review.verdict)}">\n`;
+        if (review.tester) {
+          xml += `      <tester>${this.escapeXML(review.tester)}</tester>\n`;
+        }
+        xml += `      <notes>${this.escapeXML(review.notes)}</notes>\n`;
+        xml += `      <evidence-count>${(review.evidence || []).length}</evidence-count>\n`;
+        xml += `      <recorded-at>${this.escapeXML(review.recordedAt)}</recorded-at>\n`;
+        xml += `    </verdict>\n`;
+      });
+      xml += `  </manual-review>\n`;
+    }
+
     if (processedResults.results && processedResults.results.length > 0) {
       xml += `  <results>\n`;
       processedResults.results.forEach(result => {
@@ -210,11 +284,30 @@ class ReportGenerator {
           xml += `      </wcag-info>\n`;
         }
         xml += `      <timestamp>${this.escapeXML(result.timestamp)}</timestamp>\n`;
+        if (result.fingerprint) {
+          xml += `      <fingerprint>${result.fingerprint}</fingerprint>\n`;
+        }
         xml += `    </result>\n`;
       });
       xml += `  </results>\n`;
     }
 
+    if (processedResults.suppressed && processedResults.suppressed.length > 0) {
+      xml += `  <suppressed-results>\n`;
+      processedResults.suppressed.forEach(result => {
+        xml += `    <result fingerprint="${result.fingerprint}">\n`;
+        xml += `      <type>${this.escapeXML(result.type)}</type>\n`;
+        xml += `      <criterion>${this.escapeXML(result.criterion)}</criterion>\n`;
+        xml += `      <title>${this.escapeXML(result.title)}</title>\n`;
+        if (result.element?.selector) {
+          xml += `      <element-selector>${this.escapeXML(result.element.selector)}</element-selector>\n`;
+        }
+        xml += `      <suppression owner="${this.escapeXML(result.suppression.owner)}" expires="${this.escapeXML(result.suppression.expires)}">${this.escapeXML(result.suppression.reason)}</suppression>\n`;
+        xml += `    </result>\n`;
+      });
+      xml += `  </suppressed-results>\n`;
+    }
+
     xml += '</wcag-report>';
     return xml;
   }
@@ -227,7 +320,8 @@ class ReportGenerator {
         url: results.url,
         summary: results.summary,
         checkedAt: results.checkedAt,
-        configuration: results.configuration
+        configuration: results.configuration,
+        manualReview: results.manualReview
       };
     } else if (Array.isArray(results)) {
       // Array of results
@@ -277,6 +371,84 @@ class ReportGenerator {
     `;
   }
 
+  conformanceToHTML(conformance) {
+    if (!conformance) return '';
+
+    const statement = conformance.conforms === true ? 'Yes'
+      : conformance.conforms === false ? `No &mdash; ${conformance.failedCriteria.length} criteria fail`
+        : 'Cannot be determined by automated checks alone';
+    const rows = conformance.criteria
+      .filter(criterion => criterion.verdict !== 'not-tested')
+      .map(criterion => `
+        <tr class="verdict-${criterion.verdict}">
+          <td>${this.escapeHTML(criterion.id)}</td>
+          <td>${this.escapeHTML(criterion.title)}</td>
+          <td>${criterion.level}</td>
+          <td>${criterion.verdict}${criterion.source === 'manual' ? ` <span class="verdict-source">(manual, automated: ${criterion.automatedVerdict})</span>` : ''}</td>
+        </tr>`)
+      .join('');
+
+    return `
+      <div class="conformance">
+        <p><strong>Conforms to WCAG ${this.escapeHTML(conformance.wcagVersion)} Level ${this.escapeHTML(conformance.level)}:</strong> ${statement}</p>
+        <p class="conformance-counts">${conformance.verdicts.pass} pass, ${conformance.verdicts.fail} fail, ${conformance.verdicts['cannot-tell']} cannot tell, ${conformance.verdicts['not-applicable']} not applicable, ${conformance.verdicts['not-tested']} not tested</p>
+        ${rows ? `<table class="conformance-table"><thead><tr><th>Criterion</th><th>Title</th><th>Level</th><th>Verdict</th></tr></thead><tbody>${rows}</tbody></table>` : ''}
+      </div>
+    `;
+  }
+
+  suppressedToHTML(suppressed) {
+    if (!suppressed || suppressed.length === 0) return '';
+
+    const rows = suppressed.map(result => `
+          <tr>
+            <td>${this.escapeHTML(result.criterion)}</td>
+            <td>${this.escapeHTML(result.title)}${result.element?.selector ? `<br><code>${this.escapeHTML(result.element.selector)}</code>` : ''}</td>
+            <td>${this.escapeHTML(result.suppression.reason)}</td>
+            <td>${this.escapeHTML(result.suppression.owner)}</td>
+            <td>${this.escapeHTML(result.suppression.expires)}</td>
+          </tr>`).join('');
+
+    return `
+        <div class="results-section">
+            <div class="results-header">
+                <h2>Suppressed Known Issues (${suppressed.length})</h2>
+            </div>
+            <div class="results-content">
+                <p class="conformance-counts">Accepted issues matched by a suppression. They are not counted in the summary or conformance.</p>
+                <table class="conformance-table"><thead><tr><th>Criterion</th><th>Issue</th><th>Reason</th><th>Owner</th><th>Expires</th></tr></thead><tbody>${rows}</tbody></table>
+            </div>
+        </div>
+    `;
+  }
+
+  manualReviewToHTML(manualReview) {
+    if (!manualReview || manualReview.length === 0) return '';
+
+    const items = manualReview.map(review => `
+      <div class="manual-review-item verdict-${review.verdict}">
+        <h3>${this.escapeHTML(review.criterion)} ${this.escapeHTML(review.title)}: ${this.escapeHTML(review.verdict)}</h3>
+        ${review.tester ? `<p><strong>Tested by:</strong> ${this.escapeHTML(review.tester)}</p>` : ''}
+        ${review.notes ? `<p>${this.escapeHTML(review.notes)}</p>` : ''}
+        ${(review.evidence || []).filter(evidence => evidence.image).map(evidence => `
+          <figure class="manual-review-evidence">
+            <img src="${this.escapeHTML(evidence.image)}" alt="${this.escapeHTML(evidence.caption || `Evidence for ${review.criterion}`)}">
+            ${evidence.caption ? `<figcaption>${this.escapeHTML(evidence.caption)}</figcaption>` : ''}
+          </figure>`).join('')}
+      </div>`).join('');
+
+    return `
+        <div class="results-section">
+            <div class="results-header">
+                <h2>Manual Review</h2>
+            </div>
+            <div class="results-content">
+                ${items}
+            </div>
+        </div>
+    `;
+  }
+
   getScoreColor(score) {
     if (score >= 80) return '#28a745';
     if (score >= 60) return '#ffc107';
@@ -428,6 +600,47 @@ class ReportGenerator {
             opacity: 0.9;
         }
         
+        .conformance {
+            margin-top: 1.5rem;
+        }
+        
+        .conformance-counts {
+            color: #6b7280;
+            margin-bottom: 1rem;
+        }
+        
+        .conformance-table {
+            width: 100%;
+            border-collapse: collapse;
+        }
+        
+        .conformance-table th,
+        .conformance-table td {
+            text-align: left;
+            padding: 0.4rem 0.75rem;
+            border-bottom: 1px solid #e5e7eb;
+        }
+        
+        .verdict-fail td:last-child { color: #b91c1c; font-weight: bold; }
+        .verdict-pass td:last-child { color: #15803d; }
+        .verdict-cannot-tell td:last-child { color: #92400e; }
+        
+        .verdict-source {
+            color: #6b7280;
+            font-size: 0.85rem;
+            font-weight: normal;
+        }
+        
+        .manual-review-item {
+            padding: 1rem 0;
+            border-bottom: 1px solid #e5e7eb;
+        }
+        
+        .manual-review-evidence img {
+            max-width: 100%;
+            border: 1px solid #e5e7eb;
+        }
+        
         .results-section {
             background: white;
             border-radius: 8px;
@@ -594,6 +807,7 @@ class ReportGenerator {
                     <span class="summary-value">{{SCORE}}%</span>
                     <span class="summary-label">Accessibility Score</span>
                 </div>
+                {{IMPACT_SCORE}}
                 <div class="summary-item">
                     <span class="summary-value">{{TOTAL_ISSUES}}</span>
                     <span class="summary-label">Total Issues</span>
@@ -611,8 +825,11 @@ class ReportGenerator {
                     <span class="summary-label">Passed</span>
                 </div>
             </div>
+            {{CONFORMANCE}}
         </div>
         
+        {{MANUAL_REVIEW}}
+        
         <div class="results-section">
             <div class="results-header">
                 <h2>Detailed Results</h2>
@@ -622,6 +839,8 @@ class ReportGenerator {
             </div>
         </div>
         
+        {{SUPPRESSED}}
+        
         <div class="footer">
             <p>Generated by WCAG Compliance Checker API</p>
         </div>
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger_utility');
+const builtinRules = require('./builtin_rules');
+
+const LEVELS = ['A', 'AA', 'AAA'];
+const VERSIONS = ['2.0', '2.1', '2.2'];
+
+/**
+ * Registry of accessibility rules. A rule is a plain object:
+ *
+ *   {
+ *     id: 'ds-button-variant',         unique id
+ *     description: '...',
+ *     criteria: ['4.1.2'],             WCAG success criteria it reports on
+ *     level: 'A',                      lowest conformance level it applies to
+ *     version: '2.0',                  WCAG version that introduced it
+ *     tags: ['design-system'],
+ *     order: 0,                        lower runs first (optional)
+ *     frames: true,                    also run inside iframes (optional)
+ *     evaluate: async (page, context, { checker }) => { ... }
+ *   }
+ *
+ * `evaluate` reports through `context.addResult(...)`. Which rules run is
+ * decided by the scan's WCAG version and level, plus optional `rules` (ids)
+ * and `tags` filters in the scan options.
+ *
+ * Rules with `frames: true` run again for every same-origin iframe, with the
+ * frame passed as `page`. Frames have no viewport or keyboard of their own, so
+ * only rules that inspect the document belong there.
+ */
+class RuleRegistry {
+  constructor() {
+    this.rules = new Map();
+  }
+
+  register(rule, options = {}) {
+    const { replace = false, source = 'custom' } = options;
+
+    this.validateRule(rule);
+
+    if (this.rules.has(rule.id) && !replace) {
+      throw new Error(`Rule "${rule.id}" is already registered`);
+    }
+
+    this.rules.set(rule.id, {
+      ...rule,
+      description: rule.description || '',
+      tags: rule.tags || [],
+      order: rule.order || 0,
+      frames: rule.frames === true,
+      source
+    });
+  }
+
+  unregister(id) {
+    return this.rules.delete(id);
+  }
+
+  get(id) {
+    return this.rules.get(id) || null;
+  }
+
+  getAll() {
+    return Array.from(this.rules.values());
+  }
+
+  validateRule(rule) {
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+      throw new Error('Rules require a string id');
+    }
+    if (!Array.isArray(rule.criteria) || rule.criteria.length === 0) {
+      throw new Error(`Rule "${rule.id}" must list the WCAG criteria it covers`);
+    }
+    if (!LEVELS.includes(rule.level)) {
+      throw new Error(`Rule "${rule.id}" has invalid level "${rule.level}"`);
+    }
+    if (!VERSIONS.includes(rule.version)) {
+      throw new Error(`Rule "${rule.id}" has invalid WCAG version "${rule.version}"`);
+    }
+    if (rule.tags !== undefined && !Array.isArray(rule.tags)) {
+      throw new Error(`Rule "${rule.id}" tags must be an array`);
+    }
+    if (typeof rule.evaluate !== 'function') {
+      throw new Error(`Rule "${rule.id}" requires an evaluate function`);
+    }
+  }
+
+  /**
+   * Rules that apply to a scan, in run order.
+   */
+  getApplicableRules(context) {
+    const { rules: ruleIds = null, tags = null } = context.options;
+
+    return this.getAll()
+      .filter(rule => context.shouldCheckCriterion({ version: rule.version, level: rule.level }))
+      .filter(rule => !ruleIds || ruleIds.includes(rule.id))
+      .filter(rule => !tags || rule.tags.some(tag => tags.includes(tag)))
+      .map((rule, index) => ({ rule, index }))
+      .sort((a, b) => a.rule.order - b.rule.order || a.index - b.index)
+      .map(({ rule }) => rule);
+  }
+
+  /**
+   * Load rules from every .js file in a directory. Each file exports a rule,
+   * an array of rules, or an object with a `rules` array.
+   */
+  loadFromDirectory(directory) {
+    const resolved = path.resolve(directory);
+    const files = fs.readdirSync(resolved)
+      .filter(file => file.endsWith('.js'))
+      .sort();
+
+    let loaded = 0;
+    for (const file of files) {
+      loaded += this.registerModule(require(path.join(resolved, file)), file);
+    }
+
+    logger.info(`Loaded ${loaded} rules from ${resolved}`);
+    return loaded;
+  }
+
+  /**
+   * Load rules from an installed npm package, resolved from the working
+   * directory. The package exports rules the same way as a rules file.
+   */
+  loadFromPackage(packageName) {
+    const modulePath = require.resolve(packageName, { paths: [process.cwd()] });
+    const loaded = this.registerModule(require(modulePath), packageName);
+
+    logger.info(`Loaded ${loaded} rules from package ${packageName}`);
+    return loaded;
+  }
+
+  registerModule(exported, source) {
+    const rules = Array.isArray(exported)
+      ? exported
+      : exported && Array.isArray(exported.rules)
+        ? exported.rules
+        : [exported];
+
+    rules.forEach(rule => this.register(rule, { source }));
+    return rules.length;
+  }
+}
+
+const ruleRegistry = new RuleRegistry();
+builtinRules.forEach(rule => ruleRegistry.register(rule, { source: 'builtin' }));
+
+// Custom rules configured for this deployment
+if (process.env.WCAG_RULES_DIR) {
+  try {
+    ruleRegistry.loadFromDirectory(process.env.WCAG_RULES_DIR);
+  } catch (error) {
+    logger.error(`Failed to load rules from ${process.env.WCAG_RULES_DIR}:`, error);
+  }
+}
+
+(process.env.WCAG_RULE_PACKAGES || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean)
+  .forEach(packageName => {
+    try {
+      ruleRegistry.loadFromPackage(packageName);
+    } catch (error) {
+      logger.error(`Failed to load rules from package ${packageName}:`, error);
+    }
+  });
+
+module.exports = ruleRegistry;
+module.exports.RuleRegistry = RuleRegistry;
@@ -0,0 +1,307 @@
+const wcagCriteria = require('./wcag_criteria_data');
+const ConformanceEvaluator = require('./conformance_evaluator');
+const SuppressionList = require('./suppression_list');
+
+const LEVELS = ['A', 'AA', 'AAA'];
+
+const conformanceEvaluator = new ConformanceEvaluator();
+
+/**
+ * Configuration, results and progress for a single scan. Every check receives
+ * the context of the scan it belongs to, so scans sharing one checker
+ * instance never see each other's state.
+ */
+class ScanContext {
+  constructor(options = {}) {
+    this.wcagVersion = options.wcagVersion || '2.1';
+    this.complianceLevel = options.complianceLevel || 'AA';
+    this.options = options;
+    this.state = options.state || null;
+    this.viewport = null;
+    this.framePath = null;
+    this.rule = null;
+    this.source = null;
+    this.viewportsChecked = [];
+    this.results = [];
+    this.suppressed = [];
+    this.rulesRun = [];
+    this.criteriaTested = new Set();
+    this.skipped = [];
+    this.ruleSkipped = new Set();
+    this.artifacts = {};
+    this.resultIndex = new Map();
+    this.keyOccurrences = new Map();
+    this.totalChecks = 0;
+    this.completedChecks = 0;
+    this.startedAt = new Date().toISOString();
+  }
+
+  static getWCAGInfo(criterionId) {
+    const parts = criterionId.split('.');
+    if (parts.length >= 2) {
+      const guideline = parts[0] + '.' + parts[1];
+
+      if (wcagCriteria[guideline] && wcagCriteria[guideline].criteria[criterionId]) {
+        const criterion = wcagCriteria[guideline].criteria[criterionId];
+        return {
+          guideline: wcagCriteria[guideline].title,
+          level: criterion.level,
+          version: criterion.version,
+          description: criterion.description
+        };
+      }
+    }
+
+    return null;
+  }
+
+  shouldCheckCriterion(criterion) {
+    const versionNum = parseFloat(criterion.version);
+    const currentVersionNum = parseFloat(this.wcagVersion);
+
+    if (versionNum > currentVersionNum) return false;
+
+    const criterionLevelIndex = LEVELS.indexOf(criterion.level);
+    const currentLevelIndex = LEVELS.indexOf(this.complianceLevel);
+
+    return criterionLevelIndex <= currentLevelIndex;
+  }
+
+  calculateTotalChecks() {
+    let count = 0;
+    Object.values(wcagCriteria).forEach(guideline => {
+      Object.values(guideline.criteria).forEach(criterion => {
+        if (this.shouldCheckCriterion(criterion)) {
+          count++;
+        }
+      });
+    });
+    this.totalChecks = count;
+    return count;
+  }
+
+  /**
+   * Switch the viewport profile subsequent results are attributed to. The
+   * same finding reported again under another viewport is merged into the
+   * existing result's `viewports` list instead of being duplicated.
+   */
+  setViewport(profile) {
+    this.viewport = profile;
+    this.keyOccurrences = new Map();
+    if (!this.viewportsChecked.some(checked => checked.id === profile.id)) {
+      this.viewportsChecked.push(profile);
+    }
+  }
+
+  /**
+   * Attribute subsequent results to an iframe, identified by the selectors of
+   * the iframe elements leading to it (e.g. `#checkout-frame`), or back to the
+   * top-level document with null.
+   */
+  setFrame(framePath) {
+    this.framePath = framePath || null;
+  }
+
+  /**
+   * Attribute subsequent results to a rule, which becomes part of their
+   * fingerprint, or to no rule with null.
+   */
+  setRule(ruleId) {
+    this.rule = ruleId || null;
+    this.ruleSkipped = new Set();
+  }
+
+  /**
+   * Keep the HTML the server sent (or the HTML passed in) for checks that
+   * parse markup rather than inspect the rendered DOM.
+   */
+  setSource(html) {
+    this.source = typeof html === 'string' ? html : null;
+  }
+
+  /**
+   * Record that a rule covering these criteria ran to completion, so
+   * criteria it found nothing for count as not applicable rather than
+   * not tested.
+   */
+  markCriteriaTested(criteria) {
+    criteria.forEach(criterion => this.criteriaTested.add(criterion));
+  }
+
+  /**
+   * Record that the current rule did not test these criteria, for example
+   * because an opt-in check is turned off. The rule's run then doesn't mark
+   * them as tested, so they stay not-tested instead of not applicable.
+   */
+  markSkipped(criteria, reason) {
+    criteria.forEach(criterion => this.ruleSkipped.add(criterion));
+    if (!this.skipped.some(skip => skip.rule === this.rule && skip.reason === reason)) {
+      this.skipped.push({ rule: this.rule, criteria, reason });
+    }
+  }
+
+  /**
+   * Criteria the current rule covers minus those it skipped.
+   */
+  getCriteriaRun(criteria) {
+    return criteria.filter(criterion => !this.ruleSkipped.has(criterion));
+  }
+
+  // Skips that left a criterion untested; a check skipped in one viewport
+  // but run in another tested its criteria after all
+  getSkippedChecks() {
+    return this.skipped
+      .map(skip => ({ ...skip, criteria: skip.criteria.filter(criterion => !this.criteriaTested.has(criterion)) }))
+      .filter(skip => skip.criteria.length > 0);
+  }
+
+  addResult(type, criterion, title, description, element, suggestion) {
+    const wcagInfo = ScanContext.getWCAGInfo(criterion);
+
+    // Rules covering several criteria only report those in scope for this scan
+    if (wcagInfo && !this.shouldCheckCriterion(wcagInfo)) {
+      return null;
+    }
+
+    // Selectors inside a frame only resolve in that frame's document
+    if (this.framePath) {
+      element = { ...(element || {}), framePath: this.framePath };
+    }
+
+    const result = {
+      type,
+      criterion,
+      title,
+      description,
+      element,
+      suggestion,
+      wcagInfo,
+      rule: this.rule,
+      timestamp: new Date().toISOString()
+    };
+    result.fingerprint = SuppressionList.fingerprint(result);
+
+    // Flow scans tag every result with the interactive state it was found in
+    if (this.state) {
+      result.state = this.state;
+    }
+
+    if (this.viewport) {
+      // The nth identical finding in this viewport matches the nth one already
+      // recorded, so repeated elements (e.g. several tables) stay separate
+      const key = [type, criterion, title, description, element?.framePath || '', element?.selector || ''].join('|');
+      const occurrence = this.keyOccurrences.get(key) || 0;
+      this.keyOccurrences.set(key, occurrence + 1);
+
+      const matches = this.resultIndex.get(key) || [];
+      const existing = matches[occurrence];
+      if (existing) {
+        if (!existing.viewports.includes(this.viewport.id)) {
+          existing.viewports.push(this.viewport.id);
+        }
+        return existing;
+      }
+
+      result.viewports = [this.viewport.id];
+      matches.push(result);
+      this.resultIndex.set(key, matches);
+    }
+
+    this.results.push(result);
+    return result;
+  }
+
+  /**
+   * Report that the page has nothing a criterion applies to, such as no
+   * tables. A criterion with only these results is not applicable rather
+   * than left for review.
+   */
+  addNotApplicable(criterion, title, description, suggestion) {
+    const result = this.addResult('info', criterion, title, description, null, suggestion);
+    if (result) {
+      result.notApplicable = true;
+    }
+    return result;
+  }
+
+  /**
+   * Store supporting data a check produced (e.g. the recorded tab sequence),
+   * keyed by the viewport it was captured in.
+   */
+  setArtifact(name, value) {
+    if (!this.artifacts[name]) {
+      this.artifacts[name] = {};
+    }
+    this.artifacts[name][this.viewport ? this.viewport.id : 'default'] = value;
+  }
+
+  /**
+   * Move results matched by a current suppression out of `results` into
+   * `suppressed`, so they no longer count towards the summary or
+   * conformance. Call once, after all checks have run.
+   */
+  applySuppressions(suppressionList, url = null) {
+    if (!suppressionList || suppressionList.entries.length === 0) return;
+
+    const { active, suppressed } = suppressionList.apply(this.results, { url });
+    this.results = active;
+    this.suppressed = suppressed;
+  }
+
+  getResultsSummary() {
+    const summary = {
+      total: this.results.length,
+      errors: this.results.filter(r => r.type === 'error').length,
+      warnings: this.results.filter(r => r.type === 'warning').length,
+      passed: this.results.filter(r => r.type === 'success').length,
+      info: this.results.filter(r => r.type === 'info').length,
+      suppressed: this.suppressed.length,
+      expiredSuppressions: this.results.filter(r => r.suppressionExpired).length
+    };
+
+    summary.conformance = conformanceEvaluator.evaluate(this.results, {
+      wcagVersion: this.wcagVersion,
+      complianceLevel: this.complianceLevel,
+      criteriaTested: Array.from(this.criteriaTested)
+    });
+    summary.score = summary.total > 0 ?
+      Math.round(((summary.passed + (summary.info * 0.5)) / summary.total) * 100) : 100;
+
+    // Opt-in, reported next to conformance rather than replacing `score`
+    if (this.options.impactScore) {
+      summary.impactScore = conformanceEvaluator.getImpactScore(summary.conformance);
+    }
+    summary.skippedChecks = this.getSkippedChecks();
+
+    return summary;
+  }
+
+  getViewportSummaries() {
+    return this.viewportsChecked.map(profile => {
+      const results = this.results.filter(r => r.viewports && r.viewports.includes(profile.id));
+      return {
+        id: profile.id,
+        name: profile.name,
+        width: profile.viewport.width,
+        height: profile.viewport.height,
+        isMobile: profile.viewport.isMobile,
+        total: results.length,
+        errors: results.filter(r => r.type === 'error').length,
+        warnings: results.filter(r => r.type === 'warning').length,
+        onlyInThisViewport: results.filter(r => r.viewports.length === 1 &&
+          (r.type === 'error' || r.type === 'warning')).length
+      };
+    });
+  }
+
+  getConfiguration() {
+    return {
+      wcagVersion: this.wcagVersion,
+      complianceLevel: this.complianceLevel,
+      contrastMode: this.options.contrastMode || 'auto',
+      rules: this.rulesRun
+    };
+  }
+}
+
+module.exports = ScanContext;
@@ -0,0 +1,124 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const logger = require('./logger_utility');
+
+/**
+ * Keeps scan reports on disk so people can come back to them, for example to
+ * record manual review verdicts. Each scan is one JSON file:
+ *
+ *   {
+ *     id: '9b2f...',                  uuid, also the file name
+ *     kind: 'url',                    'url', 'html', 'batch', 'site' or 'flow'
+ *     createdAt, updatedAt,
+ *     report: { ... },                what checkURL/checkHTML returned
+ *     manualVerdicts: {               keyed by success criterion
+ *       '1.3.3': { verdict, notes, tester, evidence: [...], recordedAt }
+ *     }
+ *   }
+ *
+ * Only the newest `maxScans` scans are kept.
+ */
+class ScanStore {
+  constructor(config = {}) {
+    this.directory = config.directory || path.join(process.cwd(), 'data', 'scans');
+    this.maxScans = config.maxScans || 500;
+    // Writes to the same scan run one after another
+    this.pending = new Map();
+  }
+
+  async save(report, kind) {
+    // The page source can be large and is not needed to review the results
+    const { originalHtml, ...stored } = report;
+    if (Array.isArray(stored.results)) {
+      stored.results = stored.results.map(result => {
+        if (!result || result.originalHtml === undefined) return result;
+        const { originalHtml: pageHtml, ...pageReport } = result;
+        return pageReport;
+      });
+    }
+    const now = new Date().toISOString();
+    const record = {
+      id: uuidv4(),
+      kind,
+      createdAt: now,
+      updatedAt: now,
+      report: stored,
+      manualVerdicts: {}
+    };
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await this.write(record);
+    await this.prune().catch(error => logger.warn('Failed to prune stored scans:', error));
+    return record;
+  }
+
+  async get(id) {
+    if (!isUuid(id)) return null;
+
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Change a stored scan with `updater(record)`, which edits the record in
+   * place. Resolves with the saved record, or null if there is no such scan.
+   */
+  update(id, updater) {
+    const previous = this.pending.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const record = await this.get(id);
+      if (!record) return null;
+
+      updater(record);
+      record.updatedAt = new Date().toISOString();
+      await this.write(record);
+      return record;
+    });
+
+    this.pending.set(id, next);
+    next.finally(() => {
+      if (this.pending.get(id) === next) this.pending.delete(id);
+    }).catch(() => {});
+    return next;
+  }
+
+  async write(record) {
+    // Write then rename, so a crash never leaves half a file behind
+    const file = this.filePath(record.id);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(record));
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  async prune() {
+    const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    if (files.length <= this.maxScans) return;
+
+    const dated = await Promise.all(files.map(async file => ({
+      file,
+      modified: (await fs.stat(path.join(this.directory, file))).mtimeMs
+    })));
+    dated.sort((a, b) => a.modified - b.modified);
+
+    for (const { file } of dated.slice(0, files.length - this.maxScans)) {
+      await fs.unlink(path.join(this.directory, file)).catch(() => {});
+    }
+  }
+
+  filePath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+}
+
+// Process-wide store used by the API
+const scanStore = new ScanStore({
+  directory: process.env.SCAN_STORE_DIR,
+  maxScans: parseInt(process.env.SCAN_STORE_MAX_SCANS) || 500
+});
+
+module.exports = scanStore;
+module.exports.ScanStore = ScanStore;
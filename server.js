@@ -8,6 +8,14 @@ const WCAGComplianceChecker = require('./wcag_compliance_checker');
 const logger = require('./logger_utility');
 const AIRemediationAgent = require('./ai_remediation_agent');
 const ParallelRemediationManager = require('./parallel_remediation_manager');
+const PageStepRunner = require('./page_step_runner');
+const browserPool = require('./browser_pool_manager');
+const { profiles: viewportProfiles, resolveViewportProfiles } = require('./viewport_profiles_data');
+const ruleRegistry = require('./rule_registry');
+const scanStore = require('./scan_store');
+const ManualReviewChecklist = require('./manual_review_checklist');
+const suppressionStore = require('./suppression_store');
+const SuppressionList = require('./suppression_list');
 
 require('dotenv').config();
 
@@ -50,6 +58,169 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+const isValidPattern = (value) => {
+  try {
+    new RegExp(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Request headers, cookies, basic auth and login steps for scanning pages
+// behind a login. Shared by every endpoint that navigates to URLs.
+const authValidators = [
+  body('headers').optional().isObject().withMessage('Headers must be an object'),
+  body('headers.*').optional().isString().withMessage('Header values must be strings'),
+  body('cookies').optional().isArray({ max: 50 }),
+  body('cookies.*.name').isString().notEmpty().withMessage('Each cookie needs a name'),
+  body('cookies.*.value').isString().withMessage('Each cookie needs a string value'),
+  body('basicAuth').optional().isObject(),
+  body('basicAuth.username').if(body('basicAuth').exists()).isString().notEmpty(),
+  body('basicAuth.password').if(body('basicAuth').exists()).isString(),
+  body('loginSteps').optional().isArray({ min: 1, max: 20 }),
+  body('loginSteps.*.action').isIn(PageStepRunner.actions).withMessage('Invalid login step action'),
+  body('loginSteps.*.url').optional().isURL(),
+  body('loginSteps.*.selector').optional().isString(),
+  body('loginSteps.*.timeout').optional().isInt({ min: 100, max: 120000 })
+];
+
+const isValidViewport = (value) => {
+  try {
+    const [profile] = resolveViewportProfiles([value]);
+    return profile.viewport.width >= 200 && profile.viewport.width <= 3840 &&
+      profile.viewport.height >= 200 && profile.viewport.height <= 3840;
+  } catch (error) {
+    return false;
+  }
+};
+
+const VIEWPORT_MESSAGE = `Viewports must be one of ${Object.keys(viewportProfiles).join(', ')} ` +
+  'or a { width, height } object between 200 and 3840px';
+
+// Viewport profile ids or custom { width, height, isMobile, hasTouch } objects
+const viewportValidators = [
+  body('viewports').optional().isArray({ min: 1, max: 5 }),
+  body('viewports.*').custom(isValidViewport).withMessage(VIEWPORT_MESSAGE)
+];
+
+// Restrict a scan to registered rule ids or rule tags
+const ruleValidators = [
+  body('rules').optional().isArray({ min: 1 }),
+  body('rules.*').isString().custom(id => !!ruleRegistry.get(id)).withMessage('Unknown rule id'),
+  body('tags').optional().isArray({ min: 1 }),
+  body('tags.*').isString()
+];
+
+const getRuleOptions = (reqBody) => ({
+  rules: reqBody.rules || null,
+  tags: reqBody.tags || null
+});
+
+// How text contrast backgrounds are found: CSS colors, screenshots, or
+// screenshots only where CSS can't tell
+const contrastValidators = [
+  body('contrastMode').optional().isIn(['css', 'pixels', 'auto']).withMessage('Invalid contrast mode')
+];
+
+// How long to record the page for 2.3.1 flash analysis; 0 skips it
+const flashValidators = [
+  body('flashObservationMs').optional().isInt({ min: 0, max: 30000 }).withMessage('Flash observation must be 0-30000 ms')
+];
+
+// Known issues to leave out of pass/fail: the stored suppressions and the
+// baseline file apply unless `applySuppressions` is false, and requests can
+// add their own entries in `suppressions`
+const suppressionValidators = [
+  body('applySuppressions').optional().isBoolean(),
+  body('suppressions').optional().isArray({ max: 1000 }),
+  body('suppressions.*').custom(entry => SuppressionList.validate(entry) && true)
+];
+
+const getSuppressionOptions = async (reqBody) => {
+  const request = new SuppressionList(reqBody.suppressions || []);
+  if (reqBody.applySuppressions === false) {
+    return { suppressions: request };
+  }
+  return { suppressions: (await suppressionStore.getSuppressionList()).merge(request) };
+};
+
+// Adds the impact-weighted score of the conformance verdicts as `impactScore`
+const scoreValidators = [
+  body('impactScore').optional().isBoolean()
+];
+
+// Stored scans are addressed by the uuid returned as `scanId`
+const scanIdValidators = [
+  param('scanId').isUUID().withMessage('Invalid scan id')
+];
+
+// Manual verdicts are keyed by success criterion, e.g. 1.4.3
+const criterionValidators = [
+  param('criterion').matches(/^\d\.\d{1,2}\.\d{1,2}$/).withMessage('Invalid success criterion')
+];
+
+const manualReview = new ManualReviewChecklist();
+
+// Evidence arrives base64-encoded in the JSON body, so the most images a
+// verdict allows, at their largest, must fit in the 10mb body limit
+const MAX_EVIDENCE_IMAGES = 5;
+const MAX_EVIDENCE_DATA_URL_LENGTH = 1.5 * 1024 * 1024;
+
+// A failure to store the scan should not fail the check itself
+const storeScan = async (results, kind) => {
+  try {
+    return (await scanStore.save(results, kind)).id;
+  } catch (error) {
+    logger.warn('Failed to store scan:', error);
+    return null;
+  }
+};
+
+// Batch, site and flow reports nest their results per page or state, and
+// their summaries count differently; exports expect one list of results
+const toExportReport = (scan, report) => {
+  if (['url', 'html'].includes(scan.kind)) return report;
+
+  const results = manualReview.collectResults(scan.report);
+  const count = type => results.filter(result => result.type === type).length;
+  return {
+    ...report,
+    results,
+    summary: {
+      ...report.summary,
+      total: results.length,
+      errors: count('error'),
+      warnings: count('warning'),
+      passed: count('success'),
+      info: count('info'),
+      score: report.summary.averageScore ?? report.summary.lowestScore ?? 100
+    }
+  };
+};
+
+const loadScan = async (req, res) => {
+  const scan = await scanStore.get(req.params.scanId);
+  if (!scan) {
+    res.status(404).json({
+      success: false,
+      error: 'Scan not found',
+      message: `No stored scan with id ${req.params.scanId}`
+    });
+  }
+  return scan;
+};
+
+// Credentials are passed to the checker but never echoed back in responses
+const getAuthOptions = (reqBody) => {
+  const auth = {};
+  if (reqBody.headers) auth.headers = reqBody.headers;
+  if (reqBody.cookies) auth.cookies = reqBody.cookies;
+  if (reqBody.basicAuth) auth.basicAuth = reqBody.basicAuth;
+  if (reqBody.loginSteps) auth.loginSteps = reqBody.loginSteps;
+  return auth;
+};
+
 // Routes
 
 /**
@@ -61,7 +232,8 @@ app.get('/api/health', (req, res) => {
     success: true,
     message: 'WCAG Compliance Checker API is running',
     timestamp: new Date().toISOString(),
-    version: require('./package.json').version
+    version: require('./package.json').version,
+    browserPool: browserPool.getStatistics()
   });
 });
 
@@ -95,6 +267,30 @@ app.get('/api/wcag-criteria', [
   }
 });
 
+/**
+ * GET /api/rules
+ * List registered rules, built-in and custom
+ */
+app.get('/api/rules', [
+  query('version').optional().isIn(['2.0', '2.1', '2.2']),
+  query('level').optional().isIn(['A', 'AA', 'AAA']),
+  query('tag').optional().isString()
+], handleValidationErrors, (req, res) => {
+  const checker = new WCAGComplianceChecker();
+
+  const rules = ruleRegistry.getAll()
+    .filter(rule => !req.query.version || parseFloat(rule.version) <= parseFloat(req.query.version))
+    .filter(rule => !req.query.level || checker.isLevelIncluded(rule.level, req.query.level))
+    .filter(rule => !req.query.tag || rule.tags.includes(req.query.tag))
+    .map(({ evaluate, ...rule }) => rule);
+
+  res.json({
+    success: true,
+    data: rules,
+    total: rules.length
+  });
+});
+
 /**
  * POST /api/check/url
  * Check accessibility compliance for a URL
@@ -105,7 +301,16 @@ app.post('/api/check/url', [
   body('complianceLevel').optional().isIn(['A', 'AA', 'AAA']).withMessage('Invalid compliance level'),
   body('includeScreenshots').optional().isBoolean(),
   body('waitForNetworkIdle').optional().isBoolean(),
-  body('timeout').optional().isInt({ min: 1000, max: 120000 })
+  body('timeout').optional().isInt({ min: 1000, max: 120000 }),
+  body('keyboardTraversal').optional().isBoolean(),
+  body('formErrorProbe').optional().isBoolean(),
+  ...viewportValidators,
+  ...ruleValidators,
+  ...contrastValidators,
+  ...flashValidators,
+  ...scoreValidators,
+  ...suppressionValidators,
+  ...authValidators
 ], handleValidationErrors, async (req, res) => {
   const checker = new WCAGComplianceChecker();
   
@@ -115,14 +320,27 @@ app.post('/api/check/url', [
       complianceLevel: req.body.complianceLevel || 'AA',
       includeScreenshots: req.body.includeScreenshots || false,
       waitForNetworkIdle: req.body.waitForNetworkIdle || true,
-      timeout: req.body.timeout || 60000
+      timeout: req.body.timeout || 60000,
+      keyboardTraversal: req.body.keyboardTraversal !== false,
+      formErrorProbe: req.body.formErrorProbe === true,
+      viewports: req.body.viewports || null,
+      contrastMode: req.body.contrastMode || 'auto',
+      flashObservationMs: req.body.flashObservationMs,
+      impactScore: req.body.impactScore === true,
+      ...getRuleOptions(req.body)
     };
 
     logger.info(`Starting URL check for: ${req.body.url}`);
-    const results = await checker.checkURL(req.body.url, options);
+    const results = await checker.checkURL(req.body.url, {
+      ...options,
+      ...await getSuppressionOptions(req.body),
+      ...getAuthOptions(req.body)
+    });
+    const scanId = await storeScan(results, 'url');
     
     res.json({
       success: true,
+      scanId,
       data: results,
       originalHtml: results.originalHtml,
       metadata: {
@@ -152,8 +370,15 @@ app.post('/api/check/html', [
   body('wcagVersion').optional().isIn(['2.0', '2.1', '2.2']),
   body('complianceLevel').optional().isIn(['A', 'AA', 'AAA']),
   // body('baseUrl').optional().isURL()
-  body('baseUrl').optional().isURL({ require_tld: false })
-
+  body('baseUrl').optional().isURL({ require_tld: false }),
+  body('keyboardTraversal').optional().isBoolean(),
+  body('formErrorProbe').optional().isBoolean(),
+  ...viewportValidators,
+  ...ruleValidators,
+  ...contrastValidators,
+  ...flashValidators,
+  ...scoreValidators,
+  ...suppressionValidators
 ], handleValidationErrors, async (req, res) => {
   const checker = new WCAGComplianceChecker();
   
@@ -161,14 +386,26 @@ app.post('/api/check/html', [
     const options = {
       wcagVersion: req.body.wcagVersion || '2.1',
       complianceLevel: req.body.complianceLevel || 'AA',
-      baseUrl: req.body.baseUrl
+      baseUrl: req.body.baseUrl,
+      keyboardTraversal: req.body.keyboardTraversal !== false,
+      formErrorProbe: req.body.formErrorProbe === true,
+      viewports: req.body.viewports || null,
+      contrastMode: req.body.contrastMode || 'auto',
+      flashObservationMs: req.body.flashObservationMs,
+      impactScore: req.body.impactScore === true,
+      ...getRuleOptions(req.body)
     };
 
     logger.info('Starting HTML content check');
-    const results = await checker.checkHTML(req.body.html, options);
+    const results = await checker.checkHTML(req.body.html, {
+      ...options,
+      ...await getSuppressionOptions(req.body)
+    });
+    const scanId = await storeScan(results, 'html');
     
     res.json({
       success: true,
+      scanId,
       data: results,
       originalHtml: req.body.html,
       metadata: {
@@ -198,7 +435,14 @@ app.post('/api/check/batch', [
   body('urls.*').isURL().withMessage('All URLs must be valid'),
   body('wcagVersion').optional().isIn(['2.0', '2.1', '2.2']),
   body('complianceLevel').optional().isIn(['A', 'AA', 'AAA']),
-  body('concurrent').optional().isInt({ min: 1, max: 3 })
+  body('concurrent').optional().isInt({ min: 1, max: 3 }),
+  ...viewportValidators,
+  ...ruleValidators,
+  ...contrastValidators,
+  ...flashValidators,
+  ...scoreValidators,
+  ...suppressionValidators,
+  ...authValidators
 ], handleValidationErrors, async (req, res) => {
   const checker = new WCAGComplianceChecker();
   
@@ -206,14 +450,25 @@ app.post('/api/check/batch', [
     const options = {
       wcagVersion: req.body.wcagVersion || '2.1',
       complianceLevel: req.body.complianceLevel || 'AA',
-      concurrent: req.body.concurrent || 2
+      concurrent: req.body.concurrent || 2,
+      viewports: req.body.viewports || null,
+      contrastMode: req.body.contrastMode || 'auto',
+      flashObservationMs: req.body.flashObservationMs,
+      impactScore: req.body.impactScore === true,
+      ...getRuleOptions(req.body)
     };
 
     logger.info(`Starting batch check for ${req.body.urls.length} URLs`);
-    const results = await checker.checkBatch(req.body.urls, options);
+    const results = await checker.checkBatch(req.body.urls, {
+      ...options,
+      ...await getSuppressionOptions(req.body),
+      ...getAuthOptions(req.body)
+    });
+    const scanId = await storeScan(results, 'batch');
     
     res.json({
       success: true,
+      scanId,
       data: results,
       metadata: {
         totalUrls: req.body.urls.length,
@@ -233,6 +488,157 @@ app.post('/api/check/batch', [
   }
 });
 
+/**
+ * POST /api/check/flow
+ * Check a page in every state of a scripted user flow
+ */
+app.post('/api/check/flow', [
+  body('url').isURL().withMessage('Valid URL is required'),
+  body('steps').isArray({ min: 1, max: 30 }).withMessage('Steps array is required (max 30)'),
+  body('steps.*.action').isIn(PageStepRunner.actions).withMessage('Invalid flow step action'),
+  body('steps.*.name').optional().isString(),
+  body('steps.*.selector').optional().isString(),
+  body('steps.*.key').optional().isString(),
+  body('steps.*.duration').optional().isInt({ min: 0, max: 30000 }),
+  body('steps.*.snapshot').optional().isBoolean(),
+  body('wcagVersion').optional().isIn(['2.0', '2.1', '2.2']),
+  body('complianceLevel').optional().isIn(['A', 'AA', 'AAA']),
+  body('includeScreenshots').optional().isBoolean(),
+  body('timeout').optional().isInt({ min: 1000, max: 120000 }),
+  body('viewport').optional().custom(isValidViewport).withMessage(VIEWPORT_MESSAGE),
+  body('keyboardTraversal').optional().isBoolean(),
+  body('formErrorProbe').optional().isBoolean(),
+  ...ruleValidators,
+  ...contrastValidators,
+  ...flashValidators,
+  ...scoreValidators,
+  ...suppressionValidators,
+  ...authValidators
+], handleValidationErrors, async (req, res) => {
+  const checker = new WCAGComplianceChecker();
+
+  try {
+    const options = {
+      wcagVersion: req.body.wcagVersion || '2.1',
+      complianceLevel: req.body.complianceLevel || 'AA',
+      includeScreenshots: req.body.includeScreenshots || false,
+      timeout: req.body.timeout || 60000,
+      viewport: req.body.viewport || null,
+      keyboardTraversal: req.body.keyboardTraversal === true,
+      formErrorProbe: req.body.formErrorProbe === true,
+      contrastMode: req.body.contrastMode || 'auto',
+      flashObservationMs: req.body.flashObservationMs,
+      impactScore: req.body.impactScore === true,
+      ...getRuleOptions(req.body)
+    };
+
+    logger.info(`Starting flow check for: ${req.body.url} (${req.body.steps.length} steps)`);
+    const results = await checker.checkFlow(req.body.url, req.body.steps, {
+      ...options,
+      ...await getSuppressionOptions(req.body),
+      ...getAuthOptions(req.body)
+    });
+    const scanId = await storeScan(results, 'flow');
+
+    res.json({
+      success: true,
+      scanId,
+      data: results,
+      metadata: {
+        url: req.body.url,
+        states: results.states.length,
+        checkedAt: new Date().toISOString(),
+        options
+      }
+    });
+  } catch (error) {
+    logger.error('Flow check failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Flow accessibility check failed',
+      message: error.message
+    });
+  } finally {
+    await checker.cleanup();
+  }
+});
+
+/**
+ * POST /api/check/site
+ * Crawl a site from a start URL or sitemap and check every discovered page
+ */
+app.post('/api/check/site', [
+  body('url').isURL().withMessage('Valid start URL is required'),
+  body('sitemapUrl').optional().isURL().withMessage('Sitemap URL must be valid'),
+  body('wcagVersion').optional().isIn(['2.0', '2.1', '2.2']),
+  body('complianceLevel').optional().isIn(['A', 'AA', 'AAA']),
+  body('maxDepth').optional().isInt({ min: 0, max: 5 }),
+  body('maxPages').optional().isInt({ min: 1, max: 200 }),
+  body('include').optional().isArray(),
+  body('include.*').isString().custom(isValidPattern).withMessage('Include patterns must be valid regular expressions'),
+  body('exclude').optional().isArray(),
+  body('exclude.*').isString().custom(isValidPattern).withMessage('Exclude patterns must be valid regular expressions'),
+  body('respectRobotsTxt').optional().isBoolean(),
+  body('concurrent').optional().isInt({ min: 1, max: 3 }),
+  ...viewportValidators,
+  ...ruleValidators,
+  ...contrastValidators,
+  ...flashValidators,
+  ...scoreValidators,
+  ...suppressionValidators,
+  ...authValidators
+], handleValidationErrors, async (req, res) => {
+  const checker = new WCAGComplianceChecker();
+
+  try {
+    const options = {
+      wcagVersion: req.body.wcagVersion || '2.1',
+      complianceLevel: req.body.complianceLevel || 'AA',
+      sitemapUrl: req.body.sitemapUrl || null,
+      maxDepth: req.body.maxDepth !== undefined ? req.body.maxDepth : 2,
+      maxPages: req.body.maxPages || 25,
+      include: req.body.include || [],
+      exclude: req.body.exclude || [],
+      respectRobotsTxt: req.body.respectRobotsTxt !== false,
+      concurrent: req.body.concurrent || 2,
+      viewports: req.body.viewports || null,
+      contrastMode: req.body.contrastMode || 'auto',
+      flashObservationMs: req.body.flashObservationMs,
+      impactScore: req.body.impactScore === true,
+      ...getRuleOptions(req.body)
+    };
+
+    logger.info(`Starting site crawl from: ${req.body.url}`);
+    const results = await checker.checkSite(req.body.url, {
+      ...options,
+      ...await getSuppressionOptions(req.body),
+      ...getAuthOptions(req.body)
+    });
+    const scanId = await storeScan(results, 'site');
+
+    res.json({
+      success: true,
+      scanId,
+      data: results,
+      metadata: {
+        startUrl: req.body.url,
+        pagesChecked: results.pages.length,
+        checkedAt: new Date().toISOString(),
+        options
+      }
+    });
+  } catch (error) {
+    logger.error('Site check failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Site accessibility check failed',
+      message: error.message
+    });
+  } finally {
+    await checker.cleanup();
+  }
+});
+
 /**
  * POST /api/export
  * Export results in various formats
@@ -284,6 +690,357 @@ app.post('/api/export', [
   }
 });
 
+/**
+ * GET /api/scans/:scanId
+ * Get a stored scan, with manual review verdicts merged into its summary
+ */
+app.get('/api/scans/:scanId', scanIdValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const scan = await loadScan(req, res);
+    if (!scan) return;
+
+    const report = manualReview.applyToReport(scan.report, scan.manualVerdicts);
+    res.json({
+      success: true,
+      data: {
+        scanId: scan.id,
+        kind: scan.kind,
+        createdAt: scan.createdAt,
+        updatedAt: scan.updatedAt,
+        ...report,
+        // Evidence images are served separately from /evidence
+        manualReview: report.manualReview && report.manualReview.map(review => manualReview.withoutEvidenceData(review))
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to load scan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load scan',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scans/:scanId/checklist
+ * Manual test checklist for the criteria the automated checks did not settle
+ */
+app.get('/api/scans/:scanId/checklist', scanIdValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const scan = await loadScan(req, res);
+    if (!scan) return;
+
+    // A batch or site where every page failed has nothing to review
+    if (!scan.report.summary || !scan.report.summary.conformance) {
+      return res.status(409).json({
+        success: false,
+        error: 'Nothing to review',
+        message: 'The scan has no conformance summary, usually because every page failed to load'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        scanId: scan.id,
+        ...manualReview.build(scan.report, scan.manualVerdicts)
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to build checklist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build checklist',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/scans/:scanId/verdicts/:criterion
+ * Record a reviewer's verdict, notes and evidence screenshots for a criterion
+ */
+app.put('/api/scans/:scanId/verdicts/:criterion', [
+  ...scanIdValidators,
+  ...criterionValidators,
+  body('verdict').isIn(ManualReviewChecklist.verdicts).withMessage(`Verdict must be one of ${ManualReviewChecklist.verdicts.join(', ')}`),
+  body('notes').optional().isString().isLength({ max: 5000 }),
+  body('tester').optional().isString().isLength({ max: 200 }),
+  body('evidence').optional().isArray({ max: MAX_EVIDENCE_IMAGES }).withMessage(`At most ${MAX_EVIDENCE_IMAGES} evidence images`),
+  body('evidence.*.image').matches(/^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/=]+$/)
+    .isLength({ max: MAX_EVIDENCE_DATA_URL_LENGTH }).withMessage('Evidence images must be PNG, JPEG or WebP data URLs up to 1.5 MB'),
+  body('evidence.*.caption').optional().isString().isLength({ max: 500 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const scan = await loadScan(req, res);
+    if (!scan) return;
+
+    if (!manualReview.isReviewable(scan.report, req.params.criterion)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Criterion not in scope',
+        message: `${req.params.criterion} is not part of this scan's WCAG version and level`
+      });
+    }
+
+    const recordedAt = new Date().toISOString();
+    const verdict = {
+      verdict: req.body.verdict,
+      notes: req.body.notes || '',
+      tester: req.body.tester || null,
+      evidence: (req.body.evidence || []).map((evidence, index) => ({
+        id: index + 1,
+        caption: evidence.caption || '',
+        image: evidence.image
+      })),
+      recordedAt
+    };
+
+    const updated = await scanStore.update(scan.id, record => {
+      record.manualVerdicts[req.params.criterion] = verdict;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        scanId: updated.id,
+        criterion: req.params.criterion,
+        ...manualReview.withoutEvidenceData(verdict),
+        conformance: manualReview.applyToReport(updated.report, updated.manualVerdicts).summary.conformance
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to record verdict:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record verdict',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/scans/:scanId/verdicts/:criterion
+ * Remove a recorded verdict so the automated verdict applies again
+ */
+app.delete('/api/scans/:scanId/verdicts/:criterion', [
+  ...scanIdValidators,
+  ...criterionValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    const scan = await loadScan(req, res);
+    if (!scan) return;
+
+    const updated = await scanStore.update(scan.id, record => {
+      delete record.manualVerdicts[req.params.criterion];
+    });
+
+    res.json({
+      success: true,
+      data: {
+        scanId: updated.id,
+        criterion: req.params.criterion,
+        conformance: manualReview.applyToReport(updated.report, updated.manualVerdicts).summary.conformance
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to remove verdict:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove verdict',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scans/:scanId/evidence/:criterion/:evidenceId
+ * Get an evidence screenshot recorded with a verdict
+ */
+app.get('/api/scans/:scanId/evidence/:criterion/:evidenceId', [
+  ...scanIdValidators,
+  ...criterionValidators,
+  param('evidenceId').isInt({ min: 1 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const scan = await loadScan(req, res);
+    if (!scan) return;
+
+    const verdict = scan.manualVerdicts[req.params.criterion];
+    const evidence = verdict && verdict.evidence.find(item => item.id === parseInt(req.params.evidenceId));
+    if (!evidence) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evidence not found',
+        message: `No evidence ${req.params.evidenceId} for ${req.params.criterion}`
+      });
+    }
+
+    const [, contentType, data] = evidence.image.match(/^data:([^;]+);base64,(.*)$/);
+    res.setHeader('Content-Type', contentType);
+    res.send(Buffer.from(data, 'base64'));
+  } catch (error) {
+    logger.error('Failed to load evidence:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load evidence',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scans/:scanId/export/:format
+ * Export a stored scan, including manual review verdicts
+ */
+app.get('/api/scans/:scanId/export/:format', [
+  ...scanIdValidators,
+  param('format').isIn(['json', 'csv', 'html', 'pdf', 'xml']).withMessage('Invalid export format')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const scan = await loadScan(req, res);
+    if (!scan) return;
+
+    const checker = new WCAGComplianceChecker();
+    const report = toExportReport(scan, manualReview.applyToReport(scan.report, scan.manualVerdicts));
+    const exported = await checker.exportResults(report, {
+      format: req.params.format,
+      includeDetails: req.query.includeDetails !== 'false'
+    });
+
+    const contentTypes = {
+      json: 'application/json',
+      csv: 'text/csv',
+      html: 'text/html',
+      pdf: 'application/pdf',
+      xml: 'application/xml'
+    };
+
+    res.setHeader('Content-Type', contentTypes[req.params.format]);
+    res.setHeader('Content-Disposition', `attachment; filename="wcag-report-${scan.id}.${req.params.format}"`);
+    res.send(exported);
+  } catch (error) {
+    logger.error('Scan export failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Export failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scans/:scanId/baseline
+ * Baseline file accepting every current issue in a stored scan
+ */
+app.get('/api/scans/:scanId/baseline', [
+  ...scanIdValidators,
+  query('reason').isString().notEmpty().withMessage('Reason is required'),
+  query('owner').isString().notEmpty().withMessage('Owner is required'),
+  query('expires').isISO8601().withMessage('Expiry date is required'),
+  query('scope').optional().isIn(['page', 'any']).withMessage('Scope must be page or any')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const scan = await loadScan(req, res);
+    if (!scan) return;
+
+    const baseline = SuppressionList.fromResults(manualReview.collectResults(scan.report), {
+      reason: req.query.reason,
+      owner: req.query.owner,
+      expires: req.query.expires,
+      // Scoped to the page each issue was found on unless asked otherwise
+      scopeToPage: req.query.scope !== 'any'
+    });
+
+    res.setHeader('Content-Disposition', `attachment; filename="wcag-baseline-${scan.id}.json"`);
+    res.json(baseline.toJSON());
+  } catch (error) {
+    logger.error('Failed to build baseline:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build baseline',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/suppressions
+ * List suppressions stored through the API
+ */
+app.get('/api/suppressions', async (req, res) => {
+  try {
+    const suppressions = await suppressionStore.list();
+    res.json({
+      success: true,
+      data: suppressions,
+      count: suppressions.length
+    });
+  } catch (error) {
+    logger.error('Failed to list suppressions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list suppressions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/suppressions
+ * Store suppressions, in the same format as a baseline file
+ */
+app.post('/api/suppressions', [
+  body('suppressions').isArray({ min: 1, max: 1000 }).withMessage('Suppressions array is required (max 1000)'),
+  body('suppressions.*').custom(entry => SuppressionList.validate(entry) && true)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const added = await suppressionStore.add(req.body.suppressions);
+    logger.info(`Stored ${added.length} suppressions`);
+
+    res.status(201).json({
+      success: true,
+      data: added,
+      count: added.length
+    });
+  } catch (error) {
+    logger.error('Failed to store suppressions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to store suppressions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/suppressions/:id
+ * Remove a stored suppression
+ */
+app.delete('/api/suppressions/:id', [
+  param('id').isUUID().withMessage('Invalid suppression id')
+], handleValidationErrors, async (req, res) => {
+  try {
+    if (!await suppressionStore.remove(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Suppression not found',
+        message: `No stored suppression with id ${req.params.id}`
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Failed to remove suppression:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove suppression',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/remediate
  * Auto-fix accessibility issues using AI
@@ -850,6 +1607,16 @@ app.get('/api/docs', (req, res) => {
           level: 'Compliance level (A, AA, AAA)'
         }
       },
+      rules: {
+        method: 'GET',
+        path: '/rules',
+        description: 'List registered rules (built-in and custom)',
+        parameters: {
+          version: 'Only rules that apply to this WCAG version (optional)',
+          level: 'Only rules that apply at this compliance level (optional)',
+          tag: 'Only rules with this tag (optional)'
+        }
+      },
       checkUrl: {
         method: 'POST',
         path: '/check/url',
@@ -860,7 +1627,21 @@ app.get('/api/docs', (req, res) => {
           complianceLevel: 'Compliance level (optional, default: AA)',
           includeScreenshots: 'Include screenshots (optional, default: false)',
           waitForNetworkIdle: 'Wait for network idle (optional, default: true)',
-          timeout: 'Timeout in milliseconds (optional, default: 60000)'
+          timeout: 'Timeout in milliseconds (optional, default: 60000)',
+          keyboardTraversal: 'Tab through the page to check focus order and keyboard traps (optional, default: true)',
+          formErrorProbe: 'Submit each form empty and with invalid values to check error messages; blocks the submission (optional, default: false)',
+          viewports: 'Viewport profiles to check in: desktop, reflow-320, tablet, mobile, or { width, height, isMobile?, hasTouch? } (optional, default: ["desktop"])',
+          rules: 'Only run these rule ids, see GET /rules (optional)',
+          tags: 'Only run rules with one of these tags (optional)',
+          contrastMode: 'How text contrast backgrounds are found: css, pixels (screenshots) or auto (pixels only over images, gradients and layered backdrops) (optional, default: auto)',
+          flashObservationMs: 'Milliseconds to record the page for the 2.3.1 flash check, 0 skips it (optional, default: 3000)',
+          impactScore: 'Add summary.impactScore, weighted by criterion level (optional, default: false)',
+          applySuppressions: 'Apply stored suppressions and the baseline file (optional, default: true)',
+          suppressions: 'Extra suppressions for this scan: [{ fingerprint, reason, owner, expires, url? }] (optional)',
+          headers: 'Extra request headers, e.g. { "Authorization": "Bearer ..." } (optional)',
+          cookies: 'Cookies to set: [{ name, value, domain?, path? }] (optional)',
+          basicAuth: 'HTTP basic auth: { username, password } (optional)',
+          loginSteps: 'Login sequence run once before checking: [{ action: goto|fill|click|waitForSelector|waitForNavigation, url?, selector?, value? }] (optional)'
         }
       },
       checkHtml: {
@@ -871,7 +1652,17 @@ app.get('/api/docs', (req, res) => {
           html: 'HTML content to check (required)',
           wcagVersion: 'WCAG version (optional, default: 2.1)',
           complianceLevel: 'Compliance level (optional, default: AA)',
-          baseUrl: 'Base URL for relative links (optional)'
+          baseUrl: 'Base URL for relative links (optional)',
+          keyboardTraversal: 'Tab through the page to check focus order and keyboard traps (optional, default: true)',
+          formErrorProbe: 'Submit each form empty and with invalid values to check error messages; blocks the submission (optional, default: false)',
+          viewports: 'Viewport profiles to check in: desktop, reflow-320, tablet, mobile, or { width, height, isMobile?, hasTouch? } (optional, default: ["desktop"])',
+          rules: 'Only run these rule ids, see GET /rules (optional)',
+          tags: 'Only run rules with one of these tags (optional)',
+          contrastMode: 'How text contrast backgrounds are found: css, pixels (screenshots) or auto (pixels only over images, gradients and layered backdrops) (optional, default: auto)',
+          flashObservationMs: 'Milliseconds to record the page for the 2.3.1 flash check, 0 skips it (optional, default: 3000)',
+          impactScore: 'Add summary.impactScore, weighted by criterion level (optional, default: false)',
+          applySuppressions: 'Apply stored suppressions and the baseline file (optional, default: true)',
+          suppressions: 'Extra suppressions for this scan: [{ fingerprint, reason, owner, expires, url? }] (optional)'
         }
       },
       checkBatch: {
@@ -882,7 +1673,75 @@ app.get('/api/docs', (req, res) => {
           urls: 'Array of URLs to check (required, max 10)',
           wcagVersion: 'WCAG version (optional, default: 2.1)',
           complianceLevel: 'Compliance level (optional, default: AA)',
-          concurrent: 'Number of concurrent checks (optional, max 3)'
+          concurrent: 'Number of concurrent checks (optional, max 3)',
+          viewports: 'Viewport profiles to check in: desktop, reflow-320, tablet, mobile, or { width, height, isMobile?, hasTouch? } (optional, default: ["desktop"])',
+          rules: 'Only run these rule ids, see GET /rules (optional)',
+          tags: 'Only run rules with one of these tags (optional)',
+          contrastMode: 'How text contrast backgrounds are found: css, pixels (screenshots) or auto (pixels only over images, gradients and layered backdrops) (optional, default: auto)',
+          flashObservationMs: 'Milliseconds to record the page for the 2.3.1 flash check, 0 skips it (optional, default: 3000)',
+          impactScore: 'Add summary.impactScore, weighted by criterion level (optional, default: false)',
+          applySuppressions: 'Apply stored suppressions and the baseline file (optional, default: true)',
+          suppressions: 'Extra suppressions for this scan: [{ fingerprint, reason, owner, expires, url? }] (optional)',
+          headers: 'Extra request headers, e.g. { "Authorization": "Bearer ..." } (optional)',
+          cookies: 'Cookies to set: [{ name, value, domain?, path? }] (optional)',
+          basicAuth: 'HTTP basic auth: { username, password } (optional)',
+          loginSteps: 'Login sequence run once before checking: [{ action: goto|fill|click|waitForSelector|waitForNavigation, url?, selector?, value? }] (optional)'
+        }
+      },
+      checkFlow: {
+        method: 'POST',
+        path: '/check/flow',
+        description: 'Check a page in every state of a scripted user flow (menus, modals, error states)',
+        body: {
+          url: 'URL the flow starts on (required)',
+          steps: 'Flow steps (required, max 30): [{ action: click|type|fill|press|hover|wait|select|goto|waitForSelector|waitForNavigation, name?, selector?, value?, key?, duration?, snapshot? }]',
+          wcagVersion: 'WCAG version (optional, default: 2.1)',
+          complianceLevel: 'Compliance level (optional, default: AA)',
+          includeScreenshots: 'Capture a screenshot of each state (optional, default: false)',
+          timeout: 'Timeout in milliseconds per step (optional, default: 60000)',
+          viewport: 'Single viewport profile id or custom object to run the flow in (optional, default: desktop)',
+          keyboardTraversal: 'Tab through each state; may close menus or dialogs later steps rely on (optional, default: false)',
+          formErrorProbe: 'Submit each form in each state empty and with invalid values; leaves the errors showing (optional, default: false)',
+          rules: 'Only run these rule ids, see GET /rules (optional)',
+          tags: 'Only run rules with one of these tags (optional)',
+          contrastMode: 'How text contrast backgrounds are found: css, pixels (screenshots) or auto (pixels only over images, gradients and layered backdrops) (optional, default: auto)',
+          flashObservationMs: 'Milliseconds to record each state for the 2.3.1 flash check, 0 skips it (optional, default: 0)',
+          impactScore: 'Add summary.impactScore to each state, weighted by criterion level (optional, default: false)',
+          applySuppressions: 'Apply stored suppressions and the baseline file (optional, default: true)',
+          suppressions: 'Extra suppressions for this flow, matched against the URL of each state: [{ fingerprint, reason, owner, expires, url? }] (optional)',
+          headers: 'Extra request headers (optional)',
+          cookies: 'Cookies to set (optional)',
+          basicAuth: 'HTTP basic auth (optional)',
+          loginSteps: 'Login sequence run before the flow (optional)'
+        }
+      },
+      checkSite: {
+        method: 'POST',
+        path: '/check/site',
+        description: 'Crawl a site from a start URL or sitemap.xml and check every page',
+        body: {
+          url: 'Start URL, or a sitemap.xml URL (required)',
+          sitemapUrl: 'Sitemap to seed the crawl from (optional)',
+          wcagVersion: 'WCAG version (optional, default: 2.1)',
+          complianceLevel: 'Compliance level (optional, default: AA)',
+          maxDepth: 'Link depth to follow from the seeds (optional, default: 2, max 5)',
+          maxPages: 'Maximum pages to check (optional, default: 25, max 200)',
+          include: 'Regular expressions a URL must match (optional)',
+          exclude: 'Regular expressions that exclude a URL (optional)',
+          respectRobotsTxt: 'Honor robots.txt rules (optional, default: true)',
+          concurrent: 'Number of concurrent checks (optional, max 3)',
+          viewports: 'Viewport profiles to check in: desktop, reflow-320, tablet, mobile, or { width, height, isMobile?, hasTouch? } (optional, default: ["desktop"])',
+          rules: 'Only run these rule ids, see GET /rules (optional)',
+          tags: 'Only run rules with one of these tags (optional)',
+          contrastMode: 'How text contrast backgrounds are found: css, pixels (screenshots) or auto (pixels only over images, gradients and layered backdrops) (optional, default: auto)',
+          flashObservationMs: 'Milliseconds to record the page for the 2.3.1 flash check, 0 skips it (optional, default: 3000)',
+          impactScore: 'Add summary.impactScore, weighted by criterion level (optional, default: false)',
+          applySuppressions: 'Apply stored suppressions and the baseline file (optional, default: true)',
+          suppressions: 'Extra suppressions for this scan: [{ fingerprint, reason, owner, expires, url? }] (optional)',
+          headers: 'Extra request headers, e.g. { "Authorization": "Bearer ..." } (optional)',
+          cookies: 'Cookies to set: [{ name, value, domain?, path? }] (optional)',
+          basicAuth: 'HTTP basic auth: { username, password } (optional)',
+          loginSteps: 'Login sequence run once before checking: [{ action: goto|fill|click|waitForSelector|waitForNavigation, url?, selector?, value? }] (optional)'
         }
       },
       export: {
@@ -962,6 +1821,74 @@ app.get('/api/docs', (req, res) => {
           baseURL: 'Base URL for API (optional)'
         }
       },
+      scan: {
+        method: 'GET',
+        path: '/scans/:scanId',
+        description: 'Get a stored scan from any /check endpoint (scanId in its response), with manual verdicts merged into the summary'
+      },
+      scanChecklist: {
+        method: 'GET',
+        path: '/scans/:scanId/checklist',
+        description: 'Manual test checklist: criteria the automated checks did not settle, with test steps and related findings'
+      },
+      recordVerdict: {
+        method: 'PUT',
+        path: '/scans/:scanId/verdicts/:criterion',
+        description: 'Record a manual verdict for a success criterion; replaces the automated verdict in summaries and exports',
+        body: {
+          verdict: 'pass, fail, not-applicable or cannot-tell (required)',
+          notes: 'Reviewer notes (optional)',
+          tester: 'Who tested (optional)',
+          evidence: 'Screenshots: [{ image: data URL (PNG, JPEG or WebP, up to 1.5 MB encoded, about 1.1 MB of image), caption? }], at most 5 (optional)'
+        }
+      },
+      removeVerdict: {
+        method: 'DELETE',
+        path: '/scans/:scanId/verdicts/:criterion',
+        description: 'Remove a manual verdict'
+      },
+      scanEvidence: {
+        method: 'GET',
+        path: '/scans/:scanId/evidence/:criterion/:evidenceId',
+        description: 'Get an evidence screenshot recorded with a verdict'
+      },
+      exportScan: {
+        method: 'GET',
+        path: '/scans/:scanId/export/:format',
+        description: 'Export a stored scan with manual verdicts as json, csv, html, pdf or xml',
+        parameters: {
+          includeDetails: 'Include individual results (optional, default: true)'
+        }
+      },
+      scanBaseline: {
+        method: 'GET',
+        path: '/scans/:scanId/baseline',
+        description: 'Baseline file accepting every current error and warning in a stored scan',
+        parameters: {
+          reason: 'Why the issues are accepted (required)',
+          owner: 'Who is responsible for them (required)',
+          expires: 'Date the suppressions stop applying (required)',
+          scope: 'page (default) limits each to the page it was found on, any applies them everywhere'
+        }
+      },
+      listSuppressions: {
+        method: 'GET',
+        path: '/suppressions',
+        description: 'List suppressions stored through the API'
+      },
+      addSuppressions: {
+        method: 'POST',
+        path: '/suppressions',
+        description: 'Store suppressions; the body has the same format as a baseline file',
+        body: {
+          suppressions: 'Array of { fingerprint, reason, owner, expires, url? } (required)'
+        }
+      },
+      removeSuppression: {
+        method: 'DELETE',
+        path: '/suppressions/:id',
+        description: 'Remove a stored suppression'
+      },
       checkAndRemediate: {
         method: 'POST',
         path: '/check-and-remediate',
@@ -1022,13 +1949,15 @@ app.use('*', (req, res) => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  await browserPool.drain();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');  
+  await browserPool.drain();
   process.exit(0);
 });
 
@@ -0,0 +1,310 @@
+const axios = require('axios');
+const logger = require('./logger_utility');
+
+const CRAWLER_USER_AGENT = 'WCAGComplianceChecker';
+
+class SiteCrawler {
+  constructor(config = {}) {
+    this.config = {
+      maxDepth: config.maxDepth !== undefined ? config.maxDepth : 2,
+      maxPages: config.maxPages || 25,
+      concurrent: config.concurrent || 2,
+      include: (config.include || []).map(pattern => new RegExp(pattern)),
+      exclude: (config.exclude || []).map(pattern => new RegExp(pattern)),
+      respectRobotsTxt: config.respectRobotsTxt !== false,
+      userAgent: config.userAgent || CRAWLER_USER_AGENT,
+      requestTimeout: config.requestTimeout || 10000,
+      maxSitemaps: config.maxSitemaps || 10
+    };
+
+    this.robotsCache = new Map();
+  }
+
+  /**
+   * Crawl a site breadth-first. `scanPage(url)` must resolve to
+   * `{ result, links }`; links found on a page are queued one level deeper.
+   */
+  async crawl(startUrl, scanPage, options = {}) {
+    const { sitemapUrl = null } = options;
+    const origin = new URL(startUrl).origin;
+
+    const visited = new Set();
+    const skipped = { robots: [], excluded: [], offOrigin: 0, overBudget: 0 };
+    const pages = [];
+    let queue = [];
+
+    const enqueue = (url, depth) => {
+      let parsed;
+      let key;
+      try {
+        parsed = new URL(url);
+        key = this.normalizeUrl(url);
+      } catch (error) {
+        return;
+      }
+
+      if (!['http:', 'https:'].includes(parsed.protocol)) return;
+      if (visited.has(key)) return;
+      visited.add(key);
+
+      if (parsed.origin !== origin) {
+        skipped.offOrigin++;
+        return;
+      }
+
+      // The first URL seen for a page is the one scanned, query string included
+      parsed.hash = '';
+      const pageUrl = parsed.toString();
+
+      if (!this.matchesPatterns(pageUrl)) {
+        skipped.excluded.push(pageUrl);
+        return;
+      }
+
+      queue.push({ url: pageUrl, depth });
+    };
+
+    let seeds = [startUrl];
+    if (sitemapUrl || this.isSitemapUrl(startUrl)) {
+      seeds = await this.loadSitemap(sitemapUrl || startUrl);
+      logger.info(`Sitemap provided ${seeds.length} URLs`);
+    }
+    seeds.forEach(url => enqueue(url, 0));
+
+    while (queue.length > 0 && pages.length < this.config.maxPages) {
+      const current = queue;
+      queue = [];
+
+      const allowed = [];
+      for (const item of current) {
+        if (await this.isAllowedByRobots(item.url)) {
+          allowed.push(item);
+        } else {
+          skipped.robots.push(item.url);
+        }
+      }
+
+      const budget = allowed.slice(0, this.config.maxPages - pages.length);
+      skipped.overBudget += allowed.length - budget.length;
+
+      for (let i = 0; i < budget.length; i += this.config.concurrent) {
+        const chunk = budget.slice(i, i + this.config.concurrent);
+
+        const chunkResults = await Promise.all(chunk.map(async item => {
+          logger.info(`Crawling (depth ${item.depth}): ${item.url}`);
+          try {
+            const { result, links = [] } = await scanPage(item.url);
+            return { ...item, result, links };
+          } catch (error) {
+            return {
+              ...item,
+              result: {
+                url: item.url,
+                error: error.message,
+                failed: true,
+                checkedAt: new Date().toISOString()
+              },
+              links: []
+            };
+          }
+        }));
+
+        for (const pageResult of chunkResults) {
+          pages.push({ ...pageResult.result, depth: pageResult.depth });
+
+          if (pageResult.depth < this.config.maxDepth) {
+            pageResult.links.forEach(link => enqueue(link, pageResult.depth + 1));
+          }
+        }
+      }
+    }
+
+    return {
+      pages,
+      skipped: {
+        robots: skipped.robots,
+        excluded: skipped.excluded,
+        offOrigin: skipped.offOrigin,
+        overBudget: skipped.overBudget + queue.length
+      }
+    };
+  }
+
+  // Dedupe key: URLs differing only by fragment, query string or a
+  // trailing slash are treated as the same page
+  normalizeUrl(url) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.search = '';
+    if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+      parsed.pathname = parsed.pathname.slice(0, -1);
+    }
+    return parsed.toString();
+  }
+
+  matchesPatterns(url) {
+    if (this.config.exclude.some(pattern => pattern.test(url))) {
+      return false;
+    }
+    if (this.config.include.length > 0) {
+      return this.config.include.some(pattern => pattern.test(url));
+    }
+    return true;
+  }
+
+  isSitemapUrl(url) {
+    return /\.xml(\.gz)?$/i.test(new URL(url).pathname);
+  }
+
+  async loadSitemap(sitemapUrl) {
+    const urls = [];
+    const pending = [sitemapUrl];
+    const seen = new Set();
+
+    while (pending.length > 0 && seen.size < this.config.maxSitemaps) {
+      const current = pending.shift();
+      if (seen.has(current)) continue;
+      seen.add(current);
+
+      try {
+        const response = await axios.get(current, {
+          timeout: this.config.requestTimeout,
+          headers: { 'User-Agent': this.config.userAgent },
+          responseType: 'text'
+        });
+
+        const locations = this.extractSitemapLocations(response.data);
+        if (/<sitemapindex[\s>]/i.test(response.data)) {
+          pending.push(...locations);
+        } else {
+          urls.push(...locations);
+        }
+      } catch (error) {
+        logger.warn(`Failed to load sitemap ${current}: ${error.message}`);
+      }
+    }
+
+    return urls;
+  }
+
+  extractSitemapLocations(xml) {
+    const locations = [];
+    const locPattern = /<loc>\s*([^<]+?)\s*<\/loc>/gi;
+    let match;
+
+    while ((match = locPattern.exec(xml)) !== null) {
+      locations.push(match[1]
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'"));
+    }
+
+    return locations;
+  }
+
+  async isAllowedByRobots(url) {
+    if (!this.config.respectRobotsTxt) return true;
+
+    const parsed = new URL(url);
+    const rules = await this.getRobotsRules(parsed.origin);
+    return this.isPathAllowed(parsed.pathname + parsed.search, rules);
+  }
+
+  async getRobotsRules(origin) {
+    if (this.robotsCache.has(origin)) {
+      return this.robotsCache.get(origin);
+    }
+
+    let rules = [];
+    try {
+      const response = await axios.get(`${origin}/robots.txt`, {
+        timeout: this.config.requestTimeout,
+        headers: { 'User-Agent': this.config.userAgent },
+        responseType: 'text',
+        validateStatus: () => true
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        rules = this.parseRobotsTxt(response.data);
+      }
+    } catch (error) {
+      logger.warn(`Could not fetch robots.txt for ${origin}: ${error.message}`);
+    }
+
+    this.robotsCache.set(origin, rules);
+    return rules;
+  }
+
+  /**
+   * Returns the Allow/Disallow rules that apply to this crawler: the group
+   * naming our user agent if there is one, otherwise the `*` group.
+   */
+  parseRobotsTxt(content) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    String(content).split(/\r?\n/).forEach(rawLine => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) return;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [] };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        return;
+      }
+
+      lastWasAgent = false;
+      if (!current) return;
+
+      if ((field === 'allow' || field === 'disallow') && value) {
+        current.rules.push({ allow: field === 'allow', path: value });
+      }
+    });
+
+    const agent = this.config.userAgent.toLowerCase();
+    const specific = groups.find(group => group.agents.some(name => name !== '*' && agent.includes(name)));
+    const wildcard = groups.find(group => group.agents.includes('*'));
+
+    return (specific || wildcard || { rules: [] }).rules;
+  }
+
+  // Longest matching rule wins; Allow wins a tie (RFC 9309)
+  isPathAllowed(path, rules) {
+    let best = null;
+
+    for (const rule of rules) {
+      if (!this.robotsPatternMatches(rule.path, path)) continue;
+
+      if (!best ||
+          rule.path.length > best.path.length ||
+          (rule.path.length === best.path.length && rule.allow)) {
+        best = rule;
+      }
+    }
+
+    return best ? best.allow : true;
+  }
+
+  robotsPatternMatches(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    const source = (anchored ? pattern.slice(0, -1) : pattern)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+  }
+}
+
+module.exports = SiteCrawler;
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const FINGERPRINT_PATTERN = /^[0-9a-f]{16}$/;
+
+// Only issues can be accepted; passes and notes are never suppressed
+const SUPPRESSIBLE_TYPES = ['error', 'warning'];
+
+/**
+ * Known issues that should not fail a scan. Each entry names a result by its
+ * fingerprint and says why it is accepted, who owns it and until when:
+ *
+ *   {
+ *     id: '3f0c...',                   optional; entries stored through the API have one
+ *     fingerprint: '8c1d2e3f4a5b6c7d', from result.fingerprint
+ *     reason: 'Legacy date picker, replaced in Q3',
+ *     owner: 'checkout-team',
+ *     expires: '2026-09-30',           the entry applies through this date
+ *     url: 'https://example.com/old/', optional; only pages whose URL starts with it
+ *     criterion, title, selector       optional, copied from the result for reference
+ *   }
+ *
+ * A baseline file holds the same entries, either as an array or as
+ * `{ "suppressions": [...] }`.
+ */
+class SuppressionList {
+  constructor(entries = []) {
+    this.entries = entries.map(entry => SuppressionList.validate(entry));
+  }
+
+  /**
+   * Stable identifier for a result across runs: the criterion, the rule that
+   * reported it, its title and where it was found. Element locations are
+   * normalized so generated ids and class names don't change it.
+   */
+  static fingerprint(result, rule = result.rule) {
+    const element = result.element || {};
+    let target = '';
+    if (element.selector) {
+      target = SuppressionList.normalizeSelector(element.selector);
+    } else if (element.html) {
+      target = SuppressionList.normalizeSnippet(element.html);
+    }
+    if (element.framePath) {
+      target = `${SuppressionList.normalizeSelector(element.framePath)} >>> ${target}`;
+    }
+
+    return crypto.createHash('sha256')
+      .update([result.criterion, rule || '', result.title, target].join('\n'))
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  // Digits in ids and class names are usually generated (`#ember123`,
+  // `.css-1x2y3z`); structural parts such as nth-of-type are kept
+  static normalizeSelector(selector) {
+    return selector
+      .replace(/\s*(>>>|>|\+|~)\s*/g, ' $1 ')
+      .replace(/\s+/g, ' ')
+      .replace(/[#.][^\s>+~:.#[]+/g, token => token.replace(/\d+/g, '*'))
+      .trim();
+  }
+
+  static normalizeSnippet(html) {
+    return html
+      .replace(/\.\.\.$/, '')
+      .replace(/\s+/g, ' ')
+      .replace(/\d+/g, '*')
+      .trim();
+  }
+
+  /**
+   * Check an entry and return a copy holding only known fields. Throws with
+   * a message naming the problem.
+   */
+  static validate(entry) {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error('Suppression must be an object');
+    }
+    if (typeof entry.fingerprint !== 'string' || !FINGERPRINT_PATTERN.test(entry.fingerprint)) {
+      throw new Error('Suppression needs the 16-character fingerprint of a result');
+    }
+    ['reason', 'owner'].forEach(field => {
+      if (typeof entry[field] !== 'string' || entry[field].trim() === '') {
+        throw new Error(`Suppression ${entry.fingerprint} needs a ${field}`);
+      }
+    });
+    if (typeof entry.expires !== 'string' || isNaN(SuppressionList.getExpiry(entry.expires))) {
+      throw new Error(`Suppression ${entry.fingerprint} needs an expiry date`);
+    }
+
+    const validated = {
+      fingerprint: entry.fingerprint,
+      reason: entry.reason.trim(),
+      owner: entry.owner.trim(),
+      expires: entry.expires,
+      url: entry.url || null
+    };
+    ['id', 'criterion', 'title', 'selector', 'source', 'createdAt'].forEach(field => {
+      if (entry[field]) validated[field] = entry[field];
+    });
+    return validated;
+  }
+
+  // A date without a time applies until the end of that day (UTC)
+  static getExpiry(expires) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(expires)
+      ? Date.parse(`${expires}T23:59:59.999Z`)
+      : Date.parse(expires);
+  }
+
+  static async fromFile(file) {
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    const entries = Array.isArray(data) ? data : data.suppressions;
+    if (!Array.isArray(entries)) {
+      throw new Error(`Baseline file ${file} has no suppressions list`);
+    }
+    return new SuppressionList(entries.map(entry => ({ source: 'baseline', ...entry })));
+  }
+
+  /**
+   * Entries a baseline would need to accept every current issue in `results`.
+   * With `scopeToPage` each entry only applies to the `url` of the result it
+   * was made from.
+   */
+  static fromResults(results, { reason, owner, expires, scopeToPage = false }) {
+    const seen = new Set();
+    const entries = [];
+
+    results.forEach(result => {
+      if (!SUPPRESSIBLE_TYPES.includes(result.type) || !result.fingerprint) return;
+      const url = scopeToPage ? result.url || null : null;
+      const key = `${result.fingerprint} ${url}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      entries.push({
+        fingerprint: result.fingerprint,
+        reason,
+        owner,
+        expires,
+        url,
+        criterion: result.criterion,
+        title: result.title,
+        selector: result.element?.selector || undefined
+      });
+    });
+
+    return new SuppressionList(entries);
+  }
+
+  merge(other) {
+    return new SuppressionList([...this.entries, ...(other ? other.entries : [])]);
+  }
+
+  /**
+   * Split results into those that still count and those a current entry
+   * suppresses. Results matching only expired entries keep counting and
+   * are marked with `suppressionExpired`.
+   */
+  apply(results, { url = null, now = Date.now() } = {}) {
+    const active = [];
+    const suppressed = [];
+
+    results.forEach(result => {
+      const matches = SUPPRESSIBLE_TYPES.includes(result.type)
+        ? this.entries.filter(entry => entry.fingerprint === result.fingerprint &&
+          (!entry.url || (url && url.startsWith(entry.url))))
+        : [];
+      const current = matches.find(entry => SuppressionList.getExpiry(entry.expires) >= now);
+
+      if (current) {
+        suppressed.push({ ...result, suppression: this.describe(current) });
+      } else {
+        active.push(matches.length > 0
+          ? { ...result, suppressionExpired: this.describe(matches[0]) }
+          : result);
+      }
+    });
+
+    return { active, suppressed };
+  }
+
+  describe(entry) {
+    return {
+      id: entry.id || null,
+      reason: entry.reason,
+      owner: entry.owner,
+      expires: entry.expires,
+      source: entry.source || null
+    };
+  }
+
+  toJSON() {
+    return { suppressions: this.entries };
+  }
+}
+
+SuppressionList.types = SUPPRESSIBLE_TYPES;
+
+module.exports = SuppressionList;
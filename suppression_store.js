@@ -0,0 +1,94 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const SuppressionList = require('./suppression_list');
+
+/**
+ * Suppressions managed through the API, kept in one JSON file, together
+ * with the read-only entries of an optional baseline file. Scans started
+ * through the API apply both.
+ */
+class SuppressionStore {
+  constructor(config = {}) {
+    this.file = config.file || path.join(process.cwd(), 'data', 'suppressions.json');
+    this.baselineFile = config.baselineFile || null;
+    // Changes run one after another so none are lost
+    this.pending = Promise.resolve();
+  }
+
+  async list() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      return data.suppressions || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Stored entries plus the baseline file's, ready to pass to a scan.
+   */
+  async getSuppressionList() {
+    const stored = new SuppressionList(await this.list());
+    return this.baselineFile
+      ? stored.merge(await SuppressionList.fromFile(this.baselineFile))
+      : stored;
+  }
+
+  /**
+   * Validate and store entries, giving each an id. Resolves with the stored
+   * entries.
+   */
+  add(entries) {
+    const now = new Date().toISOString();
+    const added = entries.map(entry => ({
+      ...SuppressionList.validate(entry),
+      id: uuidv4(),
+      source: 'api',
+      createdAt: now
+    }));
+
+    return this.change(suppressions => {
+      suppressions.push(...added);
+      return added;
+    });
+  }
+
+  /**
+   * Resolves with true if an entry was removed.
+   */
+  remove(id) {
+    return this.change(suppressions => {
+      const index = suppressions.findIndex(entry => entry.id === id);
+      if (index === -1) return false;
+      suppressions.splice(index, 1);
+      return true;
+    });
+  }
+
+  change(updater) {
+    const next = this.pending.catch(() => {}).then(async () => {
+      const suppressions = await this.list();
+      const result = updater(suppressions);
+
+      // Write then rename, so a crash never leaves half a file behind
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.writeFile(`${this.file}.tmp`, JSON.stringify({ suppressions }, null, 2));
+      await fs.rename(`${this.file}.tmp`, this.file);
+      return result;
+    });
+
+    this.pending = next;
+    return next;
+  }
+}
+
+// Process-wide store used by the API
+const suppressionStore = new SuppressionStore({
+  file: process.env.SUPPRESSIONS_FILE,
+  baselineFile: process.env.WCAG_BASELINE_FILE
+});
+
+module.exports = suppressionStore;
+module.exports.SuppressionStore = SuppressionStore;
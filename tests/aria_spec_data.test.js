@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ariaSpec = require('../aria_spec_data');
+const WCAGComplianceChecker = require('../wcag_compliance_checker');
+const ScanContext = require('../scan_context');
+const ElementLocator = require('../element_locator');
+const { createDomPage } = require('./helpers/dom_page');
+
+// Results of the ARIA check as [type, criterion, title, selector]. Dom pages
+// have no accessibility tree, so accessible names are not checked.
+const checkARIA = async (body) => {
+  const page = createDomPage(`<body>${body}</body>`);
+  await new ElementLocator().install(page);
+  const context = new ScanContext({ wcagVersion: '2.1', complianceLevel: 'AA' });
+
+  await new WCAGComplianceChecker().checkARIA(page, context);
+  return context.results.map(result => [result.type, result.criterion, result.title, result.element && result.element.selector]);
+};
+
+test('every role refers to defined attributes and roles', () => {
+  const formats = ['token', 'tokens', 'integer', 'number', 'idref', 'idrefs', 'string'];
+
+  Object.entries(ariaSpec.attributes).forEach(([name, attribute]) => {
+    assert.ok(formats.includes(attribute.type) || ariaSpec.valueTypes[attribute.type], `${name} has unknown type ${attribute.type}`);
+    if (['token', 'tokens'].includes(attribute.type)) assert.ok(attribute.values.length > 0, `${name} lists no values`);
+  });
+  Object.entries(ariaSpec.roles).forEach(([role, definition]) => {
+    [...(definition.requiredProps || []), ...(definition.supportedProps || []), ...(definition.prohibitedProps || [])]
+      .forEach(name => assert.ok(ariaSpec.attributes[name], `${role} refers to unknown ${name}`));
+    [...(definition.requiredContext || []), ...(definition.requiredOwned || []).flatMap(entry => entry.split(' > '))]
+      .forEach(other => assert.ok(ariaSpec.roles[other], `${role} refers to unknown role ${other}`));
+  });
+});
+
+test('unknown attributes, invalid values and attributes the role does not take are errors', async () => {
+  const results = await checkARIA(`
+    <div id="role" role="buton">Save</div>
+    <div id="fallback" role="buton button">Save</div>
+    <div id="typo" aria-labell="Close">x</div>
+    <button id="pressed" aria-pressed="yes">Bold</button>
+    <a id="link" href="/" aria-checked="true">Home</a>
+    <div id="generic" aria-label="Decorative">*</div>`);
+
+  assert.deepStrictEqual(results, [
+    ['error', '4.1.2', 'Invalid ARIA Role', '#role'],
+    ['error', '4.1.2', 'Unknown ARIA Attribute', '#typo'],
+    ['error', '4.1.2', 'Invalid ARIA Attribute Value', '#pressed'],
+    ['error', '4.1.2', 'ARIA Attribute Not Allowed on Role', '#link'],
+    ['error', '4.1.2', 'ARIA Naming Prohibited on Role', '#generic']
+  ]);
+});
+
+test('required states are needed unless the element supplies them natively', async () => {
+  const results = await checkARIA(`
+    <div id="slider" role="slider" aria-valuemin="0"></div>
+    <input id="native" type="checkbox" role="checkbox">
+    <div id="custom" role="checkbox" aria-checked="false"></div>`);
+
+  assert.deepStrictEqual(results, [['error', '4.1.2', 'Missing Required ARIA Attribute', '#slider']]);
+});
+
+test('roles need their required context and owned roles, seen through wrappers and aria-owns', async () => {
+  const results = await checkARIA(`
+    <div id="orphan" role="listitem">Loose</div>
+    <div id="empty" role="list"><span>text</span></div>
+    <div id="loading" role="list" aria-busy="true"></div>
+    <div id="mixed" role="list"><div role="listitem">One</div><div role="button">More</div></div>
+    <div id="wrapped" role="listbox" aria-label="Sizes">
+      <div><div role="group" aria-label="Small"><div role="option" aria-selected="true">S</div></div></div>
+    </div>
+    <div id="owner" role="list" aria-owns="owned"></div>
+    <div id="owned" role="listitem">Owned</div>`);
+
+  assert.deepStrictEqual(results, [
+    ['error', '1.3.1', 'ARIA Role Outside Required Context', '#orphan'],
+    ['error', '1.3.1', 'ARIA Role Missing Required Children', '#empty'],
+    ['error', '1.3.1', 'ARIA Role Owns Disallowed Children', '#mixed']
+  ]);
+});
+
+test('ID references to missing elements are errors unless shown on demand or partly valid', async () => {
+  const results = await checkARIA(`
+    <button id="menu-button" aria-controls="menu" aria-expanded="false">Menu</button>
+    <button id="partial" aria-describedby="hint gone">Send</button>
+    <button id="broken" aria-labelledby="nothing">Send</button>
+    <input id="email" aria-errormessage="email-error">
+    <p id="hint">Hint</p>`);
+
+  assert.deepStrictEqual(results, [
+    ['warning', '4.1.2', 'ARIA Reference to Absent Element', '#menu-button'],
+    ['warning', '4.1.2', 'Partially Broken ARIA Reference', '#partial'],
+    ['error', '4.1.2', 'Broken ARIA Reference', '#broken'],
+    ['warning', '4.1.2', 'ARIA Reference to Absent Element', '#email']
+  ]);
+});
+
+test('focusable content inside aria-hidden is reported once, unless taken out of the tab order', async () => {
+  const results = await checkARIA(`
+    <div id="drawer" aria-hidden="true">
+      <a id="open" href="/a" data-rect="0 0 10 10">A</a>
+      <a id="removed" href="/b" tabindex="-1" data-rect="0 20 10 10">B</a>
+      <button id="off" disabled data-rect="0 40 10 10">C</button>
+    </div>
+    <button id="self" aria-hidden="true" data-rect="0 60 10 10">D</button>`);
+
+  assert.deepStrictEqual(results, [
+    ['error', '4.1.2', 'Focusable Element Hidden From Assistive Technology', '#open'],
+    ['error', '4.1.2', 'Focusable Element Hidden From Assistive Technology', '#self']
+  ]);
+});
+
+test('valid ARIA passes', async () => {
+  const results = await checkARIA(`
+    <nav aria-label="Main"><ul><li><a href="/" aria-current="page">Home</a></li></ul></nav>
+    <div role="tablist"><button id="tab-one" role="tab" aria-selected="true" aria-controls="panel">One</button></div>
+    <div id="panel" role="tabpanel" aria-labelledby="tab-one">Content</div>`);
+
+  assert.deepStrictEqual(results, [['success', '4.1.2', 'ARIA Implementation Valid', null]]);
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BrowserPoolManager } = require('../browser_pool_manager');
+
+const createFakePage = (calls) => {
+  let nextScript = 0;
+  let closed = false;
+  let listeners = [];
+  const mainFrame = { url: () => 'about:blank' };
+  return {
+    // Simulates a navigation of the main frame
+    navigate(url) {
+      mainFrame.url = () => url;
+      listeners.forEach(listener => listener(mainFrame));
+    },
+    on: (event, listener) => listeners.push(listener),
+    removeAllListeners: () => { listeners = []; },
+    mainFrame: () => mainFrame,
+    target: () => ({
+      createCDPSession: async () => ({
+        send: async (method, params) => calls.push(params ? `${method} ${params.origin}` : method),
+        detach: async () => {}
+      })
+    }),
+    viewport: () => ({ width: 800, height: 600 }),
+    isClosed: () => closed,
+    close: async () => { closed = true; },
+    evaluateOnNewDocument: async () => ({ identifier: String(++nextScript) }),
+    removeScriptToEvaluateOnNewDocument: async (identifier) => calls.push(`remove script ${identifier}`),
+    setRequestInterception: async () => {},
+    setExtraHTTPHeaders: async () => {},
+    authenticate: async () => {},
+    setJavaScriptEnabled: async () => {},
+    setUserAgent: async (userAgent) => calls.push(`user agent ${userAgent}`),
+    setViewport: async (viewport) => calls.push(`viewport ${viewport.width}x${viewport.height}`),
+    emulateMediaFeatures: async () => calls.push('media features'),
+    emulateMediaType: async () => calls.push('media type'),
+    goto: async () => {}
+  };
+};
+
+const createFakeEntry = (calls) => ({
+  browser: {
+    on: () => {},
+    isConnected: () => true,
+    userAgent: async () => 'DefaultAgent',
+    newPage: async () => createFakePage(calls),
+    close: async () => {}
+  },
+  activePages: new Set(),
+  idlePages: [],
+  reserved: 0,
+  uses: 0,
+  retired: false,
+  lastUsed: Date.now()
+});
+
+test('released pages drop new-document scripts, restore emulation and clear browsing data', async () => {
+  const calls = [];
+  const pool = new BrowserPoolManager({ maxBrowsers: 1, healthCheckInterval: 0 });
+  pool.launchBrowser = async () => createFakeEntry(calls);
+
+  const page = await pool.acquirePage();
+  await page.evaluateOnNewDocument(() => {});
+  await page.evaluateOnNewDocument(() => {});
+  await page.setUserAgent('ScanAgent');
+  page.navigate('https://example.com/products?page=2');
+  page.navigate('https://shop.example.com/cart');
+  calls.length = 0;
+
+  await pool.releasePage(page);
+
+  assert.deepStrictEqual(calls, [
+    'remove script 1',
+    'remove script 2',
+    'user agent DefaultAgent',
+    'viewport 800x600',
+    'media features',
+    'media type',
+    'Network.clearBrowserCookies',
+    'Network.clearBrowserCache',
+    'Storage.clearDataForOrigin https://example.com',
+    'Storage.clearDataForOrigin https://shop.example.com'
+  ]);
+  assert.strictEqual(await pool.acquirePage(), page);
+});
+
+test('a recycled page only clears origins visited since its last reset', async () => {
+  const calls = [];
+  const pool = new BrowserPoolManager({ maxBrowsers: 1, healthCheckInterval: 0 });
+  pool.launchBrowser = async () => createFakeEntry(calls);
+
+  const page = await pool.acquirePage();
+  page.navigate('https://example.com/');
+  await pool.releasePage(page);
+  await pool.acquirePage();
+  page.navigate('https://other.example.org/');
+  calls.length = 0;
+
+  await pool.releasePage(page);
+
+  assert.deepStrictEqual(calls.filter(call => call.startsWith('Storage.')),
+    ['Storage.clearDataForOrigin https://other.example.org']);
+});
+
+test('a failed launch hands the free slot to the next waiter', { timeout: 2000 }, async () => {
+  const pool = new BrowserPoolManager({ maxBrowsers: 1, healthCheckInterval: 0, acquireTimeout: 60000 });
+  let launches = 0;
+  pool.launchBrowser = async () => {
+    launches++;
+    await new Promise(resolve => setImmediate(resolve));
+    if (launches === 1) throw new Error('Failed to launch the browser process');
+    return createFakeEntry([]);
+  };
+
+  const first = pool.acquirePage();
+  const second = pool.acquirePage();
+
+  await assert.rejects(first, /Failed to launch/);
+  const page = await second;
+  assert.ok(page);
+  assert.strictEqual(launches, 2);
+  assert.strictEqual(pool.getStatistics().waiting, 0);
+});
+
+test('waiters are rejected when every launch fails', { timeout: 2000 }, async () => {
+  const pool = new BrowserPoolManager({ maxBrowsers: 1, healthCheckInterval: 0, acquireTimeout: 60000 });
+  pool.launchBrowser = async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    throw new Error('Failed to launch the browser process');
+  };
+
+  const results = await Promise.allSettled([pool.acquirePage(), pool.acquirePage(), pool.acquirePage()]);
+
+  assert.deepStrictEqual(results.map(result => result.status), ['rejected', 'rejected', 'rejected']);
+  assert.strictEqual(pool.getStatistics().waiting, 0);
+});
+
+test('a page that fails to open frees its slot for the next waiter', { timeout: 2000 }, async () => {
+  const pool = new BrowserPoolManager({
+    maxBrowsers: 1, maxPagesPerBrowser: 1, healthCheckInterval: 0, acquireTimeout: 60000
+  });
+  const entry = createFakeEntry([]);
+  let opened = 0;
+  entry.browser.newPage = async () => {
+    opened++;
+    await new Promise(resolve => setImmediate(resolve));
+    if (opened === 1) throw new Error('Target closed');
+    return createFakePage([]);
+  };
+  pool.launchBrowser = async () => entry;
+
+  const first = pool.acquirePage();
+  const second = pool.acquirePage();
+
+  await assert.rejects(first, /Target closed/);
+  assert.ok(await second);
+  assert.strictEqual(entry.reserved, 0);
+  assert.strictEqual(pool.getStatistics().waiting, 0);
+});
+
+test('a health check leaves no timer behind', async (t) => {
+  const pool = new BrowserPoolManager({ healthCheckInterval: 0 });
+  const entry = createFakeEntry([]);
+  entry.browser.version = async () => 'HeadlessChrome/120';
+  const cleared = [];
+  const clearTimeout = global.clearTimeout;
+  t.mock.method(global, 'clearTimeout', (timer) => {
+    cleared.push(timer);
+    return clearTimeout(timer);
+  });
+
+  assert.strictEqual(await pool.isBrowserHealthy(entry), true);
+  assert.strictEqual(cleared.filter(Boolean).length, 1);
+});
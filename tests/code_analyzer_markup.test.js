@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CodeAnalyzer = require('../code_analyzer_utility');
+const WCAGComplianceChecker = require('../wcag_compliance_checker');
+const ScanContext = require('../scan_context');
+
+const analyze = (html) => new CodeAnalyzer().analyzeMarkup(html);
+
+test('duplicate ids are located in the source with the attributes that refer to them', () => {
+  const markup = analyze(`<!DOCTYPE html>
+<html><body>
+<label for="email">Email</label>
+<input id="email">
+<input id="email">
+<div id="box"></div><div id="box"></div>
+<a href="#box-link">Skip</a>
+</body></html>`);
+
+  assert.deepStrictEqual(markup.duplicateIds[0], {
+    id: 'email',
+    elements: [
+      { selector: 'input:nth-of-type(1)', line: 4, column: 1, html: '<input id="email">' },
+      { selector: 'input:nth-of-type(2)', line: 5, column: 1, html: '<input id="email">' }
+    ],
+    references: [
+      { attribute: 'for', element: { selector: 'label', line: 3, column: 1, html: '<label for="email">' } }
+    ]
+  });
+  assert.deepStrictEqual(markup.duplicateIds[1].elements.map(element => [element.line, element.column]), [[6, 1], [6, 21]]);
+  assert.deepStrictEqual(markup.unreferencedDuplicateIds, ['box']);
+});
+
+test('unclosed elements are reported, but not void elements, optional end tags or self-closing SVG', () => {
+  const markup = analyze(`<body>
+<main>
+  <div class="card"><span>Open
+</main>
+<ul><li>One<li>Two</ul>
+<p>Paragraph<br><img src="a.png" alt="">
+<svg><circle r="1"/></svg>
+<template><div id="t"><p>Inside</template>
+</body>`);
+
+  // Template content is a separate fragment, so the card's div is unique in the document
+  assert.deepStrictEqual(markup.unclosedElements, [
+    { tagName: 'div', selector: 'div', line: 3, column: 3, html: '<div class="card">' },
+    { tagName: 'span', selector: 'span', line: 3, column: 21, html: '<span>' },
+    { tagName: 'div', selector: '#t', line: 8, column: 11, html: '<div id="t">' }
+  ]);
+});
+
+test('end tags that close nothing are found outside comments and scripts', () => {
+  const markup = analyze(`<body>
+<!-- </section> -->
+<script>const closing = '</div>';</script>
+<div>Text</div></span>
+</section></body></html>`);
+
+  assert.deepStrictEqual(markup.strayEndTags, [
+    { tagName: 'span', line: 4, column: 16, html: '</span>' },
+    { tagName: 'section', line: 5, column: 1, html: '</section>' }
+  ]);
+});
+
+test('interactive content inside links and buttons is reported with its container', () => {
+  const markup = analyze('<body><a href="/x"><button>Buy</button></a><a name="top"><input></a></body>');
+
+  assert.deepStrictEqual(markup.nestedInteractive, [{
+    tagName: 'button',
+    element: { selector: 'button', line: 1, column: 20, html: '<button>' },
+    container: { tagName: 'a', selector: 'a:nth-of-type(1)', line: 1, column: 7, html: '<a href="/x">' }
+  }]);
+});
+
+const checkParsing = async (source, wcagVersion) => {
+  const context = new ScanContext({ wcagVersion, complianceLevel: 'AA' });
+  context.setSource(source);
+  await new WCAGComplianceChecker().checkParsing({}, context);
+  return context.results.map(result => [result.type, result.criterion, result.title]);
+};
+
+test('parsing errors are warnings under WCAG 2.2, except nested interactive content', async () => {
+  const source = '<body><label for="a">A</label><input id="a"><input id="a"><div><a href="/"><button>Go</button></a></body>';
+
+  assert.deepStrictEqual(await checkParsing(source, '2.1'), [
+    ['error', '4.1.1', 'Duplicate ID Referenced'],
+    ['error', '4.1.1', 'Element Not Closed'],
+    ['error', '4.1.2', 'Nested Interactive Content']
+  ]);
+  assert.deepStrictEqual(await checkParsing(source, '2.2'), [
+    ['warning', '4.1.1', 'Duplicate ID Referenced'],
+    ['warning', '4.1.1', 'Element Not Closed'],
+    ['error', '4.1.2', 'Nested Interactive Content']
+  ]);
+  assert.deepStrictEqual(await checkParsing('<body><p>Fine</p></body>', '2.1'), [['success', '4.1.1', 'Markup Parses Cleanly']]);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ScanContext = require('../scan_context');
+
+const verdictOf = (context, criterion) =>
+  context.getResultsSummary().conformance.criteria.find(entry => entry.id === criterion).verdict;
+
+const createContext = () => {
+  const context = new ScanContext({ wcagVersion: '2.1', complianceLevel: 'AA' });
+  context.setRule('tables');
+  context.markCriteriaTested(['1.3.1']);
+  return context;
+};
+
+test('a criterion with only not-applicable results is not applicable', () => {
+  const context = createContext();
+  context.addNotApplicable('1.3.1', 'No Tables Found', 'No table elements found', 'Nothing to check');
+
+  assert.strictEqual(verdictOf(context, '1.3.1'), 'not-applicable');
+});
+
+test('an informational result with the same title is left for review', () => {
+  const context = createContext();
+  context.addResult('info', '1.3.1', 'No Tables Found', 'Tables are rendered later', null, 'Check them manually');
+
+  assert.strictEqual(verdictOf(context, '1.3.1'), 'cannot-tell');
+});
+
+test('other informational results next to a not-applicable one are left for review', () => {
+  const context = createContext();
+  context.addNotApplicable('1.3.1', 'No Tables Found', 'No table elements found', 'Nothing to check');
+  context.addResult('info', '1.3.1', 'Headings Skipped', 'Heading levels jump from h2 to h4', null, 'Review the outline');
+
+  assert.strictEqual(verdictOf(context, '1.3.1'), 'cannot-tell');
+});
+
+test('passes still win over a not-applicable result', () => {
+  const context = createContext();
+  context.addNotApplicable('1.3.1', 'No Tables Found', 'No table elements found', 'Nothing to check');
+  context.addResult('success', '1.3.1', 'Form Labels', 'Every field has a label', null, 'Labels are present');
+
+  assert.strictEqual(verdictOf(context, '1.3.1'), 'pass');
+});
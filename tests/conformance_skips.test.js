@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WCAGComplianceChecker = require('../wcag_compliance_checker');
+const ScanContext = require('../scan_context');
+const { resolveViewportProfiles } = require('../viewport_profiles_data');
+
+// Enough of a page for runAllChecks to install its helpers; the skipped
+// checks return before they touch it
+const fakePage = {
+  evaluate: async () => undefined
+};
+
+const runRule = async (ruleId, options = {}, page = fakePage) => {
+  const checker = new WCAGComplianceChecker();
+  const context = new ScanContext({ wcagVersion: '2.1', complianceLevel: 'AA', rules: [ruleId], ...options });
+  const [profile] = resolveViewportProfiles(options.viewports || null);
+  context.setViewport(profile);
+
+  await checker.runAllChecks(page, context);
+  return context;
+};
+
+const verdictOf = (summary, criterion) =>
+  summary.conformance.criteria.find(entry => entry.id === criterion).verdict;
+
+const assertNotTested = (context, ruleId, criteria) => {
+  const summary = context.getResultsSummary();
+
+  criteria.forEach(criterion => {
+    assert.strictEqual(context.criteriaTested.has(criterion), false, `${criterion} marked as tested`);
+    assert.strictEqual(verdictOf(summary, criterion), 'not-tested', `${criterion} verdict`);
+  });
+  assert.notStrictEqual(summary.conformance.conforms, true);
+
+  const skip = summary.skippedChecks.find(entry => entry.rule === ruleId);
+  assert.ok(skip, `no skipped check recorded for ${ruleId}`);
+  assert.deepStrictEqual([...skip.criteria].sort(), [...criteria].sort());
+  // Skipped checks still count towards progress
+  assert.strictEqual(context.completedChecks, 1);
+};
+
+test('reflow is not tested in viewports without reflow', async () => {
+  const context = await runRule('reflow', { viewports: ['desktop'] });
+  assertNotTested(context, 'reflow', ['1.4.10']);
+});
+
+test('keyboard traversal is not tested when turned off', async () => {
+  const context = await runRule('keyboard-traversal', { keyboardTraversal: false });
+  assertNotTested(context, 'keyboard-traversal', ['2.1.1', '2.1.2', '2.4.3', '2.4.7']);
+});
+
+test('form error handling is not tested without the opt-in probe', async () => {
+  const context = await runRule('form-error-handling');
+  assertNotTested(context, 'form-error-handling', ['3.3.1', '3.3.3', '4.1.3']);
+});
+
+test('flashing is not tested when flash observation is 0', async () => {
+  const context = await runRule('three-flashes', { flashObservationMs: 0 });
+  assertNotTested(context, 'three-flashes', ['2.3.1']);
+});
+
+test('text resize is not tested in viewports too narrow to zoom', async () => {
+  const page = { ...fakePage, viewport: () => ({ width: 375, height: 667 }) };
+  const context = await runRule('resize-text', { viewports: ['mobile'] }, page);
+  assertNotTested(context, 'resize-text', ['1.4.4']);
+});
+
+test('a rule skipped in one viewport but run in another counts as tested', () => {
+  const context = new ScanContext({ wcagVersion: '2.1', complianceLevel: 'AA' });
+
+  context.setRule('reflow');
+  context.markSkipped(['1.4.10'], 'Not a reflow viewport');
+  context.markCriteriaTested(context.getCriteriaRun(['1.4.10']));
+
+  context.setRule('reflow');
+  context.markCriteriaTested(context.getCriteriaRun(['1.4.10']));
+
+  const summary = context.getResultsSummary();
+  assert.strictEqual(verdictOf(summary, '1.4.10'), 'not-applicable');
+  assert.deepStrictEqual(summary.skippedChecks, []);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ElementLocator = require('../element_locator');
+const { createDomPage } = require('./helpers/dom_page');
+
+const locate = async (html, selector, config) => {
+  const page = createDomPage(html);
+  await new ElementLocator(config).install(page);
+  return page.evaluate((sel) => window.__wcagLocate(document.querySelector(sel)), selector);
+};
+
+const PRODUCTS = `
+  <ul>
+    <li><a href="/a">A</a></li><li><a href="/b">B</a></li><li><a href="/c">C</a></li>
+  </ul>
+  <ul id="products">
+    <li><a href="/item/1">Red mug</a></li>
+    <li><a href="/item/2">Green mug</a></li>
+    <li><a href="/item/3" class="card" data-rect="40 912 280 24">Blue mug</a></li>
+  </ul>`;
+
+test('paths are anchored at the nearest unique id', async () => {
+  const located = await locate(PRODUCTS, '#products li:nth-of-type(3) > a');
+
+  assert.strictEqual(located.selector, '#products > li:nth-of-type(3) > a');
+  assert.strictEqual(located.xpath, '//*[@id="products"]/li[3]/a[1]');
+  assert.deepStrictEqual(located.boundingBox, { x: 40, y: 912, width: 280, height: 24 });
+  assert.strictEqual(located.html, '<a href="/item/3" class="card" data-rect="40 912 280 24">Blue mug</a>');
+});
+
+test('paths stop climbing once they are unique', async () => {
+  const located = await locate('<main><nav><a href="/">Home</a></nav><p><a href="/x">X</a></p></main>', 'nav a');
+
+  assert.strictEqual(located.selector, 'nav > a');
+  assert.strictEqual(located.xpath, '/html[1]/body[1]/main[1]/nav[1]/a[1]');
+});
+
+test('duplicate ids are not used as anchors', async () => {
+  const located = await locate('<div id="card"><button>Buy</button></div><div id="card"><button>Buy</button></div>',
+    'div:nth-of-type(2) > button');
+
+  assert.strictEqual(located.selector, 'div:nth-of-type(2) > button');
+});
+
+test('ids that are not valid identifiers are escaped', async () => {
+  const page = createDomPage('<div id="1-col"><input></div><input>');
+  await new ElementLocator().install(page);
+
+  const located = await page.evaluate(() => window.__wcagLocate(document.querySelector('input')));
+  assert.strictEqual(located.selector, '#\\31 -col > input');
+  assert.strictEqual(await page.evaluate(sel => window.__wcagResolve(sel).localName, located.selector), 'input');
+});
+
+test('long markup is cut off', async () => {
+  const located = await locate(`<p>${'text '.repeat(20)}</p>`, 'p', { maxHtmlLength: 20 });
+
+  assert.strictEqual(located.html, '<p>text text text te...');
+});
+
+test('elements in open shadow roots are found and located through their host', async () => {
+  const page = createDomPage('<ds-dialog></ds-dialog><button class="outside">Outside</button>');
+  page.document.querySelector('ds-dialog').attachShadow({ mode: 'open' }).innerHTML =
+    '<p>Saved</p><button class="close">Close</button>';
+  await new ElementLocator().install(page);
+
+  const { classes, located, resolved } = await page.evaluate(() => {
+    const buttons = window.__wcagQueryAll('button');
+    const close = buttons.find(button => button.className === 'close');
+    const described = window.__wcagLocate(close);
+    return {
+      classes: buttons.map(button => button.className),
+      located: described,
+      resolved: window.__wcagResolve(described.selector) === close
+    };
+  });
+
+  assert.deepStrictEqual(classes, ['close', 'outside']);
+  assert.strictEqual(located.selector, 'ds-dialog >>> button');
+  assert.strictEqual(located.xpath, null);
+  assert.strictEqual(resolved, true);
+});
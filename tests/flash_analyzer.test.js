@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FlashAnalyzer = require('../flash_analyzer');
+
+const BLACK = { luminance: 0, red: 0, saturatedRed: false };
+const WHITE = { luminance: 1, red: 0, saturatedRed: false };
+const RED = { luminance: 0.2, red: 200, saturatedRed: true };
+const DARK_RED = { luminance: 0.2, red: 0, saturatedRed: false };
+
+// Decoded frames as decodeFrames returns them: a 40 x 30 grid of 8px cells,
+// each standing for 32 x 32 CSS px. `cellAt(cell, index)` gives each cell's
+// colour in frame `index`.
+const createFrames = ({ fps = 20, seconds = 2, cellAt }) => {
+  const cols = 40;
+  const rows = 30;
+  const frames = [];
+  for (let index = 0; index < fps * seconds; index++) {
+    const cells = Array.from({ length: cols * rows }, (_, cell) => cellAt(cell, index));
+    frames.push({
+      width: cols * 8,
+      height: rows * 8,
+      cols,
+      rows,
+      luminance: cells.map(cell => cell.luminance),
+      red: cells.map(cell => cell.red),
+      saturatedRed: cells.map(cell => cell.saturatedRed),
+      timestamp: 1000 + index / fps,
+      scaleX: 4,
+      scaleY: 4
+    });
+  }
+  return frames;
+};
+
+// Alternates every `every` frames: at 20 fps, every 2 frames is 5 flashes a second
+const alternating = (a, b, every) => (index) => (Math.floor(index / every) % 2 === 0 ? a : b);
+
+test('a full-screen flash more than three times a second exceeds the threshold', () => {
+  const flash = alternating(BLACK, WHITE, 2);
+  const result = new FlashAnalyzer().analyze(createFrames({ cellAt: (cell, index) => flash(index) }));
+
+  assert.strictEqual(result.framesAnalyzed, 40);
+  assert.strictEqual(result.general.maxFlashesPerSecond, 5);
+  assert.strictEqual(result.general.exceedsThreshold, true);
+  assert.deepStrictEqual(result.general.boundingBox, { x: 0, y: 0, width: 1280, height: 960 });
+  assert.strictEqual(result.red.exceedsThreshold, false);
+});
+
+test('flashing at most three times a second passes', () => {
+  const flash = alternating(BLACK, WHITE, 4);
+  const result = new FlashAnalyzer().analyze(createFrames({ cellAt: (cell, index) => flash(index) }));
+
+  assert.ok(result.general.maxFlashesPerSecond <= 3);
+  assert.strictEqual(result.general.flashingArea, 0);
+  assert.strictEqual(result.general.exceedsThreshold, false);
+});
+
+test('a fast flash smaller than the threshold area is reported but passes', () => {
+  // Cells 0, 1, 40 and 41: a 64 x 64 CSS px square in the top left corner
+  const flash = alternating(BLACK, WHITE, 2);
+  const result = new FlashAnalyzer().analyze(createFrames({
+    cellAt: (cell, index) => ([0, 1, 40, 41].includes(cell) ? flash(index) : BLACK)
+  }));
+
+  assert.strictEqual(result.general.maxFlashesPerSecond, 5);
+  assert.strictEqual(result.general.flashingArea, 4 * 32 * 32);
+  assert.deepStrictEqual(result.general.boundingBox, { x: 0, y: 0, width: 64, height: 64 });
+  assert.strictEqual(result.general.exceedsThreshold, false);
+});
+
+test('saturated red flashing is counted as red flashes', () => {
+  const flash = alternating(DARK_RED, RED, 2);
+  const result = new FlashAnalyzer().analyze(createFrames({ cellAt: (cell, index) => flash(index) }));
+
+  assert.strictEqual(result.red.exceedsThreshold, true);
+  assert.strictEqual(result.general.maxFlashesPerSecond, 0);
+});
+
+test('small or bright-only luminance changes are not flashes', () => {
+  const dim = alternating(BLACK, { ...BLACK, luminance: 0.05 }, 2);
+  const bright = alternating({ ...WHITE, luminance: 0.85 }, WHITE, 2);
+  const analyzer = new FlashAnalyzer();
+
+  assert.strictEqual(analyzer.analyze(createFrames({ cellAt: (cell, index) => dim(index) })).general.maxFlashesPerSecond, 0);
+  assert.strictEqual(analyzer.analyze(createFrames({ cellAt: (cell, index) => bright(index) })).general.maxFlashesPerSecond, 0);
+});
+
+test('a slow fade counts as one transition, not one per frame', () => {
+  const frames = [0, 0.1, 0.2, 0.3, 0.5, 0.7, 0.9].map((luminance, index) => ({ luminance, timestamp: index }));
+  const transitions = new FlashAnalyzer().findTransitions(frames,
+    (a, b) => Math.abs(a.luminance - b.luminance) >= 0.1,
+    frame => frame.luminance);
+
+  assert.deepStrictEqual(transitions, [1]);
+});
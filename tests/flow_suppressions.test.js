@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WCAGComplianceChecker = require('../wcag_compliance_checker');
+const SuppressionList = require('../suppression_list');
+
+// A two-state flow whose step moves from /cart to /checkout; every state
+// reports the same missing label
+const createChecker = () => {
+  const checker = new WCAGComplianceChecker();
+  let url = 'https://shop.example.com/cart';
+  const page = { waitForTimeout: async () => {} };
+
+  checker.acquirePage = async () => page;
+  checker.releasePage = async () => {};
+  checker.loadPage = async () => null;
+  checker.getResponseSource = async () => null;
+  checker.getPageInfo = async () => ({ title: 'Shop', url });
+  checker.stepRunner.runStep = async () => { url = 'https://shop.example.com/checkout'; };
+  checker.runAllChecks = async (page, context) => {
+    context.setRule('form-labels');
+    context.addResult('error', '1.3.1', 'Missing Label', 'Input has no label',
+      { selector: '#coupon' }, 'Add a label');
+    context.setRule(null);
+  };
+  return checker;
+};
+
+const fingerprint = SuppressionList.fingerprint({
+  criterion: '1.3.1',
+  rule: 'form-labels',
+  title: 'Missing Label',
+  element: { selector: '#coupon' }
+});
+const steps = [{ action: 'click', selector: '#checkout' }];
+const entry = { fingerprint, reason: 'Coupon field is being replaced', owner: 'checkout-team', expires: '2999-12-31' };
+
+test('suppressions apply to every state of a flow', async () => {
+  const report = await createChecker().checkFlow('https://shop.example.com/cart', steps, {
+    suppressions: [entry]
+  });
+
+  report.states.forEach(state => {
+    assert.deepStrictEqual(state.results, []);
+    assert.strictEqual(state.suppressed.length, 1);
+  });
+  assert.strictEqual(report.summary.errors, 0);
+  assert.strictEqual(report.summary.suppressed, 2);
+});
+
+test('suppressions limited to a URL only match states on that page', async () => {
+  const report = await createChecker().checkFlow('https://shop.example.com/cart', steps, {
+    suppressions: [{ ...entry, url: 'https://shop.example.com/checkout' }]
+  });
+
+  assert.deepStrictEqual(report.states.map(state => state.summary.suppressed), [0, 1]);
+  assert.strictEqual(report.summary.errors, 1);
+});
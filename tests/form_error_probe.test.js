@@ -0,0 +1,198 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FormErrorProbe = require('../form_error_probe');
+const ElementLocator = require('../element_locator');
+const WCAGComplianceChecker = require('../wcag_compliance_checker');
+const ScanContext = require('../scan_context');
+const { createDomPage } = require('./helpers/dom_page');
+
+const SIGNUP = (formAttributes = '') => `<body>
+  <form ${formAttributes} data-rect="0 0 300 200">
+    <label for="email">Email</label>
+    <input id="email" type="email" required aria-describedby="email-hint email-error" data-rect="0 20 200 20">
+    <p id="email-hint" data-rect="0 40 200 20">We never share it</p>
+    <p id="email-error" hidden data-rect="0 60 200 20"></p>
+    <input id="nickname" data-rect="0 80 200 20">
+    <button data-rect="0 100 80 20">Sign up</button>
+  </form>
+</body>`;
+
+// A dom page with the request and dialog events the probe listens to.
+// `request(method, options)` plays a request the page makes.
+const createProbePage = (html) => {
+  const page = createDomPage(html);
+  const listeners = { request: [], dialog: [] };
+  const outcomes = [];
+
+  page.interception = [];
+  page.setRequestInterception = async (enabled) => page.interception.push(enabled);
+  page.on = (event, handler) => listeners[event].push(handler);
+  page.off = (event, handler) => {
+    listeners[event] = listeners[event].filter(listener => listener !== handler);
+  };
+  page.mainFrame = () => 'main';
+  page.request = (method, { navigation = false, frame = 'main' } = {}) => {
+    const outcome = { method, navigation };
+    outcomes.push(outcome);
+    listeners.request.forEach(handler => handler({
+      method: () => method,
+      isNavigationRequest: () => navigation,
+      frame: () => frame,
+      abort: async () => { outcome.blocked = true; },
+      continue: async () => { outcome.blocked = false; }
+    }));
+  };
+  page.outcomes = outcomes;
+  page.listenerCount = () => listeners.request.length + listeners.dialog.length;
+  return page;
+};
+
+const probeForms = async (page) => {
+  await new ElementLocator().install(page);
+  return new FormErrorProbe({ settleMs: 1 }).probe(page);
+};
+
+test('errors the page shows are read from the field description, without the hint shown at load', async () => {
+  const page = createProbePage(SIGNUP('novalidate'));
+  const { document } = page;
+  document.querySelector('form').addEventListener('submit', () => {
+    const email = document.querySelector('#email');
+    const error = document.querySelector('#email-error');
+    error.textContent = email.value ? 'Enter an email address like name@example.com' : 'Email is required';
+    error.hidden = false;
+    email.setAttribute('aria-invalid', 'true');
+  });
+
+  const [form] = await probeForms(page);
+
+  assert.deepStrictEqual(form.runs.map(run => run.mode), ['empty', 'invalid']);
+  const [empty, invalid] = form.runs;
+  assert.strictEqual(empty.submitted, true);
+  // Only the required, constrained field is filled; the nickname is left alone
+  assert.deepStrictEqual(empty.fields.map(field => [field.element.selector, field.label, field.value]),
+    [['#email', 'Email', '']]);
+  assert.strictEqual(empty.fields[0].message, 'Email is required');
+  assert.strictEqual(empty.fields[0].ariaInvalid, true);
+  assert.strictEqual(empty.fields[0].nativeInvalid, false);
+  assert.strictEqual(invalid.fields[0].value, 'not-an-email');
+  assert.strictEqual(invalid.fields[0].message, 'Enter an email address like name@example.com');
+
+  // The page is left as it was, apart from the errors its own scripts drew
+  assert.strictEqual(document.querySelector('#email').value, '');
+  assert.strictEqual(page.window.__wcagFormProbe, undefined);
+  assert.deepStrictEqual(page.interception, [true, false]);
+  assert.strictEqual(page.listenerCount(), 0);
+});
+
+test('native validation stops the submission and marks the field invalid', async () => {
+  const [form] = await probeForms(createProbePage(SIGNUP()));
+
+  form.runs.forEach(run => {
+    assert.strictEqual(run.submitted, false);
+    assert.strictEqual(run.fields[0].nativeInvalid, true);
+    assert.strictEqual(run.fields[0].message, '');
+  });
+});
+
+test('requests sent while a form is probed are blocked, except reads of assets', async () => {
+  const page = createProbePage(SIGNUP('novalidate'));
+  page.document.querySelector('form').addEventListener('submit', () => {
+    page.request('GET');
+    page.request('GET', { frame: 'ad', navigation: true });
+    page.request('POST');
+    page.request('GET', { navigation: true });
+  });
+
+  const [form] = await probeForms(page);
+
+  assert.deepStrictEqual(page.outcomes.slice(0, 4).map(outcome => outcome.blocked), [false, false, true, true]);
+  // Counted per form, over both its runs
+  assert.strictEqual(form.blockedRequests, 4);
+});
+
+test('forms without anything to get wrong are not run', async () => {
+  const forms = await probeForms(createProbePage(`<body>
+    <form data-rect="0 0 300 100"><input name="q" data-rect="0 0 200 20"><button data-rect="0 20 80 20">Search</button></form>
+  </body>`));
+
+  assert.strictEqual(forms.length, 1);
+  assert.deepStrictEqual(forms[0].runs, []);
+});
+
+// The checker's reading of probe results, with the probe stubbed out
+const checkForms = async (forms) => {
+  const checker = new WCAGComplianceChecker();
+  checker.formErrorProbe.probe = async () => forms;
+  const context = new ScanContext({ wcagVersion: '2.1', complianceLevel: 'AA', formErrorProbe: true });
+  const page = { setRequestInterception: async () => {}, evaluate: async () => [] };
+
+  await checker.checkFormErrorHandling(page, context);
+  return context.results.map(result => [result.type, result.criterion, result.title]);
+};
+
+const field = (overrides) => ({
+  element: { selector: '#email' },
+  label: 'Email',
+  value: '',
+  nativeInvalid: false,
+  validationMessage: '',
+  ariaInvalid: false,
+  message: '',
+  nearbyMessage: '',
+  ...overrides
+});
+
+const run = (overrides) => ({
+  mode: 'empty', submitted: true, fields: [], focus: null, announcements: [], otherErrorText: [], ...overrides
+});
+
+const form = (runs, overrides = {}) => ({ element: { selector: 'form' }, runs, blockedRequests: 0, alerts: [], ...overrides });
+
+test('described and marked errors are identified, and vague ones lack a suggestion', async () => {
+  const results = await checkForms([form([
+    run({
+      fields: [field({ message: 'Email is required', ariaInvalid: true })],
+      announcements: ['Email is required']
+    }),
+    run({
+      mode: 'invalid',
+      fields: [field({ value: 'not-an-email', message: 'Email invalid' })],
+      focus: { onErrorField: true, onErrorMessage: false, selector: '#email' }
+    })
+  ])]);
+
+  assert.deepStrictEqual(results, [
+    ['success', '3.3.1', 'Error Identified'],
+    ['success', '4.1.3', 'Errors Announced'],
+    ['warning', '3.3.1', 'Invalid Field Not Marked'],
+    ['warning', '3.3.3', 'Error Message Without Suggestion'],
+    ['success', '4.1.3', 'Focus Moved to Errors']
+  ]);
+});
+
+test('a submission with no error shown is left to the server', async () => {
+  const results = await checkForms([
+    form([run({ fields: [field()] })], { blockedRequests: 1 }),
+    form([run({ submitted: false, fields: [field()] })]),
+    form([])
+  ]);
+
+  assert.deepStrictEqual(results, [
+    ['warning', '3.3.1', 'Errors Only Checked by the Server'],
+    ['error', '3.3.1', 'Error Not Identified'],
+    ['info', '3.3.1', 'Form Error Handling Not Tested']
+  ]);
+});
+
+test('error text the field does not reference, shown silently, is not announced', async () => {
+  const results = await checkForms([form([run({
+    fields: [field({ nearbyMessage: 'Email is required' })],
+    otherErrorText: ['Email is required'],
+    focus: { onErrorField: false, onErrorMessage: false, selector: 'button' }
+  })])]);
+
+  assert.deepStrictEqual(results, [
+    ['warning', '3.3.1', 'Error Message Not Associated With Field'],
+    ['error', '4.1.3', 'Errors Not Announced']
+  ]);
+});
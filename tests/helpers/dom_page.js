@@ -0,0 +1,55 @@
+const { JSDOM } = require('jsdom');
+
+// jsdom has no CSS.escape; this covers what selectors built from ids need
+const cssEscape = (value) => String(value)
+  .replace(/[^\w\u0080-\uffff-]/g, char => `\\${char}`)
+  .replace(/^(-?)(\d)/, (match, dash, digit) => `${dash}\\3${digit} `);
+
+const PAGE_GLOBALS = ['window', 'document', 'CSS', 'ShadowRoot', 'Node', 'NodeFilter', 'MutationObserver', 'Event'];
+
+/**
+ * Stands in for a Puppeteer page in tests of code that runs through
+ * `page.evaluate`: the function runs against a jsdom document, with the
+ * browser globals it expects. jsdom does no layout, so an element's box
+ * comes from its `data-rect="left top width height"` attribute.
+ */
+const createDomPage = (html) => {
+  const { window } = new JSDOM(html, { pretendToBeVisual: true });
+  window.CSS = { escape: cssEscape };
+
+  const rectOf = (el) => {
+    const [left, top, width, height] = (el.getAttribute('data-rect') || '0 0 0 0').split(/\s+/).map(Number);
+    return { left, top, width, height, x: left, y: top, right: left + width, bottom: top + height };
+  };
+  window.Element.prototype.getBoundingClientRect = function () {
+    return rectOf(this);
+  };
+  window.Element.prototype.getClientRects = function () {
+    const rect = rectOf(this);
+    return rect.width > 0 || rect.height > 0 ? [rect] : [];
+  };
+
+  return {
+    window,
+    document: window.document,
+    async evaluate(fn, ...args) {
+      const previous = PAGE_GLOBALS.map(name => Object.getOwnPropertyDescriptor(global, name));
+      PAGE_GLOBALS.forEach(name => {
+        Object.defineProperty(global, name, { value: window[name], configurable: true, writable: true });
+      });
+      try {
+        return await fn(...args);
+      } finally {
+        PAGE_GLOBALS.forEach((name, index) => {
+          if (previous[index]) {
+            Object.defineProperty(global, name, previous[index]);
+          } else {
+            delete global[name];
+          }
+        });
+      }
+    }
+  };
+};
+
+module.exports = { createDomPage };
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LiveRegionMonitor = require('../live_region_monitor');
+
+// Stands in for the in-page monitor; page.evaluate runs against it directly
+const createFakePage = () => {
+  const monitor = {
+    entries: [],
+    take() {
+      const entries = monitor.entries;
+      monitor.entries = [];
+      return entries;
+    }
+  };
+  global.window = { __wcagLiveRegions: monitor };
+  return { monitor, evaluate: async (fn, arg) => fn(arg) };
+};
+
+test.afterEach(() => {
+  delete global.window;
+});
+
+test('messages caused while ignoring are dropped and earlier ones kept', async () => {
+  const liveRegions = new LiveRegionMonitor();
+  const page = createFakePage();
+  page.monitor.entries.push({ text: 'Added to cart' });
+
+  const value = await liveRegions.ignoreDuring(page, async () => {
+    page.monitor.entries.push({ text: 'Email is required' });
+    return 'probed';
+  });
+  page.monitor.entries.push({ text: '3 results' });
+
+  assert.strictEqual(value, 'probed');
+  assert.deepStrictEqual((await liveRegions.take(page)).map(entry => entry.text),
+    ['Added to cart', '3 results']);
+});
+
+test('earlier messages are kept when the action fails', async () => {
+  const liveRegions = new LiveRegionMonitor();
+  const page = createFakePage();
+  page.monitor.entries.push({ text: 'Saved' });
+
+  await assert.rejects(liveRegions.ignoreDuring(page, async () => {
+    page.monitor.entries.push({ text: 'Invalid date' });
+    throw new Error('probe failed');
+  }), /probe failed/);
+
+  assert.deepStrictEqual((await liveRegions.take(page)).map(entry => entry.text), ['Saved']);
+});
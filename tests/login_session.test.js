@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WCAGComplianceChecker = require('../wcag_compliance_checker');
+
+// Records the cookies set before the login steps run; the steps themselves
+// are skipped, and the page reports no cookies or storage afterwards
+const createChecker = (setCookies) => {
+  const checker = new WCAGComplianceChecker();
+  const page = {
+    setCookie: async (...cookies) => setCookies.push(...cookies),
+    target: () => ({
+      createCDPSession: async () => ({
+        send: async () => ({ cookies: [] }),
+        detach: async () => {}
+      })
+    }),
+    evaluate: async () => ({ origin: 'https://example.com', items: {} })
+  };
+  checker.acquirePage = async () => page;
+  checker.releasePage = async () => {};
+  checker.stepRunner.runSteps = async () => {};
+  return checker;
+};
+
+const cookies = [{ name: 'consent', value: 'yes' }];
+
+test('cookies without a domain are set for the first goto step', async () => {
+  const setCookies = [];
+  await createChecker(setCookies).createSession({
+    cookies,
+    loginSteps: [
+      { action: 'waitForSelector', selector: '#login' },
+      { action: 'goto', url: 'https://example.com/login' }
+    ]
+  }, 'https://example.com/account');
+
+  assert.deepStrictEqual(setCookies, [{ ...cookies[0], url: 'https://example.com/login' }]);
+});
+
+test('cookies without a domain fall back to the checked URL without a goto step', async () => {
+  const setCookies = [];
+  await createChecker(setCookies).createSession({
+    cookies,
+    loginSteps: [
+      { action: 'fill', selector: '#user', value: 'tester' },
+      { action: 'click', selector: '#submit' }
+    ]
+  }, 'https://example.com/account');
+
+  assert.deepStrictEqual(setCookies, [{ ...cookies[0], url: 'https://example.com/account' }]);
+});
+
+test('a session is applied once per page, not once per viewport', async () => {
+  const checker = new WCAGComplianceChecker();
+  const storageScripts = [];
+  const page = {
+    setCookie: async () => {},
+    evaluateOnNewDocument: async (fn, storage) => storageScripts.push(storage),
+    goto: async () => null,
+    waitForTimeout: async () => {},
+    content: async () => '<html></html>'
+  };
+  checker.acquirePage = async () => page;
+  checker.releasePage = async () => {};
+  checker.applyViewportProfile = async () => {};
+  checker.getPageInfo = async () => ({ title: 'Account', url: 'https://example.com/account' });
+  checker.runAllChecks = async () => {};
+
+  await checker.checkURL('https://example.com/account', {
+    viewports: ['desktop', 'tablet', 'mobile'],
+    session: {
+      cookies,
+      localStorage: { origin: 'https://example.com', items: { token: 'abc' } }
+    }
+  });
+
+  assert.strictEqual(storageScripts.length, 1);
+});
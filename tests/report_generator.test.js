@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ReportGenerator = require('../report_generator');
+
+const report = {
+  url: 'https://example.com/',
+  summary: { total: 0, errors: 0, warnings: 0, passed: 0, score: 100 },
+  results: [],
+  manualReview: [{
+    criterion: '1.3.3',
+    title: 'Sensory Characteristics',
+    verdict: 'pass',
+    notes: 'Prices like $& and $` and $1 stay as typed',
+    evidence: []
+  }],
+  suppressed: [{
+    criterion: '1.4.3',
+    title: 'Insufficient Contrast',
+    element: { selector: '.price' },
+    suppression: { reason: 'Brand colour, costs $$ to change', owner: "team-$'", expires: '2999-12-31' }
+  }]
+};
+
+test('free text in manual review and suppressions is not expanded as a replacement pattern', () => {
+  const html = new ReportGenerator().generateHTML(report, true);
+
+  assert.ok(html.includes('Prices like $&amp; and $` and $1 stay as typed'));
+  assert.ok(html.includes('Brand colour, costs $$ to change'));
+  assert.ok(html.includes('team-$&#39;'));
+});
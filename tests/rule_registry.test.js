@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ruleRegistry = require('../rule_registry');
+const { RuleRegistry } = require('../rule_registry');
+const ScanContext = require('../scan_context');
+
+const createRule = (overrides = {}) => ({
+  id: 'ds-icon-button-label',
+  criteria: ['4.1.2'],
+  level: 'A',
+  version: '2.0',
+  evaluate: async () => {},
+  ...overrides
+});
+
+const applicableIds = (registry, options) =>
+  registry.getApplicableRules(new ScanContext(options)).map(rule => rule.id);
+
+test('rules missing required fields are rejected with the reason', () => {
+  const registry = new RuleRegistry();
+
+  assert.throws(() => registry.register(createRule({ id: '' })), /string id/);
+  assert.throws(() => registry.register(createRule({ criteria: [] })), /must list the WCAG criteria/);
+  assert.throws(() => registry.register(createRule({ level: 'AAAA' })), /invalid level/);
+  assert.throws(() => registry.register(createRule({ version: '3.0' })), /invalid WCAG version/);
+  assert.throws(() => registry.register(createRule({ tags: 'design-system' })), /tags must be an array/);
+  assert.throws(() => registry.register(createRule({ evaluate: null })), /evaluate function/);
+});
+
+test('a rule id can only be registered again with replace', () => {
+  const registry = new RuleRegistry();
+  registry.register(createRule());
+
+  assert.throws(() => registry.register(createRule()), /already registered/);
+  registry.register(createRule({ description: 'Replacement' }), { replace: true });
+  assert.strictEqual(registry.get('ds-icon-button-label').description, 'Replacement');
+});
+
+test('applicable rules follow the scan version, level, ids and tags', () => {
+  const registry = new RuleRegistry();
+  registry.register(createRule({ id: 'level-a', tags: ['forms'] }));
+  registry.register(createRule({ id: 'level-aaa', level: 'AAA', tags: ['forms'] }));
+  registry.register(createRule({ id: 'wcag-22', version: '2.2', level: 'AA' }));
+
+  assert.deepStrictEqual(applicableIds(registry, { wcagVersion: '2.1', complianceLevel: 'AA' }), ['level-a']);
+  assert.deepStrictEqual(applicableIds(registry, { wcagVersion: '2.2', complianceLevel: 'AAA' }),
+    ['level-a', 'level-aaa', 'wcag-22']);
+  assert.deepStrictEqual(applicableIds(registry, { wcagVersion: '2.2', complianceLevel: 'AAA', rules: ['wcag-22'] }),
+    ['wcag-22']);
+  assert.deepStrictEqual(applicableIds(registry, { wcagVersion: '2.2', complianceLevel: 'AAA', tags: ['forms'] }),
+    ['level-a', 'level-aaa']);
+});
+
+test('rules run by order, then in registration order', () => {
+  const registry = new RuleRegistry();
+  registry.register(createRule({ id: 'late', order: 100 }));
+  registry.register(createRule({ id: 'first' }));
+  registry.register(createRule({ id: 'second' }));
+
+  assert.deepStrictEqual(applicableIds(registry, {}), ['first', 'second', 'late']);
+});
+
+test('rules files may export a rule, an array or { rules }', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wcag-rules-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const ruleSource = (id) =>
+    `{ id: '${id}', criteria: ['4.1.2'], level: 'A', version: '2.0', evaluate: async () => {} }`;
+  fs.writeFileSync(path.join(directory, 'a-single.js'), `module.exports = ${ruleSource('single')};`);
+  fs.writeFileSync(path.join(directory, 'b-array.js'), `module.exports = [${ruleSource('array-1')}, ${ruleSource('array-2')}];`);
+  fs.writeFileSync(path.join(directory, 'c-object.js'), `module.exports = { rules: [${ruleSource('object')}] };`);
+  fs.writeFileSync(path.join(directory, 'notes.txt'), 'not a rule');
+
+  const registry = new RuleRegistry();
+  assert.strictEqual(registry.loadFromDirectory(directory), 4);
+  assert.deepStrictEqual(registry.getAll().map(rule => [rule.id, rule.source]), [
+    ['single', 'a-single.js'],
+    ['array-1', 'b-array.js'],
+    ['array-2', 'b-array.js'],
+    ['object', 'c-object.js']
+  ]);
+});
+
+test('every built-in rule reports on criteria that exist', () => {
+  ruleRegistry.getAll()
+    .filter(rule => rule.source === 'builtin')
+    .forEach(rule => rule.criteria.forEach(criterion => {
+      assert.ok(ScanContext.getWCAGInfo(criterion), `${rule.id} lists unknown criterion ${criterion}`);
+    }));
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ScanStore } = require('../scan_store');
+
+const createStore = async (config = {}) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'scan-store-'));
+  test.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return new ScanStore({ directory, ...config });
+};
+
+test('saved scans are read back without the page source', async () => {
+  const store = await createStore();
+  const saved = await store.save({
+    url: 'https://example.com',
+    originalHtml: '<html></html>',
+    results: [{ url: 'https://example.com/a', originalHtml: '<p></p>', summary: { total: 1 } }, null]
+  }, 'batch');
+
+  const record = await store.get(saved.id);
+  assert.strictEqual(record.kind, 'batch');
+  assert.deepStrictEqual(record.manualVerdicts, {});
+  assert.deepStrictEqual(record.report, {
+    url: 'https://example.com',
+    results: [{ url: 'https://example.com/a', summary: { total: 1 } }, null]
+  });
+  assert.deepStrictEqual(await fs.readdir(store.directory), [`${saved.id}.json`]);
+});
+
+test('unknown and malformed ids are not found', async () => {
+  const store = await createStore();
+
+  assert.strictEqual(await store.get('9b2f6d3e-6a7c-4d2e-9f1a-0c8b5e4d3a21'), null);
+  assert.strictEqual(await store.get('../../etc/passwd'), null);
+  assert.strictEqual(await store.update('9b2f6d3e-6a7c-4d2e-9f1a-0c8b5e4d3a21', () => {}), null);
+});
+
+test('concurrent updates to a scan are applied one after another', async () => {
+  const store = await createStore();
+  const { id } = await store.save({ url: 'https://example.com' }, 'url');
+
+  const criteria = ['1.3.3', '1.4.1', '2.4.5', '3.2.3', '3.2.4'];
+  await Promise.all(criteria.map(criterion => store.update(id, record => {
+    record.manualVerdicts[criterion] = { verdict: 'pass' };
+  })));
+
+  const record = await store.get(id);
+  assert.deepStrictEqual(Object.keys(record.manualVerdicts).sort(), criteria);
+  assert.ok(record.updatedAt >= record.createdAt);
+  assert.strictEqual(store.pending.size, 0);
+});
+
+test('a failing update does not stop the next one', async () => {
+  const store = await createStore();
+  const { id } = await store.save({ url: 'https://example.com' }, 'url');
+
+  const failed = store.update(id, () => {
+    throw new Error('bad verdict');
+  });
+  const applied = store.update(id, record => {
+    record.manualVerdicts['1.3.3'] = { verdict: 'fail' };
+  });
+
+  await assert.rejects(failed, /bad verdict/);
+  assert.deepStrictEqual((await applied).manualVerdicts, { '1.3.3': { verdict: 'fail' } });
+});
+
+test('only the newest scans are kept', async () => {
+  const store = await createStore({ maxScans: 2 });
+  const first = await store.save({ url: 'https://example.com/1' }, 'url');
+  const second = await store.save({ url: 'https://example.com/2' }, 'url');
+  // Saves within the same millisecond share a modification time
+  await fs.utimes(store.filePath(first.id), new Date(1000), new Date(1000));
+  await fs.utimes(store.filePath(second.id), new Date(2000), new Date(2000));
+
+  const third = await store.save({ url: 'https://example.com/3' }, 'url');
+
+  assert.strictEqual(await store.get(first.id), null);
+  assert.ok(await store.get(second.id));
+  assert.ok(await store.get(third.id));
+});
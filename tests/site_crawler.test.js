@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SiteCrawler = require('../site_crawler');
+
+const ORIGIN = 'https://example.com';
+
+// A crawler whose robots.txt is `robots` instead of a network fetch
+const createCrawler = (config = {}, robots = '') => {
+  const crawler = new SiteCrawler(config);
+  crawler.robotsCache.set(ORIGIN, crawler.parseRobotsTxt(robots));
+  return crawler;
+};
+
+// Scans a site described as `{ path: [links] }`, recording the order visited
+const crawlSite = async (crawler, site, start = `${ORIGIN}/`) => {
+  const scanned = [];
+  const crawl = await crawler.crawl(start, async (url) => {
+    scanned.push(url);
+    const { pathname, search } = new URL(url);
+    return {
+      result: { url },
+      links: (site[pathname + search] || site[pathname] || []).map(link => new URL(link, url).toString())
+    };
+  });
+  return { crawl, scanned };
+};
+
+test('robots.txt uses the group for our user agent over the wildcard group', () => {
+  const crawler = new SiteCrawler();
+  const rules = crawler.parseRobotsTxt([
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    '# Accessibility audits may read everything but drafts',
+    'User-agent: Googlebot',
+    'User-agent: WCAGComplianceChecker',
+    'Disallow: /drafts/'
+  ].join('\n'));
+
+  assert.deepStrictEqual(rules, [{ allow: false, path: '/drafts/' }]);
+});
+
+test('the longest matching robots rule wins and Allow wins a tie', () => {
+  const crawler = new SiteCrawler();
+  const rules = crawler.parseRobotsTxt([
+    'User-agent: *',
+    'Disallow: /shop',
+    'Allow: /shop/catalog',
+    'Disallow: /*.pdf$',
+    'Allow: /same',
+    'Disallow: /same'
+  ].join('\n'));
+
+  assert.strictEqual(crawler.isPathAllowed('/shop/cart', rules), false);
+  assert.strictEqual(crawler.isPathAllowed('/shop/catalog/mugs', rules), true);
+  assert.strictEqual(crawler.isPathAllowed('/files/report.pdf', rules), false);
+  assert.strictEqual(crawler.isPathAllowed('/files/report.pdf?download=1', rules), true);
+  assert.strictEqual(crawler.isPathAllowed('/same', rules), true);
+  assert.strictEqual(crawler.isPathAllowed('/about', rules), true);
+});
+
+test('pages disallowed by robots.txt are skipped, not scanned', async () => {
+  const crawler = createCrawler({}, 'User-agent: *\nDisallow: /admin');
+  const { crawl, scanned } = await crawlSite(crawler, { '/': ['/about', '/admin/users'] });
+
+  assert.deepStrictEqual(scanned, [`${ORIGIN}/`, `${ORIGIN}/about`]);
+  assert.deepStrictEqual(crawl.skipped.robots, [`${ORIGIN}/admin/users`]);
+});
+
+test('links are followed up to maxDepth', async () => {
+  const crawler = createCrawler({ maxDepth: 1 });
+  const { crawl, scanned } = await crawlSite(crawler, {
+    '/': ['/level-1'],
+    '/level-1': ['/level-2']
+  });
+
+  assert.deepStrictEqual(scanned, [`${ORIGIN}/`, `${ORIGIN}/level-1`]);
+  assert.deepStrictEqual(crawl.pages.map(page => page.depth), [0, 1]);
+});
+
+test('URLs differing by query string, fragment or trailing slash are scanned once', async () => {
+  const crawler = createCrawler();
+  const { scanned } = await crawlSite(crawler, {
+    '/': ['/products?page=2', '/products#top', '/products/', '/products?sort=price']
+  });
+
+  assert.deepStrictEqual(scanned, [`${ORIGIN}/`, `${ORIGIN}/products?page=2`]);
+});
+
+test('off-origin links and excluded URLs are counted but not scanned', async () => {
+  const crawler = createCrawler({ exclude: ['/logout'] });
+  const { crawl, scanned } = await crawlSite(crawler, {
+    '/': ['https://other.example.org/', '/logout', 'mailto:help@example.com', '/help']
+  });
+
+  assert.deepStrictEqual(scanned, [`${ORIGIN}/`, `${ORIGIN}/help`]);
+  assert.strictEqual(crawl.skipped.offOrigin, 1);
+  assert.deepStrictEqual(crawl.skipped.excluded, [`${ORIGIN}/logout`]);
+});
+
+test('the page budget stops the crawl and counts what was left', async () => {
+  const crawler = createCrawler({ maxPages: 2 });
+  const { crawl, scanned } = await crawlSite(crawler, { '/': ['/a', '/b', '/c'] });
+
+  assert.strictEqual(scanned.length, 2);
+  assert.strictEqual(crawl.skipped.overBudget, 2);
+});
+
+test('sitemap locations are unescaped', () => {
+  const crawler = new SiteCrawler();
+  const locations = crawler.extractSitemapLocations(`
+    <urlset>
+      <url><loc> https://example.com/search?q=mugs&amp;page=2 </loc></url>
+      <url><loc>https://example.com/about</loc></url>
+    </urlset>`);
+
+  assert.deepStrictEqual(locations, ['https://example.com/search?q=mugs&page=2', 'https://example.com/about']);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const SuppressionList = require('../suppression_list');
+
+const result = (overrides = {}) => ({
+  type: 'error',
+  criterion: '1.1.1',
+  rule: 'images',
+  title: 'Image Missing Alt Text',
+  element: { selector: '#ember123 > img.thumb-12' },
+  ...overrides
+});
+
+const entry = (overrides = {}) => ({
+  fingerprint: SuppressionList.fingerprint(result()),
+  reason: 'Legacy gallery, replaced in Q3',
+  owner: 'web-team',
+  expires: '2026-09-30',
+  ...overrides
+});
+
+test('fingerprints ignore generated digits in ids and class names, but not structure', () => {
+  const fingerprint = SuppressionList.fingerprint(result());
+
+  assert.match(fingerprint, /^[0-9a-f]{16}$/);
+  assert.strictEqual(SuppressionList.fingerprint(result({ element: { selector: '#ember456>img.thumb-345' } })), fingerprint);
+  assert.notStrictEqual(SuppressionList.fingerprint(result({ element: { selector: '#ember123 > img.thumb-12:nth-of-type(2)' } })), fingerprint);
+  assert.notStrictEqual(SuppressionList.fingerprint(result({ title: 'Image Alt Text Is Filename' })), fingerprint);
+  assert.notStrictEqual(SuppressionList.fingerprint(result(), 'custom-images'), fingerprint);
+  assert.notStrictEqual(SuppressionList.fingerprint(result({ element: { ...result().element, framePath: 'iframe.ad-3' } })), fingerprint);
+
+  assert.strictEqual(SuppressionList.normalizeSelector('main>ul li:nth-of-type(3) + a#item-12.card-7'),
+    'main > ul li:nth-of-type(3) + a#item-*.card-*');
+  assert.strictEqual(SuppressionList.normalizeSnippet('<img  src="photo-12.jpg"\n alt="">...'), '<img src="photo-*.jpg" alt="">');
+});
+
+test('entries need a fingerprint, reason, owner and expiry date', () => {
+  assert.throws(() => SuppressionList.validate(null), /must be an object/);
+  assert.throws(() => SuppressionList.validate(entry({ fingerprint: 'abc' })), /16-character fingerprint/);
+  assert.throws(() => SuppressionList.validate(entry({ owner: '  ' })), /needs a owner/);
+  assert.throws(() => SuppressionList.validate(entry({ expires: 'soon' })), /needs an expiry date/);
+
+  assert.deepStrictEqual(SuppressionList.validate(entry({ reason: ' Accepted ', extra: true, criterion: '1.1.1' })), {
+    fingerprint: entry().fingerprint,
+    reason: 'Accepted',
+    owner: 'web-team',
+    expires: '2026-09-30',
+    url: null,
+    criterion: '1.1.1'
+  });
+});
+
+test('entries suppress matching issues through the end of their expiry date', () => {
+  const list = new SuppressionList([entry({ id: 'a1' })]);
+  const issue = { ...result(), fingerprint: entry().fingerprint };
+  const note = { ...issue, type: 'success' };
+
+  const current = list.apply([issue, note], { now: Date.parse('2026-09-30T23:00:00Z') });
+  assert.deepStrictEqual(current.suppressed.map(item => item.suppression), [
+    { id: 'a1', reason: 'Legacy gallery, replaced in Q3', owner: 'web-team', expires: '2026-09-30', source: null }
+  ]);
+  assert.deepStrictEqual(current.active, [note]);
+
+  const expired = list.apply([issue], { now: Date.parse('2026-10-01T00:00:00Z') });
+  assert.deepStrictEqual(expired.suppressed, []);
+  assert.strictEqual(expired.active[0].suppressionExpired.id, 'a1');
+});
+
+test('a current entry wins over an expired one for the same issue', () => {
+  const list = new SuppressionList([entry({ id: 'old', expires: '2026-01-31' }), entry({ id: 'new' })]);
+  const { suppressed } = list.apply([{ ...result(), fingerprint: entry().fingerprint }], { now: Date.parse('2026-06-01') });
+
+  assert.strictEqual(suppressed[0].suppression.id, 'new');
+});
+
+test('entries with a URL only apply to pages under it', () => {
+  const list = new SuppressionList([entry({ url: 'https://example.com/old/' })]);
+  const issue = { ...result(), fingerprint: entry().fingerprint };
+  const now = Date.parse('2026-06-01');
+
+  assert.strictEqual(list.apply([issue], { url: 'https://example.com/old/gallery', now }).suppressed.length, 1);
+  assert.strictEqual(list.apply([issue], { url: 'https://example.com/new/', now }).active.length, 1);
+  assert.strictEqual(list.apply([issue], { now }).active.length, 1);
+});
+
+test('a baseline from results has one entry per issue, or per issue and page', () => {
+  const fingerprint = entry().fingerprint;
+  const results = [
+    { ...result(), fingerprint, url: 'https://example.com/a' },
+    { ...result(), fingerprint, url: 'https://example.com/b' },
+    { ...result(), fingerprint, url: 'https://example.com/a' },
+    { ...result({ type: 'info' }), fingerprint: 'ffffffffffffffff' }
+  ];
+  const accepted = { reason: 'Known', owner: 'web-team', expires: '2026-12-31' };
+
+  assert.deepStrictEqual(SuppressionList.fromResults(results, accepted).entries, [{
+    fingerprint, reason: 'Known', owner: 'web-team', expires: '2026-12-31', url: null,
+    criterion: '1.1.1', title: 'Image Missing Alt Text', selector: '#ember123 > img.thumb-12'
+  }]);
+  assert.deepStrictEqual(SuppressionList.fromResults(results, { ...accepted, scopeToPage: true }).entries.map(item => item.url),
+    ['https://example.com/a', 'https://example.com/b']);
+});
+
+test('baseline files hold an array or a suppressions list', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'baseline-'));
+  test.after(() => fs.rm(directory, { recursive: true, force: true }));
+  const write = async (name, data) => {
+    const file = path.join(directory, name);
+    await fs.writeFile(file, JSON.stringify(data));
+    return file;
+  };
+
+  const fromArray = await SuppressionList.fromFile(await write('array.json', [entry()]));
+  const fromObject = await SuppressionList.fromFile(await write('object.json', new SuppressionList([entry()]).toJSON()));
+
+  assert.deepStrictEqual(fromArray.entries, fromObject.entries);
+  assert.strictEqual(fromArray.entries[0].source, 'baseline');
+  await assert.rejects(SuppressionList.fromFile(await write('empty.json', {})), /has no suppressions list/);
+});
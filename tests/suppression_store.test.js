@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { SuppressionStore } = require('../suppression_store');
+
+const entry = (fingerprint) => ({ fingerprint, reason: 'Known', owner: 'web-team', expires: '2026-12-31' });
+
+const createStore = async (config = {}) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'suppression-store-'));
+  test.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return { directory, store: new SuppressionStore({ file: path.join(directory, 'suppressions.json'), ...config }) };
+};
+
+test('concurrent changes are all kept', async () => {
+  const { store } = await createStore();
+
+  const added = await Promise.all(['0000000000000001', '0000000000000002', '0000000000000003']
+    .map(fingerprint => store.add([entry(fingerprint)])));
+  assert.strictEqual(await store.remove(added[1][0].id), true);
+  assert.strictEqual(await store.remove(added[1][0].id), false);
+
+  const stored = await store.list();
+  assert.deepStrictEqual(stored.map(item => item.fingerprint), ['0000000000000001', '0000000000000003']);
+  assert.ok(stored.every(item => item.id && item.source === 'api' && item.createdAt));
+});
+
+test('invalid entries are rejected before anything is stored', async () => {
+  const { store } = await createStore();
+
+  assert.throws(() => store.add([entry('0000000000000001'), { ...entry('0000000000000002'), reason: '' }]), /needs a reason/);
+  assert.deepStrictEqual(await store.list(), []);
+});
+
+test('scans get the stored entries together with the baseline file', async () => {
+  const { directory, store: plain } = await createStore();
+  const baselineFile = path.join(directory, 'baseline.json');
+  await fs.writeFile(baselineFile, JSON.stringify({ suppressions: [entry('00000000000000bb')] }));
+  const store = new SuppressionStore({ file: plain.file, baselineFile });
+  await store.add([entry('00000000000000aa')]);
+
+  const list = await store.getSuppressionList();
+  assert.deepStrictEqual(list.entries.map(item => [item.fingerprint, item.source]),
+    [['00000000000000aa', 'api'], ['00000000000000bb', 'baseline']]);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WCAGComplianceChecker = require('../wcag_compliance_checker');
+const ElementLocator = require('../element_locator');
+const { createDomPage } = require('./helpers/dom_page');
+
+// Targets are blocks placed with data-rect="left top width height"
+const measure = async (body, options = { minSize: 24, spacing: true }) => {
+  const page = createDomPage(`<body>${body}</body>`);
+  await new ElementLocator().install(page);
+  return new WCAGComplianceChecker().measureTargets(page, options);
+};
+
+const failingIds = (targetData) => targetData.failing.map(target => target.element.selector);
+
+test('small targets whose 24px circles stay apart are exempt', async () => {
+  const targetData = await measure(`
+    <div id="a" role="button" data-rect="0 0 20 20"></div>
+    <div id="b" role="button" data-rect="30 0 20 20"></div>`);
+
+  assert.deepStrictEqual(failingIds(targetData), []);
+  assert.strictEqual(targetData.exempt, 2);
+});
+
+test('small targets whose circles overlap fail', async () => {
+  const targetData = await measure(`
+    <div id="a" role="button" data-rect="0 0 16 16"></div>
+    <div id="b" role="button" data-rect="20 0 16 16"></div>`);
+
+  assert.deepStrictEqual(failingIds(targetData), ['#a', '#b']);
+  assert.strictEqual(targetData.failing[0].conflictsWith, '#b');
+});
+
+test('a circle reaching a large target fails', async () => {
+  const targetData = await measure(`
+    <div id="small" role="button" data-rect="0 0 10 10"></div>
+    <div id="large" role="button" data-rect="15 0 100 40"></div>`);
+
+  assert.deepStrictEqual(failingIds(targetData), ['#small']);
+  assert.strictEqual(targetData.failing[0].conflictsWith, '#large');
+});
+
+test('a circle reaching the edge of a wide undersized target fails even when their centres are far apart', async () => {
+  const targetData = await measure(`
+    <div id="icon" role="button" data-rect="0 0 10 10"></div>
+    <div id="strip" role="button" data-rect="12 0 200 10"></div>`);
+
+  assert.ok(failingIds(targetData).includes('#icon'));
+  assert.strictEqual(targetData.failing.find(target => target.element.selector === '#icon').conflictsWith, '#strip');
+});
+
+test('without the spacing exception every small target fails', async () => {
+  const targetData = await measure(`
+    <div id="a" role="button" data-rect="0 0 30 30"></div>
+    <div id="b" role="button" data-rect="200 0 44 44"></div>`, { minSize: 44, spacing: false });
+
+  assert.deepStrictEqual(failingIds(targetData), ['#a']);
+  assert.strictEqual(targetData.failing[0].conflictsWith, null);
+});
+
+test('links inside text and targets with a large label are exempt', async () => {
+  // jsdom has no default display for inline elements, so it is set here
+  const targetData = await measure(`
+    <p>Read the <a id="inline" href="/terms" style="display: inline" data-rect="0 0 30 12">terms</a> first.</p>
+    <input id="agree" type="text" data-rect="0 14 12 12">
+    <label for="agree" data-rect="14 10 200 30">I agree</label>`);
+
+  assert.deepStrictEqual(failingIds(targetData), []);
+  assert.strictEqual(targetData.exempt, 2);
+});
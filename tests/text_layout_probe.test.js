@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TextLayoutProbe = require('../text_layout_probe');
+const ElementLocator = require('../element_locator');
+const { createDomPage } = require('./helpers/dom_page');
+
+const box = (id, overrides = {}) => ({
+  id, control: false, hidden: false, x: 0, y: 0, width: 100, height: 20, clippedBy: null, ...overrides
+});
+
+test('only clipping, hiding and overlaps caused by the change are problems', () => {
+  const before = {
+    boxes: [
+      box('1'),
+      box('2', { clippedBy: '.truncate' }),
+      box('3', { hidden: true }),
+      box('4', { control: true }),
+      box('5'),
+      box('6')
+    ],
+    overlaps: [['5', '6']]
+  };
+  const after = {
+    boxes: [
+      box('1', { clippedBy: '.card' }),
+      box('2', { clippedBy: '.truncate' }),
+      box('3', { hidden: true }),
+      box('4', { control: true, hidden: true }),
+      box('5'),
+      box('6'),
+      box('7', { clippedBy: '.new' })
+    ],
+    overlaps: [['5', '6'], ['1', '5'], ['6', '1']]
+  };
+
+  assert.deepStrictEqual(new TextLayoutProbe().compare(before, after), [
+    { id: '1', kind: 'clipped', control: false, clippedBy: '.card' },
+    { id: '4', kind: 'hidden', control: true },
+    { id: '6', kind: 'overlap', control: false, otherId: '1' }
+  ]);
+});
+
+test('overlaps are reported between text in different blocks only', async () => {
+  // jsdom has no default display for inline elements, so it is set here
+  const page = createDomPage(`<body>
+    <h2 data-rect="0 0 200 30">Heading</h2>
+    <p data-rect="0 20 200 40">Paragraph <span style="display: inline" data-rect="80 20 50 20">inline</span></p>
+    <div data-rect="0 100 200 20">Caption <b data-rect="0 100 40 20">bold</b></div>
+    <button data-rect="0 0 40 20">Menu</button>
+  </body>`);
+  await new ElementLocator().install(page);
+  const probe = new TextLayoutProbe();
+  await probe.install(page);
+
+  const ids = await page.evaluate(() => Object.fromEntries(
+    Array.from(document.querySelectorAll('[data-wcag-layout-id]'))
+      .map(el => [el.getAttribute('data-wcag-layout-id'), el.localName])));
+  const overlaps = await page.evaluate(() => {
+    const boxes = Array.from(document.querySelectorAll('[data-wcag-layout-id]')).map(el => {
+      const rect = el.getBoundingClientRect();
+      return {
+        id: el.getAttribute('data-wcag-layout-id'),
+        control: el.localName === 'button',
+        hidden: false,
+        x: rect.left,
+        y: rect.top,
+        width: rect.width,
+        height: rect.height
+      };
+    });
+    return window.__wcagTextLayout.overlaps(boxes);
+  });
+
+  // The heading overlaps the paragraph and its inline span; the span shares
+  // the paragraph's block, the bold text sits inside its div, and the button
+  // is a control
+  assert.deepStrictEqual(overlaps.map(pair => pair.map(id => ids[id])), [['h2', 'p'], ['h2', 'span']]);
+
+  await probe.cleanup(page);
+  assert.strictEqual(page.document.querySelectorAll('[data-wcag-layout-id]').length, 0);
+});
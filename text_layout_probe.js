@@ -0,0 +1,209 @@
+const STAMP_ATTRIBUTE = 'data-wcag-layout-id';
+const MAX_ELEMENTS = 1500;
+
+/**
+ * Runs in the page. Stamps every element with its own text, plus every
+ * interactive control, and defines `window.__wcagTextLayout` to measure them.
+ * Stamps survive relayout, so the same elements can be measured before and
+ * after the page is restyled or resized.
+ */
+function defineTextLayoutProbe(attribute, maxElements) {
+  const SKIP = 'script, style, noscript, template, svg, textarea, select, option';
+  const CONTROL = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, ' +
+    '[role="button"], [role="link"], [role="checkbox"], [role="tab"], [role="menuitem"]';
+
+  const hasOwnText = (el) => Array.from(el.childNodes)
+    .some(node => node.nodeType === 3 && node.textContent.trim());
+
+  const elements = (document.body ? window.__wcagQueryAll('*', document.body) : [])
+    .filter(el => el.getClientRects().length > 0)
+    .filter(el => el.matches(CONTROL) || (!el.closest(SKIP) && hasOwnText(el)))
+    .slice(0, maxElements);
+  elements.forEach((el, index) => el.setAttribute(attribute, String(index + 1)));
+
+  // Bounds of the element's own text, which may spill outside its box
+  const textBounds = (el) => {
+    const range = document.createRange();
+    let bounds = null;
+    Array.from(el.childNodes).forEach(node => {
+      if (node.nodeType !== 3 || !node.textContent.trim()) return;
+      range.selectNodeContents(node);
+      const rect = range.getBoundingClientRect();
+      if (rect.width === 0 && rect.height === 0) return;
+      bounds = bounds
+        ? {
+          left: Math.min(bounds.left, rect.left),
+          top: Math.min(bounds.top, rect.top),
+          right: Math.max(bounds.right, rect.right),
+          bottom: Math.max(bounds.bottom, rect.bottom)
+        }
+        : { left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom };
+    });
+    return bounds;
+  };
+
+  // Text is measured by the text itself, controls without text by their box
+  const boundsOf = (el) => {
+    const bounds = hasOwnText(el) ? textBounds(el) : null;
+    if (bounds || !el.matches(CONTROL)) return bounds;
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 ? rect : null;
+  };
+
+  // Nearest element (itself included) whose overflow: hidden/clip cuts the bounds off
+  const clippingContainer = (el, bounds) => {
+    for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+      const style = window.getComputedStyle(node);
+      const clipsX = ['hidden', 'clip'].includes(style.overflowX);
+      const clipsY = ['hidden', 'clip'].includes(style.overflowY);
+      if (!clipsX && !clipsY) continue;
+
+      const rect = node.getBoundingClientRect();
+      const left = rect.left + node.clientLeft;
+      const top = rect.top + node.clientTop;
+      const cutX = clipsX && (bounds.left < left - 1 || bounds.right > left + node.clientWidth + 1);
+      const cutY = clipsY && (bounds.top < top - 1 || bounds.bottom > top + node.clientHeight + 1);
+      if (cutX || cutY) return node;
+    }
+    return null;
+  };
+
+  const isRendered = (el) => {
+    const style = window.getComputedStyle(el);
+    return el.isConnected && style.visibility !== 'hidden' && el.getClientRects().length > 0;
+  };
+
+  const blocks = new Map();
+  const blockOf = (el) => {
+    if (!blocks.has(el)) {
+      let node = el;
+      while (node.parentElement && window.getComputedStyle(node).display.startsWith('inline')) {
+        node = node.parentElement;
+      }
+      blocks.set(el, node);
+    }
+    return blocks.get(el);
+  };
+
+  window.__wcagTextLayout = {
+    measure() {
+      blocks.clear();
+      return elements.map(el => {
+        const id = el.getAttribute(attribute);
+        const control = el.matches(CONTROL);
+        const bounds = isRendered(el) ? boundsOf(el) : null;
+        if (!bounds) return { id, control, hidden: true };
+
+        const container = clippingContainer(el, bounds);
+        return {
+          id,
+          control,
+          hidden: false,
+          x: Math.round(bounds.left + window.scrollX),
+          y: Math.round(bounds.top + window.scrollY),
+          width: Math.round(bounds.right - bounds.left),
+          height: Math.round(bounds.bottom - bounds.top),
+          clippedBy: container ? window.__wcagLocate(container).selector : null
+        };
+      });
+    },
+
+    // Pairs of unrelated text elements whose text boxes intersect. Inline
+    // text sharing a block wraps around itself, so only text in different
+    // blocks is compared.
+    overlaps(boxes) {
+      const byId = new Map(elements.map(el => [el.getAttribute(attribute), el]));
+      const sorted = boxes.filter(box => !box.hidden && !box.control).sort((a, b) => a.y - b.y);
+      const pairs = [];
+      for (let i = 0; i < sorted.length; i++) {
+        const a = sorted[i];
+        for (let j = i + 1; j < sorted.length && sorted[j].y < a.y + a.height - 2; j++) {
+          const b = sorted[j];
+          const overlapX = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+          if (overlapX <= 2) continue;
+          const elA = byId.get(a.id);
+          const elB = byId.get(b.id);
+          if (elA.contains(elB) || elB.contains(elA)) continue;
+          if (blockOf(elA) === blockOf(elB)) continue;
+          pairs.push([a.id, b.id]);
+        }
+      }
+      return pairs;
+    },
+
+    locate(id) {
+      return window.__wcagLocate(window.__wcagQuery(`[${attribute}="${id}"]`));
+    },
+
+    cleanup() {
+      elements.forEach(el => el.removeAttribute(attribute));
+      delete window.__wcagTextLayout;
+    }
+  };
+}
+
+/**
+ * Measures where text and controls end up on the page, so checks can change
+ * the page (text spacing, zoom) and find what the change broke.
+ */
+class TextLayoutProbe {
+  constructor(config = {}) {
+    this.maxElements = config.maxElements || MAX_ELEMENTS;
+  }
+
+  async install(page) {
+    await page.evaluate(defineTextLayoutProbe, STAMP_ATTRIBUTE, this.maxElements);
+  }
+
+  /**
+   * Measure every stamped element: its position in document coordinates,
+   * whether it is hidden, and which container clips it, if any. Overlapping
+   * text is returned as pairs of ids.
+   */
+  async measure(page) {
+    const boxes = await page.evaluate(() => window.__wcagTextLayout.measure());
+    const overlaps = await page.evaluate(measured => window.__wcagTextLayout.overlaps(measured), boxes);
+    return { boxes, overlaps };
+  }
+
+  async locate(page, id) {
+    return page.evaluate(elementId => window.__wcagTextLayout.locate(elementId), id);
+  }
+
+  async cleanup(page) {
+    await page.evaluate(() => window.__wcagTextLayout && window.__wcagTextLayout.cleanup());
+  }
+
+  /**
+   * Problems present in `after` that were not in `before`, so truncation or
+   * hiding that was already deliberate is left alone. Each problem is
+   * { id, kind: 'clipped' | 'overlap' | 'hidden', control, clippedBy, otherId }.
+   */
+  compare(before, after) {
+    const beforeById = new Map(before.boxes.map(box => [box.id, box]));
+    const existingOverlaps = new Set(before.overlaps.map(pair => pair.join('|')));
+    const problems = [];
+
+    after.boxes.forEach(box => {
+      const previous = beforeById.get(box.id);
+      if (!previous || previous.hidden) return;
+
+      if (box.hidden) {
+        problems.push({ id: box.id, kind: 'hidden', control: box.control });
+      } else if (box.clippedBy && !previous.clippedBy) {
+        problems.push({ id: box.id, kind: 'clipped', control: box.control, clippedBy: box.clippedBy });
+      }
+    });
+
+    after.overlaps
+      .filter(pair => !existingOverlaps.has(pair.join('|')))
+      .forEach(([id, otherId]) => {
+        if (problems.some(problem => problem.id === id)) return;
+        problems.push({ id, kind: 'overlap', control: false, otherId });
+      });
+
+    return problems;
+  }
+}
+
+module.exports = TextLayoutProbe;
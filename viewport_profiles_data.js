@@ -0,0 +1,102 @@
+// Viewport and device profiles used for multi-viewport scanning
+
+const DESKTOP_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const viewportProfiles = {
+  "desktop": {
+    name: "Desktop",
+    description: "Standard desktop browser window",
+    viewport: {
+      width: 1200,
+      height: 800,
+      deviceScaleFactor: 1,
+      isMobile: false,
+      hasTouch: false
+    },
+    userAgent: DESKTOP_USER_AGENT
+  },
+  "reflow-320": {
+    name: "Reflow (320 CSS px)",
+    description: "Desktop browser at 320 CSS px wide, equivalent to 1280px zoomed to 400% (WCAG 1.4.10)",
+    viewport: {
+      width: 320,
+      height: 256,
+      deviceScaleFactor: 1,
+      isMobile: false,
+      hasTouch: false
+    },
+    userAgent: DESKTOP_USER_AGENT,
+    reflow: true
+  },
+  "tablet": {
+    name: "Tablet",
+    description: "Touch tablet in portrait orientation",
+    viewport: {
+      width: 768,
+      height: 1024,
+      deviceScaleFactor: 2,
+      isMobile: true,
+      hasTouch: true
+    },
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  },
+  "mobile": {
+    name: "Mobile",
+    description: "Touch phone in portrait orientation",
+    viewport: {
+      width: 375,
+      height: 667,
+      deviceScaleFactor: 2,
+      isMobile: true,
+      hasTouch: true
+    },
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  }
+};
+
+/**
+ * Resolve profile ids or custom profile objects
+ * ({ id, width, height, isMobile, hasTouch, deviceScaleFactor, userAgent, reflow })
+ * into full profiles. Defaults to the desktop profile.
+ */
+function resolveViewportProfiles(viewports) {
+  if (!viewports || viewports.length === 0) {
+    return [{ id: 'desktop', ...viewportProfiles.desktop }];
+  }
+
+  return viewports.map(entry => {
+    if (typeof entry === 'string') {
+      if (!viewportProfiles[entry]) {
+        throw new Error(`Unknown viewport profile: ${entry}`);
+      }
+      return { id: entry, ...viewportProfiles[entry] };
+    }
+
+    const width = parseInt(entry.width);
+    const height = parseInt(entry.height);
+    if (!width || !height) {
+      throw new Error('Custom viewport profiles require a width and height');
+    }
+
+    return {
+      id: entry.id || `custom-${width}x${height}`,
+      name: entry.name || `Custom ${width}x${height}`,
+      description: entry.description || 'Custom viewport',
+      viewport: {
+        width,
+        height,
+        deviceScaleFactor: entry.deviceScaleFactor || 1,
+        isMobile: !!entry.isMobile,
+        hasTouch: !!entry.hasTouch
+      },
+      userAgent: entry.userAgent || DESKTOP_USER_AGENT,
+      reflow: entry.reflow !== undefined ? !!entry.reflow : width <= 320
+    };
+  });
+}
+
+module.exports = {
+  profiles: viewportProfiles,
+  resolveViewportProfiles,
+  DESKTOP_USER_AGENT
+};
@@ -1,56 +1,189 @@
-const puppeteer = require('puppeteer');
 const { JSDOM } = require('jsdom');
 const wcagCriteria = require('./wcag_criteria_data');
 const ColorContrastAnalyzer = require('./color_contrast_analyzer');
 const ReportGenerator = require('./report_generator');
 const logger = require('./logger_utility');
+const browserPool = require('./browser_pool_manager');
+const ScanContext = require('./scan_context');
+const SiteCrawler = require('./site_crawler');
+const PageStepRunner = require('./page_step_runner');
+const { resolveViewportProfiles } = require('./viewport_profiles_data');
+const AccessibilityTreeAnalyzer = require('./accessibility_tree_analyzer');
+const ruleRegistry = require('./rule_registry');
+const ElementLocator = require('./element_locator');
+const TextLayoutProbe = require('./text_layout_probe');
+const CodeAnalyzer = require('./code_analyzer_utility');
+const FlashAnalyzer = require('./flash_analyzer');
+const FormErrorProbe = require('./form_error_probe');
+const LiveRegionMonitor = require('./live_region_monitor');
+const ConformanceEvaluator = require('./conformance_evaluator');
+const SuppressionList = require('./suppression_list');
+const ariaSpec = require('./aria_spec_data');
+
+const AX_STAMP = AccessibilityTreeAnalyzer.stampAttribute;
+const MAX_FRAMES = 10;
+const DEFAULT_FLASH_OBSERVATION_MS = 3000;
 
 class WCAGComplianceChecker {
   constructor() {
-    this.browser = null;
-    this.results = [];
+    this.activePages = new Set();
+    this.stepRunner = new PageStepRunner();
     this.currentVersion = '2.1';
     this.currentLevel = 'AA';
-    this.totalChecks = 0;
-    this.completedChecks = 0;
     this.colorAnalyzer = new ColorContrastAnalyzer();
+    this.axAnalyzer = new AccessibilityTreeAnalyzer();
+    this.ruleRegistry = ruleRegistry;
+    this.elementLocator = new ElementLocator();
+    this.textLayoutProbe = new TextLayoutProbe();
+    this.codeAnalyzer = new CodeAnalyzer();
+    this.flashAnalyzer = new FlashAnalyzer();
+    this.formErrorProbe = new FormErrorProbe();
+    this.liveRegionMonitor = new LiveRegionMonitor();
+    this.conformanceEvaluator = new ConformanceEvaluator();
     this.reportGenerator = new ReportGenerator();
   }
 
   async init() {
-    if (!this.browser) {
-      const browserFetcher = await import('puppeteer');
-      const puppeteer = browserFetcher.default || browserFetcher;
-      
-      this.browser = await puppeteer.launch({
-        executablePath: puppeteer.executablePath(),
-        headless: 'new',
-        protocolTimeout: 120000,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-          '--disable-web-security',
-          '--disable-features=VizDisplayCompositor'
-        ]
-      });
-    }
-    return this.browser;
+    return browserPool;
+  }
+
+  async acquirePage(options = {}) {
+    const page = await browserPool.acquirePage(options);
+    this.activePages.add(page);
+    return page;
+  }
+
+  async releasePage(page) {
+    this.activePages.delete(page);
+    await browserPool.releasePage(page);
   }
 
+  // Returns any pages still leased by this checker to the shared pool.
+  // Browsers stay alive; the pool owns their lifecycle.
   async cleanup() {
-      try {
-        if (this.browser) {
-          await this.browser.close();
-          this.browser = null;
-          logger.info('Browser closed successfully.');
-        }
-      } catch (error) {
-        logger.error('Error during browser cleanup:', error);
+    try {
+      for (const page of [...this.activePages]) {
+        await this.releasePage(page);
       }
+    } catch (error) {
+      logger.error('Error during page cleanup:', error);
+    }
+  }
+
+  hasAuthOptions(options) {
+    return !!(options.session || options.headers || options.basicAuth ||
+      (options.cookies && options.cookies.length > 0) ||
+      (options.loginSteps && options.loginSteps.length > 0));
+  }
+
+  /**
+   * Build a reusable session from headers, cookies and basic auth, running the
+   * login steps once (if any) and capturing the cookies and local storage they
+   * produce. Pass the result as `options.session` to reuse it across pages.
+   * Cookies without a domain are set for the first `goto` step's URL, or
+   * for `url` (the page to be checked) when the steps start elsewhere.
+   */
+  async createSession(options = {}, url = null) {
+    const {
+      headers = null,
+      cookies = [],
+      basicAuth = null,
+      loginSteps = null,
+      timeout = 60000
+    } = options;
+
+    const session = {
+      headers,
+      basicAuth,
+      cookies: [...cookies],
+      localStorage: null
+    };
+
+    if (!loginSteps || loginSteps.length === 0) {
+      return session;
+    }
+
+    this.stepRunner.validateSteps(loginSteps);
+
+    const page = await this.acquirePage({ isolated: true });
+
+    try {
+      const firstGoto = loginSteps.find(step => step.action === 'goto');
+      await this.applySession(page, session, firstGoto ? firstGoto.url : url);
+
+      logger.info(`Running ${loginSteps.length} login steps`);
+      await this.stepRunner.runSteps(page, loginSteps.map(step => ({
+        timeout,
+        ...step
+      })));
+
+      const client = await page.target().createCDPSession();
+      const { cookies: sessionCookies } = await client.send('Network.getAllCookies');
+      await client.detach();
+
+      session.cookies = sessionCookies.map(cookie => ({
+        name: cookie.name,
+        value: cookie.value,
+        domain: cookie.domain,
+        path: cookie.path,
+        expires: cookie.expires,
+        httpOnly: cookie.httpOnly,
+        secure: cookie.secure,
+        sameSite: cookie.sameSite
+      }));
+
+      session.localStorage = await page.evaluate(() => {
+        const items = {};
+        for (let i = 0; i < window.localStorage.length; i++) {
+          const key = window.localStorage.key(i);
+          items[key] = window.localStorage.getItem(key);
+        }
+        return { origin: window.location.origin, items };
+      });
+
+      logger.info(`Login completed, captured ${session.cookies.length} cookies`);
+      return session;
+
+    } catch (error) {
+      logger.error('Login steps failed:', error);
+      throw new Error(`Login failed: ${error.message}`);
+    } finally {
+      await this.releasePage(page);
+    }
+  }
+
+  async applySession(page, session, url) {
+    if (!session) return;
+
+    if (session.headers && Object.keys(session.headers).length > 0) {
+      await page.setExtraHTTPHeaders(session.headers);
+    }
+
+    if (session.basicAuth) {
+      await page.authenticate({
+        username: session.basicAuth.username,
+        password: session.basicAuth.password
+      });
+    }
+
+    if (session.cookies && session.cookies.length > 0) {
+      // Cookies without a domain are scoped to the URL being checked
+      await page.setCookie(...session.cookies.map(cookie =>
+        cookie.domain ? cookie : { ...cookie, url }
+      ));
+    }
+
+    if (session.localStorage && Object.keys(session.localStorage.items).length > 0) {
+      await page.evaluateOnNewDocument((storage) => {
+        if (window.location.origin !== storage.origin) return;
+        Object.entries(storage.items).forEach(([key, value]) => {
+          window.localStorage.setItem(key, value);
+        });
+      }, session.localStorage);
     }
+  }
 
+  // Sets the defaults used by scans that don't specify a version or level
   setConfiguration(version, level) {
     this.currentVersion = version;
     this.currentLevel = level;
@@ -100,101 +233,318 @@ class WCAGComplianceChecker {
 
   async checkURL(url, options = {}) {
     const {
-      wcagVersion = '2.1',
-      complianceLevel = 'AA',
+      wcagVersion = this.currentVersion,
+      complianceLevel = this.currentLevel,
       includeScreenshots = false,
       waitForNetworkIdle = true,
-      timeout = 60000
+      timeout = 60000,
+      collectLinks = false,
+      viewports = null
     } = options;
 
-    this.setConfiguration(wcagVersion, complianceLevel);
-    this.results = [];
-    this.completedChecks = 0;
+    const profiles = resolveViewportProfiles(viewports);
+    const context = new ScanContext({ ...options, wcagVersion, complianceLevel });
+    const suppressions = await this.loadSuppressions(options);
+
+    const authenticated = this.hasAuthOptions(options);
+    const session = options.session ||
+      (authenticated ? await this.createSession(options, url) : null);
 
-    await this.init();
-    const page = await this.browser.newPage();
+    const page = await this.acquirePage({ isolated: authenticated });
     
     try {
-      // Set viewport and user agent
-      await page.setViewport({ width: 1200, height: 800 });
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-      
-      // Navigate to URL
-      logger.info(`Navigating to: ${url}`);
-      await page.goto(url, { 
-        waitUntil: waitForNetworkIdle ? 'networkidle0' : 'domcontentloaded',
-        timeout 
-      });
+      let pageInfo = null;
+      let screenshot = null;
 
-      // Wait for page to be fully loaded
-      await page.waitForTimeout(3000);
+      // Once per page: headers, cookies and the storage script carry over
+      // to every viewport's load
+      await this.applySession(page, session, url);
 
-      // Get page content and metadata
-      const pageInfo = await this.getPageInfo(page);
-      
-      // Take screenshot if requested
-      let screenshot = null;
-      if (includeScreenshots) {
-        screenshot = await page.screenshot({ 
-          fullPage: true, 
-          encoding: 'base64' 
-        });
+      // Load and check the page once per viewport; findings repeated across
+      // viewports are merged by the context
+      for (const profile of profiles) {
+        const response = await this.loadPage(page, url, { waitForNetworkIdle, timeout, profile });
+        context.setViewport(profile);
+
+        if (context.source === null) {
+          context.setSource(await this.getResponseSource(response));
+        }
+
+        // Page info and screenshot come from the first viewport
+        if (!pageInfo) {
+          pageInfo = await this.getPageInfo(page);
+
+          if (includeScreenshots) {
+            screenshot = await page.screenshot({
+              fullPage: true,
+              encoding: 'base64'
+            });
+          }
+        }
+
+        // Run accessibility checks
+        await this.runAllChecks(page, context);
       }
 
-      // Run accessibility checks
-      await this.runAllChecks(page);
+      // Accepted known issues are reported separately and don't count
+      context.applySuppressions(suppressions, url);
 
       // Calculate results summary
-      const summary = this.getResultsSummary();
+      const summary = context.getResultsSummary();
 
-      return {
+      const report = {
         url,
         originalHtml: await page.content(),
         pageInfo,
         summary,
-        results: this.results,
+        results: context.results,
+        suppressed: context.suppressed,
         screenshot,
+        viewports: context.getViewportSummaries(),
+        artifacts: context.artifacts,
         checkedAt: new Date().toISOString(),
         configuration: {
-          wcagVersion,
-          complianceLevel
+          ...context.getConfiguration(),
+          viewports: profiles.map(profile => profile.id),
+          authenticated
         }
       };
 
+      // Links are collected after the checks so script-rendered navigation is included
+      if (collectLinks) {
+        report.links = await page.evaluate(() =>
+          Array.from(document.querySelectorAll('a[href]')).map(link => link.href)
+        );
+      }
+
+      return report;
+
     } catch (error) {
       logger.error(`Error checking URL ${url}:`, error);
       throw new Error(`Failed to check URL: ${error.message}`);
     } finally {
-      try {
-          await page.close();
-        } catch (closeError) {
-          logger.warn('Error closing page:', closeError);
+      await this.releasePage(page);
+    }
+  }
+
+  async loadPage(page, url, options = {}) {
+    const {
+      waitForNetworkIdle = true,
+      timeout = 60000,
+      profile = resolveViewportProfiles()[0]
+    } = options;
+
+    await this.applyViewportProfile(page, profile);
+    
+    // Navigate to URL
+    logger.info(`Navigating to: ${url}`);
+    const response = await page.goto(url, { 
+      waitUntil: waitForNetworkIdle ? 'networkidle0' : 'domcontentloaded',
+      timeout 
+    });
+
+    // Wait for page to be fully loaded
+    await page.waitForTimeout(3000);
+
+    return response;
+  }
+
+  /**
+   * The HTML the server sent, before any script ran, or null when the
+   * response isn't HTML or its body is no longer available.
+   */
+  async getResponseSource(response) {
+    if (!response || !/html/i.test(response.headers()['content-type'] || '')) {
+      return null;
+    }
+
+    try {
+      return await response.text();
+    } catch (error) {
+      logger.warn(`Could not read the page source: ${error.message}`);
+      return null;
+    }
+  }
+
+  async applyViewportProfile(page, profile) {
+    await page.setViewport(profile.viewport);
+    await page.setUserAgent(profile.userAgent);
+  }
+
+  /**
+   * Check a page in each state of a scripted user flow. The full check suite
+   * runs on the initial page and again after every step (unless the step sets
+   * `snapshot: false`), so issues inside menus, modals and error states are
+   * reported against the state that revealed them.
+   */
+  async checkFlow(url, steps, options = {}) {
+    const {
+      wcagVersion = this.currentVersion,
+      complianceLevel = this.currentLevel,
+      includeScreenshots = false,
+      waitForNetworkIdle = true,
+      timeout = 60000,
+      settleTime = 500,
+      viewport = null,
+      // Tabbing through the page (and pressing Escape) can close the menu or
+      // dialog the next step relies on, so flows opt in to it
+      keyboardTraversal = false,
+      // Recording every state for flashes adds seconds per step
+      flashObservationMs = 0
+    } = options;
+
+    this.stepRunner.validateSteps(steps);
+
+    // Flows are scripted against one layout, so they run in a single viewport
+    const [profile] = resolveViewportProfiles(viewport ? [viewport] : null);
+    const suppressions = await this.loadSuppressions(options);
+
+    const authenticated = this.hasAuthOptions(options);
+    const session = options.session ||
+      (authenticated ? await this.createSession(options, url) : null);
+
+    const page = await this.acquirePage({ isolated: authenticated });
+
+    try {
+      await this.applySession(page, session, url);
+      const response = await this.loadPage(page, url, { waitForNetworkIdle, timeout, profile });
+      const source = await this.getResponseSource(response);
+
+      const states = [];
+      const seenIssues = new Set();
+
+      const captureState = async (name, step) => {
+        const context = new ScanContext({
+          wcagVersion,
+          complianceLevel,
+          state: name,
+          keyboardTraversal,
+          flashObservationMs,
+          formErrorProbe: options.formErrorProbe === true,
+          impactScore: options.impactScore === true,
+          rules: options.rules,
+          tags: options.tags,
+          contrastMode: options.contrastMode
+        });
+        context.setViewport(profile);
+        // Later states differ from the source only by what scripts changed
+        if (!step) {
+          context.setSource(source);
+        }
+        const pageInfo = await this.getPageInfo(page);
+
+        await this.runAllChecks(page, context);
+
+        // Steps may navigate, so suppressions limited to a URL match the
+        // state's own page
+        context.applySuppressions(suppressions, pageInfo.url);
+
+        // Issues not present in any earlier state were revealed by this step
+        let newIssues = 0;
+        for (const result of context.results) {
+          if (result.type !== 'error' && result.type !== 'warning') continue;
+          const key = this.getIssueKey(result);
+          if (!seenIssues.has(key)) {
+            seenIssues.add(key);
+            newIssues++;
+          }
+        }
+
+        states.push({
+          name,
+          step: step || null,
+          pageInfo,
+          summary: { ...context.getResultsSummary(), newIssues },
+          results: context.results,
+          suppressed: context.suppressed,
+          artifacts: context.artifacts,
+          screenshot: includeScreenshots
+            ? await page.screenshot({ fullPage: true, encoding: 'base64' })
+            : null,
+          capturedAt: new Date().toISOString()
+        });
+      };
+
+      await captureState('initial', null);
+
+      for (let i = 0; i < steps.length; i++) {
+        const step = steps[i];
+        const name = step.name || `step-${i + 1}-${step.action}`;
+
+        try {
+          await this.stepRunner.runStep(page, { timeout, ...step });
+        } catch (error) {
+          throw new Error(`Flow step ${i + 1} (${name}) failed: ${error.message}`);
+        }
+
+        if (step.snapshot === false) continue;
+
+        // Give transitions and async rendering a moment to finish
+        await page.waitForTimeout(settleTime);
+        const { value, ...loggedStep } = step;
+        await captureState(name, loggedStep);
+      }
+
+      return {
+        url,
+        summary: this.getFlowSummary(states),
+        states,
+        checkedAt: new Date().toISOString(),
+        configuration: {
+          wcagVersion,
+          complianceLevel,
+          viewport: profile.id,
+          authenticated,
+          steps: steps.length
         }
-        await this.cleanup();
+      };
+
+    } catch (error) {
+      logger.error(`Error checking flow for ${url}:`, error);
+      throw new Error(`Failed to check flow: ${error.message}`);
+    } finally {
+      await this.releasePage(page);
     }
   }
 
+  getIssueKey(result) {
+    return [result.criterion, result.title, result.element?.selector || ''].join('|');
+  }
+
+  getFlowSummary(states) {
+    return {
+      states: states.length,
+      statesWithErrors: states.filter(state => state.summary.errors > 0).length,
+      total: states.reduce((sum, state) => sum + state.summary.total, 0),
+      errors: states.reduce((sum, state) => sum + state.summary.errors, 0),
+      warnings: states.reduce((sum, state) => sum + state.summary.warnings, 0),
+      suppressed: states.reduce((sum, state) => sum + state.summary.suppressed, 0),
+      uniqueIssues: states.reduce((sum, state) => sum + state.summary.newIssues, 0),
+      lowestScore: states.length > 0 ? Math.min(...states.map(state => state.summary.score)) : 100,
+      // A criterion failing in any state fails for the flow
+      conformance: this.conformanceEvaluator.combine(states.map(state => state.summary.conformance))
+    };
+  }
+
   async checkHTML(htmlContent, options = {}) {
     const {
-      wcagVersion = '2.1',
-      complianceLevel = 'AA',
-      baseUrl = 'http://localhost'
+      wcagVersion = this.currentVersion,
+      complianceLevel = this.currentLevel,
+      baseUrl = 'http://localhost',
+      viewports = null
     } = options;
 
-    this.setConfiguration(wcagVersion, complianceLevel);
-    this.results = [];
-    this.completedChecks = 0;
+    const profiles = resolveViewportProfiles(viewports);
+    const context = new ScanContext({ ...options, wcagVersion, complianceLevel });
+    context.setSource(htmlContent);
+    const suppressions = await this.loadSuppressions(options);
 
-    await this.init();
-    const page = await this.browser.newPage();
+    const page = await this.acquirePage();
 
     try {
-      // Set content
-      await page.setContent(htmlContent, { 
-        waitUntil: 'domcontentloaded',
-        timeout: 60000 
-      });
+      let pageInfo = null;
 
+      // Registered once; the pool removes it when the page is released
       if (baseUrl) {
         await page.evaluateOnNewDocument((base) => {
           const baseElement = document.createElement('base');
@@ -203,24 +553,44 @@ class WCAGComplianceChecker {
         }, baseUrl);
       }
 
-      // Get page info
-      const pageInfo = await this.getPageInfo(page);
+      for (const profile of profiles) {
+        await this.applyViewportProfile(page, profile);
+
+        // Set content
+        await page.setContent(htmlContent, { 
+          waitUntil: 'domcontentloaded',
+          timeout: 60000 
+        });
+
+        context.setViewport(profile);
+
+        // Get page info
+        if (!pageInfo) {
+          pageInfo = await this.getPageInfo(page);
+        }
+
+        // Run accessibility checks  
+        await this.runAllChecks(page, context);
+      }
 
-      // Run accessibility checks  
-      await this.runAllChecks(page);
+      // HTML has no URL, so only suppressions not limited to a URL apply
+      context.applySuppressions(suppressions);
 
       // Calculate results summary
-      const summary = this.getResultsSummary();
+      const summary = context.getResultsSummary();
 
       return {
         htmlContent: htmlContent.substring(0, 500) + '...',
         pageInfo,
         summary,
-        results: this.results,
+        results: context.results,
+        suppressed: context.suppressed,
+        viewports: context.getViewportSummaries(),
+        artifacts: context.artifacts,
         checkedAt: new Date().toISOString(),
         configuration: {
-          wcagVersion,
-          complianceLevel
+          ...context.getConfiguration(),
+          viewports: profiles.map(profile => profile.id)
         }
       };
 
@@ -228,24 +598,57 @@ class WCAGComplianceChecker {
       logger.error('Error checking HTML:', error);
       throw new Error(`Failed to check HTML: ${error.message}`);
     } finally {
-      await page.close();
-      await this.cleanup();
+      await this.releasePage(page);
+    }
+  }
+
+  /**
+   * Suppressions for a scan: `options.suppressions` (entries or a
+   * SuppressionList) plus the entries in `options.baselineFile`.
+   */
+  async loadSuppressions(options = {}) {
+    let suppressions = options.suppressions instanceof SuppressionList
+      ? options.suppressions
+      : new SuppressionList(options.suppressions || []);
+
+    if (options.baselineFile) {
+      suppressions = suppressions.merge(await SuppressionList.fromFile(options.baselineFile));
     }
+    return suppressions;
   }
 
   async checkBatch(urls, options = {}) {
     const {
-      wcagVersion = '2.1',
-      complianceLevel = 'AA',
-      concurrent = 2
+      wcagVersion = this.currentVersion,
+      complianceLevel = this.currentLevel,
+      concurrent = 2,
+      viewports = null
     } = options;
 
+    // Log in once and reuse the session for every URL in the batch
+    const session = this.hasAuthOptions(options)
+      ? options.session || await this.createSession(options, urls[0])
+      : null;
+    const checkOptions = {
+      wcagVersion,
+      complianceLevel,
+      viewports,
+      rules: options.rules,
+      tags: options.tags,
+      contrastMode: options.contrastMode,
+      flashObservationMs: options.flashObservationMs,
+      impactScore: options.impactScore,
+      // Read the baseline once rather than for every URL
+      suppressions: await this.loadSuppressions(options),
+      ...(session ? { session } : {})
+    };
+
     const results = [];
     const chunks = this.chunkArray(urls, concurrent);
 
     for (const chunk of chunks) {
       const promises = chunk.map(url => 
-        this.checkURL(url, { wcagVersion, complianceLevel })
+        this.checkURL(url, checkOptions)
           .catch(error => ({
             url,
             error: error.message,
@@ -269,7 +672,9 @@ class WCAGComplianceChecker {
       averageScore: successful.length > 0 
         ? Math.round(successful.reduce((sum, r) => sum + r.summary.score, 0) / successful.length)
         : 0,
-      totalIssues: successful.reduce((sum, r) => sum + r.summary.total, 0)
+      totalIssues: successful.reduce((sum, r) => sum + r.summary.total, 0),
+      suppressed: successful.reduce((sum, r) => sum + r.summary.suppressed, 0),
+      conformance: this.conformanceEvaluator.combine(successful.map(r => r.summary.conformance))
     };
 
     return {
@@ -278,11 +683,126 @@ class WCAGComplianceChecker {
       checkedAt: new Date().toISOString(),
       configuration: {
         wcagVersion,
-        complianceLevel
+        complianceLevel,
+        viewports: resolveViewportProfiles(viewports).map(profile => profile.id),
+        authenticated: !!session
+      }
+    };
+  }
+
+  async checkSite(startUrl, options = {}) {
+    const {
+      wcagVersion = this.currentVersion,
+      complianceLevel = this.currentLevel,
+      sitemapUrl = null,
+      maxDepth = 2,
+      maxPages = 25,
+      include = [],
+      exclude = [],
+      respectRobotsTxt = true,
+      concurrent = 2,
+      viewports = null
+    } = options;
+
+    const crawler = new SiteCrawler({
+      maxDepth,
+      maxPages,
+      include,
+      exclude,
+      respectRobotsTxt,
+      concurrent
+    });
+
+    // Log in once and reuse the session for every crawled page
+    const session = this.hasAuthOptions(options)
+      ? options.session || await this.createSession(options, startUrl)
+      : null;
+    const suppressions = await this.loadSuppressions(options);
+
+    const crawl = await crawler.crawl(startUrl, async (url) => {
+      const result = await this.checkURL(url, {
+        wcagVersion,
+        complianceLevel,
+        viewports,
+        rules: options.rules,
+        tags: options.tags,
+        contrastMode: options.contrastMode,
+        flashObservationMs: options.flashObservationMs,
+        impactScore: options.impactScore,
+        suppressions,
+        collectLinks: true,
+        ...(session ? { session } : {})
+      });
+      const { links, originalHtml, ...pageResult } = result;
+      return { result: pageResult, links };
+    }, { sitemapUrl });
+
+    return {
+      startUrl,
+      summary: this.getSiteSummary(crawl.pages),
+      pages: crawl.pages,
+      consistentHelp: this.getHelpConsistency(crawl.pages),
+      skipped: crawl.skipped,
+      checkedAt: new Date().toISOString(),
+      configuration: {
+        wcagVersion,
+        complianceLevel,
+        sitemapUrl,
+        maxDepth,
+        maxPages,
+        include,
+        exclude,
+        respectRobotsTxt,
+        viewports: resolveViewportProfiles(viewports).map(profile => profile.id),
+        authenticated: !!session
       }
     };
   }
 
+  getSiteSummary(pages) {
+    const successful = pages.filter(p => !p.failed);
+    const failed = pages.filter(p => p.failed);
+
+    // Count each criterion once per page so one noisy page can't dominate
+    const issuesByCriterion = {};
+    for (const page of successful) {
+      const seen = new Set();
+      for (const result of page.results) {
+        if (result.type !== 'error' && result.type !== 'warning') continue;
+
+        if (!issuesByCriterion[result.criterion]) {
+          issuesByCriterion[result.criterion] = { errors: 0, warnings: 0, pages: 0 };
+        }
+        issuesByCriterion[result.criterion][result.type === 'error' ? 'errors' : 'warnings']++;
+
+        if (!seen.has(result.criterion)) {
+          seen.add(result.criterion);
+          issuesByCriterion[result.criterion].pages++;
+        }
+      }
+    }
+
+    return {
+      totalPages: pages.length,
+      successful: successful.length,
+      failed: failed.length,
+      averageScore: successful.length > 0
+        ? Math.round(successful.reduce((sum, p) => sum + p.summary.score, 0) / successful.length)
+        : 0,
+      totalIssues: successful.reduce((sum, p) => sum + p.summary.errors + p.summary.warnings, 0),
+      errors: successful.reduce((sum, p) => sum + p.summary.errors, 0),
+      warnings: successful.reduce((sum, p) => sum + p.summary.warnings, 0),
+      suppressed: successful.reduce((sum, p) => sum + p.summary.suppressed, 0),
+      pagesWithErrors: successful.filter(p => p.summary.errors > 0).length,
+      issuesByCriterion,
+      conformance: this.conformanceEvaluator.combine(successful.map(p => p.summary.conformance)),
+      worstPages: [...successful]
+        .sort((a, b) => a.summary.score - b.summary.score)
+        .slice(0, 5)
+        .map(p => ({ url: p.url, score: p.summary.score, errors: p.summary.errors }))
+    };
+  }
+
   async getPageInfo(page) {
     return await page.evaluate(() => {
       return {
@@ -307,69 +827,165 @@ class WCAGComplianceChecker {
     });
   }
 
-  async runAllChecks(page) {
-    this.calculateTotalChecks();
+  async runAllChecks(page, context) {
+    context.calculateTotalChecks();
     
-    const checks = [
-      () => this.checkImages(page),
-      () => this.checkHeadings(page),
-      () => this.checkForms(page),
-      () => this.checkLinks(page),
-      () => this.checkKeyboardAccess(page),
-      () => this.checkLanguage(page),
-      () => this.checkFocus(page),
-      () => this.checkStructure(page),
-      () => this.checkMedia(page),
-      () => this.checkColorContrast(page),
-      () => this.checkTextSpacing(page),
-      () => this.checkTargetSizes(page),
-      () => this.checkARIA(page),
-      () => this.checkTables(page),
-      () => this.checkSkipLinks(page)
-    ];
+    const rules = this.ruleRegistry.getApplicableRules(context);
+    context.rulesRun = rules.map(rule => rule.id);
 
-    for (const check of checks) {
+    // Rules describe failing elements with window.__wcagLocate
+    await this.elementLocator.install(page);
+
+    // Records status messages shown while the page is checked and, in flows,
+    // during the steps between states; the status-messages rule reads them
+    await this.liveRegionMonitor.install(page).catch(error => {
+      logger.warn('Failed to start live region monitoring:', error);
+    });
+
+    for (const rule of rules) {
+      context.setRule(rule.id);
       try {
-        await check();
+        await rule.evaluate(page, context, { checker: this });
+        context.markCriteriaTested(context.getCriteriaRun(rule.criteria));
       } catch (error) {
-        logger.error('Check failed:', error);
-        this.addResult('error', 'general', 'Check Failed', 
-          `A check failed: ${error.message}`, null, 'Review implementation');
+        logger.error(`Rule ${rule.id} failed:`, error);
+        context.addResult('error', 'general', 'Check Failed', 
+          `Rule "${rule.id}" failed: ${error.message}`, null, 'Review implementation');
       }
     }
+    context.setRule(null);
+
+    await this.axAnalyzer.clearStamps(page).catch(error => {
+      logger.warn('Failed to clear accessibility tree stamps:', error);
+    });
+
+    await this.runFrameChecks(page, context, rules.filter(rule => rule.frames));
   }
 
-  calculateTotalChecks() {
-    let count = 0;
-    Object.values(wcagCriteria).forEach(guideline => {
-      Object.values(guideline.criteria).forEach(criterion => {
-        if (this.shouldCheckCriterion(criterion)) {
-          count++;
+  /**
+   * Run document rules inside each visible iframe. Results carry the frame's
+   * path in `element.framePath`; frames the browser won't let us script are
+   * reported instead of silently skipped.
+   */
+  async runFrameChecks(page, context, rules) {
+    if (rules.length === 0 || typeof page.frames !== 'function') return;
+
+    const mainFrame = page.mainFrame();
+    const mainOrigin = this.getOrigin(mainFrame.url());
+    const framePaths = new Map([[mainFrame, null]]);
+    const frames = page.frames().filter(frame => frame !== mainFrame);
+
+    let audited = 0;
+    for (const frame of frames) {
+      if (audited >= MAX_FRAMES) {
+        context.addResult('info', 'general', 'Frames Not Audited',
+          `Only the first ${MAX_FRAMES} of ${frames.length} frames were checked`,
+          null, 'Scan the framed pages directly to check the rest');
+        break;
+      }
+      if (frame.isDetached() || !framePaths.has(frame.parentFrame())) continue;
+
+      const frameElement = await this.describeFrameElement(frame);
+      if (!frameElement) continue;
+
+      const parentPath = framePaths.get(frame.parentFrame());
+      const framePath = parentPath ? `${parentPath} >>> ${frameElement.selector}` : frameElement.selector;
+      const url = frame.url();
+      if (!url || url === 'about:blank') continue;
+
+      context.setFrame(parentPath);
+      try {
+        await this.elementLocator.install(frame);
+      } catch (error) {
+        const crossOrigin = this.getOrigin(url) !== mainOrigin;
+        context.addResult('warning', 'general', 'Frame Not Audited',
+          `${crossOrigin ? 'Cross-origin frame' : 'Frame'} ${url} could not be inspected: ${error.message}`,
+          frameElement,
+          'Scan the framed page directly, or check it manually');
+        continue;
+      } finally {
+        context.setFrame(null);
+      }
+
+      framePaths.set(frame, framePath);
+      audited++;
+      logger.info(`Checking frame ${framePath} (${url})`);
+
+      context.setFrame(framePath);
+      for (const rule of rules) {
+        context.setRule(rule.id);
+        try {
+          await rule.evaluate(frame, context, { checker: this });
+        } catch (error) {
+          logger.error(`Rule ${rule.id} failed in frame ${framePath}:`, error);
+          context.addResult('error', 'general', 'Check Failed',
+            `Rule "${rule.id}" failed: ${error.message}`, null, 'Review implementation');
         }
-      });
-    });
-    this.totalChecks = count;
+      }
+      context.setRule(null);
+      context.setFrame(null);
+    }
   }
 
-  shouldCheckCriterion(criterion) {
-    const versionNum = parseFloat(criterion.version);
-    const currentVersionNum = parseFloat(this.currentVersion);
-    
-    if (versionNum > currentVersionNum) return false;
-    
-    const levels = ['A', 'AA', 'AAA'];
-    const criterionLevelIndex = levels.indexOf(criterion.level);
-    const currentLevelIndex = levels.indexOf(this.currentLevel);
-    
-    return criterionLevelIndex <= currentLevelIndex;
+  // The iframe element hosting a frame, described in its parent document, or
+  // null when the iframe isn't rendered
+  async describeFrameElement(frame) {
+    let handle = null;
+    try {
+      handle = await frame.frameElement();
+      if (!handle || !(await handle.boundingBox())) return null;
+      return await handle.evaluate(el => window.__wcagLocate
+        ? window.__wcagLocate(el)
+        : { selector: el.localName, xpath: null, html: el.outerHTML.substring(0, 300), boundingBox: null });
+    } catch (error) {
+      logger.warn(`Could not locate frame element for ${frame.url()}:`, error);
+      return null;
+    } finally {
+      if (handle) await handle.dispose().catch(() => {});
+    }
+  }
+
+  getOrigin(url) {
+    try {
+      return new URL(url).origin;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Computed role, name and states for elements matching `selector`, keyed
+   * by their `data-wcag-ax-id` stamp. Returns an empty map when the tree is
+   * unavailable so checks fall back to attribute heuristics.
+   */
+  async getAccessibilityNodes(page, selector) {
+    // Frames have no CDP session of their own here, so they use the heuristics
+    if (typeof page.target !== 'function') {
+      return new Map();
+    }
+
+    try {
+      return await this.axAnalyzer.getNodes(page, selector);
+    } catch (error) {
+      logger.warn(`Accessibility tree unavailable for "${selector}", using attribute heuristics:`, error);
+      return new Map();
+    }
+  }
+
+  shouldCheckCriterion(criterion, context) {
+    return context.shouldCheckCriterion(criterion);
   }
 
-  async checkImages(page) {
+  async checkImages(page, context) {
     logger.info('Checking images...');
     
-    const imageData = await page.evaluate(() => {
-      const images = Array.from(document.querySelectorAll('img'));
+    const axNodes = await this.getAccessibilityNodes(page, 'img');
+
+    const imageData = await page.evaluate((stampAttribute) => {
+      const images = window.__wcagQueryAll('img');
       return images.map(img => ({
+        axId: img.getAttribute(stampAttribute),
+        element: window.__wcagLocate(img),
         src: img.src,
         alt: img.alt,
         hasAlt: img.hasAttribute('alt'),
@@ -381,54 +997,76 @@ class WCAGComplianceChecker {
         isInLink: img.closest('a') !== null,
         id: img.id || null
       }));
-    });
+    }, AX_STAMP);
 
     for (const img of imageData) {
-      if (!img.hasAlt) {
-        this.addResult('error', '1.1.1', 'Missing Alt Attribute',
-          `Image "${img.src}" is missing alt attribute`,
-          { selector: `img[src="${img.src}"]` },
+      // Prefer the name and visibility the accessibility tree exposes, which
+      // covers aria-labelledby and title as well as alt
+      const ax = axNodes.get(img.axId);
+      const name = ax ? ax.name : (img.ariaLabel || img.alt || '');
+      const hidden = ax ? ax.ignored : img.isDecorative;
+
+      if (hidden) {
+        // alt="", role="presentation" or aria-hidden: never announced
+        if (img.isDecorative) {
+          context.addResult('success', '1.1.1', 'Decorative Image',
+            `Image "${img.src}" is marked decorative and hidden from assistive technology`,
+            img.element,
+            'Decorative image is correctly hidden'
+          );
+        }
+        continue;
+      }
+
+      if (!name) {
+        context.addResult('error', '1.1.1', img.hasAlt ? 'Image Without Accessible Name' : 'Missing Alt Attribute',
+          img.hasAlt
+            ? `Image "${img.src}" is exposed to assistive technology without a name`
+            : `Image "${img.src}" is missing alt attribute`,
+          img.element,
           'Add alt attribute to describe the image content or use alt="" for decorative images'
         );
-      } else if (!img.isDecorative && img.alt.length < 3) {
-        this.addResult('warning', '1.1.1', 'Very Short Alt Text',
-          `Image "${img.src}" has very short alt text: "${img.alt}"`,
-          { selector: `img[src="${img.src}"]` },
+      } else if (name.length < 3) {
+        context.addResult('warning', '1.1.1', 'Very Short Alt Text',
+          `Image "${img.src}" has very short alt text: "${name}"`,
+          img.element,
           'Provide more descriptive alternative text'
         );
-      } else if (img.alt && img.alt.length > 125) {
-        this.addResult('warning', '1.1.1', 'Very Long Alt Text',
-          `Image "${img.src}" has very long alt text (${img.alt.length} characters)`,
-          { selector: `img[src="${img.src}"]` },
+      } else if (name.length > 125) {
+        context.addResult('warning', '1.1.1', 'Very Long Alt Text',
+          `Image "${img.src}" has very long alt text (${name.length} characters)`,
+          img.element,
           'Consider using a shorter alt text and provide additional description elsewhere'
         );
-      } else if (img.hasAlt) {
-        this.addResult('success', '1.1.1', 'Good Alt Text',
-          `Image "${img.src}" has appropriate alt text`,
-          { selector: `img[src="${img.src}"]` },
+      } else {
+        const source = ax && ax.nameSource && ax.nameSource !== 'alt' ? ` (from ${ax.nameSource})` : '';
+        context.addResult('success', '1.1.1', 'Good Alt Text',
+          `Image "${img.src}" has appropriate alt text${source}`,
+          img.element,
           'Alt text is properly implemented'
         );
       }
 
       // Check for complex images
-      if ((img.width > 400 && img.height > 300) && !img.isDecorative) {
-        this.addResult('info', '1.1.1', 'Complex Image Detected',
+      if (img.width > 400 && img.height > 300) {
+        context.addResult('info', '1.1.1', 'Complex Image Detected',
           `Large image "${img.src}" may need long description`,
-          { selector: `img[src="${img.src}"]` },
+          img.element,
           'Consider providing a long description for complex images'
         );
       }
     }
 
-    this.completedChecks++;
+    context.completedChecks++;
   }
 
-  async checkHeadings(page) {
+  async checkHeadings(page, context) {
     logger.info('Checking headings...');
     
     const headingData = await page.evaluate(() => {
-      const headings = Array.from(document.querySelectorAll('h1,h2,h3,h4,h5,h6'));
+      const headings = window.__wcagQueryAll('h1,h2,h3,h4,h5,h6');
       return headings.map((heading, index) => ({
+        element: window.__wcagLocate(heading),
         level: parseInt(heading.tagName.charAt(1)),
         text: heading.textContent.trim(),
         tagName: heading.tagName,
@@ -439,31 +1077,31 @@ class WCAGComplianceChecker {
     });
 
     if (headingData.length === 0) {
-      this.addResult('error', '1.3.1', 'No Headings Found',
+      context.addResult('error', '1.3.1', 'No Headings Found',
         'No heading elements found on this page',
         null,
         'Add headings to structure your content hierarchically'
       );
-      this.completedChecks++;
+      context.completedChecks++;
       return;
     }
 
     // Check for H1
     const h1Count = headingData.filter(h => h.level === 1).length;
     if (h1Count === 0) {
-      this.addResult('error', '1.3.1', 'Missing H1',
+      context.addResult('error', '1.3.1', 'Missing H1',
         'No H1 heading found on this page',
         null,
         'Add an H1 heading as the main page title'
       );
     } else if (h1Count > 1) {
-      this.addResult('warning', '1.3.1', 'Multiple H1 Elements',
+      context.addResult('warning', '1.3.1', 'Multiple H1 Elements',
         `Found ${h1Count} H1 elements on this page`,
         null,
         'Consider using only one H1 per page'
       );
     } else {
-      this.addResult('success', '1.3.1', 'Good H1 Usage',
+      context.addResult('success', '1.3.1', 'Good H1 Usage',
         'Page has exactly one H1 element',
         null,
         'H1 structure is correct'
@@ -476,9 +1114,9 @@ class WCAGComplianceChecker {
     
     for (const heading of headingData) {
       if (heading.isEmpty) {
-        this.addResult('error', '2.4.6', 'Empty Heading',
+        context.addResult('error', '2.4.6', 'Empty Heading',
           `${heading.tagName} element is empty`,
-          { selector: heading.tagName.toLowerCase() },
+          heading.element,
           'Provide descriptive text for all headings'
         );
       }
@@ -490,39 +1128,44 @@ class WCAGComplianceChecker {
     }
 
     if (hasSkippedLevel) {
-      this.addResult('warning', '1.3.1', 'Skipped Heading Level',
+      context.addResult('warning', '1.3.1', 'Skipped Heading Level',
         'Heading levels skip numbers in the sequence',
         null,
         'Use heading levels in logical order (h1, h2, h3, etc.) without skipping levels'
       );
     } else {
-      this.addResult('success', '1.3.1', 'Good Heading Structure',
+      context.addResult('success', '1.3.1', 'Good Heading Structure',
         'Headings follow a logical hierarchical structure',
         null,
         'Heading structure is properly organized'
       );
     }
 
-    this.completedChecks++;
+    context.completedChecks++;
   }
 
-  async checkForms(page) {
+  async checkForms(page, context) {
     logger.info('Checking forms...');
     
-    const formData = await page.evaluate(() => {
-      const inputs = Array.from(document.querySelectorAll('input, select, textarea'));
-      const fieldsets = Array.from(document.querySelectorAll('fieldset'));
+    const axNodes = await this.getAccessibilityNodes(page, 'input, select, textarea');
+
+    const formData = await page.evaluate((stampAttribute) => {
+      const inputs = window.__wcagQueryAll('input, select, textarea');
+      const fieldsets = window.__wcagQueryAll('fieldset');
       
       const inputData = inputs.map(input => {
         const id = input.id;
         const type = input.type;
-        const label = id ? document.querySelector(`label[for="${id}"]`) : null;
+        // Labels and their fields share a tree, which may be a shadow root
+        const label = id ? input.getRootNode().querySelector(`label[for="${CSS.escape(id)}"]`) : null;
         const ariaLabel = input.getAttribute('aria-label');
         const ariaLabelledby = input.getAttribute('aria-labelledby');
         const required = input.required;
         const placeholder = input.placeholder;
         
         return {
+          axId: input.getAttribute(stampAttribute),
+          element: window.__wcagLocate(input),
           id,
           type,
           tagName: input.tagName,
@@ -537,40 +1180,55 @@ class WCAGComplianceChecker {
       });
 
       const fieldsetData = fieldsets.map(fieldset => ({
+        element: window.__wcagLocate(fieldset),
         hasLegend: !!fieldset.querySelector('legend'),
         legendText: fieldset.querySelector('legend')?.textContent.trim() || null
       }));
 
       return { inputs: inputData, fieldsets: fieldsetData };
-    });
+    }, AX_STAMP);
 
     // Check input labeling
     for (const input of formData.inputs) {
-      if (input.isHidden || ['submit', 'button', 'reset'].includes(input.type)) {
+      // Buttons are checked for a name under 4.1.2 in checkARIA
+      if (input.isHidden || ['submit', 'button', 'reset', 'image'].includes(input.type)) {
+        continue;
+      }
+
+      const ax = axNodes.get(input.axId);
+      if (ax && ax.ignored) {
         continue;
       }
 
-      const hasAccessibleName = input.hasLabel || input.hasAriaLabel || input.hasAriaLabelledby;
+      const hasAccessibleName = ax
+        ? ax.name.length > 0
+        : input.hasLabel || input.hasAriaLabel || input.hasAriaLabelledby;
       
-      if (!hasAccessibleName) {
-        this.addResult('error', '3.3.2', 'Unlabeled Form Control',
+      if (hasAccessibleName && ax && ax.nameSource === 'placeholder') {
+        context.addResult('warning', '3.3.2', 'Placeholder Used as Label',
+          `${input.tagName} element's only accessible name is its placeholder "${ax.name}"`,
+          input.element,
+          'Add a visible label element; placeholder text disappears as soon as the user types'
+        );
+      } else if (!hasAccessibleName) {
+        context.addResult('error', '3.3.2', 'Unlabeled Form Control',
           `${input.tagName} element (type: ${input.type}) has no accessible name`,
-          { selector: input.id ? `#${input.id}` : `${input.tagName.toLowerCase()}[type="${input.type}"]` },
+          input.element,
           'Add a label element, aria-label, or aria-labelledby attribute'
         );
       } else {
-        this.addResult('success', '3.3.2', 'Properly Labeled Form Control',
+        context.addResult('success', '3.3.2', 'Properly Labeled Form Control',
           `${input.tagName} element has accessible labeling`,
-          { selector: input.id ? `#${input.id}` : `${input.tagName.toLowerCase()}[type="${input.type}"]` },
+          input.element,
           'Form control is properly labeled'
         );
       }
 
       // Check required field indication
       if (input.required && input.hasLabel && !input.labelText?.includes('*') && !input.hasAriaLabel) {
-        this.addResult('warning', '3.3.2', 'Required Field Not Indicated',
+        context.addResult('warning', '3.3.2', 'Required Field Not Indicated',
           `Required ${input.tagName} may not be clearly marked as required`,
-          { selector: input.id ? `#${input.id}` : `${input.tagName.toLowerCase()}[type="${input.type}"]` },
+          input.element,
           'Ensure required fields are clearly indicated to users'
         );
       }
@@ -579,22 +1237,24 @@ class WCAGComplianceChecker {
     // Check fieldsets
     for (const fieldset of formData.fieldsets) {
       if (!fieldset.hasLegend) {
-        this.addResult('warning', '1.3.1', 'Fieldset Without Legend',
+        context.addResult('warning', '1.3.1', 'Fieldset Without Legend',
           'Fieldset element found without legend',
-          { selector: 'fieldset' },
+          fieldset.element,
           'Add a legend element to describe the group of form controls'
         );
       }
     }
 
-    this.completedChecks++;
+    context.completedChecks++;
   }
 
-  async checkLinks(page) {
+  async checkLinks(page, context) {
     logger.info('Checking links...');
     
-    const linkData = await page.evaluate(() => {
-      const links = Array.from(document.querySelectorAll('a[href]'));
+    const axNodes = await this.getAccessibilityNodes(page, 'a[href]');
+
+    const linkData = await page.evaluate((stampAttribute) => {
+      const links = window.__wcagQueryAll('a[href]');
       const linkTexts = new Map();
       
       return links.map(link => {
@@ -615,6 +1275,8 @@ class WCAGComplianceChecker {
         }
         
         return {
+          axId: link.getAttribute(stampAttribute),
+          element: window.__wcagLocate(link),
           href,
           text,
           ariaLabel,
@@ -626,71 +1288,91 @@ class WCAGComplianceChecker {
           isAmbiguous: ['click here', 'more', 'read more', 'link', 'here'].includes(linkText.toLowerCase())
         };
       });
-    });
+    }, AX_STAMP);
 
-    const linkTextCounts = new Map();
-    
+    // Judge links by the name the accessibility tree computes, which includes
+    // aria-labelledby, title and the names of nested images
+    const exposedLinks = [];
     for (const link of linkData) {
-      if (linkTextCounts.has(link.linkText)) {
+      const ax = axNodes.get(link.axId);
+      if (!ax) {
+        exposedLinks.push(link);
+      } else if (!ax.ignored) {
+        exposedLinks.push({
+          ...link,
+          linkText: ax.name,
+          isEmpty: ax.name.length === 0,
+          isAmbiguous: ['click here', 'more', 'read more', 'link', 'here'].includes(ax.name.toLowerCase())
+        });
+      }
+    }
+
+    const linkTextCounts = new Map();
+    
+    for (const link of exposedLinks) {
+      if (linkTextCounts.has(link.linkText)) {
         linkTextCounts.set(link.linkText, linkTextCounts.get(link.linkText) + 1);
       } else {
         linkTextCounts.set(link.linkText, 1);
       }
     }
 
-    for (const link of linkData) {
+    for (const link of exposedLinks) {
       if (link.isEmpty) {
-        this.addResult('error', '2.4.4', 'Empty Link Text',
+        context.addResult('error', '2.4.4', 'Empty Link Text',
           `Link to "${link.href}" has no discernible text`,
-          { selector: `a[href="${link.href}"]` },
+          link.element,
           'Add descriptive text, aria-label, or alt text for images within the link'
         );
       } else if (link.isAmbiguous) {
-        this.addResult('warning', '2.4.4', 'Ambiguous Link Text',
+        context.addResult('warning', '2.4.4', 'Ambiguous Link Text',
           `Link text "${link.linkText}" may not be descriptive enough`,
-          { selector: `a[href="${link.href}"]` },
+          link.element,
           'Use more descriptive link text that explains the link\'s purpose'
         );
       } else if (link.linkText.length < 3) {
-        this.addResult('warning', '2.4.4', 'Very Short Link Text',
+        context.addResult('warning', '2.4.4', 'Very Short Link Text',
           `Link text "${link.linkText}" is very short`,
-          { selector: `a[href="${link.href}"]` },
+          link.element,
           'Consider using more descriptive link text'
         );
       } else {
-        this.addResult('success', '2.4.4', 'Good Link Text',
+        context.addResult('success', '2.4.4', 'Good Link Text',
           `Link has descriptive text: "${link.linkText}"`,
-          { selector: `a[href="${link.href}"]` },
+          link.element,
           'Link text is descriptive and meaningful'
         );
       }
 
       // Check for duplicate link text with different destinations
       if (linkTextCounts.get(link.linkText) > 1) {
-        this.addResult('warning', '2.4.4', 'Duplicate Link Text',
+        context.addResult('warning', '2.4.4', 'Duplicate Link Text',
           `Multiple links with text "${link.linkText}" may go to different destinations`,
-          { selector: `a[href="${link.href}"]` },
+          link.element,
           'Make link text unique or add additional context'
         );
       }
     }
 
-    this.completedChecks++;
+    context.completedChecks++;
   }
 
-  async checkKeyboardAccess(page) {
+  async checkKeyboardAccess(page, context) {
     logger.info('Checking keyboard accessibility...');
     
     const keyboardData = await page.evaluate(() => {
-      const interactiveElements = Array.from(document.querySelectorAll(
+      const interactiveElements = window.__wcagQueryAll(
         'a, button, input, select, textarea, [tabindex], [onclick], [role="button"], [role="link"]'
-      ));
+      );
       
       return {
         elementsWithPositiveTabindex: interactiveElements.filter(el => {
           const tabindex = parseInt(el.getAttribute('tabindex'));
           return tabindex > 0;
-        }).length,
+        }).map(el => ({
+          tabindex: el.getAttribute('tabindex'),
+          element: window.__wcagLocate(el)
+        })),
         elementsWithNegativeTabindex: interactiveElements.filter(el => {
           const tabindex = parseInt(el.getAttribute('tabindex'));
           return tabindex < 0;
@@ -702,46 +1384,48 @@ class WCAGComplianceChecker {
           const hasFocus = el.hasAttribute('onfocus');
           const hasBlur = el.hasAttribute('onblur');
           return (hasMouseOver || hasMouseOut) && (!hasFocus && !hasBlur);
-        }).length
+        }).map(el => window.__wcagLocate(el))
       };
     });
 
-    if (keyboardData.elementsWithPositiveTabindex > 0) {
-      this.addResult('warning', '2.4.3', 'Positive Tabindex Found',
-        `${keyboardData.elementsWithPositiveTabindex} elements have positive tabindex values`,
-        null,
+    for (const item of keyboardData.elementsWithPositiveTabindex) {
+      context.addResult('warning', '2.4.3', 'Positive Tabindex Found',
+        `Element has tabindex="${item.tabindex}"`,
+        item.element,
         'Avoid positive tabindex values as they can disrupt natural tab order'
       );
     }
 
-    if (keyboardData.elementsWithOnlyMouseEvents > 0) {
-      this.addResult('warning', '2.1.1', 'Mouse-Only Event Handlers',
-        `${keyboardData.elementsWithOnlyMouseEvents} elements have mouse events without keyboard equivalents`,
-        null,
+    for (const element of keyboardData.elementsWithOnlyMouseEvents) {
+      context.addResult('warning', '2.1.1', 'Mouse-Only Event Handlers',
+        'Element has mouse events without keyboard equivalents',
+        element,
         'Add keyboard event handlers (onfocus/onblur) alongside mouse events'
       );
     }
 
-    if (keyboardData.elementsWithPositiveTabindex === 0 && keyboardData.elementsWithOnlyMouseEvents === 0) {
-      this.addResult('success', '2.1.1', 'Good Keyboard Accessibility',
+    if (keyboardData.elementsWithPositiveTabindex.length === 0 &&
+        keyboardData.elementsWithOnlyMouseEvents.length === 0) {
+      context.addResult('success', '2.1.1', 'Good Keyboard Accessibility',
         'No obvious keyboard accessibility issues detected',
         null,
         'Keyboard navigation appears properly implemented'
       );
     }
 
-    this.completedChecks++;
+    context.completedChecks++;
   }
 
-  async checkLanguage(page) {
+  async checkLanguage(page, context) {
     logger.info('Checking language attributes...');
     
     const languageData = await page.evaluate(() => {
       const html = document.documentElement;
       const lang = html.getAttribute('lang');
-      const elementsWithLang = Array.from(document.querySelectorAll('[lang]')).length;
+      const elementsWithLang = window.__wcagQueryAll('[lang]').length;
       
       return {
+        element: window.__wcagLocate(html),
         pageLang: lang,
         hasPageLang: !!lang,
         elementsWithLang: elementsWithLang
@@ -749,43 +1433,43 @@ class WCAGComplianceChecker {
     });
 
     if (!languageData.hasPageLang) {
-      this.addResult('error', '3.1.1', 'Missing Page Language',
+      context.addResult('error', '3.1.1', 'Missing Page Language',
         'HTML element is missing lang attribute',
-        { selector: 'html' },
+        languageData.element,
         'Add lang="en" (or appropriate language code) to the <html> element'
       );
     } else if (languageData.pageLang.length < 2) {
-      this.addResult('error', '3.1.1', 'Invalid Language Code',
+      context.addResult('error', '3.1.1', 'Invalid Language Code',
         `Language code "${languageData.pageLang}" appears to be invalid`,
-        { selector: 'html' },
+        languageData.element,
         'Use a valid ISO language code (e.g., "en", "es", "fr")'
       );
     } else {
-      this.addResult('success', '3.1.1', 'Page Language Declared',
+      context.addResult('success', '3.1.1', 'Page Language Declared',
         `Page language is declared as "${languageData.pageLang}"`,
-        { selector: 'html' },
+        languageData.element,
         'Page language is properly declared'
       );
     }
 
     if (languageData.elementsWithLang > 1) {
-      this.addResult('success', '3.1.2', 'Language Changes Identified',
+      context.addResult('success', '3.1.2', 'Language Changes Identified',
         'Elements with language changes are properly marked',
         null,
         'Language changes are appropriately identified'
       );
     }
 
-    this.completedChecks++;
+    context.completedChecks++;
   }
 
-  async checkFocus(page) {
+  async checkFocus(page, context) {
     logger.info('Checking focus management...');
     
     const focusData = await page.evaluate(() => {
-      const focusableElements = Array.from(document.querySelectorAll(
+      const focusableElements = window.__wcagQueryAll(
         'a[href], button, input, select, textarea, [tabindex="0"], [tabindex]:not([tabindex="-1"])'
-      ));
+      );
       
       return {
         focusableCount: focusableElements.length,
@@ -817,13 +1501,13 @@ class WCAGComplianceChecker {
     });
 
     if (!hasFocusStyles) {
-      this.addResult('warning', '2.4.7', 'No Focus Styles Detected',
+      context.addResult('warning', '2.4.7', 'No Focus Styles Detected',
         'No CSS focus styles detected',
         null,
         'Ensure all focusable elements have visible focus indicators'
       );
     } else {
-      this.addResult('success', '2.4.7', 'Focus Styles Present',
+      context.addResult('success', '2.4.7', 'Focus Styles Present',
         'CSS focus styles detected',
         null,
         'Focus indicators appear to be implemented'
@@ -831,34 +1515,393 @@ class WCAGComplianceChecker {
     }
 
     if (focusData.focusableCount === 0) {
-      this.addResult('warning', '2.1.1', 'No Focusable Elements',
+      context.addResult('warning', '2.1.1', 'No Focusable Elements',
         'No obviously focusable elements found',
         null,
         'Ensure interactive content is keyboard accessible'
       );
     }
 
-    this.completedChecks++;
+    context.completedChecks++;
+  }
+
+  /**
+   * Presses Tab through the page, then Shift+Tab back, with the real keyboard
+   * and records where focus lands. Reports keyboard traps (2.1.2), tabbable
+   * elements Tab never reaches (2.1.1), focus landing on hidden or off-screen
+   * elements (2.4.7) and focus jumping backwards up a column of the layout
+   * (2.4.3). The recorded sequences are stored as the `tabSequence` artifact.
+   *
+   * Moving focus (and pressing Escape to test a trap) can change the page, so
+   * this runs last and can be turned off with `keyboardTraversal: false`.
+   */
+  async checkKeyboardTraversal(page, context) {
+    if (context.options.keyboardTraversal === false) {
+      context.markSkipped(['2.1.1', '2.1.2', '2.4.3', '2.4.7'], 'Keyboard traversal is turned off (keyboardTraversal: false)');
+      context.completedChecks++;
+      return;
+    }
+
+    logger.info('Tracing keyboard focus order...');
+
+    const MAX_TAB_STOPS = 250;
+    const MAX_REPORTED = 10;
+
+    const probe = await page.evaluate(() => {
+      const ATTR = 'data-wcag-focus-id';
+      let nextId = 0;
+
+      const stamp = (el) => {
+        if (!el.hasAttribute(ATTR)) {
+          el.setAttribute(ATTR, String(++nextId));
+        }
+        return el.getAttribute(ATTR);
+      };
+
+      const describe = (el) => window.__wcagLocate(el).selector;
+
+      const isRendered = (el) => {
+        const style = window.getComputedStyle(el);
+        return style.display !== 'none' && style.visibility !== 'hidden' && el.getClientRects().length > 0;
+      };
+
+      const hasAncestorStyle = (el, test) => {
+        for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+          if (test(window.getComputedStyle(node))) return true;
+        }
+        return false;
+      };
+
+      const snapshot = (el) => {
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+        const left = rect.left + window.scrollX;
+        const top = rect.top + window.scrollY;
+        const docWidth = document.documentElement.scrollWidth;
+        const docHeight = document.documentElement.scrollHeight;
+
+        const element = window.__wcagLocate(el);
+        return {
+          id: stamp(el),
+          selector: element.selector,
+          element,
+          tagName: el.tagName,
+          text: (el.getAttribute('aria-label') || el.innerText || el.value || '').trim().substring(0, 60),
+          x: Math.round(left),
+          y: Math.round(top),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height),
+          offScreen: left + rect.width <= 0 || top + rect.height <= 0 || left >= docWidth || top >= docHeight,
+          invisible: style.visibility === 'hidden' || rect.width <= 1 || rect.height <= 1 ||
+            hasAncestorStyle(el, s => parseFloat(s.opacity) === 0),
+          fixed: hasAncestorStyle(el, s => s.position === 'fixed' || s.position === 'sticky'),
+          frame: el.tagName === 'IFRAME'
+        };
+      };
+
+      const activeElement = () => {
+        let el = document.activeElement;
+        while (el && el.shadowRoot && el.shadowRoot.activeElement) {
+          el = el.shadowRoot.activeElement;
+        }
+        return el && el !== document.body && el !== document.documentElement ? el : null;
+      };
+
+      // Only one radio button per group is in the tab order
+      const radioGroups = new Set();
+      const tabbable = window.__wcagQueryAll(
+        'a[href], area[href], button, input, select, textarea, summary, iframe, ' +
+        '[contenteditable=""], [contenteditable="true"], [tabindex]'
+      ).filter(el => {
+        if (el.disabled || el.tabIndex < 0 || el.closest('[inert]')) return false;
+        if (el.tagName === 'INPUT' && el.type === 'hidden') return false;
+        if (!isRendered(el)) return false;
+        if (el.tagName === 'INPUT' && el.type === 'radio' && el.name) {
+          const group = `${el.form ? 'form' : 'doc'}:${el.name}`;
+          const checked = el.getRootNode().querySelector(`input[type="radio"][name="${CSS.escape(el.name)}"]:checked`);
+          if (radioGroups.has(group) || (checked && checked !== el)) return false;
+          radioGroups.add(group);
+        }
+        return true;
+      });
+
+      // Focus a temporary anchor so traversal starts at a known point
+      const placeAnchor = (atEnd) => {
+        const anchor = document.createElement('span');
+        anchor.tabIndex = -1;
+        anchor.setAttribute('data-wcag-focus-anchor', '');
+        if (atEnd) {
+          document.body.appendChild(anchor);
+        } else {
+          document.body.insertBefore(anchor, document.body.firstChild);
+        }
+        anchor.focus();
+      };
+
+      window.__wcagFocusProbe = {
+        current: () => {
+          document.querySelectorAll('[data-wcag-focus-anchor]').forEach(anchor => anchor.remove());
+          const el = activeElement();
+          return el ? snapshot(el) : null;
+        },
+        // Selector of the closest container holding every visited element but
+        // none of the unvisited ones, or null when that is the whole page
+        confinedTo: (visitedIds, unvisitedIds) => {
+          const find = id => window.__wcagQuery(`[${ATTR}="${id}"]`);
+          const visited = visitedIds.map(find).filter(Boolean);
+          if (visited.length === 0) return null;
+
+          let container = visited[0].parentElement;
+          while (container && !visited.every(el => container.contains(el))) {
+            container = container.parentElement;
+          }
+          if (!container || container === document.body || container === document.documentElement) {
+            return null;
+          }
+
+          const escapes = unvisitedIds.map(find).some(el => el && !container.contains(el));
+          return escapes ? describe(container) : null;
+        },
+        reset: (atEnd) => {
+          if (document.activeElement && document.activeElement.blur) {
+            document.activeElement.blur();
+          }
+          placeAnchor(atEnd);
+        },
+        cleanup: () => {
+          document.querySelectorAll('[data-wcag-focus-anchor]').forEach(anchor => anchor.remove());
+          window.__wcagQueryAll(`[${ATTR}]`).forEach(el => el.removeAttribute(ATTR));
+          if (document.activeElement && document.activeElement.blur) {
+            document.activeElement.blur();
+          }
+          window.scrollTo(0, 0);
+          delete window.__wcagFocusProbe;
+        }
+      };
+
+      window.__wcagFocusProbe.reset(false);
+
+      return {
+        viewportHeight: window.innerHeight,
+        expected: tabbable.map(el => ({ id: stamp(el), element: window.__wcagLocate(el) }))
+      };
+    });
+
+    const currentStop = () => page.evaluate(() => window.__wcagFocusProbe.current());
+    const maxStops = Math.min(probe.expected.length * 2 + 10, MAX_TAB_STOPS);
+
+    // Walk the tab order in one direction until focus leaves the document,
+    // returns to an element already visited, or stops moving
+    const traverse = async (reverse) => {
+      const stops = [];
+      const outcome = { stops, completed: false, stuckOn: null, cycle: null };
+
+      for (let i = 0; i < maxStops; i++) {
+        if (reverse) {
+          await page.keyboard.down('Shift');
+          await page.keyboard.press('Tab');
+          await page.keyboard.up('Shift');
+        } else {
+          await page.keyboard.press('Tab');
+        }
+        const stop = await currentStop();
+
+        if (!stop) {
+          outcome.completed = stops.length > 0 || probe.expected.length === 0;
+          return outcome;
+        }
+
+        const last = stops[stops.length - 1];
+        if (last && last.id === stop.id) {
+          // Focus moving through a frame's own content stays on the iframe element
+          if (stop.frame) continue;
+          // With a single tab stop, wrapping around lands on the same element
+          if (stops.length === 1 && probe.expected.length <= 1) {
+            outcome.completed = true;
+            return outcome;
+          }
+          outcome.stuckOn = stop;
+          return outcome;
+        }
+
+        const seenAt = stops.findIndex(s => s.id === stop.id);
+        if (seenAt !== -1) {
+          if (seenAt === 0) {
+            outcome.completed = true;
+          } else {
+            outcome.cycle = stops.slice(seenAt);
+          }
+          return outcome;
+        }
+
+        stops.push(stop);
+      }
+
+      return outcome;
+    };
+
+    try {
+      const forward = await traverse(false);
+      const reachedIds = new Set(forward.stops.map(stop => stop.id));
+      const unreached = probe.expected.filter(item => !reachedIds.has(item.id));
+
+      // Wrapping to the first element while tabbable elements outside the
+      // visited region are left unvisited means focus is confined there
+      let trapStops = forward.stuckOn ? [forward.stuckOn] : forward.cycle;
+      if (!trapStops && forward.completed && unreached.length > 0) {
+        const container = await page.evaluate((visitedIds, unvisitedIds) =>
+          window.__wcagFocusProbe.confinedTo(visitedIds, unvisitedIds),
+        forward.stops.map(stop => stop.id), unreached.map(item => item.id));
+        if (container) {
+          trapStops = forward.stops;
+        }
+      }
+
+      let trap = null;
+      if (trapStops) {
+        const trapIds = new Set(trapStops.map(stop => stop.id));
+        await page.keyboard.press('Escape');
+        await page.keyboard.press('Tab');
+        const afterEscape = await currentStop();
+        trap = {
+          elements: trapStops.map(stop => stop.selector),
+          element: trapStops[0].element,
+          escapable: !afterEscape || !trapIds.has(afterEscape.id)
+        };
+      }
+
+      let backward = null;
+      if (!trap) {
+        await page.evaluate(() => window.__wcagFocusProbe.reset(true));
+        backward = await traverse(true);
+      }
+
+      context.setArtifact('tabSequence', {
+        expectedTabStops: probe.expected.length,
+        forward: forward.stops.map(({ id, element, ...stop }) => ({ ...stop, xpath: element.xpath })),
+        backward: backward ? backward.stops.map(stop => stop.selector) : null,
+        completed: forward.completed,
+        trap: trap ? { elements: trap.elements, escapable: trap.escapable } : null
+      });
+
+      // 2.1.2 No Keyboard Trap
+      if (trap && !trap.escapable) {
+        context.addResult('error', '2.1.2', 'Keyboard Trap',
+          `Tab cycles between ${trap.elements.length} element(s) and focus cannot leave them with Tab, Shift+Tab or Escape`,
+          trap.element,
+          'Make sure users can move focus away from every component with the keyboard alone'
+        );
+      } else if (trap) {
+        context.addResult('info', '2.1.2', 'Focus Contained Until Escape',
+          `Tab cycles between ${trap.elements.length} element(s); pressing Escape releases focus`,
+          trap.element,
+          'Containing focus is fine for modal dialogs; make sure the Escape behaviour is available and announced'
+        );
+      } else if (backward && backward.stuckOn) {
+        context.addResult('error', '2.1.2', 'Keyboard Trap',
+          'Focus cannot move backwards past this element with Shift+Tab',
+          backward.stuckOn.element,
+          'Do not intercept Shift+Tab in a way that keeps focus on the element'
+        );
+      } else {
+        context.addResult('success', '2.1.2', 'No Keyboard Traps',
+          `Focus moved through ${forward.stops.length} tab stops without getting trapped`,
+          null,
+          'Keyboard users can move through the page freely'
+        );
+      }
+
+      // 2.1.1 Keyboard: elements in the tab order that Tab never reached
+      if (!trap && forward.completed && unreached.length > 0) {
+        unreached.slice(0, MAX_REPORTED).forEach(item => {
+          context.addResult('warning', '2.1.1', 'Focusable Element Not Reached',
+            'Element is in the tab order but was never reached when tabbing through the page',
+            item.element,
+            'Check for script that moves or blocks focus, and make sure the element can be reached with Tab'
+          );
+        });
+      }
+
+      // 2.4.7 Focus Visible: focus landing somewhere the user cannot see
+      const hiddenStops = forward.stops.filter(stop => stop.offScreen || stop.invisible);
+      hiddenStops.slice(0, MAX_REPORTED).forEach(stop => {
+        context.addResult('warning', '2.4.7', stop.offScreen ? 'Focus Moves Off-Screen' : 'Focus Moves to Invisible Element',
+          stop.offScreen
+            ? `Focus lands on ${stop.tagName.toLowerCase()} positioned outside the page at (${stop.x}, ${stop.y})`
+            : `Focus lands on ${stop.tagName.toLowerCase()} that is transparent, hidden or smaller than 2px`,
+          stop.element,
+          'Remove hidden elements from the tab order (tabindex="-1", inert or display: none) or make them visible on focus'
+        );
+      });
+
+      // 2.4.3 Focus Order: jumping back up the same column of the layout
+      let orderIssues = 0;
+      const visualStops = forward.stops.filter(stop => !stop.fixed && !stop.frame && !stop.offScreen && !stop.invisible);
+      const jumpThreshold = Math.max(probe.viewportHeight / 2, 200);
+      for (let i = 1; i < visualStops.length; i++) {
+        const from = visualStops[i - 1];
+        const to = visualStops[i];
+        const sameColumn = to.x < from.x + from.width && from.x < to.x + to.width;
+
+        if (sameColumn && from.y - (to.y + to.height) > jumpThreshold) {
+          orderIssues++;
+          if (orderIssues <= MAX_REPORTED) {
+            context.addResult('warning', '2.4.3', 'Focus Order Jumps Backwards',
+              `Focus moves from ${from.selector} up ${from.y - to.y}px to ${to.selector}, against the visual reading order`,
+              to.element,
+              'Match the DOM order to the visual order and avoid positive tabindex values'
+            );
+          }
+        }
+      }
+
+      if (backward && backward.completed && forward.completed && !backward.stuckOn) {
+        const forwardOrder = forward.stops.filter(stop => !stop.frame).map(stop => stop.id);
+        const backwardOrder = backward.stops.filter(stop => !stop.frame).map(stop => stop.id).reverse();
+        if (forwardOrder.join(',') !== backwardOrder.join(',')) {
+          orderIssues++;
+          context.addResult('warning', '2.4.3', 'Inconsistent Reverse Focus Order',
+            'Shift+Tab does not visit elements in the reverse of the Tab order',
+            null,
+            'Avoid scripts that redirect focus on Tab key presses'
+          );
+        }
+      }
+
+      if (orderIssues === 0 && forward.stops.length > 1) {
+        context.addResult('success', '2.4.3', 'Focus Order Follows Layout',
+          `Tab order through ${forward.stops.length} elements follows the visual layout`,
+          null,
+          'Focus order is logical'
+        );
+      }
+    } finally {
+      await page.evaluate(() => window.__wcagFocusProbe && window.__wcagFocusProbe.cleanup())
+        .catch(error => logger.warn('Failed to clean up keyboard probe:', error));
+    }
+
+    context.completedChecks++;
   }
 
-  async checkStructure(page) {
+  async checkStructure(page, context) {
     logger.info('Checking document structure...');
     
     const structureData = await page.evaluate(() => {
-      const skipLinks = Array.from(document.querySelectorAll('a[href^="#"]'));
+      const skipLinks = window.__wcagQueryAll('a[href^="#"]');
       const hasSkipLink = skipLinks.some(link => {
         const text = link.textContent.toLowerCase();
         return text.includes('skip') && 
                (text.includes('content') || text.includes('main') || text.includes('navigation'));
       });
       
-      const landmarks = document.querySelectorAll(
+      const landmarks = window.__wcagQueryAll(
         'main, nav, aside, section, article, header, footer, [role="main"], [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"]'
       );
       
       const title = document.querySelector('title');
       
       return {
+        titleElement: title ? window.__wcagLocate(title) : null,
         hasSkipLink,
         landmarkCount: landmarks.length,
         pageTitle: title ? title.textContent.trim() : '',
@@ -868,13 +1911,13 @@ class WCAGComplianceChecker {
 
     // Check skip links
     if (!structureData.hasSkipLink) {
-      this.addResult('warning', '2.4.1', 'No Skip Link Found',
+      context.addResult('warning', '2.4.1', 'No Skip Link Found',
         'No skip link detected',
         null,
         'Add a skip link to help keyboard users bypass repetitive navigation'
       );
     } else {
-      this.addResult('success', '2.4.1', 'Skip Link Present',
+      context.addResult('success', '2.4.1', 'Skip Link Present',
         'Skip link detected',
         null,
         'Skip link is present for keyboard navigation'
@@ -883,13 +1926,13 @@ class WCAGComplianceChecker {
 
     // Check landmarks
     if (structureData.landmarkCount > 0) {
-      this.addResult('success', '1.3.1', 'Landmarks Present',
+      context.addResult('success', '1.3.1', 'Landmarks Present',
         `${structureData.landmarkCount} landmark elements found`,
         null,
         'Page structure uses semantic landmarks'
       );
     } else {
-      this.addResult('warning', '1.3.1', 'No Landmarks Found',
+      context.addResult('warning', '1.3.1', 'No Landmarks Found',
         'No semantic landmark elements detected',
         null,
         'Use semantic HTML5 elements (main, nav, header, footer) or ARIA landmarks'
@@ -898,36 +1941,37 @@ class WCAGComplianceChecker {
 
     // Check page title
     if (!structureData.hasTitleElement || !structureData.pageTitle) {
-      this.addResult('error', '2.4.2', 'Missing Page Title',
+      context.addResult('error', '2.4.2', 'Missing Page Title',
         'Page title is missing or empty',
-        { selector: 'title' },
+        structureData.titleElement,
         'Add a descriptive page title'
       );
     } else if (structureData.pageTitle.length < 3) {
-      this.addResult('warning', '2.4.2', 'Very Short Page Title',
+      context.addResult('warning', '2.4.2', 'Very Short Page Title',
         `Page title is very short: "${structureData.pageTitle}"`,
-        { selector: 'title' },
+        structureData.titleElement,
         'Consider a more descriptive page title'
       );
     } else {
-      this.addResult('success', '2.4.2', 'Good Page Title',
+      context.addResult('success', '2.4.2', 'Good Page Title',
         `Page has descriptive title: "${structureData.pageTitle}"`,
-        { selector: 'title' },
+        structureData.titleElement,
         'Page title is present and descriptive'
       );
     }
 
-    this.completedChecks++;
+    context.completedChecks++;
   }
 
-  async checkMedia(page) {
+  async checkMedia(page, context) {
     logger.info('Checking multimedia content...');
     
     const mediaData = await page.evaluate(() => {
-      const videos = Array.from(document.querySelectorAll('video'));
-      const audios = Array.from(document.querySelectorAll('audio'));
+      const videos = window.__wcagQueryAll('video');
+      const audios = window.__wcagQueryAll('audio');
       
       const videoData = videos.map(video => ({
+        element: window.__wcagLocate(video),
         src: video.src,
         hasCaptions: video.querySelectorAll('track[kind="captions"], track[kind="subtitles"]').length > 0,
         hasControls: video.hasAttribute('controls'),
@@ -935,6 +1979,7 @@ class WCAGComplianceChecker {
       }));
       
       const audioData = audios.map(audio => ({
+        element: window.__wcagLocate(audio),
         src: audio.src,
         hasControls: audio.hasAttribute('controls'),
         autoplay: audio.hasAttribute('autoplay')
@@ -946,23 +1991,23 @@ class WCAGComplianceChecker {
     // Check videos
     for (const video of mediaData.videos) {
       if (!video.hasCaptions) {
-        this.addResult('error', '1.2.2', 'Video Missing Captions',
+        context.addResult('error', '1.2.2', 'Video Missing Captions',
           `Video element has no caption or subtitle tracks`,
-          { selector: `video[src="${video.src}"]` },
+          video.element,
           'Add <track> elements with captions or subtitles'
         );
       } else {
-        this.addResult('success', '1.2.2', 'Video Has Captions',
+        context.addResult('success', '1.2.2', 'Video Has Captions',
           'Video element includes caption or subtitle tracks',
-          { selector: `video[src="${video.src}"]` },
+          video.element,
           'Video accessibility is properly implemented'
         );
       }
 
       if (!video.hasControls && !video.autoplay) {
-        this.addResult('warning', '1.2.2', 'Video Without Controls',
+        context.addResult('warning', '1.2.2', 'Video Without Controls',
           'Video element has no controls attribute',
-          { selector: `video[src="${video.src}"]` },
+          video.element,
           'Provide controls for user interaction with video content'
         );
       }
@@ -970,261 +2015,1642 @@ class WCAGComplianceChecker {
 
     // Check audio
     for (const audio of mediaData.audios) {
-      this.addResult('warning', '1.2.1', 'Audio May Need Transcript',
+      context.addResult('warning', '1.2.1', 'Audio May Need Transcript',
         'Audio element detected - ensure transcript is available',
-        { selector: `audio[src="${audio.src}"]` },
+        audio.element,
         'Provide a transcript for audio content'
       );
     }
 
     if (mediaData.videos.length === 0 && mediaData.audios.length === 0) {
-      this.addResult('info', '1.2.1', 'No Media Elements',
+      context.addNotApplicable('1.2.1', 'No Media Elements',
         'No audio or video elements found',
-        null,
         'No media accessibility issues to check'
       );
     }
 
-    this.completedChecks++;
+    context.completedChecks++;
   }
 
-  async checkColorContrast(page) {
-    logger.info('Checking color contrast...');
-    
-    try {
-      const contrastResults = await this.colorAnalyzer.analyzePageContrast(page);
-      
-      for (const result of contrastResults) {
-        if (result.ratio < 4.5) {
-          this.addResult('error', '1.4.3', 'Insufficient Color Contrast',
-            `Text has contrast ratio of ${result.ratio.toFixed(2)}:1 (minimum: 4.5:1)`,
-            { selector: result.selector },
-            'Increase color contrast to meet WCAG AA standards'
-          );
-        } else if (result.ratio < 7) {
-          this.addResult('warning', '1.4.6', 'Enhanced Contrast Not Met',
-            `Text has contrast ratio of ${result.ratio.toFixed(2)}:1 (enhanced: 7:1)`,
-            { selector: result.selector },
-            'Consider increasing contrast for AAA compliance'
+  /**
+   * 1.4.2 Audio Control and 2.2.2 Pause, Stop, Hide for media that starts on
+   * its own: audible audio or video longer than 3 seconds needs a way to
+   * pause or mute it, and video longer than 5 seconds a way to pause it,
+   * either the native controls or a pause/stop/mute button next to it.
+   */
+  async checkAutoplayMedia(page, context) {
+    logger.info('Checking autoplaying media...');
+
+    const media = await page.evaluate(() => {
+      const CONTROL = 'button, [role="button"], input[type="button"], input[type="checkbox"], [role="switch"]';
+      const PAUSE_NAME = /\b(pause|stop|mute|unmute|sound|volume|play)\b/i;
+
+      const nameOf = (el) => [el.getAttribute('aria-label'), el.getAttribute('title'), el.value, el.textContent]
+        .filter(Boolean).join(' ');
+
+      // A custom control in the player around the media element
+      const hasPauseControl = (el) => {
+        let container = el.parentElement || el.getRootNode().host;
+        for (let depth = 0; container && container !== document.body && depth < 3; depth++) {
+          if (window.__wcagQueryAll(CONTROL, container).some(control => PAUSE_NAME.test(nameOf(control)))) {
+            return true;
+          }
+          container = container.parentElement;
+        }
+        return false;
+      };
+
+      return window.__wcagQueryAll('video, audio')
+        .filter(el => el.autoplay || (!el.paused && el.currentTime > 0))
+        .map(el => ({
+          element: window.__wcagLocate(el),
+          tag: el.localName,
+          src: el.currentSrc || el.src,
+          duration: Number.isNaN(el.duration) ? null : el.duration,
+          loop: el.loop,
+          muted: el.muted || el.hasAttribute('muted') || el.volume === 0,
+          // Chrome counts decoded audio; 0 after playback means a silent track
+          hasAudioTrack: el.localName === 'audio' || typeof el.webkitAudioDecodedByteCount !== 'number' ||
+            el.currentTime === 0 || el.webkitAudioDecodedByteCount > 0,
+          hasControls: el.controls,
+          hasPauseControl: hasPauseControl(el)
+        }));
+    });
+
+    for (const item of media) {
+      const runsFor = (seconds) => item.loop || item.duration === Infinity ||
+        (item.duration !== null && item.duration > seconds);
+      const lengthUnknown = item.duration === null && !item.loop;
+      const canStop = item.hasControls || item.hasPauseControl;
+      const label = item.tag === 'audio' ? 'Audio' : 'Video';
+
+      if (!item.muted && item.hasAudioTrack && (runsFor(3) || lengthUnknown)) {
+        if (canStop) {
+          context.addResult('success', '1.4.2', 'Autoplaying Audio Can Be Stopped',
+            `${label} "${item.src}" plays automatically and has ${item.hasControls ? 'native controls' : 'a pause or mute control'}`,
+            item.element,
+            'Audio control is available'
           );
         } else {
-          this.addResult('success', '1.4.3', 'Good Color Contrast',
-            `Text has good contrast ratio of ${result.ratio.toFixed(2)}:1`,
-            { selector: result.selector },
-            'Color contrast meets accessibility standards'
+          context.addResult(lengthUnknown ? 'warning' : 'error', '1.4.2', 'Autoplaying Audio Without Control',
+            lengthUnknown
+              ? `${label} "${item.src}" plays sound automatically with no way to pause or mute it; its length could not be read`
+              : `${label} "${item.src}" plays sound automatically for ${item.loop ? 'a loop' : `${Math.round(item.duration)} seconds`} with no way to pause or mute it`,
+            item.element,
+            'Do not autoplay audio, or add the controls attribute or a visible pause/mute button at the start of the page'
           );
         }
       }
-    } catch (error) {
-      this.addResult('warning', '1.4.3', 'Color Contrast Check Failed',
-        'Unable to analyze color contrast automatically',
-        null,
-        'Manually verify color contrast using a contrast analyzer tool'
-      );
+
+      if (item.tag === 'video' && runsFor(5) && !canStop) {
+        context.addResult('error', '2.2.2', 'Autoplaying Video Without Pause',
+          `Video "${item.src}" starts automatically and runs ${item.loop ? 'in a loop' : `for ${Math.round(item.duration)} seconds`} with no way to pause it`,
+          item.element,
+          'Add the controls attribute or a pause button, or stop the video after 5 seconds'
+        );
+      }
     }
 
-    this.completedChecks++;
+    context.completedChecks++;
   }
 
-  async checkTextSpacing(page) {
-    logger.info('Checking text spacing...');
-    
-    const spacingData = await page.evaluate(() => {
-      const elementsWithFixedHeight = Array.from(document.querySelectorAll('*')).filter(el => {
+  /**
+   * 2.2.2 Pause, Stop, Hide for moving content: CSS and Web Animations
+   * running longer than 5 seconds, elements moved by script, auto-advancing
+   * carousels and marquees. Each needs a pause or stop control next to it,
+   * or a page-wide control to stop animations. Animations that stop when
+   * the user asks for reduced motion are reported as warnings, since other
+   * users still cannot pause them.
+   */
+  async checkMovingContent(page, context) {
+    logger.info('Checking moving and auto-updating content...');
+
+    const OBSERVATION_MS = 2000;
+    const MAX_REPORTED = 20;
+
+    const findMoving = () => page.evaluate(async (observationMs) => {
+      const CAROUSEL = '[aria-roledescription="carousel" i], .carousel, .slider, .slideshow, .swiper, ' +
+        '.slick-slider, .splide, .glide, [data-ride="carousel"], [data-bs-ride="carousel"]';
+      const AUTOPLAY_HINT = '[data-ride="carousel"], [data-bs-ride="carousel"], [data-autoplay]:not([data-autoplay="false"]), ' +
+        '[data-interval]:not([data-interval="false"]):not([data-interval="0"]), [data-bs-interval]:not([data-bs-interval="false"])';
+      const LOADING = /\b(spin|spinner|loader|loading|progress|skeleton)\b/i;
+      const CONTROL = 'button, [role="button"], input[type="button"], input[type="checkbox"], [role="switch"], a[href]';
+      const PAUSE_NAME = /\b(pause|stop|freeze|play)\b/i;
+      const GLOBAL_PAUSE_NAME = /(pause|stop|reduce|disable).{0,20}(animation|motion|movement)/i;
+
+      const nameOf = (el) => [el.getAttribute('aria-label'), el.getAttribute('title'), el.value, el.textContent]
+        .filter(Boolean).join(' ');
+
+      const isVisible = (el) => {
+        const rect = el.getBoundingClientRect();
         const style = window.getComputedStyle(el);
-        const height = style.height;
-        return height && height !== 'auto' && !height.includes('%') && parseInt(height) > 0;
-      });
-      
-      return {
-        elementsWithFixedHeight: elementsWithFixedHeight.length
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+      };
+
+      const isLoadingIndicator = (el) => el.closest('[role="progressbar"], [aria-busy="true"]') ||
+        LOADING.test(`${el.id} ${el.getAttribute('class') || ''}`);
+
+      const hasPauseControl = (el) => {
+        let container = el;
+        for (let depth = 0; container && container !== document.body && depth < 4; depth++) {
+          if (window.__wcagQueryAll(CONTROL, container).some(control => PAUSE_NAME.test(nameOf(control)))) {
+            return true;
+          }
+          container = container.parentElement || container.getRootNode().host;
+        }
+        return false;
       };
+
+      const moving = new Map();
+      const add = (el, kind, detail) => {
+        if (!el || !el.isConnected || !isVisible(el) || isLoadingIndicator(el) || moving.has(el)) return;
+        moving.set(el, { kind, detail });
+      };
+
+      // Script animation shows up as repeated inline style changes on the
+      // same element; carousels as changes anywhere inside them
+      const styleChanges = new Map();
+      const carousels = window.__wcagQueryAll(CAROUSEL);
+      const changedCarousels = new Set();
+      const observer = new MutationObserver(records => {
+        const time = performance.now();
+        records.forEach(record => {
+          const target = record.target.nodeType === 1 ? record.target : record.target.parentElement;
+          if (!target) return;
+          if (record.attributeName === 'style') {
+            const times = styleChanges.get(target) || [];
+            times.push(time);
+            styleChanges.set(target, times);
+          }
+          carousels.forEach(carousel => {
+            if (carousel.contains(target)) changedCarousels.add(carousel);
+          });
+        });
+      });
+      observer.observe(document.documentElement, {
+        subtree: true,
+        childList: true,
+        attributes: true,
+        attributeFilter: ['style', 'class', 'aria-hidden', 'aria-current', 'hidden']
+      });
+      const started = performance.now();
+      await new Promise(resolve => setTimeout(resolve, observationMs));
+      observer.disconnect();
+
+      window.__wcagQueryAll('marquee').forEach(el => add(el, 'marquee', 'marquee element'));
+
+      carousels
+        .filter(carousel => !carousels.some(other => other !== carousel && other.contains(carousel)))
+        .filter(carousel => changedCarousels.has(carousel) || carousel.matches(AUTOPLAY_HINT) ||
+          window.__wcagQuery(AUTOPLAY_HINT, carousel))
+        .forEach(carousel => add(carousel, 'carousel',
+          changedCarousels.has(carousel) ? 'advanced on its own while the page was watched' : 'is set to autoplay'));
+
+      (document.getAnimations ? document.getAnimations() : [])
+        .filter(animation => animation.playState === 'running' && animation.effect && animation.effect.target)
+        .forEach(animation => {
+          const { endTime } = animation.effect.getComputedTiming();
+          if (endTime <= 5000) return;
+          add(animation.effect.target, 'animation', endTime === Infinity
+            ? `${animation.animationName || 'animation'} repeats indefinitely`
+            : `${animation.animationName || 'animation'} runs for ${Math.round(endTime / 1000)} seconds`);
+        });
+
+      // Still changing at the end of the window, after changing throughout it
+      styleChanges.forEach((times, el) => {
+        if (times.length >= 10 && times[0] - started < observationMs / 2 &&
+            started + observationMs - times[times.length - 1] < observationMs / 4) {
+          add(el, 'script', `style changed ${times.length} times in ${observationMs / 1000} seconds`);
+        }
+      });
+
+      const globalControl = window.__wcagQueryAll(CONTROL).some(control => GLOBAL_PAUSE_NAME.test(nameOf(control)));
+
+      // Report a moving container once rather than everything animating inside it
+      const elements = Array.from(moving.keys());
+      return elements
+        .filter(el => !elements.some(other => other !== el && other.contains(el)))
+        .map(el => ({
+          element: window.__wcagLocate(el),
+          ...moving.get(el),
+          hasPauseControl: globalControl || hasPauseControl(el)
+        }));
+    }, OBSERVATION_MS);
+
+    const moving = await findMoving();
+
+    // Moving content that stops when reduced motion is requested
+    let stopsForReducedMotion = new Set();
+    const unpausable = moving.filter(item => !item.hasPauseControl && item.kind === 'animation');
+    if (unpausable.length > 0 && typeof page.emulateMediaFeatures === 'function') {
+      try {
+        await page.emulateMediaFeatures([{ name: 'prefers-reduced-motion', value: 'reduce' }]);
+        const selectors = unpausable.map(item => item.element.selector);
+        const stillRunning = await page.evaluate((selectors) => {
+          const running = new Set(document.getAnimations()
+            .filter(animation => animation.playState === 'running' && animation.effect && animation.effect.target &&
+              animation.effect.getComputedTiming().endTime > 5000)
+            .map(animation => animation.effect.target));
+          return selectors.filter(selector => {
+            const el = window.__wcagResolve(selector);
+            return el && Array.from(running).some(target => el === target || el.contains(target));
+          });
+        }, selectors);
+        stopsForReducedMotion = new Set(selectors.filter(selector => !stillRunning.includes(selector)));
+      } catch (error) {
+        logger.warn('Could not check animations under reduced motion:', error);
+      } finally {
+        await page.emulateMediaFeatures([]).catch(() => {});
+      }
+    }
+
+    const KINDS = {
+      marquee: 'Scrolling marquee',
+      carousel: 'Carousel',
+      animation: 'Animation',
+      script: 'Element moved by script'
+    };
+
+    moving.slice(0, MAX_REPORTED).forEach(item => {
+      const what = `${KINDS[item.kind]} ${item.element.selector}`;
+
+      if (item.hasPauseControl) {
+        context.addResult('success', '2.2.2', 'Moving Content Can Be Paused',
+          `${what} (${item.detail}) has a pause or stop control`,
+          item.element,
+          'Moving content can be paused'
+        );
+      } else if (stopsForReducedMotion.has(item.element.selector)) {
+        context.addResult('warning', '2.2.2', 'Animation Only Stops for Reduced Motion',
+          `${what} (${item.detail}) stops when reduced motion is requested but has no pause control`,
+          item.element,
+          'Add a visible control to pause the animation for users who have not set a reduced motion preference'
+        );
+      } else {
+        context.addResult(item.kind === 'script' ? 'warning' : 'error', '2.2.2', 'Moving Content Without Pause',
+          item.kind === 'script'
+            ? `${what} (${item.detail}) kept moving while the page was watched and has no way to pause, stop or hide it`
+            : `${what} (${item.detail}) moves for more than 5 seconds with no way to pause, stop or hide it`,
+          item.element,
+          item.kind === 'carousel'
+            ? 'Add a pause button to the carousel, or do not advance slides automatically'
+            : 'Add a pause/stop control, stop the animation within 5 seconds, or run it only on user action'
+        );
+      }
     });
 
-    if (spacingData.elementsWithFixedHeight > 0) {
-      this.addResult('warning', '1.4.12', 'Fixed Heights Detected',
-        `${spacingData.elementsWithFixedHeight} elements with fixed heights may not adapt to text spacing changes`,
-        null,
-        'Ensure content remains readable when users adjust text spacing'
-      );
-    } else {
-      this.addResult('success', '1.4.12', 'Flexible Text Layout',
-        'No problematic fixed heights detected',
+    if (moving.length > MAX_REPORTED) {
+      context.addResult('info', '2.2.2', 'More Moving Content',
+        `${moving.length - MAX_REPORTED} more moving elements were found`,
         null,
-        'Layout appears flexible for text spacing adjustments'
+        'Review the remaining animations and carousels'
       );
     }
 
-    this.completedChecks++;
+    context.completedChecks++;
   }
 
-  async checkTargetSizes(page) {
-    logger.info('Checking touch target sizes...');
-    
-    const targetData = await page.evaluate(() => {
-      const interactiveElements = Array.from(document.querySelectorAll(
-        'button, a, input[type="button"], input[type="submit"], [onclick], [role="button"]'
-      ));
-      
-      return interactiveElements.map(el => {
-        const rect = el.getBoundingClientRect();
-        return {
-          width: rect.width,
-          height: rect.height,
-          area: rect.width * rect.height,
-          tagName: el.tagName,
-          type: el.type || null
-        };
-      }).filter(el => el.width > 0 && el.height > 0);
-    });
+  /**
+   * 2.3.1 Three Flashes or Below Threshold, measured by recording the
+   * viewport for `flashObservationMs` (default 3000, 0 to skip). Only what
+   * flashes in the first viewport during that window is seen.
+   */
+  async checkFlashing(page, context) {
+    const durationMs = context.options.flashObservationMs !== undefined
+      ? context.options.flashObservationMs
+      : DEFAULT_FLASH_OBSERVATION_MS;
+    if (!durationMs) {
+      context.markSkipped(['2.3.1'], 'Flash recording is turned off (flashObservationMs: 0)');
+      context.completedChecks++;
+      return;
+    }
 
-    let smallTargets = 0;
-    
-    for (const target of targetData) {
-      if (target.width < 44 || target.height < 44) {
-        smallTargets++;
-        this.addResult('warning', '2.5.8', 'Small Touch Target',
-          `${target.tagName} element is ${Math.round(target.width)}x${Math.round(target.height)}px (recommended: 44x44px)`,
+    logger.info(`Recording ${durationMs}ms of the page to check for flashing...`);
+
+    let analysis;
+    try {
+      const frames = await this.flashAnalyzer.capture(page, { durationMs });
+      if (frames.length < 3) {
+        context.addResult('success', '2.3.1', 'No Flashing Detected',
+          `The page did not change enough to flash during ${durationMs / 1000} seconds of recording`,
           null,
-          'Ensure touch targets are at least 44x44 pixels'
+          'No flashing content found'
         );
+        context.completedChecks++;
+        return;
       }
-    }
-
-    if (smallTargets === 0 && targetData.length > 0) {
-      this.addResult('success', '2.5.8', 'Adequate Touch Targets',
-        `All ${targetData.length} interactive elements meet minimum size requirements`,
+      analysis = this.flashAnalyzer.analyze(await this.flashAnalyzer.decodeFrames(page, frames));
+    } catch (error) {
+      logger.warn('Flash analysis unavailable:', error);
+      context.addResult('info', '2.3.1', 'Flash Analysis Unavailable',
+        `The page could not be recorded to check for flashing: ${error.message}`,
         null,
-        'Touch target sizes are adequate'
+        'Check for content that flashes more than three times a second manually'
       );
+      context.completedChecks++;
+      return;
     }
 
-    this.completedChecks++;
-  }
+    // Name the element under the middle of the flashing area
+    const locateArea = (box) => page.evaluate((box) => {
+      const el = document.elementFromPoint(box.x + box.width / 2, box.y + box.height / 2);
+      const located = el ? window.__wcagLocate(el) : null;
+      const boundingBox = { ...box, x: box.x + Math.round(window.scrollX), y: box.y + Math.round(window.scrollY) };
+      return located ? { ...located, boundingBox } : { selector: null, xpath: null, html: null, boundingBox };
+    }, box);
 
-  async checkARIA(page) {
-    logger.info('Checking ARIA implementation...');
-    
-    const ariaData = await page.evaluate(() => {
-      const elementsWithRole = Array.from(document.querySelectorAll('[role]'));
-      const elementsWithAriaLabel = Array.from(document.querySelectorAll('[aria-label]'));
-      const elementsWithAriaLabelledby = Array.from(document.querySelectorAll('[aria-labelledby]'));
-      const elementsWithAriaDescribedby = Array.from(document.querySelectorAll('[aria-describedby]'));
-      
-      const invalidRoles = elementsWithRole.filter(el => {
-        const role = el.getAttribute('role');
-        const validRoles = [
-          'alert', 'alertdialog', 'application', 'article', 'banner', 'button',
-          'cell', 'checkbox', 'columnheader', 'combobox', 'complementary',
-          'contentinfo', 'definition', 'dialog', 'directory', 'document',
-          'feed', 'figure', 'form', 'grid', 'gridcell', 'group', 'heading',
-          'img', 'link', 'list', 'listbox', 'listitem', 'log', 'main',
-          'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox',
-          'menuitemradio', 'navigation', 'none', 'note', 'option', 'presentation',
-          'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup',
-          'rowheader', 'scrollbar', 'search', 'searchbox', 'separator',
-          'slider', 'spinbutton', 'status', 'switch', 'tab', 'table',
-          'tablist', 'tabpanel', 'term', 'textbox', 'timer', 'toolbar',
-          'tooltip', 'tree', 'treegrid', 'treeitem'
-        ];
-        return !validRoles.includes(role);
-      });
-      
-      return {
-        roleCount: elementsWithRole.length,
-        ariaLabelCount: elementsWithAriaLabel.length,
-        ariaLabelledbyCount: elementsWithAriaLabelledby.length,
-        ariaDescribedbyCount: elementsWithAriaDescribedby.length,
-        invalidRoles: invalidRoles.map(el => el.getAttribute('role'))
-      };
-    });
+    const recorded = `${analysis.framesAnalyzed} frames over ${analysis.durationSeconds} seconds`;
+    const threshold = FlashAnalyzer.areaThreshold;
+    const kinds = [
+      ['general', 'General Flash', 'flashes between light and dark'],
+      ['red', 'Red Flash', 'flashes to or from saturated red']
+    ];
 
-    if (ariaData.invalidRoles.length > 0) {
-      this.addResult('error', '4.1.2', 'Invalid ARIA Roles',
-        `Invalid ARIA roles found: ${ariaData.invalidRoles.join(', ')}`,
-        null,
-        'Use only valid ARIA role values'
-      );
+    let failed = false;
+    for (const [key, title, what] of kinds) {
+      const stats = analysis[key];
+      if (stats.maxFlashesPerSecond <= 3) continue;
+
+      const element = stats.boundingBox ? await locateArea(stats.boundingBox) : null;
+      if (stats.exceedsThreshold) {
+        failed = true;
+        context.addResult('error', '2.3.1', `${title} Threshold Exceeded`,
+          `Content ${what} up to ${stats.maxFlashesPerSecond} times a second over ${stats.flashingArea} px², ` +
+          `more than the ${threshold} px² allowed (${recorded})`,
+          element,
+          'Remove the flashing, slow it to three flashes a second or fewer, or shrink the flashing area'
+        );
+      } else {
+        context.addResult('warning', '2.3.1', `Small ${title}`,
+          `Content ${what} up to ${stats.maxFlashesPerSecond} times a second over ${stats.flashingArea} px², ` +
+          `below the ${threshold} px² threshold (${recorded})`,
+          element,
+          'Keep the flashing area small at every viewport size, or remove the flashing'
+        );
+      }
     }
 
-    if (ariaData.roleCount > 0 || ariaData.ariaLabelCount > 0) {
-      this.addResult('success', '4.1.2', 'ARIA Implementation Found',
-        'ARIA attributes are being used to enhance accessibility',
+    if (!failed) {
+      context.addResult('success', '2.3.1', 'No Flashing Above Threshold',
+        `No content flashed more than three times a second over the threshold area (${recorded})`,
         null,
-        'ARIA implementation detected - ensure proper usage'
+        'Flashing is within the general and red flash thresholds'
       );
     }
 
-    this.completedChecks++;
+    context.completedChecks++;
   }
 
-  async checkTables(page) {
-    logger.info('Checking table accessibility...');
+  async checkColorContrast(page, context) {
+    logger.info('Checking color contrast...');
     
-    const tableData = await page.evaluate(() => {
-      const tables = Array.from(document.querySelectorAll('table'));
-      
-      return tables.map(table => {
-        const caption = table.querySelector('caption');
-        const thead = table.querySelector('thead');
-        const th = table.querySelectorAll('th');
-        const hasHeaders = th.length > 0;
-        
-        return {
-          hasCaption: !!caption,
-          captionText: caption ? caption.textContent.trim() : null,
-          hasThead: !!thead,
-          headerCount: th.length,
-          hasHeaders
+    try {
+      const contrastResults = await this.colorAnalyzer.analyzePageContrast(page, {
+        mode: context.options.contrastMode || 'auto'
+      });
+
+      const MEASUREMENTS = {
+        pixels: 'measured from pixels',
+        css: 'computed from CSS'
+      };
+
+      for (const result of contrastResults) {
+        const measured = `${result.textColor} on ${result.backgroundColor}, ${MEASUREMENTS[result.measurement]}`;
+        let reported;
+
+        if (result.ratio < 4.5) {
+          reported = context.addResult('error', '1.4.3', 'Insufficient Color Contrast',
+            `Text has contrast ratio of ${result.ratio.toFixed(2)}:1 (minimum: 4.5:1; ${measured})`,
+            result.element || { selector: result.selector },
+            'Increase color contrast to meet WCAG AA standards'
+          );
+        } else if (result.ratio < 7) {
+          reported = context.addResult('warning', '1.4.6', 'Enhanced Contrast Not Met',
+            `Text has contrast ratio of ${result.ratio.toFixed(2)}:1 (enhanced: 7:1; ${measured})`,
+            result.element || { selector: result.selector },
+            'Consider increasing contrast for AAA compliance'
+          );
+        } else {
+          reported = context.addResult('success', '1.4.3', 'Good Color Contrast',
+            `Text has good contrast ratio of ${result.ratio.toFixed(2)}:1 (${measured})`,
+            result.element || { selector: result.selector },
+            'Color contrast meets accessibility standards'
+          );
+        }
+
+        if (reported && !reported.measurement) {
+          reported.measurement = result.measurement;
+          if (result.ratioRange) {
+            reported.ratioRange = result.ratioRange;
+          }
+        }
+      }
+    } catch (error) {
+      context.addResult('warning', '1.4.3', 'Color Contrast Check Failed',
+        'Unable to analyze color contrast automatically',
+        null,
+        'Manually verify color contrast using a contrast analyzer tool'
+      );
+    }
+
+    context.completedChecks++;
+  }
+
+  async checkNonTextContrast(page, context) {
+    logger.info('Checking non-text contrast...');
+
+    const MAX_REPORTED = 25;
+    const MINIMUM_RATIO = 3;
+
+    const DESCRIPTIONS = {
+      boundary: 'boundary',
+      icon: 'icon',
+      focus: 'focus indicator'
+    };
+
+    try {
+      const comparisons = await this.colorAnalyzer.analyzeNonTextContrast(page);
+      const failing = comparisons.filter(item => item.ratio < MINIMUM_RATIO);
+
+      failing.slice(0, MAX_REPORTED).forEach(item => {
+        const result = context.addResult('error', '1.4.11', 'Insufficient Non-text Contrast',
+          `${item.label} ${DESCRIPTIONS[item.kind]} has contrast ratio of ${item.ratio.toFixed(2)}:1 ` +
+          `(${item.foreground} against ${item.background}; minimum: 3:1)`,
+          item.element,
+          item.kind === 'focus'
+            ? 'Use a focus outline or ring color with at least 3:1 contrast against the surrounding background'
+            : 'Give the component a border, fill or icon color with at least 3:1 contrast against adjacent colors'
+        );
+
+        if (result && !result.colors) {
+          result.colors = { foreground: item.foreground, background: item.background, ratio: item.ratio };
+        }
+      });
+
+      if (failing.length > MAX_REPORTED) {
+        context.addResult('info', '1.4.11', 'More Non-text Contrast Issues',
+          `${failing.length - MAX_REPORTED} more components are below 3:1 against adjacent colors`,
+          null,
+          'Fix shared component styles first; they usually affect many components'
+        );
+      }
+
+      if (failing.length === 0 && comparisons.length > 0) {
+        context.addResult('success', '1.4.11', 'Good Non-text Contrast',
+          `${comparisons.length} component boundaries, icons and focus indicators meet 3:1`,
+          null,
+          'User interface components are distinguishable'
+        );
+      }
+    } catch (error) {
+      logger.warn('Non-text contrast analysis failed:', error);
+      context.addResult('warning', '1.4.11', 'Non-text Contrast Check Failed',
+        'Unable to analyze non-text contrast automatically',
+        null,
+        'Manually verify borders, icons and focus indicators have at least 3:1 contrast'
+      );
+    }
+
+    context.completedChecks++;
+  }
+
+  /**
+   * 1.4.12 Text Spacing: applies the WCAG text spacing values (line height
+   * 1.5, paragraph spacing 2em, letter spacing 0.12em, word spacing 0.16em)
+   * and compares the layout of every text element before and after. Text
+   * that becomes clipped by an overflow: hidden container, or starts
+   * overlapping other text, is reported with before/after screenshots.
+   */
+  async checkTextSpacing(page, context) {
+    logger.info('Checking text spacing...');
+
+    const MAX_REPORTED = 20;
+    const MAX_SCREENSHOTS = 10;
+    const STYLE_ID = 'wcag-text-spacing-override';
+
+    const setSpacing = (enabled) => page.evaluate(async (styleId, enabled) => {
+      const existing = document.getElementById(styleId);
+      if (existing) existing.remove();
+      if (enabled) {
+        const style = document.createElement('style');
+        style.id = styleId;
+        style.textContent =
+          '* { line-height: 1.5 !important; letter-spacing: 0.12em !important; word-spacing: 0.16em !important; }\n' +
+          'p { margin-bottom: 2em !important; }';
+        document.head.appendChild(style);
+      }
+      await new Promise(resolve => requestAnimationFrame(() => resolve()));
+    }, STYLE_ID, enabled);
+
+    await this.textLayoutProbe.install(page);
+
+    try {
+      const before = await this.textLayoutProbe.measure(page);
+      await setSpacing(true);
+      const after = await this.textLayoutProbe.measure(page);
+
+      // Spacing only reflows text; elements hidden by it are not this criterion's concern
+      const problems = this.textLayoutProbe.compare(before, after)
+        .filter(problem => problem.kind !== 'hidden');
+
+      const reported = problems.slice(0, MAX_REPORTED);
+      for (const problem of reported) {
+        problem.element = await this.textLayoutProbe.locate(page, problem.id);
+        if (problem.kind === 'overlap') {
+          const other = await this.textLayoutProbe.locate(page, problem.otherId);
+          problem.otherSelector = other ? other.selector : 'other text';
+        }
+      }
+
+      // After screenshots while the spacing is applied, then before screenshots
+      const boxById = (measurement, id) => measurement.boxes.find(box => box.id === id);
+      const shots = reported.slice(0, MAX_SCREENSHOTS);
+      for (const problem of shots) {
+        problem.after = await this.captureTextArea(page, boxById(after, problem.id));
+      }
+      await setSpacing(false);
+      for (const problem of shots) {
+        problem.before = await this.captureTextArea(page, boxById(before, problem.id));
+      }
+
+      reported.forEach(problem => {
+        const result = problem.kind === 'clipped'
+          ? context.addResult('error', '1.4.12', 'Text Clipped With Increased Spacing',
+            `Text is cut off by ${problem.clippedBy} when text spacing is increased`,
+            problem.element,
+            'Let the container grow with its text: avoid fixed heights and overflow: hidden on text containers'
+          )
+          : context.addResult('error', '1.4.12', 'Text Overlaps With Increased Spacing',
+            `Text overlaps ${problem.otherSelector} when text spacing is increased`,
+            problem.element,
+            'Avoid fixed heights and absolutely positioned text so content can move when lines get taller'
+          );
+
+        if (result && problem.before && !result.screenshots) {
+          result.screenshots = { before: problem.before, after: problem.after };
+        }
+      });
+
+      if (problems.length > MAX_REPORTED) {
+        context.addResult('info', '1.4.12', 'More Text Spacing Issues',
+          `${problems.length - MAX_REPORTED} more text elements are clipped or overlap with increased text spacing`,
+          null,
+          'Fix shared container styles first; they usually affect many elements'
+        );
+      }
+
+      if (problems.length === 0) {
+        context.addResult('success', '1.4.12', 'Text Spacing Supported',
+          `${before.boxes.filter(box => !box.hidden).length} text elements and controls stay readable with increased line, paragraph, letter and word spacing`,
+          null,
+          'Layout adapts to user text spacing'
+        );
+      }
+    } finally {
+      await setSpacing(false)
+        .then(() => this.textLayoutProbe.cleanup(page))
+        .catch(error => logger.warn('Failed to clean up text spacing override:', error));
+    }
+
+    context.completedChecks++;
+  }
+
+  // Screenshot of a text box with some surrounding context, as base64 PNG
+  async captureTextArea(page, box) {
+    if (!box) return null;
+
+    const PADDING = 16;
+    try {
+      return await page.screenshot({
+        clip: {
+          x: Math.max(box.x - PADDING, 0),
+          y: Math.max(box.y - PADDING, 0),
+          width: Math.min(box.width + PADDING * 2, 1200),
+          height: Math.min(box.height + PADDING * 2, 600)
+        },
+        encoding: 'base64'
+      });
+    } catch (error) {
+      logger.warn('Failed to capture text spacing screenshot:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 1.4.4 Resize Text: zooms the page to 200% the way browser zoom does,
+   * halving the CSS viewport at twice the device scale factor, and compares
+   * the layout with the original. Text that gets clipped or overlaps, and
+   * controls that are cut off, fail; content hidden by the zoomed layout is
+   * reported for review since it may have moved behind a menu. Also flags a
+   * viewport meta tag that prevents zooming.
+   */
+  async checkResizeText(page, context) {
+    logger.info('Checking 200% text resize...');
+
+    const MAX_REPORTED = 20;
+
+    const viewportMeta = await page.evaluate(() => {
+      const meta = document.querySelector('meta[name="viewport"]');
+      return meta ? { content: meta.getAttribute('content') || '', element: window.__wcagLocate(meta) } : null;
+    });
+
+    if (viewportMeta) {
+      const viewport = this.codeAnalyzer.parseViewportContent(viewportMeta.content);
+      if (!viewport.allowsZoom) {
+        context.addResult('error', '1.4.4', 'Zoom Disabled',
+          `The viewport meta tag "${viewportMeta.content}" stops users zooming to 200%`,
+          viewportMeta.element,
+          'Remove user-scalable=no and any maximum-scale below 2 from the viewport meta tag'
+        );
+      }
+    }
+
+    // Zooming a narrow viewport would go below the 320px that 1.4.10 covers
+    const original = page.viewport();
+    if (!original || original.width / 2 < 320) {
+      context.markSkipped(['1.4.4'], 'Zooming this viewport to 200% would go below 320px');
+      context.completedChecks++;
+      return;
+    }
+
+    const zoomed = {
+      ...original,
+      width: Math.round(original.width / 2),
+      height: Math.round(original.height / 2),
+      deviceScaleFactor: (original.deviceScaleFactor || 1) * 2
+    };
+    const settle = () => page.evaluate(() =>
+      new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(() => resolve())))
+    );
+
+    await this.textLayoutProbe.install(page);
+
+    try {
+      const before = await this.textLayoutProbe.measure(page);
+      await page.setViewport(zoomed);
+      await settle();
+      const after = await this.textLayoutProbe.measure(page);
+
+      const problems = this.textLayoutProbe.compare(before, after);
+      const failures = problems.filter(problem => problem.kind !== 'hidden');
+      const hidden = problems.filter(problem => problem.kind === 'hidden');
+
+      for (const problem of failures.slice(0, MAX_REPORTED)) {
+        const element = await this.textLayoutProbe.locate(page, problem.id);
+
+        if (problem.kind === 'overlap') {
+          const other = await this.textLayoutProbe.locate(page, problem.otherId);
+          context.addResult('error', '1.4.4', 'Text Overlaps at 200%',
+            `Text overlaps ${other ? other.selector : 'other text'} when the page is zoomed to 200%`,
+            element,
+            'Use relative units and let containers grow so text can reflow when it gets larger'
+          );
+        } else if (problem.control) {
+          context.addResult('error', '1.4.4', 'Control Cut Off at 200%',
+            `Control is partly hidden by ${problem.clippedBy} when the page is zoomed to 200%`,
+            element,
+            'Make sure controls stay fully visible and operable when text is enlarged'
+          );
+        } else {
+          context.addResult('error', '1.4.4', 'Text Clipped at 200%',
+            `Text is cut off by ${problem.clippedBy} when the page is zoomed to 200%`,
+            element,
+            'Avoid fixed heights and overflow: hidden on containers of text that can grow'
+          );
+        }
+      }
+
+      if (failures.length > MAX_REPORTED) {
+        context.addResult('info', '1.4.4', 'More Resize Text Issues',
+          `${failures.length - MAX_REPORTED} more elements are clipped or overlap at 200% zoom`,
+          null,
+          'Fix shared container styles first; they usually affect many elements'
+        );
+      }
+
+      if (hidden.length > 0) {
+        const controls = hidden.filter(problem => problem.control).length;
+        context.addResult('warning', '1.4.4', 'Content Hidden at 200%',
+          `${hidden.length - controls} text elements and ${controls} controls visible at 100% are hidden at 200% zoom`,
+          await this.textLayoutProbe.locate(page, hidden[0].id),
+          'Check that hidden content and controls are still available, for example behind a menu button'
+        );
+      }
+
+      if (problems.length === 0) {
+        context.addResult('success', '1.4.4', 'Text Resizes to 200%',
+          `${before.boxes.filter(box => !box.hidden).length} text elements and controls stay readable and usable at 200% zoom`,
+          null,
+          'Content adapts to enlarged text'
+        );
+      }
+    } finally {
+      await page.setViewport(original)
+        .then(() => settle())
+        .then(() => this.textLayoutProbe.cleanup(page))
+        .catch(error => logger.warn('Failed to restore viewport after resize check:', error));
+    }
+
+    context.completedChecks++;
+  }
+
+  /**
+   * 1.4.10 Reflow: only runs in reflow profiles (320 CSS px wide). Flags
+   * horizontal scrolling, content pushed past the right edge of the viewport
+   * and text clipped by overflow: hidden. Content that needs two-dimensional
+   * layout (tables, code, media, maps, toolbars) and scrollable regions are
+   * exempt.
+   */
+  async checkReflow(page, context) {
+    if (!context.viewport || !context.viewport.reflow) {
+      context.markSkipped(['1.4.10'], 'Reflow is only checked in viewports with reflow enabled, such as reflow-320');
+      context.completedChecks++;
+      return;
+    }
+
+    logger.info(`Checking reflow at ${context.viewport.viewport.width}px...`);
+
+    const reflowData = await page.evaluate(() => {
+      const EXEMPT = 'table, pre, code, img, picture, video, canvas, svg, iframe, object, embed, map, math, ' +
+        '[role="toolbar"], [role="grid"], [role="img"], [role="application"]';
+      const MAX_REPORTED = 20;
+
+      const viewportWidth = document.documentElement.clientWidth;
+      const scrollWidth = Math.max(
+        document.documentElement.scrollWidth,
+        document.body ? document.body.scrollWidth : 0
+      );
+
+      const isScrollContainer = (style) =>
+        ['auto', 'scroll'].includes(style.overflowX);
+
+      // Walk the tree top-down and stop at the first offender on each branch
+      // so one wide container is reported once, not once per descendant
+      const overflowing = [];
+      const clipped = [];
+      const walk = (el) => {
+        if (el.matches(EXEMPT)) return;
+
+        const style = window.getComputedStyle(el);
+        if (style.display === 'none' || style.visibility === 'hidden') return;
+
+        const rect = el.getBoundingClientRect();
+        // Elements parked entirely off-screen (skip links, closed drawers) are
+        // hidden by design rather than failing to reflow
+        const visible = rect.width > 1 && rect.height > 1 &&
+          rect.right > 0 && rect.left < viewportWidth;
+
+        if (visible && rect.right > viewportWidth + 1) {
+          overflowing.push({
+            el,
+            width: Math.round(rect.width),
+            right: Math.round(rect.right)
+          });
+          return;
+        }
+
+        if (isScrollContainer(style)) return;
+
+        const clipsText = visible &&
+          (style.overflowX === 'hidden' || style.overflowX === 'clip') &&
+          el.scrollWidth > el.clientWidth + 1 &&
+          (el.innerText || '').trim().length > 0;
+
+        if (clipsText) {
+          clipped.push({
+            el,
+            visibleWidth: el.clientWidth,
+            contentWidth: el.scrollWidth
+          });
+          return;
+        }
+
+        Array.from(el.children).forEach(walk);
+      };
+
+      if (document.body) {
+        Array.from(document.body.children).forEach(walk);
+      }
+
+      return {
+        viewportWidth,
+        scrollWidth,
+        overflowing: overflowing.slice(0, MAX_REPORTED)
+          .map(({ el, ...item }) => ({ ...item, element: window.__wcagLocate(el) })),
+        overflowingCount: overflowing.length,
+        clipped: clipped.slice(0, MAX_REPORTED)
+          .map(({ el, ...item }) => ({ ...item, element: window.__wcagLocate(el) })),
+        clippedCount: clipped.length
+      };
+    });
+
+    const viewportName = context.viewport.name;
+
+    if (reflowData.scrollWidth > reflowData.viewportWidth + 1) {
+      context.addResult('error', '1.4.10', 'Horizontal Scrolling Required',
+        `Page is ${reflowData.scrollWidth}px wide in a ${reflowData.viewportWidth}px viewport (${viewportName})`,
+        reflowData.overflowing.length > 0 ? reflowData.overflowing[0].element : null,
+        'Use responsive layouts (flexible widths, media queries, wrapping) so content fits 320 CSS px without horizontal scrolling'
+      );
+    }
+
+    for (const item of reflowData.overflowing) {
+      context.addResult('error', '1.4.10', 'Content Outside Viewport',
+        `Element is ${item.width}px wide and extends to ${item.right}px, past the ${reflowData.viewportWidth}px viewport`,
+        item.element,
+        'Avoid fixed widths and large minimum widths; let the element shrink or wrap at narrow widths'
+      );
+    }
+
+    for (const item of reflowData.clipped) {
+      context.addResult('warning', '1.4.10', 'Content Clipped at Narrow Width',
+        `Text content is ${item.contentWidth}px wide but only ${item.visibleWidth}px is visible; the rest is hidden by overflow`,
+        item.element,
+        'Let text wrap or allow the container to grow instead of clipping it with overflow: hidden'
+      );
+    }
+
+    const hiddenCount = (reflowData.overflowingCount - reflowData.overflowing.length) +
+      (reflowData.clippedCount - reflowData.clipped.length);
+    if (hiddenCount > 0) {
+      context.addResult('info', '1.4.10', 'Additional Reflow Issues',
+        `${hiddenCount} further elements overflow or clip at this width and were not listed individually`,
+        null,
+        'Fix the listed elements first, then re-run the scan'
+      );
+    }
+
+    if (reflowData.scrollWidth <= reflowData.viewportWidth + 1 &&
+        reflowData.overflowingCount === 0 && reflowData.clippedCount === 0) {
+      context.addResult('success', '1.4.10', 'Content Reflows',
+        `Content fits a ${reflowData.viewportWidth}px viewport without horizontal scrolling or clipping`,
+        null,
+        'Page reflows correctly at narrow widths'
+      );
+    }
+
+    context.completedChecks++;
+  }
+
+  async checkTargetSizes(page, context) {
+    logger.info('Checking pointer target sizes...');
+
+    const targetData = await this.measureTargets(page, { minSize: 24, spacing: true });
+
+    this.reportTargetSizes(context, targetData, {
+      criterion: '2.5.8',
+      type: 'error',
+      minSize: 24,
+      suggestion: 'Make the target at least 24x24 CSS pixels, or space it so a 24px circle centred on it touches no other target'
+    });
+
+    context.completedChecks++;
+  }
+
+  async checkEnhancedTargetSizes(page, context) {
+    logger.info('Checking enhanced pointer target sizes...');
+
+    const targetData = await this.measureTargets(page, { minSize: 44, spacing: false });
+
+    this.reportTargetSizes(context, targetData, {
+      criterion: '2.5.5',
+      type: 'warning',
+      minSize: 44,
+      suggestion: 'Make the target at least 44x44 CSS pixels'
+    });
+
+    context.completedChecks++;
+  }
+
+  /**
+   * Measure every pointer target and return those smaller than `minSize`
+   * that no exception covers. The exceptions are: an equivalent label that
+   * is large enough, inline links in text, unstyled user-agent controls and,
+   * with `spacing`, the 2.5.8 rule that a `minSize` circle centred on the
+   * target touches no other target or circle.
+   */
+  async measureTargets(page, { minSize, spacing }) {
+    return page.evaluate((minSize, spacing) => {
+      const TARGET_SELECTOR = [
+        'a[href]', 'area[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary',
+        '[onclick]', '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]',
+        '[role="switch"]', '[role="tab"]', '[role="menuitem"]', '[role="option"]', '[tabindex="0"]'
+      ].join(', ');
+      const UA_CONTROL_TYPES = ['checkbox', 'radio', 'range', 'date', 'time', 'datetime-local', 'month',
+        'week', 'color', 'file'];
+
+      const isRendered = (el) => {
+        const style = window.getComputedStyle(el);
+        return style.display !== 'none' && style.visibility !== 'hidden' && !el.closest('[inert]');
+      };
+
+      // Nested targets (e.g. an icon with a click handler inside a button) count once
+      const candidates = window.__wcagQueryAll(TARGET_SELECTOR)
+        .filter(el => !el.disabled && isRendered(el));
+      const targets = candidates
+        .filter(el => !candidates.some(other => other !== el && other.contains(el)))
+        .map(el => {
+          const rect = el.getBoundingClientRect();
+          return {
+            el,
+            left: rect.left + window.scrollX,
+            top: rect.top + window.scrollY,
+            width: rect.width,
+            height: rect.height
+          };
+        })
+        .filter(target => target.width > 0 && target.height > 0);
+
+      const isLargeEnough = (rect) => rect.width >= minSize && rect.height >= minSize;
+
+      // The target's size is constrained by the line height of surrounding text
+      const isInline = (el) => {
+        if (window.getComputedStyle(el).display !== 'inline') return false;
+        const block = el.parentElement;
+        if (!block) return false;
+        const ownText = el.textContent.trim();
+        const surrounding = block.textContent.replace(ownText, '').trim();
+        return surrounding.length > 0;
+      };
+
+      // Native controls sized by the browser rather than the author
+      const isUserAgentControl = (el) => {
+        const isNative = el.tagName === 'SELECT' ||
+          (el.tagName === 'INPUT' && UA_CONTROL_TYPES.includes(el.type));
+        if (!isNative) return false;
+        const style = window.getComputedStyle(el);
+        return style.appearance !== 'none' && !el.style.width && !el.style.height;
+      };
+
+      // A label performing the same action that is itself large enough
+      const hasEquivalent = (el) => Array.from(el.labels || [])
+        .some(label => isLargeEnough(label.getBoundingClientRect()));
+
+      const undersized = targets.filter(target => !isLargeEnough(target));
+      const radius = minSize / 2;
+
+      const center = (target) => ({
+        x: target.left + target.width / 2,
+        y: target.top + target.height / 2
+      });
+
+      const distanceToRect = (point, rect) => {
+        const dx = Math.max(rect.left - point.x, 0, point.x - (rect.left + rect.width));
+        const dy = Math.max(rect.top - point.y, 0, point.y - (rect.top + rect.height));
+        return Math.hypot(dx, dy);
+      };
+
+      // The circle may not reach any other target, nor another undersized
+      // target's circle
+      const findConflict = (target) => {
+        const point = center(target);
+        for (const other of targets) {
+          if (other === target) continue;
+          if (distanceToRect(point, other) < radius) return other;
+          if (!isLargeEnough(other)) {
+            const otherPoint = center(other);
+            if (Math.hypot(point.x - otherPoint.x, point.y - otherPoint.y) < minSize) return other;
+          }
+        }
+        return null;
+      };
+
+      const failing = [];
+      let exempt = 0;
+
+      undersized.forEach(target => {
+        if (isInline(target.el) || isUserAgentControl(target.el) || hasEquivalent(target.el)) {
+          exempt++;
+          return;
+        }
+
+        const conflict = spacing ? findConflict(target) : null;
+        if (spacing && !conflict) {
+          exempt++;
+          return;
+        }
+
+        failing.push({
+          element: window.__wcagLocate(target.el),
+          tagName: target.el.tagName,
+          width: Math.round(target.width),
+          height: Math.round(target.height),
+          conflictsWith: conflict ? window.__wcagLocate(conflict.el).selector : null
+        });
+      });
+
+      return { total: targets.length, exempt, failing };
+    }, minSize, spacing);
+  }
+
+  reportTargetSizes(context, targetData, { criterion, type, minSize, suggestion }) {
+    const MAX_REPORTED = 25;
+
+    targetData.failing.slice(0, MAX_REPORTED).forEach(target => {
+      const spacingNote = target.conflictsWith ? ` and too close to ${target.conflictsWith}` : '';
+      context.addResult(type, criterion, 'Small Pointer Target',
+        `${target.tagName} target is ${target.width}x${target.height}px (minimum: ${minSize}x${minSize}px)${spacingNote}`,
+        target.element,
+        suggestion
+      );
+    });
+
+    if (targetData.failing.length > MAX_REPORTED) {
+      context.addResult('info', criterion, 'More Small Pointer Targets',
+        `${targetData.failing.length - MAX_REPORTED} more targets are smaller than ${minSize}x${minSize}px`,
+        null,
+        'Fix the shared component styles first; they usually cover many targets'
+      );
+    }
+
+    if (targetData.failing.length === 0 && targetData.total > 0) {
+      const exemptNote = targetData.exempt > 0 ? ` (${targetData.exempt} smaller targets are covered by an exception)` : '';
+      context.addResult('success', criterion, 'Adequate Pointer Targets',
+        `All ${targetData.total} pointer targets meet the ${minSize}x${minSize}px requirement${exemptNote}`,
+        null,
+        'Pointer target sizes are adequate'
+      );
+    }
+  }
+
+  /**
+   * 4.1.2 and 1.3.1: roles, states and properties checked against WAI-ARIA
+   * 1.2 (aria_spec_data.js) — valid roles and values, required and allowed
+   * attributes, required context and owned roles, ID references that
+   * resolve, and focusable content that aria-hidden removes from the tree.
+   */
+  async checkARIA(page, context) {
+    logger.info('Checking ARIA implementation...');
+
+    const MAX_REPORTED = 20;
+    const ariaData = await page.evaluate((spec, maxIssues) => {
+      const FOCUSABLE = 'a[href], area[href], button, input:not([type="hidden"]), select, textarea, iframe, summary, ' +
+        '[contenteditable]:not([contenteditable="false"]), audio[controls], video[controls], [tabindex]';
+      const TRANSPARENT_ROLES = ['generic', 'none', 'presentation'];
+
+      // States that native elements supply without the attribute
+      const NATIVE_PROPS = {
+        'aria-checked': 'input[type="checkbox"], input[type="radio"]',
+        'aria-level': 'h1, h2, h3, h4, h5, h6',
+        'aria-valuenow': 'input[type="range"], progress, meter',
+        'aria-expanded': 'select'
+      };
+
+      const IMPLICIT_ROLES = {
+        article: 'article', aside: 'complementary', blockquote: 'blockquote', button: 'button',
+        caption: 'caption', code: 'code', dd: 'definition', del: 'deletion', details: 'group',
+        dfn: 'term', dialog: 'dialog', div: 'generic', em: 'emphasis', fieldset: 'group',
+        figure: 'figure', form: 'form', h1: 'heading', h2: 'heading', h3: 'heading',
+        h4: 'heading', h5: 'heading', h6: 'heading', hr: 'separator', ins: 'insertion',
+        main: 'main', math: 'math', menu: 'list', meter: 'meter', nav: 'navigation', ol: 'list',
+        optgroup: 'group', option: 'option', output: 'status', p: 'paragraph',
+        progress: 'progressbar', span: 'generic', strong: 'strong', sub: 'subscript',
+        sup: 'superscript', table: 'table', tbody: 'rowgroup', td: 'cell', textarea: 'textbox',
+        tfoot: 'rowgroup', th: 'columnheader', thead: 'rowgroup', time: 'time', tr: 'row', ul: 'list'
+      };
+
+      const issues = [];
+      const totals = {};
+      const report = (kind, el, details) => {
+        totals[kind] = (totals[kind] || 0) + 1;
+        if (totals[kind] <= maxIssues) {
+          issues.push({ kind, element: window.__wcagLocate(el), ...details });
+        }
+      };
+
+      const isKnownRole = (role) => Boolean(spec.roles[role]) ||
+        spec.modulePrefixes.some(prefix => role.startsWith(prefix));
+
+      const parentOf = (el) => el.assignedSlot || el.parentElement ||
+        (el.getRootNode() instanceof ShadowRoot ? el.getRootNode().host : null);
+
+      const isRendered = (el) => el.getClientRects().length > 0 &&
+        window.getComputedStyle(el).visibility !== 'hidden';
+
+      const isExcluded = (el) => el.hidden || el.getAttribute('aria-hidden') === 'true' ||
+        el.matches('script, style, template, noscript') || window.getComputedStyle(el).display === 'none';
+
+      const isFocusable = (el) => el.matches(FOCUSABLE) && el.tabIndex >= 0 &&
+        !el.matches(':disabled') && !el.closest('[inert]') && isRendered(el);
+
+      // The first valid token wins; later tokens are fallbacks
+      const explicitRole = (el) => (el.getAttribute('role') || '')
+        .toLowerCase()
+        .split(/\s+/)
+        .find(token => token && isKnownRole(token)) || null;
+
+      const implicitRole = (el) => {
+        const name = el.localName;
+        if (name === 'a' || name === 'area') return el.hasAttribute('href') ? 'link' : 'generic';
+        if (name === 'img') return el.getAttribute('alt') === '' ? 'presentation' : 'img';
+        if (name === 'select') return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+        if (name === 'section') return el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby') ? 'region' : 'generic';
+        if (name === 'li') {
+          const parent = parentOf(el);
+          return parent && roleOf(parent) === 'list' ? 'listitem' : 'generic';
+        }
+        if (name === 'input') {
+          const type = (el.getAttribute('type') || 'text').toLowerCase();
+          if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+          if (type === 'checkbox' || type === 'radio') return type;
+          if (type === 'range') return 'slider';
+          if (type === 'number') return 'spinbutton';
+          if (['text', 'search', 'email', 'tel', 'url'].includes(type)) {
+            if (el.hasAttribute('list')) return 'combobox';
+            return type === 'search' ? 'searchbox' : 'textbox';
+          }
+          return null;
+        }
+        return IMPLICIT_ROLES[name] || null;
+      };
+
+      const roleOf = (el) => explicitRole(el) || implicitRole(el);
+
+      const resolveIds = (el, value) => value.split(/\s+/).filter(Boolean).map(id => ({
+        id,
+        target: (el.getRootNode().getElementById ? el.getRootNode().getElementById(id) : null) ||
+          document.getElementById(id)
+      }));
+
+      // Elements an element owns: its children and aria-owns targets, seen
+      // through generic and presentational wrappers
+      const ownedElements = (el) => {
+        const owned = [];
+        const visit = (node) => {
+          const children = node.shadowRoot ? Array.from(node.shadowRoot.children) : Array.from(node.children);
+          if (node.localName === 'slot') children.push(...node.assignedElements());
+          children.forEach(child => {
+            if (isExcluded(child)) return;
+            const role = roleOf(child);
+            if (!role || TRANSPARENT_ROLES.includes(role)) {
+              visit(child);
+            } else {
+              owned.push({ el: child, role });
+            }
+          });
+        };
+        visit(el);
+        resolveIds(el, el.getAttribute('aria-owns') || '')
+          .filter(({ target }) => target && !isExcluded(target))
+          .forEach(({ target }) => owned.push({ el: target, role: roleOf(target) }));
+        return owned;
+      };
+
+      // The nearest ancestor with a meaningful role, or the aria-owns owner
+      const contextRole = (el) => {
+        if (el.id) {
+          const owner = window.__wcagQuery(`[aria-owns~="${CSS.escape(el.id)}"]`);
+          if (owner) return roleOf(owner);
+        }
+        for (let node = parentOf(el); node && node !== document.body; node = parentOf(node)) {
+          const role = roleOf(node);
+          if (role && !TRANSPARENT_ROLES.includes(role)) return role;
+        }
+        return null;
+      };
+
+      // "group > option" is satisfied by a group that owns an option
+      const ownsEntry = (item, entry) => {
+        const [role, inner] = entry.split(' > ');
+        if (item.role !== role) return false;
+        return !inner || ownedElements(item.el).some(child => child.role === inner);
+      };
+
+      const ariaAttributes = (el) => Array.from(el.attributes)
+        .filter(attr => attr.name.startsWith('aria-'));
+
+      const validValue = (definition, value) => {
+        const normalized = value.trim().toLowerCase();
+        if (normalized === '') return true;
+        if (spec.valueTypes[definition.type]) return spec.valueTypes[definition.type].includes(normalized);
+        if (definition.type === 'token') return definition.values.includes(normalized);
+        if (definition.type === 'tokens') return normalized.split(/\s+/).every(token => definition.values.includes(token));
+        if (definition.type === 'integer') return /^-?\d+$/.test(normalized);
+        if (definition.type === 'number') return normalized !== '' && Number.isFinite(Number(normalized));
+        return true;
+      };
+
+      const candidates = window.__wcagQueryAll('*').filter(el => el.hasAttribute('role') || ariaAttributes(el).length > 0);
+
+      candidates.forEach(el => {
+        const roleAttribute = (el.getAttribute('role') || '').trim();
+        const explicit = explicitRole(el);
+        if (roleAttribute && !explicit) {
+          report('invalid-role', el, { role: roleAttribute });
+        }
+
+        const role = explicit || implicitRole(el);
+        const definition = role ? spec.roles[role] : null;
+        const attributes = ariaAttributes(el);
+        const present = (name) => el.hasAttribute(name) && el.getAttribute(name).trim() !== '';
+
+        attributes.forEach(({ name, value }) => {
+          const attribute = spec.attributes[name];
+          if (!attribute) {
+            report('unknown-attribute', el, { attribute: name });
+            return;
+          }
+          if (!validValue(attribute, value)) {
+            report('invalid-value', el, { attribute: name, value, allowed: attribute.values || spec.valueTypes[attribute.type] || [attribute.type] });
+          }
+          if (!definition || value.trim() === '') return;
+
+          if ((definition.prohibitedProps || []).includes(name)) {
+            report('prohibited', el, { attribute: name, role, implicit: !explicit });
+          } else if (!attribute.global &&
+            ![...(definition.requiredProps || []), ...(definition.supportedProps || [])].includes(name)) {
+            report('not-allowed', el, { attribute: name, role, implicit: !explicit });
+          }
+        });
+
+        if (!explicit || !definition) return;
+
+        const required = [...(definition.requiredProps || [])];
+        if (role === 'separator' && isFocusable(el)) required.push('aria-valuenow');
+        const missing = required.filter(name => !present(name) && !(NATIVE_PROPS[name] && el.matches(NATIVE_PROPS[name])));
+        if (missing.length > 0) {
+          report('missing-required', el, { role, attributes: missing });
+        }
+
+        if (definition.requiredContext && !isExcluded(el)) {
+          const found = contextRole(el);
+          if (!definition.requiredContext.includes(found)) {
+            report('missing-context', el, { role, context: found, expected: definition.requiredContext });
+          }
+        }
+
+        if (definition.requiredOwned && el.getAttribute('aria-busy') !== 'true' && !isExcluded(el)) {
+          const owned = ownedElements(el);
+          const allowedRoles = definition.requiredOwned.map(entry => entry.split(' > ')[0]);
+          if (!owned.some(item => definition.requiredOwned.some(entry => ownsEntry(item, entry)))) {
+            report('missing-owned', el, { role, expected: definition.requiredOwned.map(entry => entry.split(' > ').pop()) });
+          }
+          const unexpected = [...new Set(owned.map(item => item.role || item.el.localName)
+            .filter(ownedRole => !allowedRoles.includes(ownedRole)))];
+          if (unexpected.length > 0) {
+            report('unexpected-owned', el, { role, owned: unexpected, expected: allowedRoles });
+          }
+        }
+      });
+
+      // ID references that point to nothing
+      candidates.forEach(el => {
+        ariaAttributes(el)
+          .filter(({ name }) => spec.attributes[name] && ['idref', 'idrefs'].includes(spec.attributes[name].type))
+          .forEach(({ name, value }) => {
+            const refs = resolveIds(el, value);
+            const missing = refs.filter(ref => !ref.target).map(ref => ref.id);
+            if (refs.length === 0 || missing.length === 0) return;
+
+            // Popups and error messages are often rendered only when needed
+            const deferred = (name === 'aria-controls' && el.getAttribute('aria-expanded') === 'false') ||
+              (name === 'aria-errormessage' && el.getAttribute('aria-invalid') !== 'true');
+            report('broken-ref', el, {
+              attribute: name,
+              missing,
+              partial: missing.length < refs.length,
+              deferred
+            });
+          });
+      });
+
+      // aria-hidden content that can still take focus
+      const reportedHidden = new Set();
+      window.__wcagQueryAll('[aria-hidden="true"]').forEach(hidden => {
+        Array.from(new Set([hidden, ...window.__wcagQueryAll(FOCUSABLE, hidden)]))
+          .filter(el => !reportedHidden.has(el) && isFocusable(el))
+          .forEach(el => {
+            reportedHidden.add(el);
+            report('hidden-focusable', el, { hiddenBy: el === hidden ? null : window.__wcagLocate(hidden).selector });
+          });
+      });
+
+      return {
+        ariaElementCount: candidates.length,
+        issues,
+        totals
+      };
+    }, ariaSpec, MAX_REPORTED);
+
+    const describeRole = (issue) => (issue.implicit ? `implicit role "${issue.role}"` : `role="${issue.role}"`);
+    const list = (values) => values.map(value => `"${value}"`).join(', ');
+
+    for (const issue of ariaData.issues) {
+      switch (issue.kind) {
+        case 'invalid-role':
+          context.addResult('error', '4.1.2', 'Invalid ARIA Role',
+            `Invalid ARIA role "${issue.role}"`,
+            issue.element,
+            'Use only non-abstract roles defined in WAI-ARIA 1.2'
+          );
+          break;
+        case 'unknown-attribute':
+          context.addResult('error', '4.1.2', 'Unknown ARIA Attribute',
+            `${issue.attribute} is not a WAI-ARIA 1.2 state or property`,
+            issue.element,
+            'Check the attribute name for typos or remove it'
+          );
+          break;
+        case 'invalid-value':
+          context.addResult('error', '4.1.2', 'Invalid ARIA Attribute Value',
+            `${issue.attribute}="${issue.value}" is not a valid value; expected ${list(issue.allowed)}`,
+            issue.element,
+            `Set ${issue.attribute} to one of the values the specification allows`
+          );
+          break;
+        case 'prohibited':
+          context.addResult('error', '4.1.2', 'ARIA Naming Prohibited on Role',
+            `${issue.attribute} is prohibited on ${describeRole(issue)}; assistive technology may ignore it`,
+            issue.element,
+            'Put the text in the content, or use a role that supports a name'
+          );
+          break;
+        case 'not-allowed':
+          context.addResult('error', '4.1.2', 'ARIA Attribute Not Allowed on Role',
+            `${issue.attribute} is not supported on ${describeRole(issue)}`,
+            issue.element,
+            'Remove the attribute or use a role that supports it'
+          );
+          break;
+        case 'missing-required':
+          context.addResult('error', '4.1.2', 'Missing Required ARIA Attribute',
+            `role="${issue.role}" requires ${issue.attributes.join(', ')}`,
+            issue.element,
+            `Add ${issue.attributes.join(' and ')} and keep ${issue.attributes.length > 1 ? 'them' : 'it'} up to date`
+          );
+          break;
+        case 'missing-context':
+          context.addResult('error', '1.3.1', 'ARIA Role Outside Required Context',
+            `role="${issue.role}" must be owned by ${list(issue.expected)}, but ${issue.context ? `its container has role "${issue.context}"` : 'it has no such container'}`,
+            issue.element,
+            `Place the element inside an element with role ${list(issue.expected)}, or reference it with aria-owns`
+          );
+          break;
+        case 'missing-owned':
+          context.addResult('error', '1.3.1', 'ARIA Role Missing Required Children',
+            `role="${issue.role}" owns no element with role ${list([...new Set(issue.expected)])}`,
+            issue.element,
+            'Add the required child roles, or set aria-busy="true" while they are loading'
+          );
+          break;
+        case 'unexpected-owned':
+          context.addResult('error', '1.3.1', 'ARIA Role Owns Disallowed Children',
+            `role="${issue.role}" owns ${list(issue.owned)}; it may only own ${list(issue.expected)}`,
+            issue.element,
+            'Move other content outside the container, or mark wrappers role="presentation"'
+          );
+          break;
+        case 'broken-ref':
+          if (issue.deferred) {
+            context.addResult('warning', '4.1.2', 'ARIA Reference to Absent Element',
+              `${issue.attribute} refers to ${list(issue.missing)}, which is not on the page yet`,
+              issue.element,
+              'Make sure the referenced element exists whenever it is shown'
+            );
+          } else if (issue.partial) {
+            context.addResult('warning', '4.1.2', 'Partially Broken ARIA Reference',
+              `${issue.attribute} refers to missing ID ${list(issue.missing)}`,
+              issue.element,
+              'Remove or correct the IDs that do not exist'
+            );
+          } else {
+            context.addResult('error', '4.1.2', 'Broken ARIA Reference',
+              `${issue.attribute} refers only to missing ID ${list(issue.missing)}`,
+              issue.element,
+              'Point the attribute at the id of an element on the page'
+            );
+          }
+          break;
+        case 'hidden-focusable':
+          context.addResult('error', '4.1.2', 'Focusable Element Hidden From Assistive Technology',
+            issue.hiddenBy
+              ? `Focusable element is inside aria-hidden="true" container ${issue.hiddenBy}`
+              : 'Focusable element has aria-hidden="true"',
+            issue.element,
+            'Remove aria-hidden, or take the content out of the tab order with tabindex="-1", disabled or inert'
+          );
+          break;
+      }
+    }
+
+    const overflow = Object.values(ariaData.totals).reduce((sum, total) => sum + Math.max(0, total - MAX_REPORTED), 0);
+    if (overflow > 0) {
+      context.addResult('info', '4.1.2', 'More ARIA Issues',
+        `${overflow} more ARIA issues of the kinds reported above were found`,
+        null,
+        'Fix the reported patterns and scan again'
+      );
+    }
+
+    // Every exposed control needs a name; only the accessibility tree knows
+    // the computed one, so this is skipped when the tree is unavailable
+    const controlSelector = 'button, summary, input[type="button"], input[type="submit"], input[type="reset"], ' +
+      'input[type="image"], [role="button"], [role="link"], [role="checkbox"], [role="radio"], [role="switch"], ' +
+      '[role="tab"], [role="menuitem"], [role="menuitemcheckbox"], [role="menuitemradio"], [role="option"], ' +
+      '[role="combobox"], [role="slider"], [role="spinbutton"], [role="textbox"], [role="searchbox"], [role="treeitem"]';
+    const controlNodes = await this.getAccessibilityNodes(page, controlSelector);
+
+    if (controlNodes.size > 0) {
+      const controls = await page.evaluate((selector, stampAttribute) => {
+        return window.__wcagQueryAll(selector).map(el => ({
+          axId: el.getAttribute(stampAttribute),
+          element: window.__wcagLocate(el)
+        }));
+      }, controlSelector, AX_STAMP);
+
+      let unnamedControls = 0;
+      let exposedControls = 0;
+      for (const control of controls) {
+        const ax = controlNodes.get(control.axId);
+        if (!ax || ax.ignored) continue;
+
+        exposedControls++;
+        if (!ax.name) {
+          unnamedControls++;
+          context.addResult('error', '4.1.2', 'Control Without Accessible Name',
+            `${ax.role || 'Control'} is exposed to assistive technology without a name`,
+            control.element,
+            'Give the control visible text, an aria-label or an aria-labelledby reference'
+          );
+        }
+      }
+
+      if (exposedControls > 0 && unnamedControls === 0) {
+        context.addResult('success', '4.1.2', 'Controls Have Accessible Names',
+          `All ${exposedControls} buttons and widgets expose an accessible name`,
+          null,
+          'Controls are named for assistive technology'
+        );
+      }
+    }
+
+    if (ariaData.ariaElementCount > 0 && ariaData.issues.length === 0) {
+      context.addResult('success', '4.1.2', 'ARIA Implementation Valid',
+        `${ariaData.ariaElementCount} elements use ARIA roles and attributes that follow WAI-ARIA 1.2`,
+        null,
+        'ARIA roles, states and references are valid'
+      );
+    }
+
+    context.completedChecks++;
+  }
+
+  /**
+   * 4.1.1 Parsing, from the raw source rather than the repaired DOM:
+   * referenced duplicate ids, missing and stray end tags, and interactive
+   * content nested in links or buttons (also a 4.1.2 problem). WCAG 2.2
+   * treats 4.1.1 as always satisfied, so its findings are warnings there.
+   */
+  async checkParsing(page, context) {
+    logger.info('Checking markup parsing...');
+
+    if (context.source === null) {
+      context.markSkipped(['4.1.1', '4.1.2'], 'The page source was not available to parse');
+      context.completedChecks++;
+      return;
+    }
+
+    const MAX_REPORTED = 20;
+    const markup = this.codeAnalyzer.analyzeMarkup(context.source);
+    const severity = parseFloat(context.wcagVersion) >= 2.2 ? 'warning' : 'error';
+    const at = (location) => `line ${location.line}, column ${location.column}`;
+
+    const referenced = markup.duplicateIds.filter(duplicate => duplicate.references.length > 0);
+    referenced.slice(0, MAX_REPORTED).forEach(duplicate => {
+      const [first, ...others] = duplicate.elements;
+      const referrers = duplicate.references
+        .map(reference => `${reference.attribute} at ${at(reference.element)}`)
+        .join(', ');
+      context.addResult(severity, '4.1.1', 'Duplicate ID Referenced',
+        `id="${duplicate.id}" is used at ${duplicate.elements.map(at).join('; ')} and referenced by ${referrers}; ` +
+          `references only reach the element at ${at(first)}`,
+        { ...others[0], duplicates: duplicate.elements, references: duplicate.references },
+        'Give each element a unique id and update the references'
+      );
+    });
+
+    if (markup.unreferencedDuplicateIds.length > 0) {
+      context.addResult('info', '4.1.1', 'Unreferenced Duplicate IDs',
+        `Duplicate ids that nothing refers to (${markup.unreferencedDuplicateIds.length}): ` +
+          markup.unreferencedDuplicateIds.slice(0, 10).map(id => `"${id}"`).join(', '),
+        null,
+        'Make ids unique so labels and ARIA references added later resolve correctly'
+      );
+    }
+
+    markup.unclosedElements.slice(0, MAX_REPORTED).forEach(element => {
+      context.addResult(severity, '4.1.1', 'Element Not Closed',
+        `<${element.tagName}> at ${at(element)} has no matching end tag, or its tags overlap another element's`,
+        element,
+        `Add </${element.tagName}> in the right place so elements nest properly`
+      );
+    });
+
+    markup.strayEndTags.slice(0, MAX_REPORTED).forEach(tag => {
+      context.addResult(severity, '4.1.1', 'End Tag Without Start Tag',
+        `${tag.html} at ${at(tag)} does not close any open element`,
+        tag,
+        'Remove the end tag, or fix the nesting of the elements around it'
+      );
+    });
+
+    markup.nestedInteractive.slice(0, MAX_REPORTED).forEach(nested => {
+      context.addResult('error', '4.1.2', 'Nested Interactive Content',
+        `<${nested.tagName}> at ${at(nested.element)} is inside <${nested.container.tagName}> at ${at(nested.container)}; ` +
+          'assistive technology may expose only one of them and keyboard focus is unpredictable',
+        nested.element,
+        `Move the ${nested.tagName} out of the ${nested.container.tagName === 'a' ? 'link' : 'button'}`
+      );
+    });
+
+    const counts = [referenced, markup.unclosedElements, markup.strayEndTags, markup.nestedInteractive].map(list => list.length);
+    const overflow = counts.reduce((sum, count) => sum + Math.max(0, count - MAX_REPORTED), 0);
+    if (overflow > 0) {
+      context.addResult('info', '4.1.1', 'More Markup Issues',
+        `${overflow} more markup issues of the kinds reported above were found`,
+        null,
+        'Run the page through an HTML validator for the full list'
+      );
+    }
+
+    if (counts.every(count => count === 0)) {
+      context.addResult('success', '4.1.1', 'Markup Parses Cleanly',
+        'No referenced duplicate ids, unclosed or stray tags, or nested interactive content in the page source',
+        null,
+        'Markup is well formed'
+      );
+    }
+
+    context.completedChecks++;
+  }
+
+  async checkTables(page, context) {
+    logger.info('Checking table accessibility...');
+    
+    const tableData = await page.evaluate(() => {
+      const tables = window.__wcagQueryAll('table');
+      
+      return tables.map(table => {
+        const caption = table.querySelector('caption');
+        const thead = table.querySelector('thead');
+        const th = table.querySelectorAll('th');
+        const hasHeaders = th.length > 0;
+        
+        return {
+          element: window.__wcagLocate(table),
+          hasCaption: !!caption,
+          captionText: caption ? caption.textContent.trim() : null,
+          hasThead: !!thead,
+          headerCount: th.length,
+          hasHeaders
         };
       });
     });
 
     for (const table of tableData) {
       if (!table.hasCaption) {
-        this.addResult('warning', '1.3.1', 'Table Missing Caption',
+        context.addResult('warning', '1.3.1', 'Table Missing Caption',
           'Table element without caption',
-          { selector: 'table' },
+          table.element,
           'Add a caption element to describe the table\'s purpose'
         );
       }
 
       if (!table.hasHeaders) {
-        this.addResult('error', '1.3.1', 'Table Missing Headers',
+        context.addResult('error', '1.3.1', 'Table Missing Headers',
           'Table without header cells (th elements)',
-          { selector: 'table' },
+          table.element,
           'Use th elements to mark header cells in data tables'
         );
       } else {
-        this.addResult('success', '1.3.1', 'Table Has Headers',
+        context.addResult('success', '1.3.1', 'Table Has Headers',
           `Table has ${table.headerCount} header cells`,
-          { selector: 'table' },
+          table.element,
           'Table headers are properly marked'
         );
       }
     }
 
     if (tableData.length === 0) {
-      this.addResult('info', '1.3.1', 'No Tables Found',
+      context.addNotApplicable('1.3.1', 'No Tables Found',
         'No table elements found',
-        null,
         'No table accessibility issues to check'
       );
     }
 
-    this.completedChecks++;
+    context.completedChecks++;
   }
 
-  async checkSkipLinks(page) {
+  async checkSkipLinks(page, context) {
     logger.info('Checking skip links...');
     
     const skipLinkData = await page.evaluate(() => {
-      const skipLinks = Array.from(document.querySelectorAll('a[href^="#"]'));
+      const skipLinks = window.__wcagQueryAll('a[href^="#"]');
       const validSkipLinks = skipLinks.filter(link => {
         const text = link.textContent.toLowerCase();
         const href = link.getAttribute('href');
         if(href.startsWith('#')) {
-          const target = document.getElementById(href.substring(1));
+          const target = link.getRootNode().getElementById(href.substring(1));
           return text.includes('skip') && target;
         }
         const target = document.querySelector(href);
@@ -1235,74 +3661,695 @@ class WCAGComplianceChecker {
       return {
         totalSkipLinks: skipLinks.length,
         validSkipLinks: validSkipLinks.length,
-        skipLinkTexts: validSkipLinks.map(link => link.textContent.trim())
+        skipLinkTexts: validSkipLinks.map(link => link.textContent.trim()),
+        firstSkipLink: validSkipLinks.length > 0 ? window.__wcagLocate(validSkipLinks[0]) : null
       };
     });
 
     if (skipLinkData.validSkipLinks === 0) {
-      this.addResult('warning', '2.4.1', 'No Functional Skip Links',
+      context.addResult('warning', '2.4.1', 'No Functional Skip Links',
         'No functional skip links found',
         null,
         'Add skip links that allow users to bypass repetitive content'
       );
     } else {
-      this.addResult('success', '2.4.1', 'Skip Links Present',
+      context.addResult('success', '2.4.1', 'Skip Links Present',
         `${skipLinkData.validSkipLinks} functional skip links found`,
-        null,
+        skipLinkData.firstSkipLink,
         'Skip links are properly implemented'
       );
     }
 
-    this.completedChecks++;
+    context.completedChecks++;
   }
 
-  addResult(type, criterion, title, description, element, suggestion) {
-    const result = {
-      type,
-      criterion,
-      title,
-      description,
-      element,
-      suggestion,
-      wcagInfo: this.getWCAGInfo(criterion),
-      timestamp: new Date().toISOString()
-    };
-    
-    this.results.push(result);
+  async checkFocusNotObscured(page, context) {
+    logger.info('Checking focused elements are not obscured...');
+
+    const MAX_ELEMENTS = 100;
+    const MAX_REPORTED = 10;
+
+    const obscuredData = await page.evaluate(async (maxElements) => {
+      const isPinned = (el) => {
+        for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+          const position = window.getComputedStyle(node).position;
+          if (position === 'fixed' || position === 'sticky') return node;
+        }
+        return null;
+      };
+
+      const isRendered = (el) => {
+        const style = window.getComputedStyle(el);
+        return style.display !== 'none' && style.visibility !== 'hidden' &&
+          parseFloat(style.opacity) > 0 && el.getClientRects().length > 0;
+      };
+
+      const focusable = window.__wcagQueryAll(
+        'a[href], button, input:not([type="hidden"]), select, textarea, summary, [tabindex]'
+      ).filter(el => !el.disabled && el.tabIndex >= 0 && !el.closest('[inert]') && isRendered(el))
+        .slice(0, maxElements);
+
+      const scrollX = window.scrollX;
+      const scrollY = window.scrollY;
+      const previousFocus = document.activeElement;
+      const results = [];
+
+      for (const el of focusable) {
+        // Pinned elements (e.g. the sticky header itself) can't be covered by scrolling
+        if (isPinned(el)) continue;
+
+        el.focus();
+        if (document.activeElement !== el) continue;
+
+        // Let scroll-linked headers and banners react before sampling
+        await new Promise(resolve => requestAnimationFrame(() => resolve()));
+
+        const rect = el.getBoundingClientRect();
+        const left = Math.max(rect.left + 1, 0);
+        const right = Math.min(rect.right - 1, window.innerWidth - 1);
+        const top = Math.max(rect.top + 1, 0);
+        const bottom = Math.min(rect.bottom - 1, window.innerHeight - 1);
+        if (right < left || bottom < top) continue;
+
+        // Sample a 3x3 grid over the visible part of the element
+        let sampled = 0;
+        let covered = 0;
+        let coveredBy = null;
+        for (const x of [left, (left + right) / 2, right]) {
+          for (const y of [top, (top + bottom) / 2, bottom]) {
+            const hit = document.elementFromPoint(x, y);
+            sampled++;
+            if (!hit || hit === el || el.contains(hit) || hit.contains(el)) continue;
+
+            const pinned = isPinned(hit);
+            if (pinned && !pinned.contains(el)) {
+              covered++;
+              coveredBy = coveredBy || pinned;
+            }
+          }
+        }
+
+        if (covered > 0) {
+          results.push({
+            element: window.__wcagLocate(el),
+            coveredBy: window.__wcagLocate(coveredBy).selector,
+            entirely: covered === sampled
+          });
+        }
+      }
+
+      if (previousFocus && previousFocus !== document.body) {
+        previousFocus.focus();
+      } else if (document.activeElement) {
+        document.activeElement.blur();
+      }
+      window.scrollTo(scrollX, scrollY);
+
+      return { checked: focusable.length, results };
+    }, MAX_ELEMENTS);
+
+    const hidden = obscuredData.results.filter(item => item.entirely);
+    const partial = obscuredData.results.filter(item => !item.entirely);
+
+    hidden.slice(0, MAX_REPORTED).forEach(item => {
+      context.addResult('error', '2.4.11', 'Focused Element Hidden',
+        `Element is entirely covered by ${item.coveredBy} when it receives focus`,
+        item.element,
+        'Add scroll-padding-top/bottom equal to the height of sticky headers and footers, or keep banners from overlapping focused content'
+      );
+    });
+
+    partial.slice(0, MAX_REPORTED).forEach(item => {
+      context.addResult('warning', '2.4.12', 'Focused Element Partly Hidden',
+        `Element is partly covered by ${item.coveredBy} when it receives focus`,
+        item.element,
+        'Make sure no part of a focused component is hidden by sticky or fixed content'
+      );
+    });
+
+    if (obscuredData.results.length > MAX_REPORTED * 2) {
+      context.addResult('info', '2.4.11', 'More Obscured Focus Issues',
+        `${obscuredData.results.length} focusable elements are covered when focused; the first ${MAX_REPORTED} of each kind are listed`,
+        null,
+        'Fix the sticky element first; it usually covers many elements'
+      );
+    }
+
+    if (hidden.length === 0 && obscuredData.checked > 0) {
+      context.addResult('success', '2.4.11', 'Focus Not Obscured',
+        `None of ${obscuredData.checked} focusable elements is hidden by sticky or fixed content when focused`,
+        null,
+        'Focused elements stay visible'
+      );
+    }
+
+    context.completedChecks++;
   }
 
-  getWCAGInfo(criterionId) {
-    const parts = criterionId.split('.');
-    if (parts.length >= 2) {
-      const guideline = parts[0] + '.' + parts[1];
-      
-      if (wcagCriteria[guideline] && wcagCriteria[guideline].criteria[criterionId]) {
-        const criterion = wcagCriteria[guideline].criteria[criterionId];
+  async checkDraggingMovements(page, context) {
+    logger.info('Checking dragging movements...');
+
+    const dragData = await page.evaluate(() => {
+      // Native drag and drop plus markers left by common drag-and-drop libraries
+      const DRAG_SELECTOR = [
+        '[draggable="true"]', '[ondragstart]', '[aria-grabbed]',
+        '.ui-draggable', '.ui-sortable-handle', '.react-draggable',
+        '[data-rbd-drag-handle-draggable-id]', '[data-rfd-drag-handle-draggable-id]',
+        '[data-sortable-id]', '[data-swapy-item]', '.sortable-item', '.draggable'
+      ].join(', ');
+      const MOVE_LABEL = /\b(move|up|down|left|right|top|bottom|reorder|sort|position|before|after|earlier|later)\b/i;
+
+      const draggables = window.__wcagQueryAll(DRAG_SELECTOR)
+        .filter(el => el.getClientRects().length > 0);
+
+      const containers = new Map();
+      draggables.forEach(el => {
+        const container = el.closest('ul, ol, tbody, [role="list"], [role="listbox"], [role="grid"], [role="tree"]') ||
+          el.parentElement || el;
+        if (!containers.has(container)) containers.set(container, []);
+        containers.get(container).push(el);
+      });
+
+      return Array.from(containers.entries()).map(([container, items]) => {
+        // Controls that are not themselves drag handles
+        const controls = Array.from(container.querySelectorAll(
+          'button, [role="button"], select, input[type="number"], [role="menuitem"]'
+        )).filter(control => !control.matches(DRAG_SELECTOR) &&
+          !/drag|sortable/i.test(control.getAttribute('aria-roledescription') || ''));
+
+        const moveControls = controls.filter(control =>
+          control.tagName === 'SELECT' || control.type === 'number' ||
+          MOVE_LABEL.test(`${control.getAttribute('aria-label') || ''} ${control.title || ''} ${control.textContent}`)
+        );
+
         return {
-          guideline: wcagCriteria[guideline].title,
-          level: criterion.level,
-          version: criterion.version,
-          description: criterion.description
+          element: window.__wcagLocate(items[0]),
+          container: window.__wcagLocate(container).selector,
+          items: items.length,
+          controls: controls.length,
+          moveControls: moveControls.length
         };
+      });
+    });
+
+    for (const group of dragData) {
+      if (group.moveControls > 0) {
+        context.addResult('info', '2.5.7', 'Drag Alternative Present',
+          `${group.items} draggable items in ${group.container} have ${group.moveControls} controls that appear to move them without dragging`,
+          group.element,
+          'Verify that every drag action can also be done with single clicks or taps'
+        );
+      } else {
+        context.addResult('warning', '2.5.7', 'Drag Without Alternative',
+          `${group.items} draggable items in ${group.container} have no visible control for moving them without dragging`,
+          group.element,
+          'Provide buttons (e.g. "Move up"/"Move down") or a select menu that performs the same action with a single pointer'
+        );
       }
     }
-    
-    return null;
+
+    context.completedChecks++;
+  }
+
+  async checkConsistentHelp(page, context) {
+    logger.info('Checking help mechanisms...');
+
+    const helpMechanisms = await page.evaluate(() => {
+      const CHAT_WIDGET = /intercom|zendesk|zopim|drift|livechat|tawk|crisp|hubspot-messages|freshchat|olark|chat-widget|chatbot/i;
+      const kinds = new Map();
+
+      const record = (kind, el, text) => {
+        if (!kinds.has(kind)) {
+          kinds.set(kind, { kind, text: text.substring(0, 60), element: window.__wcagLocate(el) });
+        }
+      };
+
+      // Document order gives the relative order the criterion is about
+      window.__wcagQueryAll('a[href], button, iframe, [id], [class]').forEach(el => {
+        if (el.getClientRects().length === 0 && el.tagName !== 'IFRAME') return;
+
+        const href = el.getAttribute('href') || '';
+        const text = (el.getAttribute('aria-label') || el.textContent || '').trim();
+
+        if (el.tagName === 'A' || el.tagName === 'BUTTON') {
+          if (href.startsWith('tel:')) return record('phone', el, text);
+          if (href.startsWith('mailto:')) return record('email', el, text);
+          if (/contact/i.test(text) || /contact/i.test(href)) return record('contact', el, text);
+          if (/\b(help|support|faq|customer service)\b/i.test(text) || /\/(help|support|faq)s?\b/i.test(href)) {
+            return record('self-help', el, text);
+          }
+          if (/\bchat\b/i.test(text)) return record('chat', el, text);
+        }
+
+        const marker = `${el.id} ${typeof el.className === 'string' ? el.className : ''} ${el.getAttribute('src') || ''}`;
+        if (CHAT_WIDGET.test(marker)) record('chat', el, text || 'Chat widget');
+      });
+
+      return Array.from(kinds.values());
+    });
+
+    context.setArtifact('helpMechanisms', helpMechanisms);
+
+    if (helpMechanisms.length > 0) {
+      context.addResult('info', '3.2.6', 'Help Mechanisms Found',
+        `Help offered in this order: ${helpMechanisms.map(item => item.kind).join(', ')}`,
+        helpMechanisms[0].element,
+        'Keep help in the same relative order on every page; site scans compare it across pages'
+      );
+    }
+
+    context.completedChecks++;
   }
 
-  getResultsSummary() {
-    const summary = {
-      total: this.results.length,
-      errors: this.results.filter(r => r.type === 'error').length,
-      warnings: this.results.filter(r => r.type === 'warning').length,
-      passed: this.results.filter(r => r.type === 'success').length,
-      info: this.results.filter(r => r.type === 'info').length
+  /**
+   * Compare the order of help mechanisms (3.2.6) across the pages of a site
+   * scan. The first page that offers help is the reference.
+   */
+  getHelpConsistency(pages) {
+    const sequences = pages
+      .filter(p => !p.failed && p.artifacts && p.artifacts.helpMechanisms)
+      .map(p => ({
+        url: p.url,
+        order: (Object.values(p.artifacts.helpMechanisms)[0] || []).map(item => item.kind)
+      }))
+      .filter(sequence => sequence.order.length > 0);
+
+    if (sequences.length === 0) {
+      return null;
+    }
+
+    const reference = sequences[0];
+    const inconsistentPages = sequences.slice(1).filter(sequence => {
+      const shared = sequence.order.filter(kind => reference.order.includes(kind));
+      const expected = reference.order.filter(kind => shared.includes(kind));
+      return shared.join(',') !== expected.join(',');
+    });
+
+    return {
+      criterion: '3.2.6',
+      referenceUrl: reference.url,
+      order: reference.order,
+      pagesWithHelp: sequences.length,
+      inconsistentPages
     };
-    
-    summary.score = summary.total > 0 ? 
-      Math.round(((summary.passed + (summary.info * 0.5)) / summary.total) * 100) : 100;
-      
-    return summary;
+  }
+
+  async checkRedundantEntry(page, context) {
+    logger.info('Checking redundant entry...');
+
+    const entryData = await page.evaluate(() => {
+      const REPEAT_LABEL = /\b(confirm|re-?enter|repeat|retype|verify)\b/i;
+      const SAME_AS_LABEL = /\b(same as|identical|use (my |the )?(shipping|billing|delivery) address)\b/i;
+
+      // Every naming source, most readable first
+      const labelSources = (field) => [
+        ...(field.labels ? Array.from(field.labels).map(label => label.textContent) : []),
+        field.getAttribute('aria-label') || '',
+        field.getAttribute('placeholder') || '',
+        field.name || '',
+        field.id || ''
+      ].map(text => text.replace(/[_-]+/g, ' ').trim()).filter(Boolean);
+
+      const labelFor = (field) => labelSources(field).join(' ');
+
+      const fields = window.__wcagQueryAll('input, select, textarea').filter(field =>
+        !['hidden', 'submit', 'button', 'reset', 'image'].includes(field.type)
+      );
+
+      // Re-typing a password is allowed for security, so only other fields count
+      const repeated = fields
+        .filter(field => field.type !== 'password' && REPEAT_LABEL.test(labelFor(field)))
+        .map(field => ({ element: window.__wcagLocate(field), label: labelSources(field)[0].substring(0, 60) }));
+
+      const addressField = (kind) => fields.find(field =>
+        new RegExp(kind, 'i').test(`${field.getAttribute('autocomplete') || ''} ${labelFor(field)}`)
+      );
+      const shipping = addressField('shipping|delivery');
+      const billing = addressField('billing');
+      const sameAsOption = fields.some(field =>
+        (field.type === 'checkbox' || field.type === 'radio') && SAME_AS_LABEL.test(labelFor(field))
+      );
+
+      return {
+        fieldCount: fields.length,
+        repeated,
+        duplicateAddress: shipping && billing && !sameAsOption ? window.__wcagLocate(billing) : null
+      };
+    });
+
+    entryData.repeated.forEach(field => {
+      context.addResult('warning', '3.3.7', 'Information Entered Twice',
+        `Field "${field.label}" asks for information the user already entered`,
+        field.element,
+        'Remove the confirmation field or pre-fill it; only passwords may be asked for twice'
+      );
+    });
+
+    if (entryData.duplicateAddress) {
+      context.addResult('warning', '3.3.7', 'Address Entered Twice',
+        'The form asks for both shipping and billing addresses without a "same as" option',
+        entryData.duplicateAddress,
+        'Add a "Billing address is the same as shipping" checkbox or pre-fill the second address'
+      );
+    }
+
+    if (entryData.fieldCount > 0 && entryData.repeated.length === 0 && !entryData.duplicateAddress) {
+      context.addResult('success', '3.3.7', 'No Redundant Entry',
+        `None of ${entryData.fieldCount} form fields asks for information twice`,
+        null,
+        'Forms do not ask for the same information again'
+      );
+    }
+
+    context.completedChecks++;
+  }
+
+  async checkAccessibleAuthentication(page, context) {
+    logger.info('Checking accessible authentication...');
+
+    const authData = await page.evaluate(() => {
+      const CAPTCHA_FRAME = /recaptcha|hcaptcha|turnstile|challenges\.cloudflare|arkoselabs|funcaptcha/i;
+
+      // A cancelled synthetic paste means a script stops password managers and paste
+      const blocksPaste = (field) => {
+        try {
+          const event = new ClipboardEvent('paste', {
+            bubbles: true,
+            cancelable: true,
+            clipboardData: new DataTransfer()
+          });
+          return !field.dispatchEvent(event);
+        } catch (error) {
+          return /return\s+false|preventDefault/.test(field.getAttribute('onpaste') || '');
+        }
+      };
+
+      const passwords = window.__wcagQueryAll('input[type="password"]');
+      const oneTimeCodes = window.__wcagQueryAll('input[autocomplete="one-time-code"]');
+      const forms = new Set(passwords.map(field => field.form).filter(Boolean));
+
+      // Username and code fields that go with a password need the same treatment
+      const credentialFields = new Set([...passwords, ...oneTimeCodes]);
+      forms.forEach(form => {
+        form.querySelectorAll('input[type="text"], input[type="email"], input[type="tel"], input:not([type])')
+          .forEach(field => credentialFields.add(field));
+      });
+
+      const fields = Array.from(credentialFields).map(field => ({
+        element: window.__wcagLocate(field),
+        type: field.type,
+        isPassword: field.type === 'password',
+        autocomplete: field.getAttribute('autocomplete'),
+        blocksPaste: blocksPaste(field)
+      }));
+
+      const captchas = [
+        ...window.__wcagQueryAll('iframe[src]')
+          .filter(frame => CAPTCHA_FRAME.test(frame.src))
+          .map(frame => ({ element: window.__wcagLocate(frame), recognition: true })),
+        ...window.__wcagQueryAll('img, canvas')
+          .filter(el => /captcha/i.test(`${el.id} ${el.className} ${el.getAttribute('alt') || ''} ${el.getAttribute('src') || ''}`))
+          .map(el => ({ element: window.__wcagLocate(el), recognition: false }))
+      ];
+
+      return { fields, captchas };
+    });
+
+    if (authData.fields.length === 0 && authData.captchas.length === 0) {
+      context.completedChecks++;
+      return;
+    }
+
+    let issues = 0;
+
+    authData.fields.filter(field => field.blocksPaste).forEach(field => {
+      issues++;
+      context.addResult('error', '3.3.8', 'Paste Blocked in Login Field',
+        `${field.isPassword ? 'Password' : 'Credential'} field cancels paste, so users must transcribe or memorise the value`,
+        field.element,
+        'Remove the paste handler so password managers and copy-paste work'
+      );
+    });
+
+    authData.fields.filter(field => field.isPassword).forEach(field => {
+      if (field.autocomplete === 'off') {
+        issues++;
+        context.addResult('warning', '3.3.8', 'Password Autofill Disabled',
+          'Password field sets autocomplete="off", which stops some password managers from filling it',
+          field.element,
+          'Use autocomplete="current-password" (or "new-password" on sign-up forms)'
+        );
+      } else if (!field.autocomplete) {
+        issues++;
+        context.addResult('warning', '3.3.8', 'Password Without Autocomplete',
+          'Password field has no autocomplete attribute to help password managers',
+          field.element,
+          'Add autocomplete="current-password" or autocomplete="new-password"'
+        );
+      }
+    });
+
+    authData.captchas.forEach(captcha => {
+      issues++;
+      if (captcha.recognition) {
+        context.addResult('info', '3.3.8', 'CAPTCHA Service Detected',
+          'A third-party CAPTCHA is used; object recognition is allowed at AA but puzzles and text transcription are not',
+          captcha.element,
+          'Verify the CAPTCHA offers a non-cognitive alternative or can be bypassed'
+        );
+      } else {
+        context.addResult('warning', '3.3.8', 'Text CAPTCHA Detected',
+          'Transcribing distorted text is a cognitive function test',
+          captcha.element,
+          'Replace it with a method that does not require solving or transcribing, or offer an alternative'
+        );
+      }
+    });
+
+    if (issues === 0) {
+      context.addResult('success', '3.3.8', 'Accessible Authentication',
+        `${authData.fields.length} login fields accept paste and support password managers`,
+        null,
+        'Authentication does not rely on memory or transcription'
+      );
+    }
+
+    context.completedChecks++;
+  }
+
+  /**
+   * 3.3.1 Error Identification, 3.3.3 Error Suggestion and 4.1.3 Status
+   * Messages, by submitting each form empty and with invalid values. Opt in
+   * with `formErrorProbe: true`: the page's validation scripts run, so the
+   * form is left showing its errors.
+   */
+  async checkFormErrorHandling(page, context) {
+    if (context.options.formErrorProbe !== true) {
+      context.markSkipped(['3.3.1', '3.3.3', '4.1.3'], 'The form error probe is opt-in (formErrorProbe: true)');
+      context.completedChecks++;
+      return;
+    }
+    // Submissions are blocked through request interception
+    if (typeof page.setRequestInterception !== 'function') {
+      context.markSkipped(['3.3.1', '3.3.3', '4.1.3'], 'Request interception is not available to block form submissions');
+      context.completedChecks++;
+      return;
+    }
+
+    logger.info('Probing form error handling...');
+
+    const VAGUE_MESSAGE = /^(error|invalid|invalid (input|value|entry|format)|wrong|incorrect|not valid)[.!]?$/i;
+    // The errors the probe triggers are reported below, not as status messages
+    const forms = await this.liveRegionMonitor.ignoreDuring(page, () => this.formErrorProbe.probe(page));
+
+    for (const form of forms) {
+      if (form.runs.length === 0) {
+        context.addResult('info', '3.3.1', 'Form Error Handling Not Tested',
+          'Form has no required or format-constrained fields to submit empty or invalid',
+          form.element,
+          'Check server-side validation errors manually'
+        );
+        continue;
+      }
+
+      for (const run of form.runs) {
+        const values = run.mode === 'empty' ? 'left empty' : 'filled with invalid values';
+        const shownByPage = run.fields.filter(field => field.message || field.nearbyMessage || field.ariaInvalid);
+        const anyError = run.fields.some(field => field.nativeInvalid) || shownByPage.length > 0 ||
+          run.announcements.length > 0 || run.otherErrorText.length > 0 || form.alerts.length > 0;
+
+        // The submission went out and was blocked before the server could answer
+        if (!anyError && run.submitted) {
+          context.addResult('warning', '3.3.1', 'Errors Only Checked by the Server',
+            `Form was submitted with fields ${values} and the page showed no error before sending it` +
+            (form.blockedRequests > 0 ? ` (${form.blockedRequests} requests blocked)` : ''),
+            form.element,
+            'Validate in the page as well, or check that the server response identifies each field in error'
+          );
+          continue;
+        }
+
+        for (const field of run.fields) {
+          const submitted = run.mode === 'empty' ? 'empty' : `with "${field.value}"`;
+
+          if (field.message) {
+            if (field.ariaInvalid) {
+              context.addResult('success', '3.3.1', 'Error Identified',
+                `"${field.label}" submitted ${submitted} shows "${field.message}"`,
+                field.element,
+                'Error is described in text and exposed on the field'
+              );
+            } else {
+              context.addResult('warning', '3.3.1', 'Invalid Field Not Marked',
+                `"${field.label}" shows "${field.message}" but is not marked aria-invalid`,
+                field.element,
+                'Set aria-invalid="true" on the field while it is in error'
+              );
+            }
+
+            if (run.mode === 'invalid') {
+              const vague = VAGUE_MESSAGE.test(field.message.replace(field.label, '').trim());
+              context.addResult(vague ? 'warning' : 'success', '3.3.3',
+                vague ? 'Error Message Without Suggestion' : 'Error Message Suggests a Fix',
+                vague
+                  ? `"${field.label}" only says "${field.message}" when given "${field.value}"`
+                  : `"${field.label}" says "${field.message}" when given "${field.value}"`,
+                field.element,
+                vague
+                  ? 'Explain what is expected, e.g. "Enter an email address like name@example.com"'
+                  : 'Error message describes the expected input'
+              );
+            }
+          } else if (field.nearbyMessage) {
+            context.addResult('warning', '3.3.1', 'Error Message Not Associated With Field',
+              `"${field.label}" submitted ${submitted} shows "${field.nearbyMessage}" nearby, but the field does not reference it`,
+              field.element,
+              'Point aria-describedby or aria-errormessage at the error text so it is read with the field'
+            );
+          } else if (field.ariaInvalid) {
+            context.addResult('warning', '3.3.1', 'Error Not Described',
+              `"${field.label}" is marked aria-invalid when submitted ${submitted}, but no error text describes it`,
+              field.element,
+              'Show a text error message next to the field and reference it with aria-describedby'
+            );
+          } else if (field.nativeInvalid) {
+            context.addResult('success', '3.3.1', 'Error Identified by Browser Validation',
+              `"${field.label}" submitted ${submitted} is reported by the browser: "${field.validationMessage}"`,
+              field.element,
+              'Native validation messages are announced; custom messages can be clearer'
+            );
+          } else {
+            context.addResult('error', '3.3.1', 'Error Not Identified',
+              `"${field.label}" was submitted ${submitted} and no error identified it`,
+              field.element,
+              'Show a text error next to the field, set aria-invalid="true" and reference the message with aria-describedby'
+            );
+          }
+        }
+
+        // Errors the page drew itself have to reach screen reader users
+        // through focus or a live region; native validation does both
+        if (shownByPage.length === 0 && run.otherErrorText.length === 0) continue;
+
+        const announced = [...run.announcements, ...form.alerts];
+        if (run.focus && (run.focus.onErrorField || run.focus.onErrorMessage)) {
+          context.addResult('success', '4.1.3', 'Focus Moved to Errors',
+            `After submitting with fields ${values}, focus moved to ${run.focus.selector}`,
+            form.element,
+            'Errors are brought to the user\'s attention'
+          );
+        } else if (announced.length > 0) {
+          context.addResult('success', '4.1.3', 'Errors Announced',
+            `After submitting with fields ${values}, the page announced "${announced[0]}"`,
+            form.element,
+            'Errors are announced to screen reader users'
+          );
+        } else {
+          context.addResult('error', '4.1.3', 'Errors Not Announced',
+            `After submitting with fields ${values}, errors appeared but focus ${run.focus ? `stayed on ${run.focus.selector}` : 'was lost'} and no live region announced them`,
+            form.element,
+            'Move focus to the first invalid field or an error summary, or put the error summary in a role="alert" region'
+          );
+        }
+      }
+    }
+
+    context.completedChecks++;
+  }
+
+  /**
+   * 4.1.3 Status Messages seen by the live region monitor since it was last
+   * read: during this scan and, in flows, during the step that led here.
+   * Runs last so messages triggered by the other checks are included, except
+   * the form probe's errors, which that check reports itself.
+   */
+  async checkStatusMessages(page, context) {
+    logger.info('Checking status messages...');
+
+    const MAX_REPORTED = 20;
+    const messages = await this.liveRegionMonitor.take(page);
+    context.setArtifact('statusMessages', messages);
+
+    if (messages.length === 0) {
+      context.addResult('info', '4.1.3', 'No Status Messages Observed',
+        'No toasts, result counts or confirmation messages appeared while the page was checked',
+        null,
+        'Use a flow check to trigger status messages such as "Added to cart" or search results'
+      );
+      context.completedChecks++;
+      return;
+    }
+
+    messages.slice(0, MAX_REPORTED).forEach(message => {
+      const quoted = `"${message.text}"`;
+      switch (message.announced) {
+        case 'announced':
+          context.addResult('success', '4.1.3', 'Status Message Announced',
+            `${quoted} appeared in ${message.role ? `role="${message.role}"` : `aria-live="${message.live}"`} region ${message.region}`,
+            message.element,
+            'Status message is announced without moving focus'
+          );
+          break;
+        case 'injected':
+          context.addResult('warning', '4.1.3', 'Live Region Added With Its Message',
+            `${quoted} was inserted together with its live region ${message.region}; screen readers usually only announce changes to regions that already exist`,
+            message.element,
+            'Render the empty live region with the page and insert only the message text later'
+          );
+          break;
+        case 'hidden':
+          context.addResult('error', '4.1.3', 'Status Message in Hidden Live Region',
+            `${quoted} appeared in live region ${message.region}, which is hidden with display or visibility`,
+            message.element,
+            'Keep the live region rendered; hide it visually with a screen-reader-only class if needed'
+          );
+          break;
+        default:
+          context.addResult('error', '4.1.3', 'Status Message Not Announced',
+            message.announced === 'off'
+              ? `${quoted} appeared inside aria-live="off" region ${message.region}`
+              : `${quoted} appeared without a live region, so screen readers are not told about it`,
+            message.element,
+            message.kind === 'error'
+              ? 'Put the message in a role="alert" region that exists before the error is shown'
+              : 'Put the message in a role="status" (or aria-live="polite") region that exists before the message is shown'
+          );
+      }
+    });
+
+    if (messages.length > MAX_REPORTED) {
+      context.addResult('info', '4.1.3', 'More Status Messages',
+        `${messages.length - MAX_REPORTED} more status messages were recorded under artifacts.statusMessages`,
+        null,
+        'Review the remaining messages'
+      );
+    }
+
+    context.completedChecks++;
+  }
+
+  getWCAGInfo(criterionId) {
+    return ScanContext.getWCAGInfo(criterionId);
   }
 
   async exportResults(results, options = {}) {